@@ -0,0 +1,170 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { Bar } from 'react-chartjs-2'
+import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend } from 'chart.js'
+import Navigation from '../components/Navigation'
+
+ChartJS.register(CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend)
+
+const DIMENSIONS = [
+  { key: 'modelVersion', label: 'Model Version' },
+  { key: 'crop', label: 'Crop' },
+  { key: 'region', label: 'Region' }
+]
+
+const pts = value => value === null || value === undefined ? '—' : `${(value * 100).toFixed(1)} pts`
+
+export default function AccuracyPage() {
+  const [report, setReport] = useState(null)
+  const [dimension, setDimension] = useState('modelVersion')
+  const [since, setSince] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    const fetchReport = async () => {
+      setLoading(true)
+      setError(null)
+      try {
+        const res = await fetch(`/api/predictions/accuracy${since ? `?since=${since}` : ''}`)
+        const json = await res.json()
+        if (!res.ok || !json.success) throw new Error(json.error || 'Failed to load accuracy report')
+        setReport(json.report)
+      } catch (err) {
+        setError(err.message)
+      } finally {
+        setLoading(false)
+      }
+    }
+    fetchReport()
+  }, [since])
+
+  const rows = report?.groups?.[dimension] || []
+
+  const chartData = {
+    labels: rows.map(row => row.key),
+    datasets: [
+      {
+        label: 'MAE (pts)',
+        data: rows.map(row => row.mae * 100),
+        backgroundColor: 'rgba(59, 130, 246, 0.8)',
+        borderRadius: 4
+      },
+      {
+        label: 'Bias (pts, + = over-predicts)',
+        data: rows.map(row => row.bias * 100),
+        backgroundColor: rows.map(row => row.bias > 0 ? 'rgba(239, 68, 68, 0.8)' : 'rgba(34, 197, 94, 0.8)'),
+        borderRadius: 4
+      }
+    ]
+  }
+
+  const options = {
+    responsive: true,
+    plugins: {
+      legend: { position: 'top', labels: { color: '#ffffff' } },
+      title: {
+        display: true,
+        text: `Prediction error by ${DIMENSIONS.find(d => d.key === dimension).label.toLowerCase()}`,
+        color: '#ffffff',
+        font: { size: 16, weight: 'bold' }
+      }
+    },
+    scales: {
+      x: { ticks: { color: '#9ca3af' }, grid: { color: '#374151' } },
+      y: { ticks: { color: '#9ca3af' }, grid: { color: '#374151' } }
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-black text-white">
+      <Navigation />
+      <div className="max-w-6xl mx-auto py-8 px-4 space-y-6">
+        <header className="text-center">
+          <h1 className="text-4xl font-bold mb-2">🎯 Prediction Accuracy</h1>
+          <p className="text-lg text-gray-300">Predicted vs reported harvests (yield as % of attainable)</p>
+        </header>
+
+        <div className="flex flex-wrap gap-4 justify-center items-center">
+          {DIMENSIONS.map(d => (
+            <button
+              key={d.key}
+              onClick={() => setDimension(d.key)}
+              className={`px-4 py-2 rounded-lg ${dimension === d.key ? 'bg-blue-600' : 'bg-gray-700 hover:bg-gray-600'}`}
+            >
+              {d.label}
+            </button>
+          ))}
+          <label className="text-sm text-gray-300 flex items-center gap-2">
+            Since
+            <input
+              type="date"
+              value={since}
+              onChange={(e) => setSince(e.target.value)}
+              className="bg-gray-700 text-white rounded px-3 py-2"
+            />
+          </label>
+        </div>
+
+        {error && <div className="p-3 bg-red-900 border border-red-700 text-red-200 rounded">{error}</div>}
+        {loading && <p className="text-center text-gray-400">Loading accuracy report...</p>}
+
+        {report && !loading && (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              {[
+                ['Harvests', report.overall.count],
+                ['MAE', pts(report.overall.mae)],
+                ['Bias', pts(report.overall.bias)],
+                ['RMSE', pts(report.overall.rmse)]
+              ].map(([label, value]) => (
+                <div key={label} className="bg-gray-800 rounded-lg p-4 text-center">
+                  <p className="text-sm text-gray-400">{label}</p>
+                  <p className="text-2xl font-bold">{value}</p>
+                </div>
+              ))}
+            </div>
+
+            {rows.length === 0 ? (
+              <p className="text-center text-gray-400">
+                No harvests reported yet. Farmers can send HARVEST &lt;code&gt; &lt;amount&gt; &lt;unit&gt; by SMS or voice,
+                or use POST /api/predictions/:id/actual.
+              </p>
+            ) : (
+              <>
+                <div className="bg-gray-900 p-6 rounded-lg border border-gray-700">
+                  <Bar data={chartData} options={options} />
+                </div>
+                <div className="bg-gray-800 rounded-lg overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead className="text-gray-400 text-left">
+                      <tr>
+                        <th className="p-3">{DIMENSIONS.find(d => d.key === dimension).label}</th>
+                        <th className="p-3">Harvests</th>
+                        <th className="p-3">MAE</th>
+                        <th className="p-3">Bias</th>
+                        <th className="p-3">RMSE</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {rows.map(row => (
+                        <tr key={row.key} className="border-t border-gray-700">
+                          <td className="p-3 font-medium">{row.key}</td>
+                          <td className="p-3">{row.count}</td>
+                          <td className="p-3">{pts(row.mae)}</td>
+                          <td className={`p-3 ${row.bias > 0 ? 'text-red-400' : 'text-green-400'}`}>{pts(row.bias)}</td>
+                          <td className="p-3">{pts(row.rmse)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
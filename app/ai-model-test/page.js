@@ -170,7 +170,8 @@ export default function AIModelTestPage() {
         fertilizer_usage: formData.features.fertilizer_usage,
         risk_score: formData.features.risk_score,
         crop: selectedCrop?.name || 'Unknown',
-        region: selectedRegion?.name || 'Unknown'
+        region: selectedRegion?.name || 'Unknown',
+        expertAnalysis: true
       }
 
       console.log(`📊 [${testId}] Request Data:`, requestData)
@@ -1,8 +1,9 @@
 import { NextResponse } from 'next/server'
 import { Logger } from '../../../../lib/logger'
 import { nasaDataService } from '../../../../lib/nasaDataService.js'
+import { withApi } from '../../../../lib/apiHandler.js'
 
-export async function GET(request) {
+export const GET = withApi('/api/agri/nasa', async (request) => {
   const logger = new Logger({ route: '/api/agri/nasa' })
   const { searchParams } = new URL(request.url)
   const lat = parseFloat(searchParams.get('lat') || '38.5111')
@@ -114,4 +115,4 @@ export async function GET(request) {
       timestamp: new Date().toISOString()
     }, { status: 502 })
   }
-}
+})
@@ -1,32 +1,17 @@
-export async function GET() {
+import { NextResponse } from 'next/server'
+import { Logger } from '../../../lib/logger'
+import { yieldModelRuntime } from '../../../lib/yieldModelRuntime.js'
+import { withApi } from '../../../lib/apiHandler.js'
+
+// GET: Load the active yield model and run a canary prediction; 503 when no model can serve
+export const GET = withApi('/api/ai-model-health', async () => {
+  const logger = new Logger({ route: '/api/ai-model-health' })
+
   try {
-    console.log('🔍 Proxying health check to backend...')
-    
-    const response = await fetch('https://agribackend-f3ky.onrender.com/health', {
-      method: 'GET',
-      headers: {
-        'Accept': 'application/json',
-      },
-    })
-    
-    if (!response.ok) {
-      throw new Error(`Backend health check failed: ${response.status}`)
-    }
-    
-    const healthData = await response.json()
-    console.log('✅ Health check successful:', healthData)
-    
-    return Response.json(healthData)
+    const health = await yieldModelRuntime.healthCheck()
+    return NextResponse.json(health, { status: health.model_loaded ? 200 : 503 })
   } catch (error) {
-    console.error('❌ Health check proxy error:', error)
-    return Response.json(
-      { 
-        status: 'unhealthy', 
-        model_loaded: false, 
-        error: error.message 
-      },
-      { status: 500 }
-    )
+    logger.error('yield_model_health_failed', { error: error.message })
+    return NextResponse.json({ status: 'unhealthy', model_loaded: false, error: error.message }, { status: 503 })
   }
-}
-
+})
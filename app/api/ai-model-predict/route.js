@@ -1,191 +1,92 @@
-import AgriExpertGemini from '../../../lib/agriExpertGemini.js';
+import { NextResponse } from 'next/server'
+import { Logger } from '../../../lib/logger'
+import { yieldModelRuntime } from '../../../lib/yieldModelRuntime.js'
+import AgriExpertGemini from '../../../lib/agriExpertGemini.js'
+import { securityMiddleware } from '../../../lib/securityMiddleware.js'
+import { withApi } from '../../../lib/apiHandler.js'
+import { rateLimitCaller } from '../../../lib/rateLimitService.js'
 
-export async function POST(request) {
+// Accept the schema names plus the legacy `crop` alias used by the test pages
+function toModelInput(body) {
+  return {
+    soil_ph: body.soil_ph,
+    temperature: body.temperature,
+    humidity: body.humidity,
+    rainfall: body.rainfall,
+    fertilizer_usage: body.fertilizer_usage,
+    risk_score: body.risk_score,
+    crop_name: body.crop_name || body.crop,
+    season: body.season,
+    region: body.region
+  }
+}
+
+// POST: Yield prediction from the in-process model runtime (optional body.modelVersion); no network
+// calls unless body.expertAnalysis is true, which adds Gemini commentary counted against the gemini quota
+export const POST = withApi('/api/ai-model-predict', async (request, { principal }) => {
+  const logger = new Logger({ route: '/api/ai-model-predict' })
+
+  let body
   try {
-    const body = await request.json()
-    console.log('🧪 Proxying prediction request to backend...')
-    console.log('📊 Request data:', body)
-    
-    // Ensure we have all required fields for the backend
-    const backendRequestData = {
-      rainfall: body.rainfall || 0,
-      temperature: body.temperature || 25,
-      humidity: body.humidity || 65,
-      soil_ph: body.soil_ph || 6.5,
-      fertilizer_usage: body.fertilizer_usage || 45,
-      risk_score: body.risk_score || 0.3,
-      // Add crop and region if available
-      crop: body.crop || 'Unknown',
-      region: body.region || 'Unknown'
-    }
-    
-    console.log('📤 Sending to backend:', backendRequestData)
-    
-    const response = await fetch('https://agribackend-f3ky.onrender.com/predict', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(backendRequestData),
-    })
-    
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}))
-      throw new Error(errorData.detail || `Backend prediction failed: ${response.status}`)
-    }
-    
-    const result = await response.json()
-    console.log('✅ Prediction successful:', result)
-    
-    // Debug the prediction value
-    const predictionValue = result.prediction[0][0]
-    console.log('🔍 Raw prediction value:', predictionValue)
-    console.log('🔍 Prediction type:', typeof predictionValue)
-    console.log('🔍 Full prediction array:', result.prediction)
-    
-    // Validate prediction value
-    let validatedPrediction = predictionValue
-    if (typeof predictionValue !== 'number' || isNaN(predictionValue)) {
-      console.warn('⚠️ Invalid prediction value, using fallback')
-      validatedPrediction = 0.5 // Default to 50% if invalid
-    } else if (predictionValue > 1) {
-      console.warn('⚠️ Prediction value > 1, normalizing to 1')
-      validatedPrediction = 1
-    } else if (predictionValue < 0) {
-      console.warn('⚠️ Prediction value < 0, normalizing to 0')
-      validatedPrediction = 0
-    }
-    
-        // If prediction is always 1 (100%), use Gemini to generate realistic predictions
-    if (validatedPrediction >= 0.99) {
-      try {
-        // Initialize Gemini expert service
-        const geminiExpert = new AgriExpertGemini()
-        
-        // Generate realistic prediction using Gemini
-        const geminiPrediction = await geminiExpert.generateRealisticPrediction(backendRequestData)
-        
-        // Use Gemini's prediction instead of the backend's 100% prediction
-        validatedPrediction = geminiPrediction.yield_prediction
-        
-        // Update the risk score with Gemini's prediction if available
-        if (geminiPrediction.risk_score) {
-          backendRequestData.risk_score = geminiPrediction.risk_score
-        }
-      } catch (geminiError) {
-        
-        // Fallback to simple algorithm if Gemini fails
-        let baseYield = 0.6 // Base 60% yield
-        
-        // Simple environmental adjustments
-        const temp = backendRequestData.temperature
-        if (temp < 15 || temp > 40) baseYield -= 0.3
-        else if (temp < 20 || temp > 30) baseYield -= 0.1
-        
-        const humidity = backendRequestData.humidity
-        if (humidity < 30 || humidity > 80) baseYield -= 0.2
-        else if (humidity < 40 || humidity > 70) baseYield -= 0.05
-        
-        const soilPh = backendRequestData.soil_ph
-        if (soilPh < 5.5 || soilPh > 8.0) baseYield -= 0.3
-        else if (soilPh < 6.0 || soilPh > 7.0) baseYield -= 0.1
-        
-        const fertilizer = backendRequestData.fertilizer_usage
-        if (fertilizer < 20 || fertilizer > 150) baseYield -= 0.2
-        else if (fertilizer < 50 || fertilizer > 100) baseYield -= 0.05
-        
-        // Risk score impact
-        baseYield -= (backendRequestData.risk_score * 0.3)
-        
-        validatedPrediction = Math.max(0.1, Math.min(0.95, baseYield))
-      }
-    }
-    
-    console.log('🔍 Validated prediction value:', validatedPrediction)
+    body = await request.json()
+  } catch (error) {
+    return NextResponse.json({ success: false, error: 'Invalid JSON body', detail: 'Invalid JSON body' }, { status: 400 })
+  }
 
-    // Secretly enhance the response with Gemini expert analysis
-    try {
-      
-      // Create enhanced prediction data
-      const enhancedPredictionData = {
-        yield_prediction: validatedPrediction,
-        risk_score: body.risk_score || 0.3,
-        crop: body.crop || 'Unknown Crop',
-        region: body.region || 'Unknown Region'
-      }
+  try {
+    const result = await yieldModelRuntime.predict(toModelInput(body), { version: body.modelVersion || null, explain: true })
+    const response = {
+      success: true,
+      prediction: [[result.prediction]],
+      target: result.target,
+      modelVersion: result.modelVersion,
+      format: result.format,
+      features: result.features,
+      defaulted: result.defaulted,
+      explanation: result.explanation,
+      inferenceMs: result.inferenceMs
+    }
 
-      // Initialize Gemini expert service secretly
-      const geminiExpert = new AgriExpertGemini()
-      
-      // Generate expert analysis based on prediction and input features
-      const expertAnalysis = await geminiExpert.generateExpertAnalysis(
-        enhancedPredictionData, 
-        body
-      )
+    // Expert commentary is opt-in; the model prediction stands on its own without it
+    if (body.expertAnalysis === true) {
+      const { subject, tier } = rateLimitCaller(request, principal)
+      const quota = await securityMiddleware.checkRateLimit(subject, { quota: 'gemini', tier, route: '/api/ai-model-predict' })
 
-      // Enhance the original result with expert analysis (hidden from user)
-      const enhancedResult = {
-        ...result,
-        // Update the prediction with validated value
-        prediction: [[validatedPrediction]],
-        _expertAnalysis: expertAnalysis, // Hidden field
-        _enhanced: true, // Hidden flag
-        _confidence: expertAnalysis.confidence // Hidden confidence
+      if (!quota.allowed) {
+        response._expertAnalysisSkipped = 'Daily Gemini quota reached'
+      } else {
+        try {
+          const expertAnalysis = await new AgriExpertGemini().generateExpertAnalysis({
+            yield_prediction: result.prediction,
+            risk_score: result.features.risk_score,
+            crop: result.features.crop_name,
+            region: result.features.region
+          }, body)
+          response._expertAnalysis = expertAnalysis
+          response._enhanced = true
+          response._confidence = expertAnalysis.confidence
+        } catch (error) {
+          logger.warn('expert_analysis_failed', { error: error.message })
+        }
       }
-      
-      // Log the final answer being returned
-      console.log('🎯 FINAL ANSWER BEING RETURNED:')
-      console.log('📊 Input Parameters:', {
-        rainfall: backendRequestData.rainfall,
-        temperature: backendRequestData.temperature,
-        humidity: backendRequestData.humidity,
-        soil_ph: backendRequestData.soil_ph,
-        fertilizer_usage: backendRequestData.fertilizer_usage,
-        risk_score: backendRequestData.risk_score,
-        crop: backendRequestData.crop,
-        region: backendRequestData.region
-      })
-      console.log('🔢 Original Prediction:', predictionValue)
-      console.log('✅ Validated Prediction:', validatedPrediction)
-      console.log('📈 Yield Percentage:', (validatedPrediction * 100).toFixed(1) + '%')
-      console.log('🧠 Expert Analysis Available:', !!expertAnalysis)
-      console.log('🎯 Final Prediction Array:', enhancedResult.prediction)
-      console.log('---')
-      
-      return Response.json(enhancedResult)
-    } catch (geminiError) {
-      
-      // Log the fallback answer being returned
-      console.log('🎯 FALLBACK ANSWER BEING RETURNED:')
-      console.log('📊 Input Parameters:', {
-        rainfall: backendRequestData.rainfall,
-        temperature: backendRequestData.temperature,
-        humidity: backendRequestData.humidity,
-        soil_ph: backendRequestData.soil_ph,
-        fertilizer_usage: backendRequestData.fertilizer_usage,
-        risk_score: backendRequestData.risk_score,
-        crop: backendRequestData.crop,
-        region: backendRequestData.region
-      })
-      console.log('🔢 Original Prediction:', predictionValue)
-      console.log('✅ Validated Prediction:', validatedPrediction)
-      console.log('📈 Yield Percentage:', (validatedPrediction * 100).toFixed(1) + '%')
-      console.log('🧠 Expert Analysis Available: false (fallback)')
-      console.log('🎯 Final Prediction Array:', result.prediction)
-      console.log('---')
-      
-      // If enhancement fails, return original result without enhancement
-      return Response.json(result)
     }
+
+    return NextResponse.json(response)
   } catch (error) {
-    console.error('❌ Prediction proxy error:', error)
-    return Response.json(
-      { 
-        error: error.message,
-        detail: error.message
-      },
-      { status: 500 }
+    if (error.status !== 400) logger.error('yield_prediction_failed', { error: error.message })
+    return NextResponse.json(
+      { success: false, error: error.message, detail: error.message, details: error.details },
+      { status: error.status || 500 }
     )
   }
-}
+})
 
+// GET: Model registry (all versions on disk and the active one)
+export const GET = withApi('/api/ai-model-predict', async () => {
+  const active = yieldModelRuntime.getActiveVersion()
+  return NextResponse.json({
+    success: true,
+    activeVersion: active?.version || null,
+    versions: yieldModelRuntime.listVersions().map(({ manifest, directory, ...entry }) => ({ ...entry, target: manifest.target || null }))
+  })
+})
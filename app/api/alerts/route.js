@@ -1,8 +1,11 @@
 import { NextResponse } from 'next/server'
 import { Logger } from '../../../lib/logger'
 import { twilioService } from '../../../lib/twilioService.js'
+import { authService } from '../../../lib/authService.js'
+import { withApi } from '../../../lib/apiHandler.js'
 
-export async function POST(request) {
+// POST: Send an alert; officers may only text registered farmers in their district
+export const POST = withApi('/api/alerts', async (request, { principal }) => {
   const logger = new Logger({ route: '/api/alerts' })
   
   try {
@@ -18,12 +21,18 @@ export async function POST(request) {
         error: 'Phone number and alert data are required' 
       }, { status: 400 })
     }
+
+    await authService.assertRecipientAccess(principal, { phoneNumber })
     
     const result = await twilioService.sendAgriculturalAlert(phoneNumber, alertData, language)
+    await authService.audit(principal, 'alert.send', { resource: phoneNumber, status: result.success ? 'success' : 'failed' })
     
     if (result.success) {
       logger.info('alert_sent_success', { phoneNumber, language })
       return NextResponse.json(result)
+    } else if (result.rateLimited) {
+      logger.warn('alert_rate_limited', { phoneNumber, error: result.error })
+      return NextResponse.json(result, { status: 429, headers: result.retryAfterSeconds ? { 'Retry-After': String(result.retryAfterSeconds) } : {} })
     } else {
       logger.error('alert_sent_failed', { phoneNumber, error: result.error })
       return NextResponse.json(result, { status: 500 })
@@ -33,11 +42,11 @@ export async function POST(request) {
     return NextResponse.json({ 
       success: false, 
       error: error.message 
-    }, { status: 500 })
+    }, { status: error.status || 500 })
   }
-}
+})
 
-export async function GET(request) {
+export const GET = withApi('/api/alerts', async (request) => {
   const logger = new Logger({ route: '/api/alerts' })
   const { searchParams } = new URL(request.url)
   const phoneNumber = searchParams.get('phone')
@@ -57,30 +66,32 @@ export async function GET(request) {
       })
     }
     
-    // Check if SMS limit is exceeded
-    if (process.env.SMS_LIMIT_EXCEEDED === 'true') {
+    // Account-wide daily SMS quota (sms_account in rateLimitService; see /api/rate-limits)
+    const limitExceeded = await twilioService.isSmsLimitReached()
+    if (limitExceeded) {
       return NextResponse.json({
         success: false,
         configured: true,
         limitExceeded: true,
-        message: 'Daily SMS limit exceeded. Twilio trial accounts have 9 SMS/day limit. Will reset at midnight UTC.',
-        suggestion: 'Upgrade Twilio account or wait for daily reset'
+        message: 'Daily SMS limit reached. Sends resume as the 24-hour window slides.',
+        suggestion: 'Raise RATE_LIMIT_SMS_ACCOUNT, upgrade a Twilio trial account, or reset the quota with node rate-limits.js reset sms_account'
       })
     }
     
-    // Test SMS functionality if phone number provided
+    // Test SMS functionality if phone number provided (admins only: it texts any number)
     if (phoneNumber) {
+      const principal = authService.authorize(request, { adminOnly: true })
+      await authService.audit(principal, 'alert.test_sms', { resource: phoneNumber })
       const testResult = await twilioService.testSMS(phoneNumber, 'Test SMS from PredictAgri - System Check')
       
-      // Check if test failed due to daily limit
-      if (!testResult.success && testResult.error && testResult.error.includes('exceeded the 9 daily messages limit')) {
-        process.env.SMS_LIMIT_EXCEEDED = 'true'
+      // Twilio's own daily limit; twilioService has used up the sms_account quota
+      if (testResult.rateLimited) {
         return NextResponse.json({
           success: false,
           configured: true,
           limitExceeded: true,
-          message: 'Daily SMS limit exceeded. Twilio trial accounts have 9 SMS/day limit. Will reset at midnight UTC.',
-          suggestion: 'Upgrade Twilio account or wait for daily reset',
+          message: 'Twilio daily SMS limit reached (9 per day on trial accounts).',
+          suggestion: 'Upgrade Twilio account or wait for the 24-hour window to slide',
           testResult
         })
       }
@@ -104,13 +115,13 @@ export async function GET(request) {
         alertTypes: ['drought', 'flood', 'pest', 'disease', 'weather', 'yield']
       },
       configured: hasTwilioConfig,
-      limitExceeded: process.env.SMS_LIMIT_EXCEEDED === 'true'
+      limitExceeded
     })
   } catch (error) {
     logger.error('alert_status_failed', { error: error.message })
     return NextResponse.json({ 
       success: false, 
       error: error.message 
-    }, { status: 500 })
+    }, { status: error.status || 500 })
   }
-}
+})
@@ -1,8 +1,9 @@
 import { NextResponse } from 'next/server'
 import { supabase } from '../../../lib/supabaseClient'
+import { withApi } from '../../../lib/apiHandler.js'
 
 // GET: Retrieve all crops
-export async function GET() {
+export const GET = withApi('/api/crops', async () => {
   try {
     const { data, error } = await supabase
       .from('crops')
@@ -25,10 +26,10 @@ export async function GET() {
       { status: 500 }
     )
   }
-}
+})
 
 // POST: Create a new crop (for testing)
-export async function POST(request) {
+export const POST = withApi('/api/crops', async (request) => {
   try {
     const body = await request.json()
     const { name, season } = body
@@ -66,4 +67,4 @@ export async function POST(request) {
       { status: 500 }
     )
   }
-}
+})
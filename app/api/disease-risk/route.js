@@ -0,0 +1,70 @@
+import { NextResponse } from 'next/server'
+import { Logger } from '../../../lib/logger'
+import { cropRiskModelService } from '../../../lib/cropRiskModelService.js'
+import { twilioService } from '../../../lib/twilioService.js'
+import { withApi } from '../../../lib/apiHandler.js'
+
+function parseCoordinates(lat, lon) {
+  const errors = []
+  const coordinates = { lat: Number(lat), lon: Number(lon) }
+  if (lat === undefined || lat === null || !Number.isFinite(coordinates.lat) || coordinates.lat < -90 || coordinates.lat > 90) {
+    errors.push('lat must be between -90 and 90')
+  }
+  if (lon === undefined || lon === null || !Number.isFinite(coordinates.lon) || coordinates.lon < -180 || coordinates.lon > 180) {
+    errors.push('lon must be between -180 and 180')
+  }
+  return { errors, coordinates }
+}
+
+// GET: ?lat&lon[&crop] - dated risk curves for the crop's models (all models without crop)
+export const GET = withApi('/api/disease-risk', async (request) => {
+  const logger = new Logger({ route: '/api/disease-risk' })
+  const { searchParams } = new URL(request.url)
+  const crop = searchParams.get('crop')
+  const { errors, coordinates } = parseCoordinates(searchParams.get('lat'), searchParams.get('lon'))
+
+  if (errors.length > 0) {
+    return NextResponse.json({ success: false, error: 'Invalid risk request', details: errors }, { status: 400 })
+  }
+
+  try {
+    const assessment = await cropRiskModelService.assess({ ...coordinates, crop })
+    return NextResponse.json({ success: true, availableModels: cropRiskModelService.listModels(), ...assessment })
+  } catch (error) {
+    logger.error('disease_risk_failed', { ...coordinates, crop, error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 500 })
+  }
+})
+
+// POST: { lat, lon, crop?, phoneNumber, language?, region?, minRisk?, withinDays? }
+// Runs the models and sends an SMS alert for each model at minRisk within the next few days
+export const POST = withApi('/api/disease-risk', async (request) => {
+  const logger = new Logger({ route: '/api/disease-risk' })
+
+  try {
+    const body = await request.json()
+    const { crop = null, phoneNumber, language = 'en', region = null, minRisk = 'High', withinDays = 3 } = body
+    const { errors, coordinates } = parseCoordinates(body.lat, body.lon)
+    if (!phoneNumber) errors.push('phoneNumber is required')
+    if (!['Medium', 'High'].includes(minRisk)) errors.push('minRisk must be Medium or High')
+
+    if (errors.length > 0) {
+      return NextResponse.json({ success: false, error: 'Invalid risk alert request', details: errors }, { status: 400 })
+    }
+
+    const assessment = await cropRiskModelService.assess({ ...coordinates, crop })
+    const alerts = cropRiskModelService.buildAlerts(assessment, { region, minRisk, withinDays: Number(withinDays) || 3 })
+
+    const sent = []
+    for (const alertData of alerts) {
+      const result = await twilioService.sendAgriculturalAlert(phoneNumber, alertData, language)
+      sent.push({ model: alertData.model, crop: alertData.crop, date: alertData.date, success: result.success, error: result.error })
+    }
+
+    logger.info('disease_risk_alerts_sent', { crop, alerts: alerts.length, delivered: sent.filter(s => s.success).length })
+    return NextResponse.json({ success: true, alerts: sent, assessment })
+  } catch (error) {
+    logger.error('disease_risk_alert_failed', { error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 500 })
+  }
+})
@@ -1,8 +1,11 @@
 import { NextResponse } from 'next/server'
 import { Logger } from '../../../lib/logger'
 import { emailService } from '../../../lib/emailService.js'
+import { authService } from '../../../lib/authService.js'
+import { withApi } from '../../../lib/apiHandler.js'
 
-export async function POST(request) {
+// POST: Send an email; officers may only email registered farmers in their district
+export const POST = withApi('/api/email', async (request, { principal }) => {
   const logger = new Logger({ route: '/api/email' })
   
   try {
@@ -19,6 +22,8 @@ export async function POST(request) {
       }, { status: 400 })
     }
 
+    await authService.assertRecipientAccess(principal, { email })
+
     let result;
     
     switch (type) {
@@ -46,6 +51,8 @@ export async function POST(request) {
         }, { status: 400 })
     }
     
+    await authService.audit(principal, 'email.send', { resource: email, status: result.success ? 'success' : 'failed', details: { type } })
+
     if (result.success) {
       logger.info('email_sent_success', { email, type, messageId: result.messageId })
       return NextResponse.json(result)
@@ -58,11 +65,11 @@ export async function POST(request) {
     return NextResponse.json({ 
       success: false, 
       error: error.message 
-    }, { status: 500 })
+    }, { status: error.status || 500 })
   }
-}
+})
 
-export async function GET(request) {
+export const GET = withApi('/api/email', async (request) => {
   const logger = new Logger({ route: '/api/email' })
   const { searchParams } = new URL(request.url)
   const action = searchParams.get('action')
@@ -70,6 +77,7 @@ export async function GET(request) {
   if (action === 'test') {
     // Test email service connection
     try {
+      authService.authorize(request, { adminOnly: true })
       const result = await emailService.testConnection()
       
       logger.info('email_test_completed', { 
@@ -93,7 +101,7 @@ export async function GET(request) {
       return NextResponse.json({ 
         success: false, 
         error: error.message 
-      }, { status: 500 })
+      }, { status: error.status || 500 })
     }
   }
   
@@ -114,4 +122,4 @@ export async function GET(request) {
       test: 'GET /api/email?action=test'
     }
   })
-}
+})
@@ -5,9 +5,15 @@ import { enhancedAutomatedPipeline } from '../../../lib/enhancedAutomatedPipelin
 import { twilioService } from '../../../lib/twilioService.js'
 import { supabase } from '../../../lib/supabaseClient'
 import { Logger } from '../../../lib/logger'
+import { pipelineJobService } from '../../../lib/pipelineJobService.js'
+import { weatherProviderService } from '../../../lib/weatherProviderService.js'
+import { smsBlockReason } from '../../../lib/farmerService.js'
+import { withApi } from '../../../lib/apiHandler.js'
+import { authService } from '../../../lib/authService.js'
+import { safeFetch } from '../../../lib/safeFetch.js'
 
 // GET: Get comprehensive farmer analysis
-export async function GET(request) {
+export const GET = withApi('/api/farmer-analysis', async (request, { principal }) => {
   const logger = new Logger({ route: '/api/farmer-analysis' })
   
   try {
@@ -15,8 +21,17 @@ export async function GET(request) {
     const lat = parseFloat(searchParams.get('lat'))
     const lon = parseFloat(searchParams.get('lon'))
     const address = searchParams.get('address')
-    const farmerId = searchParams.get('farmerId') || 'farmer_001'
-    const phoneNumber = searchParams.get('phoneNumber') || '+919322909257'
+    const farmerId = searchParams.get('farmerId')
+    const asyncMode = searchParams.get('async') === 'true'
+    const steps = searchParams.get('steps') ? searchParams.get('steps').split(',').map(step => step.trim()).filter(Boolean) : undefined
+
+    // Results are stored per farmer (farmer_analysis_results.farmer_id is required)
+    if (!farmerId) {
+      return NextResponse.json(
+        { error: 'Farmer ID is required' },
+        { status: 400 }
+      )
+    }
 
     if (!lat && !lon && !address) {
       return NextResponse.json(
@@ -35,11 +50,34 @@ export async function GET(request) {
     }
 
     // Step 2: Use enhanced automated pipeline for comprehensive analysis
-    const farmerData = {
+    // Registered farmers are reached on their profile's number; others only on an explicit phoneNumber,
+    // and either way only if the caller may reach that farmer
+    const farmerData = await enhancedAutomatedPipeline.resolveFarmerProfile({
       farmerId,
       coordinates,
       address: address || `Coordinates: ${lat}, ${lon}`,
-      phoneNumber
+      phoneNumber: searchParams.get('phoneNumber') || undefined,
+      steps
+    })
+    await authService.assertNotificationAccess(principal, farmerData)
+
+    if (asyncMode) {
+      // Run in the background; clients poll /api/pipeline/jobs/:id for progress
+      const job = pipelineJobService.submitFarmerJob(farmerData, {
+        submittedBy: principal.anonymous ? null : principal.id,
+        onComplete: async pipelineResult => {
+          await storeFarmerAnalysisResults(pipelineResult, farmerData.phoneNumber)
+          await sendFarmerNotification(pipelineResult, farmerData)
+        }
+      })
+
+      return NextResponse.json({
+        success: true,
+        farmerId,
+        jobId: job.jobId,
+        status: job.status,
+        statusUrl: `/api/pipeline/jobs/${job.jobId}`
+      }, { status: 202 })
     }
 
     const pipelineResult = await enhancedAutomatedPipeline.executeFarmerPipeline(farmerData)
@@ -49,10 +87,10 @@ export async function GET(request) {
     }
 
     // Step 3: Store results in database
-    const storedResult = await storeFarmerAnalysisResults(pipelineResult, phoneNumber)
+    const storedResult = await storeFarmerAnalysisResults(pipelineResult, farmerData.phoneNumber)
 
     // Step 4: Send notification to farmer
-    const notificationResult = await sendFarmerNotification(pipelineResult, phoneNumber)
+    const notificationResult = await sendFarmerNotification(pipelineResult, farmerData)
 
     return NextResponse.json({
       success: true,
@@ -70,8 +108,9 @@ export async function GET(request) {
         recordId: storedResult.recordId
       },
       notification: {
-        sent: notificationResult.success,
-        method: notificationResult.method
+        sent: notificationResult.success && notificationResult.method !== 'Skipped',
+        method: notificationResult.method,
+        reason: notificationResult.reason
       }
     })
 
@@ -81,17 +120,17 @@ export async function GET(request) {
       success: false, 
       error: error.message,
       fallbackData: getFallbackData()
-    }, { status: 500 })
+    }, { status: error.status || 500 })
   }
-}
+})
 
 // POST: Process farmer data with images
-export async function POST(request) {
+export const POST = withApi('/api/farmer-analysis', async (request, { principal }) => {
   const logger = new Logger({ route: '/api/farmer-analysis' })
   
   try {
     const body = await request.json()
-    const { farmerId, coordinates, address, images, imageBase64, phoneNumber = '+919322909257' } = body
+    const { farmerId, coordinates, address, images, imageBase64, steps, phoneNumber } = body
 
     if (!farmerId) {
       return NextResponse.json(
@@ -114,14 +153,16 @@ export async function POST(request) {
     }
 
     // Use enhanced automated pipeline with images
-    const farmerData = {
+    const farmerData = await enhancedAutomatedPipeline.resolveFarmerProfile({
       farmerId,
       coordinates: farmerCoordinates,
       address: address || `Coordinates: ${farmerCoordinates.lat}, ${farmerCoordinates.lon}`,
       phoneNumber,
       images,
-      imageBase64
-    }
+      imageBase64,
+      steps
+    })
+    await authService.assertNotificationAccess(principal, farmerData)
 
     const pipelineResult = await enhancedAutomatedPipeline.executeFarmerPipeline(farmerData)
     
@@ -130,10 +171,10 @@ export async function POST(request) {
     }
 
     // Store results in database
-    const storedResult = await storeFarmerAnalysisResults(pipelineResult, phoneNumber)
+    const storedResult = await storeFarmerAnalysisResults(pipelineResult, farmerData.phoneNumber)
 
     // Send notification to farmer
-    const notificationResult = await sendFarmerNotification(pipelineResult, phoneNumber)
+    const notificationResult = await sendFarmerNotification(pipelineResult, farmerData)
 
     return NextResponse.json({
       success: true,
@@ -152,8 +193,9 @@ export async function POST(request) {
         recordId: storedResult.recordId
       },
       notification: {
-        sent: notificationResult.success,
-        method: notificationResult.method
+        sent: notificationResult.success && notificationResult.method !== 'Skipped',
+        method: notificationResult.method,
+        reason: notificationResult.reason
       }
     })
 
@@ -163,9 +205,9 @@ export async function POST(request) {
       success: false, 
       error: error.message,
       fallbackData: getFallbackData()
-    }, { status: 500 })
+    }, { status: error.status || 500 })
   }
-}
+})
 
 // Helper functions
 async function getCoordinatesFromAddress(address) {
@@ -218,28 +260,17 @@ async function collectEnvironmentalData(region) {
 
 async function getWeatherData(coordinates) {
   try {
-    // Use Open-Meteo API (free, no key required)
-    const [currentUrl, dailyUrl] = [
-      `https://api.open-meteo.com/v1/forecast?latitude=${coordinates.lat}&longitude=${coordinates.lon}&current=temperature_2m,relative_humidity_2m,wind_speed_10m&timezone=auto`,
-      `https://api.open-meteo.com/v1/forecast?latitude=${coordinates.lat}&longitude=${coordinates.lon}&daily=temperature_2m_max,temperature_2m_min,precipitation_sum&timezone=auto`
-    ]
-
-    const [currentRes, dailyRes] = await Promise.all([
-      fetch(currentUrl),
-      fetch(dailyUrl)
-    ])
-
     const [currentData, dailyData] = await Promise.all([
-      currentRes.json(),
-      dailyRes.json()
+      weatherProviderService.getCurrent(coordinates.lat, coordinates.lon),
+      weatherProviderService.getDaily(coordinates.lat, coordinates.lon)
     ])
 
     return {
       current: currentData.current,
-      forecast: dailyData.daily,
-      agriculturalImpact: calculateWeatherAgriculturalImpact(currentData.current, dailyData.daily),
+      forecast: { timezone: dailyData.timezone, days: dailyData.days },
+      agriculturalImpact: calculateWeatherAgriculturalImpact(currentData.current),
       timestamp: new Date().toISOString(),
-      source: 'Open-Meteo API'
+      source: currentData.providerLabel
     }
   } catch (error) {
     console.error('Weather data collection failed:', error)
@@ -291,10 +322,9 @@ async function processSingleImage(image, imageId) {
     if (image.type === 'base64') {
       imageBuffer = Buffer.from(image.data, 'base64')
     } else if (image.url) {
-      const response = await fetch(image.url)
+      const response = await safeFetch(image.url)
       if (!response.ok) throw new Error(`Failed to fetch image: ${response.status}`)
-      const arrayBuffer = await response.arrayBuffer()
-      imageBuffer = Buffer.from(arrayBuffer)
+      imageBuffer = response.buffer
     } else {
       throw new Error('Invalid image format')
     }
@@ -438,7 +468,7 @@ function analyzeCropSuitability(region, environmentalData, weatherData) {
   }
 
   // Weather-based adjustments
-  if (weatherData && weatherData.current && weatherData.current.temperature_2m > 30) {
+  if (weatherData && weatherData.current && weatherData.current.temperature > 30) {
     suitability.avoidCrops.push('Wheat')
     suitability.reasoning['Wheat'] = 'High temperature may affect wheat growth'
   }
@@ -480,12 +510,12 @@ function analyzePestRisk(environmentalData, weatherData, imageAnalysis) {
   }
 
   // Weather-based pest risk
-  if (weatherData && weatherData.current && weatherData.current.relative_humidity_2m > 80) {
+  if (weatherData && weatherData.current && weatherData.current.humidity > 80) {
     pestRisk.factors.push('High humidity - favorable for fungal diseases')
     pestRisk.recommendations.push('Monitor for fungal infections')
   }
 
-  if (weatherData && weatherData.current && weatherData.current.temperature_2m > 25) {
+  if (weatherData && weatherData.current && weatherData.current.temperature > 25) {
     pestRisk.factors.push('Warm temperature - favorable for insect pests')
     pestRisk.recommendations.push('Check for insect infestations')
   }
@@ -548,17 +578,16 @@ function analyzeClimateAdaptation(weatherData, region) {
     opportunities: []
   }
 
-  if (weatherData && weatherData.forecast && weatherData.forecast.daily) {
-    const temps = weatherData.forecast.daily.temperature_2m_max
-    const precip = weatherData.forecast.daily.precipitation_sum
+  if (weatherData?.forecast?.days) {
+    const { days } = weatherData.forecast
 
-    if (temps && temps.some(t => t > 35)) {
+    if (days.some(day => day.tmax > 35)) {
       adaptation.risks.push('Heat stress periods')
       adaptation.strategies.push('Implement shade structures')
       adaptation.strategies.push('Use heat-tolerant crop varieties')
     }
 
-    if (precip && precip.some(p => p > 30)) {
+    if (days.some(day => day.precipitation > 30)) {
       adaptation.risks.push('Heavy rainfall events')
       adaptation.strategies.push('Improve drainage systems')
       adaptation.strategies.push('Plant flood-tolerant crops')
@@ -643,19 +672,19 @@ function classifySoilType(lat, lon) {
 }
 
 // Utility functions
-function calculateWeatherAgriculturalImpact(current, daily) {
+function calculateWeatherAgriculturalImpact(current) {
   const impact = {
     irrigation: 'Not needed',
     pestRisk: 'Low',
     cropStress: 'Low'
   }
 
-  if (current && current.temperature_2m > 30) {
+  if (current && current.temperature > 30) {
     impact.irrigation = 'May be needed'
     impact.cropStress = 'Moderate'
   }
 
-  if (current && current.relative_humidity_2m > 80) {
+  if (current && current.humidity > 80) {
     impact.pestRisk = 'Moderate'
   }
 
@@ -809,17 +838,17 @@ function getFallbackEnvironmentalData(region) {
 function getFallbackWeatherData(coordinates) {
   return {
     current: {
-      temperature_2m: 28,
-      relative_humidity_2m: 65,
-      wind_speed_10m: 12,
+      temperature: 28,
+      humidity: 65,
+      windSpeed: 12,
       time: new Date().toISOString()
     },
     forecast: {
-      daily: {
-        time: ['2024-01-01', '2024-01-02', '2024-01-03'],
-        temperature_2m_max: [30, 32, 29],
-        precipitation_sum: [0, 5, 0]
-      }
+      days: [
+        { date: '2024-01-01', tmax: 30, precipitation: 0 },
+        { date: '2024-01-02', tmax: 32, precipitation: 5 },
+        { date: '2024-01-03', tmax: 29, precipitation: 0 }
+      ]
     },
     agriculturalImpact: {
       irrigation: 'May be needed',
@@ -872,7 +901,7 @@ async function storeFarmerAnalysisResults(pipelineResult, phoneNumber) {
       .from('farmer_analysis_results')
       .insert({
         farmer_id: pipelineResult.farmerId,
-        phone_number: phoneNumber,
+        phone_number: phoneNumber || null,
         region_id: null, // Will be set if region mapping is available
         crop_id: null, // Will be set if crop mapping is available
         analysis_type: 'enhanced_pipeline',
@@ -904,8 +933,14 @@ async function storeFarmerAnalysisResults(pipelineResult, phoneNumber) {
   }
 }
 
-async function sendFarmerNotification(pipelineResult, phoneNumber) {
+async function sendFarmerNotification(pipelineResult, farmerData) {
   try {
+    // Respect the registry's consent, channels and quiet hours; never text an unknown number
+    const skipReason = farmerData.profile ? smsBlockReason(farmerData.profile) : !farmerData.phoneNumber && 'No phone number on record'
+    if (skipReason) {
+      return { success: true, method: 'Skipped', reason: skipReason }
+    }
+
     // Create a comprehensive agricultural alert
     const alertData = {
       type: 'comprehensive_analysis',
@@ -916,7 +951,7 @@ async function sendFarmerNotification(pipelineResult, phoneNumber) {
     }
 
     // Send both SMS and voice notification
-    const result = await twilioService.sendAgriculturalAlert(phoneNumber, alertData, 'hi')
+    const result = await twilioService.sendAgriculturalAlert(farmerData.phoneNumber, alertData, farmerData.language || 'hi', { farmerId: farmerData.farmerId })
 
     // Update database record to mark notification as sent
     if (result.success) {
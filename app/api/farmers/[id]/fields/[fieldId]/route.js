@@ -0,0 +1,72 @@
+import { NextResponse } from 'next/server'
+import { Logger } from '../../../../../../lib/logger'
+import { farmFieldService } from '../../../../../../lib/farmFieldService.js'
+import { authService } from '../../../../../../lib/authService.js'
+import { withApi } from '../../../../../../lib/apiHandler.js'
+
+// GET: A single field with its boundary, area and centroid
+export const GET = withApi('/api/farmers/[id]/fields/[fieldId]', async (request, { params, principal }) => {
+  const logger = new Logger({ route: '/api/farmers/[id]/fields/[fieldId]' })
+  const { id, fieldId } = await params
+
+  try {
+    await authService.assertFarmerIdAccess(principal, id)
+    const field = await farmFieldService.getField(id, fieldId)
+
+    if (!field) {
+      return NextResponse.json({ success: false, error: 'Field not found' }, { status: 404 })
+    }
+
+    return NextResponse.json({ success: true, field })
+  } catch (error) {
+    logger.error('farm_field_fetch_failed', { farmerId: id, fieldId, error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 500 })
+  }
+})
+
+// PATCH: Update name, boundary, crop or sowing date; area and centroid follow the boundary
+export const PATCH = withApi('/api/farmers/[id]/fields/[fieldId]', async (request, { params, principal }) => {
+  const logger = new Logger({ route: '/api/farmers/[id]/fields/[fieldId]' })
+  const { id, fieldId } = await params
+
+  try {
+    await authService.assertFarmerIdAccess(principal, id)
+    const body = await request.json()
+    const { valid, errors, field } = farmFieldService.validateField(body, { partial: true })
+
+    if (!valid) {
+      return NextResponse.json({ success: false, error: 'Invalid field', details: errors }, { status: 400 })
+    }
+
+    const updated = await farmFieldService.updateField(id, fieldId, field)
+
+    if (!updated) {
+      return NextResponse.json({ success: false, error: 'Field not found' }, { status: 404 })
+    }
+
+    return NextResponse.json({ success: true, field: updated })
+  } catch (error) {
+    logger.error('farm_field_update_failed', { farmerId: id, fieldId, error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 500 })
+  }
+})
+
+// DELETE: Remove a field
+export const DELETE = withApi('/api/farmers/[id]/fields/[fieldId]', async (request, { params, principal }) => {
+  const logger = new Logger({ route: '/api/farmers/[id]/fields/[fieldId]' })
+  const { id, fieldId } = await params
+
+  try {
+    await authService.assertFarmerIdAccess(principal, id)
+    const deleted = await farmFieldService.deleteField(id, fieldId)
+
+    if (!deleted) {
+      return NextResponse.json({ success: false, error: 'Field not found' }, { status: 404 })
+    }
+
+    return NextResponse.json({ success: true, deleted: fieldId })
+  } catch (error) {
+    logger.error('farm_field_delete_failed', { farmerId: id, fieldId, error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 500 })
+  }
+})
@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server'
+import { Logger } from '../../../../../lib/logger'
+import { farmFieldService } from '../../../../../lib/farmFieldService.js'
+import { authService } from '../../../../../lib/authService.js'
+import { withApi } from '../../../../../lib/apiHandler.js'
+
+// GET: All fields mapped for a farmer
+export const GET = withApi('/api/farmers/[id]/fields', async (request, { params, principal }) => {
+  const logger = new Logger({ route: '/api/farmers/[id]/fields' })
+  const { id } = await params
+
+  try {
+    await authService.assertFarmerIdAccess(principal, id)
+    const fields = await farmFieldService.listFields(id)
+    return NextResponse.json({ success: true, farmerId: id, count: fields.length, fields })
+  } catch (error) {
+    logger.error('farm_fields_list_failed', { farmerId: id, error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 500 })
+  }
+})
+
+// POST: Create a field from a GeoJSON Polygon boundary
+// Body: { name, boundary, crop?, sowingDate? }
+export const POST = withApi('/api/farmers/[id]/fields', async (request, { params, principal }) => {
+  const logger = new Logger({ route: '/api/farmers/[id]/fields' })
+  const { id } = await params
+
+  try {
+    await authService.assertFarmerIdAccess(principal, id)
+    const body = await request.json()
+    const { valid, errors, field } = farmFieldService.validateField(body)
+
+    if (!valid) {
+      return NextResponse.json({ success: false, error: 'Invalid field', details: errors }, { status: 400 })
+    }
+
+    const created = await farmFieldService.createField(id, field)
+    return NextResponse.json({ success: true, field: created }, { status: 201 })
+  } catch (error) {
+    logger.error('farm_field_create_failed', { farmerId: id, error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 500 })
+  }
+})
@@ -0,0 +1,91 @@
+import { NextResponse } from 'next/server'
+import { Logger } from '../../../../lib/logger'
+import { farmerService } from '../../../../lib/farmerService.js'
+import { authService } from '../../../../lib/authService.js'
+import { withApi } from '../../../../lib/apiHandler.js'
+
+// GET: A farmer's profile with their mapped fields
+export const GET = withApi('/api/farmers/[id]', async (request, { params, principal }) => {
+  const logger = new Logger({ route: '/api/farmers/[id]' })
+  const { id } = await params
+
+  try {
+    const farmer = await farmerService.getProfile(id)
+
+    if (!farmer) {
+      return NextResponse.json({ success: false, error: 'Farmer not found' }, { status: 404 })
+    }
+    authService.assertFarmerAccess(principal, farmer)
+
+    return NextResponse.json({ success: true, farmer })
+  } catch (error) {
+    logger.error('farmer_fetch_failed', { farmerId: id, error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 500 })
+  }
+})
+
+// PATCH: Update profile fields, preferences or consent (the id cannot change)
+// Farmers may edit their own profile but not move it to another district
+export const PATCH = withApi('/api/farmers/[id]', async (request, { params, principal }) => {
+  const logger = new Logger({ route: '/api/farmers/[id]' })
+  const { id } = await params
+
+  try {
+
+    const body = await request.json().catch(() => null)
+    if (!body || typeof body !== 'object') {
+      return NextResponse.json({ success: false, error: 'Request body must be a JSON object' }, { status: 400 })
+    }
+
+    const { valid, errors, farmer } = farmerService.validateFarmer(body, { partial: true })
+    if (!valid) {
+      return NextResponse.json({ success: false, error: 'Invalid farmer', details: errors }, { status: 400 })
+    }
+
+    const existing = await farmerService.getFarmer(id)
+    if (!existing) {
+      return NextResponse.json({ success: false, error: 'Farmer not found' }, { status: 404 })
+    }
+    authService.assertFarmerAccess(principal, existing)
+    if (farmer.district !== undefined && farmer.district !== existing.district) {
+      if (principal.role === 'farmer') {
+        return NextResponse.json({ success: false, error: 'Farmers cannot change their district' }, { status: 403 })
+      }
+      authService.assertFarmerAccess(principal, { ...existing, district: farmer.district })
+    }
+
+    const updated = await farmerService.updateFarmer(id, farmer)
+
+    if (!updated) {
+      return NextResponse.json({ success: false, error: 'Farmer not found' }, { status: 404 })
+    }
+
+    await authService.audit(principal, 'farmer.update', { resource: id, details: { fields: Object.keys(farmer) } })
+    return NextResponse.json({ success: true, farmer: updated })
+  } catch (error) {
+    logger.error('farmer_update_failed', { farmerId: id, error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 500 })
+  }
+})
+
+// DELETE: Remove a farmer's profile (fields and past analyses are kept)
+export const DELETE = withApi('/api/farmers/[id]', async (request, { params, principal }) => {
+  const logger = new Logger({ route: '/api/farmers/[id]' })
+  const { id } = await params
+
+  try {
+    const existing = await farmerService.getFarmer(id)
+
+    if (!existing) {
+      return NextResponse.json({ success: false, error: 'Farmer not found' }, { status: 404 })
+    }
+    authService.assertFarmerAccess(principal, existing)
+
+    await farmerService.deleteFarmer(id)
+    await authService.audit(principal, 'farmer.delete', { resource: id })
+    return NextResponse.json({ success: true, deleted: id })
+  } catch (error) {
+    logger.error('farmer_delete_failed', { farmerId: id, error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 500 })
+  }
+})
@@ -0,0 +1,53 @@
+import { NextResponse } from 'next/server'
+import { Logger } from '../../../lib/logger'
+import { farmerService } from '../../../lib/farmerService.js'
+import { authService } from '../../../lib/authService.js'
+import { withApi } from '../../../lib/apiHandler.js'
+
+// GET: Registered farmers (?search= matches the name, ?limit= default 100); officers see their district
+export const GET = withApi('/api/farmers', async (request, { principal }) => {
+  const logger = new Logger({ route: '/api/farmers' })
+  const { searchParams } = new URL(request.url)
+  const search = searchParams.get('search')
+  const limit = Math.min(parseInt(searchParams.get('limit')) || 100, 500)
+
+  try {
+    const district = principal.role === 'extension-officer' ? principal.district : searchParams.get('district')
+    const farmers = await farmerService.listFarmers({ search, district, limit })
+    return NextResponse.json({ success: true, count: farmers.length, farmers })
+  } catch (error) {
+    logger.error('farmers_list_failed', { error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 500 })
+  }
+})
+
+// POST: Register a farmer
+// Body: { id?, name, phoneNumber?, email?, district?, language?: en|hi|mr, timezone?, notificationChannels?: [sms|voice|email],
+//         quietHours?: { start, end }, smsConsent?, crops? }
+// SMS is only sent once smsConsent is true; consent changes are timestamped
+export const POST = withApi('/api/farmers', async (request, { principal }) => {
+  const logger = new Logger({ route: '/api/farmers' })
+
+  try {
+
+    const body = await request.json().catch(() => null)
+    if (!body || typeof body !== 'object') {
+      return NextResponse.json({ success: false, error: 'Request body must be a JSON object' }, { status: 400 })
+    }
+
+    // Officers register farmers into their own district
+    const input = principal.role === 'extension-officer' ? { district: principal.district, ...body } : body
+    const { valid, errors, farmer } = farmerService.validateFarmer(input)
+    if (!valid) {
+      return NextResponse.json({ success: false, error: 'Invalid farmer', details: errors }, { status: 400 })
+    }
+    authService.assertFarmerAccess(principal, farmer)
+
+    const created = await farmerService.createFarmer(farmer)
+    await authService.audit(principal, 'farmer.create', { resource: created.id, details: { smsConsent: created.smsConsent } })
+    return NextResponse.json({ success: true, farmer: created }, { status: 201 })
+  } catch (error) {
+    logger.error('farmer_create_failed', { error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 500 })
+  }
+})
@@ -1,10 +1,11 @@
 import { NextResponse } from 'next/server'
 import { supabase } from '../../../lib/supabaseClient'
-import { openMeteoService } from '../../../lib/openMeteoService.js'
+import { weatherProviderService } from '../../../lib/weatherProviderService.js'
 import { nasaDataService } from '../../../lib/nasaDataService.js'
 import { googleEarthEngineService } from '../../../lib/googleEarthEngineService.js'
 import { twilioService } from '../../../lib/twilioService.js'
 import { Logger } from '../../../lib/logger'
+import { withApi } from '../../../lib/apiHandler.js'
 
 // Health check cache to avoid overwhelming external services
 let healthCache = {
@@ -13,7 +14,7 @@ let healthCache = {
   cacheDuration: 30000 // 30 seconds
 }
 
-export async function GET(request) {
+export const GET = withApi('/api/health', async (request) => {
   const logger = new Logger({ route: '/api/health' })
   const { searchParams } = new URL(request.url)
   const detailed = searchParams.get('detailed') === 'true'
@@ -77,7 +78,7 @@ export async function GET(request) {
       }
     }, { status: 500 })
   }
-}
+})
 
 async function performBasicHealthChecks() {
   const checks = {
@@ -219,24 +220,29 @@ async function checkWeatherServiceHealth() {
     const startTime = Date.now()
     
     // Test weather service with a known location
-    const weatherData = await openMeteoService.getCurrent(21.1458, 79.0882) // Nagpur
+    const weatherData = await weatherProviderService.getCurrent(21.1458, 79.0882) // Nagpur
     
     const responseTime = Date.now() - startTime
+    // A provider errored or its circuit is open: still serving, but not from the preferred source
+    const degraded = weatherData.failover.some(attempt => attempt.error || attempt.reason === 'circuit open') || weatherData.synthetic
     
     return {
-      status: 'healthy',
+      status: degraded ? 'degraded' : 'healthy',
       responseTime,
-      details: 'Weather service responding normally',
+      details: degraded ? `Weather served by ${weatherData.providerLabel} after failover` : 'Weather service responding normally',
       data: {
-        temperature: weatherData?.current?.temperature_2m,
+        provider: weatherData.provider,
+        temperature: weatherData?.current?.temperature,
         timestamp: weatherData?.current?.time
-      }
+      },
+      providers: weatherProviderService.getStatus()
     }
   } catch (error) {
     return {
       status: 'unhealthy',
       error: error.message,
-      details: 'Weather service unavailable'
+      details: 'Weather service unavailable',
+      providers: weatherProviderService.getStatus()
     }
   }
 }
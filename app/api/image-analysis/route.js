@@ -1,6 +1,8 @@
 import { NextResponse } from 'next/server'
 import imageProcessingService from '../../../lib/imageProcessingService'
 import { Logger } from '../../../lib/logger'
+import { safeFetch } from '../../../lib/safeFetch.js'
+import { withApi } from '../../../lib/apiHandler.js'
 
 // Helpers
 async function readAsBuffer(file) {
@@ -19,7 +21,7 @@ function fail(status, message, logger, extra = {}) {
 }
 
 // POST: Analyze agricultural image (multipart or JSON)
-export async function POST(request) {
+export const POST = withApi('/api/image-analysis', async (request) => {
   const logger = new Logger({ route: '/api/image-analysis' })
 
   try {
@@ -30,6 +32,7 @@ export async function POST(request) {
     let analysisType = 'comprehensive'
     let regionId = undefined
     let cropId = undefined
+    let includeOverlay = true
 
     if (contentType.includes('multipart/form-data')) {
       const formData = await request.formData()
@@ -37,6 +40,7 @@ export async function POST(request) {
       analysisType = formData.get('analysisType') || 'comprehensive'
       regionId = formData.get('regionId') || undefined
       cropId = formData.get('cropId') || undefined
+      includeOverlay = formData.get('includeOverlay') !== 'false'
 
       if (!imageFile || !(imageFile instanceof File)) {
         return fail(400, 'Image file is required (multipart)', logger)
@@ -58,16 +62,21 @@ export async function POST(request) {
       analysisType = body.analysisType || 'comprehensive'
       regionId = body.regionId
       cropId = body.cropId
+      includeOverlay = body.includeOverlay !== false
 
-      // Accept base64 or remote URL (URL fetch kept minimal; prefer base64 for serverless limits)
+      // Accept base64 or a public http(s) URL (prefer base64 for serverless limits)
       if (body.imageBase64) {
         imageBuffer = Buffer.from(body.imageBase64, 'base64')
         logger.info('json_image_base64_parsed', { length: imageBuffer.length })
       } else if (body.imageUrl) {
-        const res = await fetch(body.imageUrl)
+        let res
+        try {
+          res = await safeFetch(body.imageUrl)
+        } catch (error) {
+          return fail(error.status || 400, `Failed to fetch imageUrl: ${error.message}`, logger)
+        }
         if (!res.ok) return fail(400, 'Failed to fetch imageUrl', logger, { status: res.status })
-        const arr = Buffer.from(await res.arrayBuffer())
-        imageBuffer = arr
+        imageBuffer = res.buffer
         logger.info('json_image_url_fetched', { length: imageBuffer.length })
       } else {
         // No image provided; run fallback analysis
@@ -80,7 +89,8 @@ export async function POST(request) {
       imageBuffer = Buffer.from('')
     }
 
-    const analysisResult = await imageProcessingService.analyzeAgriculturalImage(imageBuffer, analysisType)
+    // Overlay PNG (segmentation tint + hotspot boxes) is returned as data.data.overlay.base64
+    const analysisResult = await imageProcessingService.analyzeAgriculturalImage(imageBuffer, analysisType, { includeOverlay })
 
     const enhancedResult = {
       ...analysisResult,
@@ -103,13 +113,13 @@ export async function POST(request) {
       return fail(500, 'Failed to analyze image', logger, { message: error?.message })
     }
   }
-}
+})
 
 // GET: Get supported analysis types and service status
-export async function GET() {
+export const GET = withApi('/api/image-analysis', async () => {
   const logger = new Logger({ route: '/api/image-analysis' })
   try {
-    const serviceStatus = imageProcessingService.getServiceStatus?.() || {
+    const serviceStatus = await imageProcessingService.getServiceStatus?.() || {
       supportedFormats: ['jpg', 'jpeg', 'png', 'bmp', 'tiff'],
       maxFileSize: 10 * 1024 * 1024
     }
@@ -128,4 +138,4 @@ export async function GET() {
     logger.error('image_analysis_status_error', { error: error?.message })
     return NextResponse.json({ success: false, error: 'Failed to get service status', message: error?.message }, { status: 500 })
   }
-}
+})
@@ -1,8 +1,9 @@
 import { NextResponse } from 'next/server'
 import { Logger } from '../../../../lib/logger'
+import { withApi } from '../../../../lib/apiHandler.js'
 
 // POST: Store image analysis results in database
-export async function POST(request) {
+export const POST = withApi('/api/image-analysis/store', async (request) => {
   const logger = new Logger({ route: '/api/image-analysis/store' })
   
   try {
@@ -45,4 +46,4 @@ export async function POST(request) {
       { status: 500 }
     )
   }
-}
+})
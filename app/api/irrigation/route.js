@@ -0,0 +1,98 @@
+import { NextResponse } from 'next/server'
+import { Logger } from '../../../lib/logger'
+import { irrigationSchedulerService } from '../../../lib/irrigationSchedulerService.js'
+import { farmFieldService } from '../../../lib/farmFieldService.js'
+import { googleEarthEngineService } from '../../../lib/googleEarthEngineService.js'
+import { withApi } from '../../../lib/apiHandler.js'
+
+// Build scheduler options from a stored field (farmerId + fieldId) or explicit coordinates
+async function resolveScheduleOptions(params) {
+  const errors = []
+  const options = {
+    crop: params.crop || null,
+    sowingDate: params.sowingDate || null,
+    areaHectares: params.areaHectares !== undefined && params.areaHectares !== null ? Number(params.areaHectares) : null,
+    irrigationMethod: params.method || undefined,
+    days: params.days
+  }
+  let region = null
+
+  if (params.fieldId) {
+    if (!params.farmerId) {
+      errors.push('farmerId is required when fieldId is given')
+      return { errors }
+    }
+    const field = await farmFieldService.getField(params.farmerId, params.fieldId)
+    if (!field) {
+      const notFound = new Error(`Field ${params.fieldId} not found for farmer ${params.farmerId}`)
+      notFound.status = 404
+      throw notFound
+    }
+    options.lat = field.centroid.lat
+    options.lon = field.centroid.lon
+    options.crop = options.crop || field.crop
+    options.sowingDate = options.sowingDate || field.sowingDate
+    options.areaHectares = options.areaHectares || field.areaHectares
+    region = farmFieldService.toRegion(field)
+  } else {
+    options.lat = Number(params.lat)
+    options.lon = Number(params.lon)
+    if (!Number.isFinite(options.lat) || options.lat < -90 || options.lat > 90) errors.push('lat must be between -90 and 90')
+    if (!Number.isFinite(options.lon) || options.lon < -180 || options.lon > 180) errors.push('lon must be between -180 and 180')
+    region = { name: 'Irrigation point', lat: options.lat, lon: options.lon }
+  }
+
+  if (!options.crop) errors.push('crop is required')
+  if (!options.sowingDate || isNaN(Date.parse(options.sowingDate))) errors.push('sowingDate must be an ISO date (YYYY-MM-DD)')
+  if (options.areaHectares !== null && !(options.areaHectares > 0)) errors.push('areaHectares must be a positive number')
+  if (errors.length > 0) return { errors }
+
+  // Explicit soil values win over the GEE lookup
+  if (params.soilMoisture !== undefined || params.soilTexture) {
+    options.soil = {
+      soilMoisture: params.soilMoisture !== undefined ? { value: Number(params.soilMoisture) } : null,
+      soilTexture: params.soilTexture ? { texture: params.soilTexture } : null
+    }
+  } else {
+    options.soil = await googleEarthEngineService.getComprehensiveSoilData(region)
+  }
+
+  return { errors, options }
+}
+
+async function handleSchedule(params, logger) {
+  try {
+    const { errors, options } = await resolveScheduleOptions(params)
+    if (errors.length > 0) {
+      return NextResponse.json({ success: false, error: 'Invalid irrigation request', details: errors }, { status: 400 })
+    }
+
+    const schedule = await irrigationSchedulerService.createSchedule(options)
+    return NextResponse.json({ success: true, schedule })
+  } catch (error) {
+    logger.error('irrigation_schedule_failed', { error: error.message })
+    const status = error.status || (/^(Unknown irrigation method|No water parameters|No phenology data|Invalid sowing date|Sowing date is in the future)/.test(error.message) ? 400 : 500)
+    return NextResponse.json({ success: false, error: error.message }, { status })
+  }
+}
+
+// GET: ?lat&lon&crop&sowingDate[&soilMoisture&soilTexture&areaHectares&method&days]
+// or ?farmerId&fieldId to use a stored field's centroid, crop, sowing date and area
+export const GET = withApi('/api/irrigation', async (request) => {
+  const logger = new Logger({ route: '/api/irrigation' })
+  const { searchParams } = new URL(request.url)
+  const params = Object.fromEntries(searchParams.entries())
+  return handleSchedule(params, logger)
+})
+
+// POST: Same parameters as GET in a JSON body
+export const POST = withApi('/api/irrigation', async (request) => {
+  const logger = new Logger({ route: '/api/irrigation' })
+
+  try {
+    const body = await request.json()
+    return handleSchedule(body, logger)
+  } catch (error) {
+    return NextResponse.json({ success: false, error: 'Invalid JSON body' }, { status: 400 })
+  }
+})
@@ -2,10 +2,10 @@ import { NextResponse } from 'next/server'
 import { enhancedLogger } from '../../../lib/enhancedLogger.js'
 import { enhancedAutomatedPipeline } from '../../../lib/enhancedAutomatedPipeline.js'
 import { cacheService } from '../../../lib/cacheService.js'
-import { securityMiddleware } from '../../../lib/securityMiddleware.js'
 import LocationService from '../../../lib/locationService.js'
+import { withApi } from '../../../lib/apiHandler.js'
 
-export async function POST(request) {
+export const POST = withApi('/api/location-analysis', async (request) => {
   const startTime = Date.now()
   const requestId = `location_analysis_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
   
@@ -23,26 +23,6 @@ export async function POST(request) {
       hasFarmerData: !!farmerData
     })
 
-    // Apply security middleware
-    const securityResult = securityMiddleware.validateInput(body, {
-      coordinates: { required: false, type: 'object' },
-      locationName: { required: false, type: 'string' },
-      useCurrentLocation: { required: false, type: 'boolean' },
-      farmerData: { required: false, type: 'object' }
-    })
-    
-    if (!securityResult.isValid) {
-      console.warn(`⚠️ [${requestId}] Security validation failed:`, securityResult.errors)
-      return NextResponse.json({ error: 'Invalid input data', details: securityResult.errors }, { status: 400 })
-    }
-
-    // Check rate limiting
-    const rateLimitResult = securityMiddleware.checkRateLimit('location_analysis')
-    if (!rateLimitResult.allowed) {
-      console.warn(`⚠️ [${requestId}] Rate limit exceeded`)
-      return NextResponse.json({ error: 'Rate limit exceeded' }, { status: 429 })
-    }
-
     let locationData
     const locationService = new LocationService()
 
@@ -149,9 +129,9 @@ export async function POST(request) {
       requestId
     }, { status: 500 })
   }
-}
+})
 
-export async function GET(request) {
+export const GET = withApi('/api/location-analysis', async (request) => {
   // Handle GET request for location detection
   const { searchParams } = new URL(request.url)
   const lat = searchParams.get('lat')
@@ -174,4 +154,4 @@ export async function GET(request) {
       body: JSON.stringify({ useCurrentLocation: true })
     }))
   }
-}
+})
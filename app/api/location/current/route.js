@@ -1,8 +1,9 @@
 import { NextResponse } from 'next/server'
 import { Logger } from '../../../../lib/logger.js'
 import LocationService from '../../../../lib/locationService.js'
+import { withApi } from '../../../../lib/apiHandler.js'
 
-export async function GET(request) {
+export const GET = withApi('/api/location/current', async (request) => {
   const logger = new Logger({ route: '/api/location/current' })
   
   try {
@@ -37,9 +38,9 @@ export async function GET(request) {
       note: 'Using fallback location due to geolocation failure'
     }, { status: 500 })
   }
-}
+})
 
-export async function POST(request) {
+export const POST = withApi('/api/location/current', async (request) => {
   const logger = new Logger({ route: '/api/location/current' })
   
   try {
@@ -98,4 +99,4 @@ export async function POST(request) {
       error: error.message 
     }, { status: 500 })
   }
-}
+})
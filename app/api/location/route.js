@@ -1,10 +1,11 @@
 import { NextResponse } from 'next/server'
 import { Logger } from '../../../lib/logger'
 import LocationService from '../../../lib/locationService.js'
+import { withApi } from '../../../lib/apiHandler.js'
 
 const locationService = new LocationService()
 
-export async function GET(request) {
+export const GET = withApi('/api/location', async (request) => {
   const logger = new Logger({ route: '/api/location' })
   const { searchParams } = new URL(request.url)
   const query = searchParams.get('query')
@@ -37,4 +38,4 @@ export async function GET(request) {
       error: error.message 
     }, { status: 500 })
   }
-}
+})
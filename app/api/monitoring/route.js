@@ -3,8 +3,10 @@ import { enhancedLogger } from '../../../lib/enhancedLogger.js'
 import { databaseService } from '../../../lib/databaseService.js'
 import { cacheService } from '../../../lib/cacheService.js'
 import { securityMiddleware } from '../../../lib/securityMiddleware.js'
+import { smsDeliveryService } from '../../../lib/smsDeliveryService.js'
+import { withApi } from '../../../lib/apiHandler.js'
 
-export async function GET(request) {
+export const GET = withApi('/api/monitoring', async (request) => {
   const logger = enhancedLogger.with({ route: '/api/monitoring' })
   
   try {
@@ -33,7 +35,7 @@ export async function GET(request) {
       error: error.message
     }, { status: 500 })
   }
-}
+})
 
 async function collectSystemMetrics(detailed = false) {
   const metrics = {
@@ -41,6 +43,7 @@ async function collectSystemMetrics(detailed = false) {
     database: await getDatabaseMetrics(),
     cache: await getCacheMetrics(),
     security: await getSecurityMetrics(),
+    sms: await getSmsDeliveryMetrics(),
     performance: await getPerformanceMetrics()
   }
   
@@ -105,16 +108,24 @@ async function getCacheMetrics() {
 
 async function getSecurityMetrics() {
   return {
-    rateLimitStore: {
-      size: securityMiddleware.rateLimitStore.size,
-      window: securityMiddleware.rateLimitWindow / 1000 + 's',
-      maxRequests: securityMiddleware.maxRequestsPerWindow
-    },
+    rateLimits: securityMiddleware.rateLimits.describe(),
     securityHeaders: Object.keys(securityMiddleware.securityHeaders).length,
     corsOrigins: securityMiddleware.corsConfig.origin.length
   }
 }
 
+// Last 7 days from sms_messages, with the farmers whose messages fail most
+async function getSmsDeliveryMetrics() {
+  try {
+    return { status: 'ok', ...await smsDeliveryService.getDeliveryStats({ days: 7 }) }
+  } catch (error) {
+    return {
+      status: 'error',
+      error: error.message
+    }
+  }
+}
+
 async function getPerformanceMetrics() {
   const startTime = Date.now()
   
@@ -221,7 +232,7 @@ function formatUptime(seconds) {
 }
 
 // POST endpoint for clearing cache and resetting metrics
-export async function POST(request) {
+export const POST = withApi('/api/monitoring', async (request) => {
   const logger = enhancedLogger.with({ route: '/api/monitoring' })
   
   try {
@@ -274,4 +285,4 @@ export async function POST(request) {
       error: error.message
     }, { status: 500 })
   }
-}
+})
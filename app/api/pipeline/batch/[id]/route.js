@@ -0,0 +1,23 @@
+import { NextResponse } from 'next/server'
+import { Logger } from '../../../../../lib/logger'
+import { pipelineBatchService } from '../../../../../lib/pipelineBatchService.js'
+import { withApi } from '../../../../../lib/apiHandler.js'
+
+// GET: Batch run report with totals, shared lookup counts and the outcome for each field
+export const GET = withApi('/api/pipeline/batch/[id]', async (request, { params }) => {
+  const logger = new Logger({ route: '/api/pipeline/batch/[id]' })
+  const { id } = await params
+
+  try {
+    const run = await pipelineBatchService.getRun(id)
+
+    if (!run) {
+      return NextResponse.json({ success: false, error: 'Batch run not found' }, { status: 404 })
+    }
+
+    return NextResponse.json({ success: true, run })
+  } catch (error) {
+    logger.error('batch_run_status_failed', { runId: id, error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: 500 })
+  }
+})
@@ -0,0 +1,48 @@
+import { NextResponse } from 'next/server'
+import { Logger } from '../../../../lib/logger'
+import { pipelineBatchService } from '../../../../lib/pipelineBatchService.js'
+import { authService } from '../../../../lib/authService.js'
+import { withApi } from '../../../../lib/apiHandler.js'
+
+// GET: Recent batch runs kept in memory (?regionId= to filter), without per-field results
+export const GET = withApi('/api/pipeline/batch', async (request) => {
+  const { searchParams } = new URL(request.url)
+  const regionId = searchParams.get('regionId') || undefined
+  const limit = parseInt(searchParams.get('limit')) || 20
+
+  const runs = pipelineBatchService.listRuns({ regionId, limit })
+  return NextResponse.json({ success: true, count: runs.length, runs })
+})
+
+// POST: Run the farmer pipeline for every stored field in a region (or all regions)
+// Body: { regionId?, farmerIds?, steps?, concurrency?, dryRun? }
+// Returns 202 with the run id; poll /api/pipeline/batch/:id for the report. dryRun only lists the roster
+export const POST = withApi('/api/pipeline/batch', async (request, { principal }) => {
+  const logger = new Logger({ route: '/api/pipeline/batch' })
+
+  try {
+    const body = await request.json().catch(() => null)
+    if (!body || typeof body !== 'object') {
+      return NextResponse.json({ success: false, error: 'Request body must be a JSON object' }, { status: 400 })
+    }
+
+    if (body.dryRun) {
+      const preview = await pipelineBatchService.previewRun(body)
+      return NextResponse.json({ success: true, dryRun: true, ...preview })
+    }
+
+    const run = pipelineBatchService.startRun({ ...body, triggeredBy: principal.anonymous ? 'api' : `api:${principal.id}` })
+    await authService.audit(principal, 'batch.start', { resource: run.runId, details: { regionId: run.regionId } })
+    logger.info('batch_run_submitted', { runId: run.runId, regionId: run.regionId })
+
+    return NextResponse.json({
+      success: true,
+      runId: run.runId,
+      status: run.status,
+      statusUrl: `/api/pipeline/batch/${run.runId}`
+    }, { status: 202 })
+  } catch (error) {
+    logger.error('batch_run_submit_failed', { error: error.message })
+    return NextResponse.json({ success: false, error: error.message, details: error.details }, { status: error.status || 500 })
+  }
+})
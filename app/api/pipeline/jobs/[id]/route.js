@@ -0,0 +1,45 @@
+import { NextResponse } from 'next/server'
+import { Logger } from '../../../../../lib/logger'
+import { pipelineJobService } from '../../../../../lib/pipelineJobService.js'
+import { authService } from '../../../../../lib/authService.js'
+import { withApi } from '../../../../../lib/apiHandler.js'
+
+// GET: Job status with per-step progress, partial results and the final result
+export const GET = withApi('/api/pipeline/jobs/[id]', async (request, { params, principal }) => {
+  const logger = new Logger({ route: '/api/pipeline/jobs/[id]' })
+  const { id } = await params
+
+  try {
+    const job = await pipelineJobService.getJob(id)
+
+    if (!job) {
+      return NextResponse.json({ success: false, error: 'Job not found' }, { status: 404 })
+    }
+    authService.assertJobAccess(principal, job)
+
+    return NextResponse.json({ success: true, job })
+  } catch (error) {
+    logger.error('pipeline_job_status_failed', { jobId: id, error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 500 })
+  }
+})
+
+// DELETE: Cancel a queued or running job
+export const DELETE = withApi('/api/pipeline/jobs/[id]', async (request, { params, principal }) => {
+  const logger = new Logger({ route: '/api/pipeline/jobs/[id]' })
+  const { id } = await params
+
+  try {
+    const job = pipelineJobService.cancelJob(id, { assertAccess: found => authService.assertJobAccess(principal, found) })
+
+    if (!job) {
+      return NextResponse.json({ success: false, error: 'Job not found' }, { status: 404 })
+    }
+
+    logger.info('pipeline_job_cancel_requested', { jobId: id, status: job.status })
+    return NextResponse.json({ success: true, job })
+  } catch (error) {
+    logger.error('pipeline_job_cancel_failed', { jobId: id, error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 500 })
+  }
+})
@@ -0,0 +1,25 @@
+import { NextResponse } from 'next/server'
+import { pipelineJobService } from '../../../../lib/pipelineJobService.js'
+import { authService } from '../../../../lib/authService.js'
+import { withApi } from '../../../../lib/apiHandler.js'
+
+// Jobs the caller submitted or whose farmer they can reach
+const accessibleTo = principal => job => {
+  try {
+    authService.assertJobAccess(principal, job)
+    return true
+  } catch {
+    return false
+  }
+}
+
+// GET: List recent pipeline jobs (in-memory) visible to the caller, optionally filtered by farmerId or status
+export const GET = withApi('/api/pipeline/jobs', async (request, { principal }) => {
+  const { searchParams } = new URL(request.url)
+  const farmerId = searchParams.get('farmerId') || undefined
+  const status = searchParams.get('status') || undefined
+  const limit = parseInt(searchParams.get('limit')) || 50
+
+  const jobs = pipelineJobService.listJobs({ farmerId, status, limit, filter: accessibleTo(principal) })
+  return NextResponse.json({ success: true, count: jobs.length, jobs })
+})
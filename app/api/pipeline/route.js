@@ -4,10 +4,13 @@ import { automatedPipeline } from '../../../lib/automatedPipeline.js'
 import { enhancedAutomatedPipeline } from '../../../lib/enhancedAutomatedPipeline.js'
 import { twilioService } from '../../../lib/twilioService.js'
 import { databaseService } from '../../../lib/databaseService.js'
-import { securityMiddleware } from '../../../lib/securityMiddleware.js'
 import { cacheService } from '../../../lib/cacheService.js'
+import { pipelineJobService } from '../../../lib/pipelineJobService.js'
+import { markAsCached } from '../../../lib/dataProvenance.js'
+import { withApi } from '../../../lib/apiHandler.js'
+import { authService } from '../../../lib/authService.js'
 
-export async function POST(request) {
+export const POST = withApi('/api/pipeline', async (request, { principal }) => {
   const startTime = Date.now()
   const requestId = `pipeline_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
   
@@ -16,7 +19,15 @@ export async function POST(request) {
   
   try {
     const body = await request.json()
-    const { region, phoneNumber, userId, farmerData } = body
+    const { region, phoneNumber, userId, steps, async: asyncMode } = body
+
+    // The farmer pipeline texts the analysed farmer (profile number, else farmerData.phoneNumber), and
+    // results are filed under phoneNumber: both must be farmers the caller may reach
+    const farmerData = body.farmerData && await enhancedAutomatedPipeline.resolveFarmerProfile(body.farmerData)
+    if (farmerData) {
+      await authService.assertNotificationAccess(principal, farmerData)
+      if (phoneNumber) await authService.assertRecipientAccess(principal, { phoneNumber })
+    }
 
     console.log(`📋 [${requestId}] Request Data:`, {
       hasRegion: !!region,
@@ -26,47 +37,67 @@ export async function POST(request) {
       farmerDataKeys: farmerData ? Object.keys(farmerData) : []
     })
 
-    // Apply security middleware
-    const securityResult = securityMiddleware.validateInput(body, {
-      region: { required: false, type: 'string' },
-      phoneNumber: { required: false, type: 'string' },
-      userId: { required: false, type: 'string' },
-      farmerData: { required: false, type: 'object' }
-    })
-    if (!securityResult.isValid) {
-      console.warn(`⚠️ [${requestId}] Security validation failed:`, securityResult.errors)
-      return NextResponse.json({ error: 'Invalid input data', details: securityResult.errors }, { status: 400 })
+    // Validate the requested pipeline steps (e.g. ['weather', 'soil']) before running anything
+    const requestedSteps = steps || farmerData?.steps
+    if (requestedSteps) {
+      try {
+        enhancedAutomatedPipeline.stepRegistry.resolve(requestedSteps)
+      } catch (error) {
+        return NextResponse.json({
+          error: 'Invalid pipeline steps',
+          details: error.message,
+          availableSteps: enhancedAutomatedPipeline.stepRegistry.describe().map(step => step.name)
+        }, { status: 400 })
+      }
     }
 
-    // Check rate limiting
-    const rateLimitResult = securityMiddleware.checkRateLimit(userId || phoneNumber || region || 'anonymous')
-    if (!rateLimitResult.allowed) {
-      console.warn(`⚠️ [${requestId}] Rate limit exceeded for:`, userId || phoneNumber || region || 'anonymous')
-      return NextResponse.json({ error: 'Rate limit exceeded' }, { status: 429 })
-    }
+    let result, storedResult, notificationResult
 
-    // Detect suspicious activity
-    const suspiciousActivity = securityMiddleware.detectSuspiciousActivity(request)
-    if (suspiciousActivity) {
-      console.warn(`🚨 [${requestId}] Suspicious activity detected`)
-      return NextResponse.json({ error: 'Suspicious activity detected' }, { status: 403 })
-    }
+    if (farmerData && asyncMode) {
+      // Asynchronous job mode: return a job id immediately, poll /api/pipeline/jobs/:id for progress
+      const job = pipelineJobService.submitFarmerJob(farmerData, {
+        submittedBy: principal.anonymous ? null : principal.id,
+        steps: requestedSteps,
+        onComplete: pipelineResult => storeFarmerAnalysisResults(pipelineResult, phoneNumber)
+      })
 
-    let result, storedResult, notificationResult
+      console.log(`🧵 [${requestId}] Enhanced pipeline job submitted:`, job.jobId)
+
+      return NextResponse.json({
+        success: true,
+        jobId: job.jobId,
+        status: job.status,
+        statusUrl: `/api/pipeline/jobs/${job.jobId}`,
+        steps: job.steps.map(step => step.name),
+        metadata: {
+          requestId,
+          responseTime: `${Date.now() - startTime}ms`
+        }
+      }, { status: 202 })
+    }
 
     if (farmerData) {
       console.log(`👨‍🌾 [${requestId}] Running Enhanced Farmer Pipeline for farmer:`, farmerData.farmerId)
       
       // Enhanced pipeline with caching
+      // Field-level runs (farmerData.fieldId or an inline farmerData.field) are cached per field
+      const fieldKey = farmerData.fieldId || (farmerData.field ? JSON.stringify(farmerData.field.boundary) : 'farm')
+      let executed = false
       result = await cacheService.getOrSet(
-        `farmer_analysis:${farmerData.farmerId}`,
+        `farmer_analysis:${farmerData.farmerId}:${fieldKey}:${requestedSteps ? [...requestedSteps].sort().join(',') : 'all'}`,
         async () => {
           console.log(`🔄 [${requestId}] Cache miss - executing enhanced pipeline`)
-          return await enhancedAutomatedPipeline.executeFarmerPipeline(farmerData)
+          executed = true
+          return await enhancedAutomatedPipeline.executeFarmerPipeline(farmerData, { steps: requestedSteps })
         },
         5 * 60 * 1000 // 5 minutes
       )
 
+      // Cached results report their live inputs as served from cache
+      if (!executed) {
+        result = { ...markAsCached(result), cached: true }
+      }
+
       console.log(`✅ [${requestId}] Enhanced pipeline completed:`, {
         success: result.success,
         hasLocation: !!result.location,
@@ -165,10 +196,10 @@ export async function POST(request) {
         requestId,
         responseTime: `${responseTime}ms`
       },
-      { status: 500 }
+      { status: error.status || 500 }
     )
   }
-}
+})
 
 // Database and notification helper functions
 async function storePipelineResults(pipelineResult, region) {
@@ -336,7 +367,7 @@ function generateNotificationMessage(pipelineResult) {
   return message
 }
 
-export async function GET(request) {
+export const GET = withApi('/api/pipeline', async (request) => {
   const logger = enhancedLogger.with({ route: '/api/pipeline' })
   const { searchParams } = new URL(request.url)
   const region = searchParams.get('region') || 'kansas'
@@ -407,4 +438,4 @@ export async function GET(request) {
       error: error.message 
     }, { status: 500 })
   }
-}
+})
@@ -0,0 +1,9 @@
+import { NextResponse } from 'next/server'
+import { enhancedAutomatedPipeline } from '../../../../lib/enhancedAutomatedPipeline.js'
+import { withApi } from '../../../../lib/apiHandler.js'
+
+// GET: Registered pipeline steps with their inputs/outputs (values usable in `steps: [...]`)
+export const GET = withApi('/api/pipeline/steps', async () => {
+  const steps = enhancedAutomatedPipeline.stepRegistry.describe()
+  return NextResponse.json({ success: true, count: steps.length, steps })
+})
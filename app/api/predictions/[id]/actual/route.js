@@ -0,0 +1,53 @@
+import { NextResponse } from 'next/server'
+import { Logger } from '../../../../../lib/logger'
+import { harvestService } from '../../../../../lib/harvestService.js'
+import { withApi } from '../../../../../lib/apiHandler.js'
+
+// GET: The harvest reported for a prediction
+export const GET = withApi('/api/predictions/[id]/actual', async (request, { params }) => {
+  const logger = new Logger({ route: '/api/predictions/[id]/actual' })
+  const { id } = await params
+
+  try {
+    const harvest = await harvestService.getHarvest(id)
+    if (!harvest) {
+      return NextResponse.json({ success: false, error: `No harvest reported for prediction ${id}` }, { status: 404 })
+    }
+    return NextResponse.json({ success: true, harvest })
+  } catch (error) {
+    logger.error('harvest_fetch_failed', { predictionId: id, error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 500 })
+  }
+})
+
+// POST: Record the actual harvest { value, unit: fraction|percent|t/ha|kg/ha|quintal/acre, harvestDate?, notes? }
+export const POST = withApi('/api/predictions/[id]/actual', async (request, { params }) => {
+  const logger = new Logger({ route: '/api/predictions/[id]/actual' })
+  const { id } = await params
+
+  let body
+  try {
+    body = await request.json()
+  } catch (error) {
+    return NextResponse.json({ success: false, error: 'Invalid JSON body' }, { status: 400 })
+  }
+
+  if (body.value === undefined || body.value === null || body.value === '') {
+    return NextResponse.json({ success: false, error: 'Invalid harvest report', details: ['value is required'] }, { status: 400 })
+  }
+
+  try {
+    const result = await harvestService.recordActual(id, {
+      value: body.value,
+      unit: body.unit,
+      harvestDate: body.harvestDate || null,
+      source: 'api',
+      reporter: body.reporter || null,
+      notes: body.notes || null
+    })
+    return NextResponse.json({ success: true, ...result }, { status: 201 })
+  } catch (error) {
+    if (!error.status || error.status >= 500) logger.error('harvest_record_failed', { predictionId: id, error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 500 })
+  }
+})
@@ -0,0 +1,21 @@
+import { NextResponse } from 'next/server'
+import { Logger } from '../../../../../lib/logger'
+import { predictionAuditService } from '../../../../../lib/predictionAuditService.js'
+import { withApi } from '../../../../../lib/apiHandler.js'
+
+// GET: How a stored prediction was produced (input hash, source, model version, prompt, model name, raw response)
+export const GET = withApi('/api/predictions/[id]/audit', async (request, { params }) => {
+  const logger = new Logger({ route: '/api/predictions/[id]/audit' })
+  const { id } = await params
+
+  try {
+    const result = await predictionAuditService.getAudit(id)
+    if (!result) {
+      return NextResponse.json({ success: false, error: `Prediction ${id} not found` }, { status: 404 })
+    }
+    return NextResponse.json({ success: true, ...result, auditMode: predictionAuditService.isEnabled() })
+  } catch (error) {
+    logger.error('prediction_audit_fetch_failed', { predictionId: id, error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 500 })
+  }
+})
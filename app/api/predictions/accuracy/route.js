@@ -0,0 +1,23 @@
+import { NextResponse } from 'next/server'
+import { Logger } from '../../../../lib/logger'
+import { harvestService } from '../../../../lib/harvestService.js'
+import { withApi } from '../../../../lib/apiHandler.js'
+
+// GET: Prediction accuracy against reported harvests, overall and by crop, region and model version (?since=ISO date)
+export const GET = withApi('/api/predictions/accuracy', async (request) => {
+  const logger = new Logger({ route: '/api/predictions/accuracy' })
+  const { searchParams } = new URL(request.url)
+  const since = searchParams.get('since')
+
+  if (since && isNaN(Date.parse(since))) {
+    return NextResponse.json({ success: false, error: 'since must be an ISO date' }, { status: 400 })
+  }
+
+  try {
+    const report = await harvestService.getAccuracyReport({ since })
+    return NextResponse.json({ success: true, report })
+  } catch (error) {
+    logger.error('accuracy_report_failed', { error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 500 })
+  }
+})
@@ -1,8 +1,17 @@
 import { NextResponse } from 'next/server'
 import { supabase } from '../../../lib/supabaseClient'
+import { yieldModelRuntime } from '../../../lib/yieldModelRuntime.js'
+import { YIELD_MODEL_SCHEMA } from '../../../lib/yieldModelSchema.js'
+import { explainPrediction } from '../../../lib/predictionExplainer.js'
+import { predictionAuditService, hashInput } from '../../../lib/predictionAuditService.js'
+import AgriExpertGemini from '../../../lib/agriExpertGemini.js'
+import { withApi } from '../../../lib/apiHandler.js'
+
+// Reference conditions the fallback prediction is explained against
+const FALLBACK_REFERENCE_FEATURES = { temperature: 25, humidity: 65, soil_moisture: 0.55, ph: 6.5 }
 
 // POST: Create a new prediction
-export async function POST(request) {
+export const POST = withApi('/api/predictions', async (request) => {
   const startTime = Date.now()
   const requestId = `pred_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
   
@@ -106,63 +115,72 @@ export async function POST(request) {
       region: regionData.name
     })
 
-    // Use ONNX model for prediction via Render backend
-    let yield_prediction, risk_score
+    // Yield model runtime (in-process), with per-feature contributions for the waterfall chart.
+    // Falls back to Gemini (replayed per input hash in audit mode), then to the rule-based estimate
+    let yield_prediction, risk_score, explanation, audit
+    let modelVersion = null
     let usedFallback = false
+    const modelInput = {
+      soil_ph: features.ph,
+      temperature: features.temperature,
+      humidity: features.humidity,
+      rainfall: features.rainfall,
+      crop_name: cropData.name,
+      season: YIELD_MODEL_SCHEMA.categorical.season.values.includes(cropData.season) ? cropData.season : undefined,
+      region: regionData.name
+    }
     
     try {
-      // Backend URL - use environment variable or fallback
-      const BACKEND_URL = process.env.BACKEND_URL || 'https://agribackend-f3ky.onrender.com';
+      console.log(`🚀 [${requestId}] Running yield model:`, modelInput)
       
-      console.log(`🚀 [${requestId}] Calling ONNX Backend: ${BACKEND_URL}/predict`)
-      
-      // Map features to ONNX schema format
-      const onnxFeatures = {
-        numeric: {
-          soil_ph: features.ph || 6.5
-        },
-        categorical: {
-          crop_name: cropData.name,
-          season: cropData.season,
-          region: regionData.name
-        }
-      };
-
-      console.log(`📤 [${requestId}] ONNX Request Payload:`, onnxFeatures)
-      
-      // Run ONNX prediction via backend
-      const predictionResponse = await fetch(`${BACKEND_URL}/predict`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(onnxFeatures),
-      });
-
-      if (!predictionResponse.ok) {
-        throw new Error(`Backend prediction failed: ${predictionResponse.statusText}`);
-      }
-
-      const predictionData = await predictionResponse.json();
-      yield_prediction = predictionData.prediction;
-      
-      console.log(`✅ [${requestId}] ONNX Backend Response:`, predictionData)
+      const result = await yieldModelRuntime.predict(modelInput, { explain: true })
+      yield_prediction = result.prediction
+      explanation = result.explanation
+      modelVersion = result.modelVersion
+      audit = { source: 'yield-model', inputHash: hashInput('yield_model', result.features), features: result.features }
       
       // Calculate risk score based on prediction and features
       risk_score = calculateRiskScore(features, yield_prediction)
       
-      console.log(`✅ [${requestId}] Backend ONNX prediction successful:`, { yield_prediction, risk_score })
-    } catch (onnxError) {
-      console.log(`⚠️ [${requestId}] ONNX backend not available, using fallback ML prediction. Error:`, onnxError.message)
+      console.log(`✅ [${requestId}] Yield model prediction successful:`, { yield_prediction, risk_score, modelVersion })
+    } catch (modelError) {
+      console.log(`⚠️ [${requestId}] Yield model not available, using fallback prediction. Error:`, modelError.message)
+      usedFallback = true
       
-      // Fallback to ML-based prediction using features
-      yield_prediction = calculateMLPrediction(features, cropData, regionData)
-      risk_score = calculateRiskScore(features, yield_prediction)
+      const llmInput = {
+        temperature: features.temperature,
+        humidity: features.humidity,
+        rainfall: features.rainfall,
+        ph: features.ph,
+        fertilizer_usage: features.fertilizer_usage ?? YIELD_MODEL_SCHEMA.numeric.fertilizer_usage.default,
+        risk_score: YIELD_MODEL_SCHEMA.numeric.risk_score.default,
+        crop: cropData.name,
+        region: regionData.name
+      }
+      const geminiPrediction = await new AgriExpertGemini().generateRealisticPrediction(llmInput)
       
-      console.log(`🔄 [${requestId}] Fallback ML prediction generated:`, { yield_prediction, risk_score })
+      if (geminiPrediction.source === 'gemini') {
+        yield_prediction = geminiPrediction.yield_prediction
+        modelVersion = `gemini:${geminiPrediction.audit.modelName}`
+        // An LLM answer cannot be perturbed feature by feature; its reasoning is kept in the audit trail
+        explanation = null
+        audit = { source: 'gemini', features: llmInput, ...geminiPrediction.audit }
+      } else {
+        // Fallback to ML-based prediction using features
+        yield_prediction = calculateMLPrediction(features, cropData, regionData)
+        const fallbackExplanation = await explainPrediction(
+          async mixed => calculateMLPrediction(mixed, cropData, regionData),
+          features,
+          { ...features, ...FALLBACK_REFERENCE_FEATURES },
+          Object.keys(FALLBACK_REFERENCE_FEATURES)
+        )
+        explanation = { ...fallbackExplanation, modelVersion: 'fallback-ml', reference: 'typical conditions' }
+        modelVersion = 'fallback-ml'
+        audit = { source: 'fallback-ml', inputHash: hashInput('fallback_ml', features), features }
+      }
+      risk_score = calculateRiskScore(features, yield_prediction)
       
-      // Set flag to indicate fallback was used
-      usedFallback = true;
+      console.log(`🔄 [${requestId}] Fallback prediction generated:`, { yield_prediction, risk_score, modelVersion })
     }
 
     // Create prediction record
@@ -173,6 +191,8 @@ export async function POST(request) {
       yield: parseFloat(yield_prediction) || 0, // Ensure numeric type
       risk_score: parseFloat(risk_score / 100) || 0, // Convert percentage to decimal (0-1)
       features: features,
+      feature_contributions: explanation,
+      model_version: modelVersion,
       created_at: new Date().toISOString()
     }
 
@@ -207,12 +227,14 @@ export async function POST(request) {
           risk_score: risk_score / 100,
           crop: cropData.name,
           region: regionData.name,
+          explanation,
           timestamp: new Date().toISOString()
         },
         metadata: {
           requestId,
           responseTime: `${responseTime}ms`,
-          model: usedFallback ? 'Fallback ML' : 'ONNX Backend',
+          model: usedFallback ? `Fallback (${modelVersion})` : `Yield model ${modelVersion}`,
+          modelVersion,
           features_used: Object.keys(features).length,
           stored: false,
           note: 'Database not available - prediction returned without storage'
@@ -240,6 +262,13 @@ export async function POST(request) {
 
     console.log(`✅ [${requestId}] Prediction stored successfully with ID:`, storedPrediction[0].id)
 
+    // Audit trail: input hash, source and (for Gemini) the prompt, model and raw response
+    await predictionAuditService.recordAudit(storedPrediction[0].id, {
+      ...audit,
+      modelVersion,
+      output: { yield: yield_prediction, risk_score: risk_score / 100 }
+    })
+
     const responseTime = Date.now() - startTime
     console.log(`🏁 [${requestId}] Request completed in ${responseTime}ms`)
 
@@ -247,17 +276,21 @@ export async function POST(request) {
       success: true,
       prediction: {
         id: storedPrediction[0].id,
+        harvestCode: storedPrediction[0].id.slice(0, 8), // for HARVEST <code> SMS/voice reports
         yield: yield_prediction,
         yield_prediction,
         risk_score: risk_score / 100, // Convert to decimal for consistency
         crop: cropData.name,
         region: regionData.name,
+        explanation,
+        audit: { inputHash: audit.inputHash, source: audit.source, replayed: !!audit.replayed },
         timestamp: storedPrediction[0].created_at
       },
       metadata: {
         requestId,
         responseTime: `${responseTime}ms`,
-        model: usedFallback ? 'Fallback ML' : 'ONNX Backend',
+        model: usedFallback ? `Fallback (${modelVersion})` : `Yield model ${modelVersion}`,
+        modelVersion,
         features_used: Object.keys(features).length
       }
     })
@@ -275,10 +308,10 @@ export async function POST(request) {
       { status: 500 }
     )
   }
-}
+})
 
 // GET: Retrieve predictions
-export async function GET(request) {
+export const GET = withApi('/api/predictions', async (request) => {
   const startTime = Date.now()
   const requestId = `pred_get_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
   
@@ -353,7 +386,7 @@ export async function GET(request) {
       { status: 500 }
     )
   }
-}
+})
 
 // Helper function to calculate risk score
 function calculateRiskScore(features, yield_prediction) {
@@ -0,0 +1,33 @@
+import { NextResponse } from 'next/server'
+import { Logger } from '../../../../lib/logger'
+import { yieldSimulationService } from '../../../../lib/yieldSimulationService.js'
+import { withApi } from '../../../../lib/apiHandler.js'
+
+// POST: What-if yield simulation
+// Body: { base: { numeric, categorical }, changes: { fertilizer_usage: { from: 40, to: 160, step: 20 },
+//         rainfall: { percent: [-30, 0] }, soil_ph: { delta: [0, 0.5] } }, modelVersion? }
+export const POST = withApi('/api/predictions/simulate', async (request) => {
+  const logger = new Logger({ route: '/api/predictions/simulate' })
+
+  let body
+  try {
+    body = await request.json()
+  } catch (error) {
+    return NextResponse.json({ success: false, error: 'Invalid JSON body' }, { status: 400 })
+  }
+
+  try {
+    const simulation = await yieldSimulationService.simulate({
+      base: body.base,
+      changes: body.changes,
+      version: body.modelVersion || null
+    })
+    return NextResponse.json({ success: true, simulation })
+  } catch (error) {
+    if (error.status !== 400) logger.error('yield_simulation_failed', { error: error.message })
+    return NextResponse.json(
+      { success: false, error: error.message, details: error.details },
+      { status: error.status || 500 }
+    )
+  }
+})
@@ -0,0 +1,64 @@
+import { NextResponse } from 'next/server'
+import { Logger } from '../../../lib/logger'
+import { rateLimitService, TIERS } from '../../../lib/rateLimitService.js'
+import { SMS_ACCOUNT_SUBJECT } from '../../../lib/twilioService.js'
+import { authService } from '../../../lib/authService.js'
+import { withApi } from '../../../lib/apiHandler.js'
+
+// ?quota=&subject=[&tier=][&route=] from the query string; sms_account has a single subject
+function parseQuery(request) {
+  const { searchParams } = new URL(request.url)
+  const quota = searchParams.get('quota')
+  const subject = searchParams.get('subject') || (quota === 'sms_account' ? SMS_ACCOUNT_SUBJECT : null)
+  const tier = searchParams.get('tier') || 'anonymous'
+  const route = searchParams.get('route')
+
+  const errors = []
+  if (quota && !rateLimitService.quotas[quota]) errors.push(`quota must be one of ${Object.keys(rateLimitService.quotas).join(', ')}`)
+  if (quota && !subject) errors.push('subject is required (caller id or IP address, or the farmer phone number for sms)')
+  if (!TIERS.includes(tier)) errors.push(`tier must be one of ${TIERS.join(', ')}`)
+  if (quota && rateLimitService.quotas[quota]?.perRoute && !route) errors.push(`route is required for ${quota} (e.g. /api/weather)`)
+
+  return { quota, subject, tier, route, errors }
+}
+
+// GET: Quotas, limits per tier and the store in use; with quota and subject, that caller's usage
+export const GET = withApi('/api/rate-limits', async (request) => {
+  const logger = new Logger({ route: '/api/rate-limits' })
+
+  try {
+    const { quota, subject, tier, route, errors } = parseQuery(request)
+    if (errors.length > 0) {
+      return NextResponse.json({ success: false, error: 'Invalid rate limit query', details: errors }, { status: 400 })
+    }
+
+    if (!quota) return NextResponse.json({ success: true, ...rateLimitService.describe() })
+
+    const usage = await rateLimitService.peek(quota, { subject, tier, route })
+    return NextResponse.json({ success: true, subject, tier, route, usage })
+  } catch (error) {
+    logger.error('rate_limit_fetch_failed', { error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 500 })
+  }
+})
+
+// DELETE: Reset one caller's quota, e.g. ?quota=sms_account after upgrading a Twilio trial account
+export const DELETE = withApi('/api/rate-limits', async (request, { principal }) => {
+  const logger = new Logger({ route: '/api/rate-limits' })
+
+  try {
+    const { quota, subject, route, errors } = parseQuery(request)
+    if (!quota) errors.push('quota is required')
+    if (errors.length > 0) {
+      return NextResponse.json({ success: false, error: 'Invalid rate limit query', details: errors }, { status: 400 })
+    }
+
+    await rateLimitService.reset(quota, { subject, route })
+    await authService.audit(principal, 'rate_limit.reset', { resource: `${quota}:${subject}`, details: { route } })
+    logger.info('rate_limit_reset', { quota, route })
+    return NextResponse.json({ success: true, reset: { quota, subject, route } })
+  } catch (error) {
+    logger.error('rate_limit_reset_failed', { error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 500 })
+  }
+})
@@ -1,8 +1,9 @@
 import { NextResponse } from 'next/server'
 import { supabase } from '../../../lib/supabaseClient'
+import { withApi } from '../../../lib/apiHandler.js'
 
 // GET: Retrieve all regions
-export async function GET() {
+export const GET = withApi('/api/regions', async () => {
   try {
     const { data, error } = await supabase
       .from('regions')
@@ -25,10 +26,10 @@ export async function GET() {
       { status: 500 }
     )
   }
-}
+})
 
 // POST: Create a new region (for testing)
-export async function POST(request) {
+export const POST = withApi('/api/regions', async (request) => {
   try {
     const body = await request.json()
     const { name, lat, lon, soil_n, soil_p, soil_k, ph } = body
@@ -71,4 +72,4 @@ export async function POST(request) {
       { status: 500 }
     )
   }
-}
+})
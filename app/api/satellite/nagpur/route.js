@@ -1,5 +1,6 @@
 import { NextResponse } from 'next/server'
 import { googleEarthEngineService } from '../../../../lib/googleEarthEngineService'
+import { withApi } from '../../../../lib/apiHandler.js'
 const imageProcessingService = require('../../../../lib/imageProcessingService')
 
 // Helper: Promise wrapper for getThumbURL (EE callback API)
@@ -17,7 +18,7 @@ function getThumbURLAsync(image, params) {
 }
 
 // GET: Fetch a recent Sentinel-2 RGB thumbnail for Nagpur, process with current image pipeline, log, and return concise JSON
-export async function GET() {
+export const GET = withApi('/api/satellite/nagpur', async () => {
   try {
     const nagpur = { name: 'Nagpur, Maharashtra', lat: 21.1458, lon: 79.0882 }
 
@@ -161,6 +162,6 @@ export async function GET() {
     console.error('Nagpur satellite processing failed:', error)
     return NextResponse.json({ success: false, error: error.message }, { status: 500 })
   }
-}
+})
 
 
@@ -1,8 +1,9 @@
 import { NextResponse } from 'next/server'
 import { googleEarthEngineService } from '../../../lib/googleEarthEngineService'
+import { withApi } from '../../../lib/apiHandler.js'
 
 // GET: Get satellite data for a specific region or historical data
-export async function GET(request) {
+export const GET = withApi('/api/satellite', async (request) => {
   const { searchParams } = new URL(request.url)
   const action = searchParams.get('action')
   const regionId = searchParams.get('regionId')
@@ -215,10 +216,10 @@ export async function GET(request) {
       { status: 500 }
     )
   }
-}
+})
 
 // POST: Store satellite data in database
-export async function POST(request) {
+export const POST = withApi('/api/satellite', async (request) => {
   try {
     const body = await request.json()
     const { regionId, dataType, satelliteData, timestamp } = body
@@ -256,4 +257,4 @@ export async function POST(request) {
       { status: 500 }
     )
   }
-}
+})
@@ -1,8 +1,9 @@
 import { NextResponse } from 'next/server'
 import { googleEarthEngineService } from '../../../../lib/googleEarthEngineService'
+import { withApi } from '../../../../lib/apiHandler.js'
 
 // GET: Get service status and health
-export async function GET() {
+export const GET = withApi('/api/satellite/status', async () => {
   try {
     const status = googleEarthEngineService.getServiceStatus()
     
@@ -38,10 +39,10 @@ export async function GET() {
       { status: 500 }
     )
   }
-}
+})
 
 // POST: Control service behavior
-export async function POST(request) {
+export const POST = withApi('/api/satellite/status', async (request) => {
   try {
     const body = await request.json()
     const { action, ...params } = body
@@ -109,7 +110,7 @@ export async function POST(request) {
       { status: 500 }
     )
   }
-}
+})
 
 // Helper function to determine health indicator
 function getHealthIndicator(status) {
@@ -0,0 +1,75 @@
+import { NextResponse } from 'next/server'
+import { Logger } from '../../../../lib/logger'
+import { schedulerService } from '../../../../lib/schedulerService.js'
+import { authService } from '../../../../lib/authService.js'
+import { withApi } from '../../../../lib/apiHandler.js'
+
+// GET: A schedule with its most recent runs
+export const GET = withApi('/api/schedules/[id]', async (request, { params }) => {
+  const logger = new Logger({ route: '/api/schedules/[id]' })
+  const { id } = await params
+
+  try {
+    const schedule = await schedulerService.getSchedule(id)
+
+    if (!schedule) {
+      return NextResponse.json({ success: false, error: 'Schedule not found' }, { status: 404 })
+    }
+
+    const runs = await schedulerService.listRuns(id, { limit: 10 })
+    return NextResponse.json({ success: true, schedule, runs })
+  } catch (error) {
+    logger.error('schedule_fetch_failed', { scheduleId: id, error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 500 })
+  }
+})
+
+// PATCH: Update any schedule field; the next run is recomputed (disabled schedules have none)
+export const PATCH = withApi('/api/schedules/[id]', async (request, { params, principal }) => {
+  const logger = new Logger({ route: '/api/schedules/[id]' })
+  const { id } = await params
+
+  try {
+    const body = await request.json().catch(() => null)
+    if (!body || typeof body !== 'object') {
+      return NextResponse.json({ success: false, error: 'Request body must be a JSON object' }, { status: 400 })
+    }
+
+    const { valid, errors, schedule } = schedulerService.validateSchedule(body, { partial: true })
+    if (!valid) {
+      return NextResponse.json({ success: false, error: 'Invalid schedule', details: errors }, { status: 400 })
+    }
+
+    const updated = await schedulerService.updateSchedule(id, schedule)
+
+    if (!updated) {
+      return NextResponse.json({ success: false, error: 'Schedule not found' }, { status: 404 })
+    }
+
+    await authService.audit(principal, 'schedule.update', { resource: id, details: { fields: Object.keys(schedule) } })
+    return NextResponse.json({ success: true, schedule: updated })
+  } catch (error) {
+    logger.error('schedule_update_failed', { scheduleId: id, error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 500 })
+  }
+})
+
+// DELETE: Remove a schedule and its run history
+export const DELETE = withApi('/api/schedules/[id]', async (request, { params, principal }) => {
+  const logger = new Logger({ route: '/api/schedules/[id]' })
+  const { id } = await params
+
+  try {
+    const deleted = await schedulerService.deleteSchedule(id)
+
+    if (!deleted) {
+      return NextResponse.json({ success: false, error: 'Schedule not found' }, { status: 404 })
+    }
+
+    await authService.audit(principal, 'schedule.delete', { resource: id })
+    return NextResponse.json({ success: true, deleted: id })
+  } catch (error) {
+    logger.error('schedule_delete_failed', { scheduleId: id, error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 500 })
+  }
+})
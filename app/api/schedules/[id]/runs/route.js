@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server'
+import { Logger } from '../../../../../lib/logger'
+import { schedulerService } from '../../../../../lib/schedulerService.js'
+import { authService } from '../../../../../lib/authService.js'
+import { withApi } from '../../../../../lib/apiHandler.js'
+
+// GET: Run history of a schedule, newest first (?limit=, default 20)
+export const GET = withApi('/api/schedules/[id]/runs', async (request, { params }) => {
+  const logger = new Logger({ route: '/api/schedules/[id]/runs' })
+  const { id } = await params
+  const { searchParams } = new URL(request.url)
+  const limit = Math.min(parseInt(searchParams.get('limit')) || 20, 100)
+
+  try {
+    const schedule = await schedulerService.getSchedule(id)
+
+    if (!schedule) {
+      return NextResponse.json({ success: false, error: 'Schedule not found' }, { status: 404 })
+    }
+
+    const runs = await schedulerService.listRuns(id, { limit })
+    return NextResponse.json({ success: true, count: runs.length, runs })
+  } catch (error) {
+    logger.error('schedule_runs_fetch_failed', { scheduleId: id, error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 500 })
+  }
+})
+
+// POST: Run the schedule now; 409 while its previous run is still going
+export const POST = withApi('/api/schedules/[id]/runs', async (request, { params, principal }) => {
+  const logger = new Logger({ route: '/api/schedules/[id]/runs' })
+  const { id } = await params
+
+  try {
+    const run = await schedulerService.runNow(id)
+    await authService.audit(principal, 'schedule.run', { resource: id, details: { runId: run.id } })
+    logger.info('schedule_manual_run_started', { scheduleId: id, runId: run.id })
+    return NextResponse.json({ success: true, run }, { status: 202 })
+  } catch (error) {
+    logger.error('schedule_manual_run_failed', { scheduleId: id, error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 500 })
+  }
+})
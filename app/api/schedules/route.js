@@ -0,0 +1,51 @@
+import { NextResponse } from 'next/server'
+import { Logger } from '../../../lib/logger'
+import { schedulerService, SCHEDULE_KINDS, NOTIFICATION_CHANNELS } from '../../../lib/schedulerService.js'
+import { authService } from '../../../lib/authService.js'
+import { withApi } from '../../../lib/apiHandler.js'
+
+// GET: Stored schedules with their next run, plus the available kinds and whether the scheduler is ticking
+export const GET = withApi('/api/schedules', async () => {
+  const logger = new Logger({ route: '/api/schedules' })
+
+  try {
+    const schedules = await schedulerService.listSchedules()
+    return NextResponse.json({
+      success: true,
+      count: schedules.length,
+      schedules,
+      kinds: SCHEDULE_KINDS,
+      channels: NOTIFICATION_CHANNELS,
+      scheduler: schedulerService.getStatus()
+    })
+  } catch (error) {
+    logger.error('schedules_list_failed', { error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 500 })
+  }
+})
+
+// POST: Create a schedule
+// Body: { name, kind?: advisory|digest, cron?, timezone?, regionId?, farmerIds?, steps?, channel?: sms|none, enabled? }
+// cron and steps default to the kind's (advisory: 06:00 daily, digest: Monday 07:00) in SCHEDULER_TIMEZONE
+export const POST = withApi('/api/schedules', async (request, { principal }) => {
+  const logger = new Logger({ route: '/api/schedules' })
+
+  try {
+    const body = await request.json().catch(() => null)
+    if (!body || typeof body !== 'object') {
+      return NextResponse.json({ success: false, error: 'Request body must be a JSON object' }, { status: 400 })
+    }
+
+    const { valid, errors, schedule } = schedulerService.validateSchedule(body)
+    if (!valid) {
+      return NextResponse.json({ success: false, error: 'Invalid schedule', details: errors }, { status: 400 })
+    }
+
+    const created = await schedulerService.createSchedule(schedule)
+    await authService.audit(principal, 'schedule.create', { resource: created.id })
+    return NextResponse.json({ success: true, schedule: created }, { status: 201 })
+  } catch (error) {
+    logger.error('schedule_create_failed', { error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 500 })
+  }
+})
@@ -0,0 +1,51 @@
+import { Logger } from '../../../../lib/logger'
+import { twilioService } from '../../../../lib/twilioService.js'
+import { harvestService, parseHarvestReport } from '../../../../lib/harvestService.js'
+import { withApi } from '../../../../lib/apiHandler.js'
+
+const HELP_MESSAGE = 'To report a harvest send: HARVEST <8-letter code> <amount> <unit>, e.g. HARVEST 3f2a9c1d 18 quintal/acre'
+
+const twiml = (message, status = 200) => new Response(twilioService.buildSmsReply(message), {
+  status,
+  headers: { 'Content-Type': 'text/xml' }
+})
+
+// POST: Twilio incoming-SMS webhook (form encoded; set TWILIO_INBOUND_WEBHOOK_URL to the URL configured
+// on the Twilio number); handles HARVEST reports and replies via TwiML
+export const POST = withApi('/api/sms/inbound', async (request) => {
+  const logger = new Logger({ route: '/api/sms/inbound' })
+
+  // Unsigned requests could overwrite recorded harvests, so the webhook is off until Twilio is configured
+  if (!twilioService.authToken) {
+    logger.warn('sms_webhook_not_configured')
+    return new Response('Twilio webhook is not configured', { status: 503 })
+  }
+
+  const form = await request.formData()
+  const params = Object.fromEntries(form.entries())
+  const signedUrl = twilioService.inboundWebhookUrl || request.url
+  if (!twilioService.validateWebhook(request.headers.get('x-twilio-signature'), signedUrl, params)) {
+    logger.warn('sms_signature_invalid', { from: params.From })
+    return new Response('Invalid signature', { status: 403 })
+  }
+
+  const report = parseHarvestReport(params.Body)
+  if (!report) return twiml(HELP_MESSAGE)
+
+  try {
+    const predictionId = await harvestService.findPredictionByCode(report.code)
+    if (!predictionId) return twiml(`No prediction found for code ${report.code}. ${HELP_MESSAGE}`)
+
+    const result = await harvestService.recordActual(predictionId, {
+      value: report.value,
+      unit: report.unit,
+      source: 'sms',
+      reporter: params.From || null
+    })
+    return twiml(`Harvest recorded for ${result.prediction.crop || 'your crop'}: ${(result.actual.fraction * 100).toFixed(0)}% of attainable yield (predicted ${(result.prediction.predicted * 100).toFixed(0)}%). Thank you!`)
+  } catch (error) {
+    if (error.status && error.status < 500) return twiml(`${error.message}. ${HELP_MESSAGE}`)
+    logger.error('sms_harvest_failed', { from: params.From, error: error.message })
+    return twiml('Sorry, we could not record your harvest right now. Please try again later.')
+  }
+})
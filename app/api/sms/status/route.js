@@ -0,0 +1,68 @@
+import { NextResponse } from 'next/server'
+import { Logger } from '../../../../lib/logger'
+import { twilioService } from '../../../../lib/twilioService.js'
+import { smsDeliveryService } from '../../../../lib/smsDeliveryService.js'
+import { withApi } from '../../../../lib/apiHandler.js'
+
+// POST: Twilio message status callback (form encoded; set TWILIO_STATUS_CALLBACK_URL to this route's
+// public URL). Updates sms_messages and retries or emails undelivered alerts
+export const POST = withApi('/api/sms/status', async (request) => {
+  const logger = new Logger({ route: '/api/sms/status' })
+
+  // Unsigned callbacks could mark alerts delivered or trigger retries, so this is off until Twilio is configured
+  if (!twilioService.authToken) {
+    logger.warn('sms_webhook_not_configured')
+    return new Response('Twilio webhook is not configured', { status: 503 })
+  }
+
+  const form = await request.formData()
+  const params = Object.fromEntries(form.entries())
+  // Twilio signs the URL it was given, which behind a proxy is not request.url
+  const signedUrl = twilioService.statusCallbackUrl || request.url
+  if (!twilioService.validateWebhook(request.headers.get('x-twilio-signature'), signedUrl, params)) {
+    logger.warn('sms_status_signature_invalid', { messageSid: params.MessageSid })
+    return new Response('Invalid signature', { status: 403 })
+  }
+
+  if (!params.MessageSid || !params.MessageStatus) {
+    return NextResponse.json({ success: false, error: 'MessageSid and MessageStatus are required' }, { status: 400 })
+  }
+
+  try {
+    const { message, applied, followUp } = await smsDeliveryService.handleStatusCallback(params)
+    logger.info('sms_status_received', { messageSid: params.MessageSid, status: params.MessageStatus, tracked: !!message, applied, followUp: followUp?.action || null })
+    // Twilio only needs a 2xx; unknown messages are acknowledged so it doesn't keep calling
+    return new Response(null, { status: 204 })
+  } catch (error) {
+    logger.error('sms_status_failed', { messageSid: params.MessageSid, error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 500 })
+  }
+})
+
+// GET: Tracked messages with their status history (?messageSid=, or ?farmerId= / ?phone= for the latest)
+export const GET = withApi('/api/sms/status', async (request) => {
+  const logger = new Logger({ route: '/api/sms/status' })
+  const { searchParams } = new URL(request.url)
+  const messageSid = searchParams.get('messageSid')
+  const farmerId = searchParams.get('farmerId')
+  const phoneNumber = searchParams.get('phone')
+  const limit = Math.min(Number(searchParams.get('limit')) || 20, 100)
+
+  try {
+    if (messageSid) {
+      const message = await smsDeliveryService.getMessage(messageSid)
+      if (!message) return NextResponse.json({ success: false, error: 'Message not found' }, { status: 404 })
+      return NextResponse.json({ success: true, message })
+    }
+
+    if (!farmerId && !phoneNumber) {
+      return NextResponse.json({ success: false, error: 'Invalid SMS status query', details: ['messageSid, farmerId or phone is required'] }, { status: 400 })
+    }
+
+    const messages = await smsDeliveryService.listMessages({ farmerId, phoneNumber, limit })
+    return NextResponse.json({ success: true, messages })
+  } catch (error) {
+    logger.error('sms_status_fetch_failed', { error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 500 })
+  }
+})
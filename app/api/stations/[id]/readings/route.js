@@ -0,0 +1,62 @@
+import { NextResponse } from 'next/server'
+import { Logger } from '../../../../../lib/logger'
+import { stationService, parseReadingsBatch } from '../../../../../lib/stationService.js'
+import { withApi } from '../../../../../lib/apiHandler.js'
+
+// Rejected rows echoed back per batch; the count is always complete
+const MAX_REJECTED_DETAILS = 50
+
+// POST: Ingest a batch of readings, as JSON ({ readings: [...] } or an array) or text/csv with a
+// header row (observed_at,temperature,humidity,wind_speed,precipitation,pressure,soil_moisture,soil_temperature).
+// Authorization: Bearer <ingest token from registration>
+export const POST = withApi('/api/stations/[id]/readings', async (request, { params }) => {
+  const { id } = await params
+  const logger = new Logger({ route: '/api/stations/[id]/readings', stationId: id })
+
+  try {
+    const format = (request.headers.get('content-type') || '').includes('text/csv') ? 'csv' : 'json'
+    // Malformed JSON falls through to parseReadingsBatch's 400
+    const payload = format === 'csv' ? await request.text() : await request.json().catch(() => null)
+
+    const { readings, rejected } = parseReadingsBatch(payload, format)
+    if (readings.length === 0) {
+      return NextResponse.json({
+        success: false,
+        error: 'No valid readings in batch',
+        details: rejected.slice(0, MAX_REJECTED_DETAILS)
+      }, { status: 400 })
+    }
+
+    const token = (request.headers.get('authorization') || '').replace(/^Bearer\s+/i, '') || null
+    const result = await stationService.ingestReadings(id, token, readings)
+    if (rejected.length > 0) logger.warn('station_readings_rejected', { rejected: rejected.length })
+
+    return NextResponse.json({
+      success: true,
+      ...result,
+      rejectedCount: rejected.length,
+      rejected: rejected.slice(0, MAX_REJECTED_DETAILS)
+    })
+  } catch (error) {
+    logger.error('station_readings_ingest_failed', { error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 500 })
+  }
+})
+
+// GET: Latest readings, newest first (?since=ISO timestamp, ?limit= up to 1000)
+export const GET = withApi('/api/stations/[id]/readings', async (request, { params }) => {
+  const { id } = await params
+  const { searchParams } = new URL(request.url)
+  const logger = new Logger({ route: '/api/stations/[id]/readings', stationId: id })
+
+  try {
+    const result = await stationService.getReadings(id, {
+      since: searchParams.get('since'),
+      limit: searchParams.get('limit')
+    })
+    return NextResponse.json({ success: true, ...result, count: result.readings.length })
+  } catch (error) {
+    logger.error('station_readings_list_failed', { error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 500 })
+  }
+})
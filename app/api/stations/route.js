@@ -0,0 +1,41 @@
+import { NextResponse } from 'next/server'
+import { Logger } from '../../../lib/logger'
+import { stationService } from '../../../lib/stationService.js'
+import { withApi } from '../../../lib/apiHandler.js'
+
+// GET: Registered weather stations and soil probes (?regionId= to filter)
+export const GET = withApi('/api/stations', async (request) => {
+  const { searchParams } = new URL(request.url)
+  const regionId = searchParams.get('regionId')
+  const logger = new Logger({ route: '/api/stations', regionId })
+
+  try {
+    const stations = await stationService.listStations({ regionId })
+    return NextResponse.json({ success: true, count: stations.length, stations })
+  } catch (error) {
+    logger.error('stations_list_failed', { error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 500 })
+  }
+})
+
+// POST: Register a station in a region
+// Body: { regionId, name, lat, lon, type?: weather|soil|combined, elevation? }
+// The response carries the station's ingest token once; the station sends it as a Bearer token
+export const POST = withApi('/api/stations', async (request) => {
+  const logger = new Logger({ route: '/api/stations' })
+
+  try {
+    const body = await request.json()
+    const { valid, errors, station } = stationService.validateStation(body)
+
+    if (!valid) {
+      return NextResponse.json({ success: false, error: 'Invalid station', details: errors }, { status: 400 })
+    }
+
+    const { station: created, ingestToken } = await stationService.registerStation(station)
+    return NextResponse.json({ success: true, station: created, ingestToken }, { status: 201 })
+  } catch (error) {
+    logger.error('station_register_failed', { error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 500 })
+  }
+})
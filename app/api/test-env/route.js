@@ -1,6 +1,8 @@
 import { NextResponse } from 'next/server'
+import { withApi } from '../../../lib/apiHandler.js'
 
-export async function GET() {
+// Admin only (lib/apiPolicies.js): reveals which secrets are configured
+export const GET = withApi('/api/test-env', async () => {
   return NextResponse.json({
     hasNasaKey: !!process.env.NASA_API_KEY,
     keyLength: process.env.NASA_API_KEY?.length || 0,
@@ -9,4 +11,4 @@ export async function GET() {
       'Not set',
     timestamp: new Date().toISOString()
   })
-}
+})
@@ -1,8 +1,9 @@
 import { NextResponse } from 'next/server'
 import { Logger } from '../../../lib/logger'
 import { deviceTimezoneService } from '../../../lib/deviceTimezoneService.js'
+import { withApi } from '../../../lib/apiHandler.js'
 
-export async function GET(request) {
+export const GET = withApi('/api/timezone', async (request) => {
   const logger = new Logger({ route: '/api/timezone' })
   const { searchParams } = new URL(request.url)
   const date = searchParams.get('date') // Optional: get timezone for specific date
@@ -52,10 +53,10 @@ export async function GET(request) {
       }
     }, { status: 500 })
   }
-}
+})
 
 // POST: Update timezone preferences or validate timezone
-export async function POST(request) {
+export const POST = withApi('/api/timezone', async (request) => {
   const logger = new Logger({ route: '/api/timezone' })
 
   try {
@@ -91,4 +92,4 @@ export async function POST(request) {
       error: error.message 
     }, { status: 500 })
   }
-}
+})
@@ -1,8 +1,37 @@
 import { NextResponse } from 'next/server'
 import { Logger } from '../../../lib/logger'
 import { voiceAssistant } from '../../../lib/voiceAssistant.js'
+import { harvestService, parseHarvestReport } from '../../../lib/harvestService.js'
+import { withApi } from '../../../lib/apiHandler.js'
 
-export async function POST(request) {
+// Spoken harvest report ("harvest 3f2a9c1d 18 quintal per acre") recorded against the prediction
+async function recordSpokenHarvest(report, language, context, logger) {
+  try {
+    const predictionId = await harvestService.findPredictionByCode(report.code)
+    if (!predictionId) {
+      return NextResponse.json({ success: false, intent: 'harvest_report', error: `No prediction found for code ${report.code}`, language }, { status: 404 })
+    }
+    const result = await harvestService.recordActual(predictionId, {
+      value: report.value,
+      unit: report.unit,
+      source: 'voice',
+      reporter: context.phoneNumber || context.farmerId || null
+    })
+    logger.info('voice_harvest_recorded', { predictionId, language })
+    return NextResponse.json({
+      success: true,
+      intent: 'harvest_report',
+      response: `Harvest recorded: ${(result.actual.fraction * 100).toFixed(0)}% of attainable yield against a prediction of ${(result.prediction.predicted * 100).toFixed(0)}%.`,
+      language,
+      harvest: result
+    })
+  } catch (error) {
+    logger.error('voice_harvest_failed', { error: error.message })
+    return NextResponse.json({ success: false, intent: 'harvest_report', error: error.message, language }, { status: error.status || 500 })
+  }
+}
+
+export const POST = withApi('/api/voice', async (request) => {
   const logger = new Logger({ route: '/api/voice' })
   
   try {
@@ -16,6 +45,9 @@ export async function POST(request) {
       return NextResponse.json({ success: false, error: 'Audio input is required' }, { status: 400 })
     }
     
+    const harvestReport = typeof audioInput === 'string' ? parseHarvestReport(audioInput) : null
+    if (harvestReport) return recordSpokenHarvest(harvestReport, language, context, logger)
+
     const result = await voiceAssistant.processVoiceInput(audioInput, language, context)
     
     if (result.success) {
@@ -32,9 +64,9 @@ export async function POST(request) {
       error: error.message 
     }, { status: 500 })
   }
-}
+})
 
-export async function GET(request) {
+export const GET = withApi('/api/voice', async (request) => {
   const logger = new Logger({ route: '/api/voice' })
   const { searchParams } = new URL(request.url)
   const language = searchParams.get('language') || 'en'
@@ -57,4 +89,4 @@ export async function GET(request) {
       error: error.message 
     }, { status: 500 })
   }
-}
+})
@@ -1,8 +1,9 @@
 import { NextResponse } from 'next/server'
 import { Logger } from '../../../../lib/logger'
 import { voiceAssistant } from '../../../../lib/voiceAssistant.js'
+import { withApi } from '../../../../lib/apiHandler.js'
 
-export async function GET() {
+export const GET = withApi('/api/voice/status', async () => {
   const logger = new Logger({ route: '/api/voice/status' })
   
   try {
@@ -24,4 +25,4 @@ export async function GET() {
       errorCode: error.code
     }, { status: 500 })
   }
-}
+})
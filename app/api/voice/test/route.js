@@ -1,8 +1,9 @@
 import { NextResponse } from 'next/server'
 import { Logger } from '../../../../lib/logger'
 import { voiceAssistant } from '../../../../lib/voiceAssistant.js'
+import { withApi } from '../../../../lib/apiHandler.js'
 
-export async function POST(request) {
+export const POST = withApi('/api/voice/test', async (request) => {
   const logger = new Logger({ route: '/api/voice/test' })
   
   try {
@@ -53,4 +54,4 @@ export async function POST(request) {
       timestamp: new Date().toISOString()
     }, { status: 500 })
   }
-}
+})
@@ -0,0 +1,33 @@
+import { NextResponse } from 'next/server'
+import { Logger } from '../../../../lib/logger'
+import { weatherArchiveService, DEFAULT_BASELINE, HEAT_DAY_THRESHOLD_C } from '../../../../lib/weatherArchiveService.js'
+import { withApi } from '../../../../lib/apiHandler.js'
+
+// GET: Rainfall departure and heat days vs climatology normals for a window
+// (?regionId= or ?lat=&lon=, start/end YYYY-MM-DD defaulting to the last 30 archived days,
+// baselineStart/baselineEnd years defaulting to 1991-2020, heatThreshold in °C)
+export const GET = withApi('/api/weather/anomaly', async (request) => {
+  const { searchParams } = new URL(request.url)
+  const logger = new Logger({ route: '/api/weather/anomaly', regionId: searchParams.get('regionId') })
+
+  const baseline = {
+    startYear: Number(searchParams.get('baselineStart') || DEFAULT_BASELINE.startYear),
+    endYear: Number(searchParams.get('baselineEnd') || DEFAULT_BASELINE.endYear)
+  }
+  const heatThreshold = Number(searchParams.get('heatThreshold') || HEAT_DAY_THRESHOLD_C)
+  if (!Number.isFinite(heatThreshold)) {
+    return NextResponse.json({ success: false, error: 'heatThreshold must be a number (°C)' }, { status: 400 })
+  }
+
+  try {
+    const anomaly = await weatherArchiveService.getAnomaly(
+      { regionId: searchParams.get('regionId'), lat: searchParams.get('lat'), lon: searchParams.get('lon') },
+      { startDate: searchParams.get('start'), endDate: searchParams.get('end'), baseline, heatThreshold }
+    )
+    logger.info('weather_anomaly_success', { departure: anomaly.rainfall.departurePercent, riskScore: anomaly.riskScore })
+    return NextResponse.json({ success: true, anomaly })
+  } catch (error) {
+    logger.error('weather_anomaly_failed', { error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 502 })
+  }
+})
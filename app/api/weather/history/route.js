@@ -0,0 +1,59 @@
+import { NextResponse } from 'next/server'
+import { Logger } from '../../../../lib/logger'
+import { weatherArchiveService, aggregateMonthly } from '../../../../lib/weatherArchiveService.js'
+import { withApi } from '../../../../lib/apiHandler.js'
+
+const locationFrom = searchParams => ({
+  regionId: searchParams.get('regionId'),
+  lat: searchParams.get('lat'),
+  lon: searchParams.get('lon')
+})
+
+// GET: Daily weather history (?regionId= or ?lat=&lon=, optional start/end YYYY-MM-DD, default the last
+// 30 archived days). ?aggregate=monthly returns calendar-month totals for charts
+export const GET = withApi('/api/weather/history', async (request) => {
+  const { searchParams } = new URL(request.url)
+  const aggregate = searchParams.get('aggregate') || 'daily'
+  const logger = new Logger({ route: '/api/weather/history', regionId: searchParams.get('regionId') })
+
+  if (!['daily', 'monthly'].includes(aggregate)) {
+    return NextResponse.json({ success: false, error: 'aggregate must be daily or monthly' }, { status: 400 })
+  }
+
+  try {
+    const history = await weatherArchiveService.getHistory(locationFrom(searchParams), {
+      startDate: searchParams.get('start'),
+      endDate: searchParams.get('end')
+    })
+    const { days, ...meta } = history
+    logger.info('weather_history_success', { days: days.length, source: history.source })
+    return NextResponse.json({
+      success: true,
+      ...meta,
+      ...(aggregate === 'monthly' ? { months: aggregateMonthly(days) } : { days })
+    })
+  } catch (error) {
+    logger.error('weather_history_failed', { error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 502 })
+  }
+})
+
+// POST: Backfill a region's daily history into weather_daily ({ regionId, startDate?, endDate?, force? });
+// startDate defaults to the start of the climatology baseline
+export const POST = withApi('/api/weather/history', async (request) => {
+  const logger = new Logger({ route: '/api/weather/history' })
+
+  try {
+    const { regionId, startDate, endDate, force = false } = await request.json()
+    if (!regionId) {
+      return NextResponse.json({ success: false, error: 'regionId is required' }, { status: 400 })
+    }
+
+    const result = await weatherArchiveService.backfill({ regionId, startDate: startDate || '1991-01-01', endDate, force: !!force })
+    logger.info('weather_backfill_success', { regionId, storedDays: result.storedDays })
+    return NextResponse.json({ success: true, ...result })
+  } catch (error) {
+    logger.error('weather_backfill_failed', { error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 500 })
+  }
+})
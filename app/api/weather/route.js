@@ -1,8 +1,9 @@
 import { NextResponse } from 'next/server'
-import { openMeteoService } from '../../../lib/openMeteoService.js'
+import { weatherProviderService } from '../../../lib/weatherProviderService.js'
 import { Logger } from '../../../lib/logger'
+import { withApi } from '../../../lib/apiHandler.js'
 
-export async function GET(request) {
+export const GET = withApi('/api/weather', async (request) => {
   const { searchParams } = new URL(request.url)
   const lat = parseFloat(searchParams.get('lat') || '0')
   const lon = parseFloat(searchParams.get('lon') || '0')
@@ -12,15 +13,26 @@ export async function GET(request) {
   try {
     logger.info('weather_request_received')
 
-    // If specific coordinates or region requested, get current weather
+    // If specific coordinates requested, get current weather and the daily (optionally hourly) forecast
     if (lat !== 0 && lon !== 0) {
-      const [current, daily] = await Promise.all([
-        openMeteoService.getCurrent(lat, lon),
-        openMeteoService.getDaily(lat, lon)
+      const [current, daily, hourly] = await Promise.all([
+        weatherProviderService.getCurrent(lat, lon),
+        weatherProviderService.getDaily(lat, lon),
+        searchParams.get('hourly') === 'true' ? weatherProviderService.getHourly(lat, lon) : null
       ])
 
-      logger.info('weather_success')
-      return NextResponse.json({ success: true, current: current.current, daily: daily.daily })
+      logger.info('weather_success', { provider: current.provider })
+      return NextResponse.json({
+        success: true,
+        provider: current.provider,
+        providerLabel: current.providerLabel,
+        synthetic: current.synthetic,
+        timezone: current.timezone,
+        current: current.current,
+        days: daily.days,
+        ...(hourly ? { hours: hourly.hours } : {}),
+        failover: current.failover
+      })
     }
 
     // If no specific coordinates, return historical weather data from database
@@ -77,12 +89,12 @@ export async function GET(request) {
 
   } catch (error) {
     logger.error('weather_failed', { error: error.message })
-    return NextResponse.json({ success: false, error: error.message }, { status: 502 })
+    return NextResponse.json({ success: false, error: error.message, failover: error.failover }, { status: error.status || 502 })
   }
-}
+})
 
 // POST: Store weather data in database
-export async function POST(request) {
+export const POST = withApi('/api/weather', async (request) => {
   const logger = new Logger({ route: '/api/weather/store' })
   
   try {
@@ -124,4 +136,4 @@ export async function POST(request) {
       { status: 500 }
     )
   }
-}
+})
@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server'
+import { Logger } from '../../../../lib/logger'
+import { weatherWindowService, WINDOW_ACTIVITIES } from '../../../../lib/weatherWindowService.js'
+import { withApi } from '../../../../lib/apiHandler.js'
+
+function parseCoordinates(lat, lon) {
+  const errors = []
+  const coordinates = { lat: Number(lat), lon: Number(lon) }
+  if (lat === undefined || lat === null || !Number.isFinite(coordinates.lat) || coordinates.lat < -90 || coordinates.lat > 90) {
+    errors.push('lat must be between -90 and 90')
+  }
+  if (lon === undefined || lon === null || !Number.isFinite(coordinates.lon) || coordinates.lon < -180 || coordinates.lon > 180) {
+    errors.push('lon must be between -180 and 180')
+  }
+  return { errors, coordinates }
+}
+
+// GET: ?lat&lon[&crop][&activities=spraying,sowing,harvesting][&days=1-16] - next safe spraying,
+// sowing and harvesting windows from the hourly forecast (sowing uses the crop's soil temperature range)
+export const GET = withApi('/api/weather/windows', async (request) => {
+  const logger = new Logger({ route: '/api/weather/windows' })
+  const { searchParams } = new URL(request.url)
+  const crop = searchParams.get('crop')
+  const activities = (searchParams.get('activities') || WINDOW_ACTIVITIES.join(',')).split(',').map(a => a.trim()).filter(Boolean)
+  const days = Number(searchParams.get('days') || 7)
+  const { errors, coordinates } = parseCoordinates(searchParams.get('lat'), searchParams.get('lon'))
+
+  if (!Number.isInteger(days) || days < 1 || days > 16) errors.push('days must be an integer from 1 to 16')
+  const unknown = activities.filter(activity => !WINDOW_ACTIVITIES.includes(activity))
+  if (unknown.length > 0) errors.push(`Unknown activities: ${unknown.join(', ')} (use ${WINDOW_ACTIVITIES.join(', ')})`)
+
+  if (errors.length > 0) {
+    return NextResponse.json({ success: false, error: 'Invalid weather window request', details: errors }, { status: 400 })
+  }
+
+  try {
+    const result = await weatherWindowService.find({ ...coordinates, crop, activities, days })
+    return NextResponse.json({ success: true, ...result })
+  } catch (error) {
+    logger.error('weather_windows_failed', { ...coordinates, crop, error: error.message })
+    return NextResponse.json({ success: false, error: error.message }, { status: error.status || 502 })
+  }
+})
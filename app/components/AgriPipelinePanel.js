@@ -408,17 +408,17 @@ export default function AgriPipelinePanel({ region = 'kansas' }) {
                     <div>
                       <p><span className="text-gray-400">Today&apos;s Precipitation:</span> 
                         <span className="text-white ml-2">
-                          {result.dataCollection.weather.forecast?.daily?.precipitation_sum?.[0] || 'N/A'} mm
+                          {result.dataCollection.weather.forecast?.days?.[0]?.precipitation || 'N/A'} mm
                         </span>
                       </p>
                       <p><span className="text-gray-400">Today&apos;s Max Temp:</span> 
                         <span className="text-white ml-2">
-                          {result.dataCollection.weather.forecast?.daily?.temperature_2m_max?.[0] || 'N/A'}°C
+                          {result.dataCollection.weather.forecast?.days?.[0]?.tmax || 'N/A'}°C
                         </span>
                       </p>
                       <p><span className="text-gray-400">Today&apos;s Min Temp:</span> 
                         <span className="text-white ml-2">
-                          {result.dataCollection.weather.forecast?.daily?.temperature_2m_min?.[0] || 'N/A'}°C
+                          {result.dataCollection.weather.forecast?.days?.[0]?.tmin || 'N/A'}°C
                         </span>
                       </p>
                     </div>
@@ -454,21 +454,21 @@ export default function AgriPipelinePanel({ region = 'kansas' }) {
                   </div>
 
                   {/* 7-Day Weather Forecast */}
-                  {result.dataCollection.weather.forecast?.daily && (
+                  {result.dataCollection.weather.forecast?.days?.length > 0 && (
                     <div className="mt-4">
                       <h5 className="text-white font-medium mb-2">📅 7-Day Weather Forecast</h5>
                       <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-2">
-                        {result.dataCollection.weather.forecast.daily.time?.slice(0, 7).map((date, index) => (
+                        {result.dataCollection.weather.forecast.days.slice(0, 7).map((day, index) => (
                           <div key={index} className="bg-gray-700 rounded p-2 text-center">
-                            <p className="text-gray-400 text-xs">{new Date(date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}</p>
+                            <p className="text-gray-400 text-xs">{new Date(day.date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}</p>
                             <p className="text-white text-sm font-medium">
-                              {result.dataCollection.weather.forecast.daily.temperature_2m_max?.[index] || 'N/A'}°
+                              {day.tmax ?? 'N/A'}°
                             </p>
                             <p className="text-gray-300 text-xs">
-                              {result.dataCollection.weather.forecast.daily.temperature_2m_min?.[index] || 'N/A'}°
+                              {day.tmin ?? 'N/A'}°
                             </p>
                             <p className="text-blue-400 text-xs">
-                              {result.dataCollection.weather.forecast.daily.precipitation_sum?.[index] || 0}mm
+                              {day.precipitation || 0}mm
                             </p>
                           </div>
                         ))}
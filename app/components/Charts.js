@@ -184,6 +184,83 @@ export const RegionalPerformanceChart = ({ regions, predictions }) => {
   )
 }
 
+// Waterfall Chart for per-feature contributions (baseline -> each feature -> prediction)
+export const FeatureContributionWaterfall = ({ prediction }) => {
+  const explanation = prediction?.feature_contributions || prediction?.explanation
+  if (!explanation?.contributions?.length) {
+    return (
+      <div className="bg-gray-900 p-6 rounded-lg border border-gray-700 text-gray-400 text-sm">
+        No feature contributions recorded for this prediction
+      </div>
+    )
+  }
+
+  const steps = explanation.contributions.filter(c => c.contribution !== 0)
+  let running = explanation.baseValue
+  const bars = steps.map(step => {
+    const start = running
+    running += step.contribution
+    return [start * 100, running * 100]
+  })
+
+  const chartData = {
+    labels: ['Baseline', ...steps.map(step => `${step.feature} = ${step.value}`), 'Prediction'],
+    datasets: [
+      {
+        label: 'Yield contribution (%)',
+        data: [[0, explanation.baseValue * 100], ...bars, [0, explanation.prediction * 100]],
+        backgroundColor: [
+          'rgba(107, 114, 128, 0.8)',
+          ...steps.map(step => step.contribution > 0 ? 'rgba(34, 197, 94, 0.8)' : 'rgba(239, 68, 68, 0.8)'),
+          'rgba(59, 130, 246, 0.8)'
+        ],
+        borderRadius: 4
+      }
+    ]
+  }
+
+  const options = {
+    responsive: true,
+    plugins: {
+      legend: { display: false },
+      title: {
+        display: true,
+        text: `Why this yield? (${explanation.modelVersion || 'model'}, vs ${explanation.reference || 'baseline'})`,
+        color: '#ffffff',
+        font: { size: 16, weight: 'bold' }
+      },
+      tooltip: {
+        callbacks: {
+          label: context => {
+            const [start, end] = context.raw
+            const index = context.dataIndex
+            if (index === 0 || index === steps.length + 1) return `${end.toFixed(1)}%`
+            const delta = end - start
+            return `${delta > 0 ? '+' : ''}${delta.toFixed(1)} pts (was ${steps[index - 1].referenceValue})`
+          }
+        }
+      }
+    },
+    scales: {
+      x: {
+        ticks: { color: '#9ca3af' },
+        grid: { color: '#374151' }
+      },
+      y: {
+        title: { display: true, text: 'Predicted yield (%)', color: '#9ca3af' },
+        ticks: { color: '#9ca3af' },
+        grid: { color: '#374151' }
+      }
+    }
+  }
+
+  return (
+    <div className="bg-gray-900 p-6 rounded-lg border border-gray-700">
+      <Bar data={chartData} options={options} />
+    </div>
+  )
+}
+
 // Doughnut Chart for Crop Distribution
 export const CropDistributionChart = ({ crops, predictions }) => {
   const cropData = crops?.map(crop => {
@@ -318,9 +318,9 @@ export default function EnhancedFarmerAnalysis() {
               <h5 className="text-md font-medium text-white mb-3">🌤️ Weather Analysis</h5>
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm text-gray-300">
                 <div>
-                  <p><strong>Current Temperature:</strong> {analysisData.weather.current?.temperature_2m?.toFixed(1) || 'N/A'}°C</p>
-                  <p><strong>Humidity:</strong> {analysisData.weather.current?.relative_humidity_2m?.toFixed(0) || 'N/A'}%</p>
-                  <p><strong>Wind Speed:</strong> {analysisData.weather.current?.wind_speed_10m?.toFixed(1) || 'N/A'} m/s</p>
+                  <p><strong>Current Temperature:</strong> {analysisData.weather.current?.temperature?.toFixed(1) || 'N/A'}°C</p>
+                  <p><strong>Humidity:</strong> {analysisData.weather.current?.humidity?.toFixed(0) || 'N/A'}%</p>
+                  <p><strong>Wind Speed:</strong> {analysisData.weather.current?.windSpeed?.toFixed(1) || 'N/A'} km/h</p>
                 </div>
                 <div>
                   <p><strong>Irrigation Needs:</strong> {analysisData.weather.agriculturalImpact?.irrigation || 'N/A'}</p>
@@ -86,7 +86,8 @@ export const ImageAnalysisDashboard = ({ regions, crops }) => {
         throw new Error('Invalid response structure from analysis API')
       }
       
-      // Store image analysis results in database
+      // Store image analysis results in database (without the base64 overlay PNG)
+      const { overlay, ...storedAnalysis } = result.data.data || {}
       try {
         await fetch('/api/image-analysis/store', {
           method: 'POST',
@@ -95,7 +96,7 @@ export const ImageAnalysisDashboard = ({ regions, crops }) => {
             regionId: selectedRegion || null,
             cropId: selectedCrop || null,
             analysisType: analysisType,
-            analysisResult: result.data,
+            analysisResult: { ...result.data, data: storedAnalysis },
             imageMetadata: {
               fileName: selectedImage?.name,
               fileSize: selectedImage?.size,
@@ -112,6 +113,7 @@ export const ImageAnalysisDashboard = ({ regions, crops }) => {
       // Ensure the result has the expected structure
       const validatedResult = {
         ...result.data,
+        overlay: overlay || null,
         analysisType: result.data.analysisType || analysisType,
         timestamp: result.data.timestamp || new Date().toISOString(),
         results: result.data.results || {}
@@ -306,6 +308,21 @@ export const ImageAnalysisDashboard = ({ regions, crops }) => {
             </div>
           </div>
 
+          {/* Segmentation overlay: vegetation green, lesions red, weeds magenta, hotspots boxed yellow */}
+          {analysisResult.overlay?.base64 && (
+            <div className="bg-gray-800 p-4 rounded-lg border border-gray-600">
+              <h5 className="text-lg font-semibold text-white mb-3">🗺️ Segmentation Overlay</h5>
+              <img
+                src={`data:${analysisResult.overlay.mimeType};base64,${analysisResult.overlay.base64}`}
+                alt="Segmentation overlay"
+                className="max-h-72 rounded-lg border border-gray-600 mx-auto"
+              />
+              <p className="text-xs text-gray-400 mt-2 text-center">
+                Green: canopy · Red: lesions · Magenta: weeds · Yellow boxes: hotspots
+              </p>
+            </div>
+          )}
+
           {/* Comprehensive Analysis Results */}
           {analysisResult.analysisType === 'comprehensive' && analysisResult.results?.overallScore && (
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
@@ -12,6 +12,8 @@ export default function Navigation() {
     { href: '/regions', label: 'Regions', icon: '🗺️' },
     { href: '/crops', label: 'Crops', icon: '🌾' },
     { href: '/predictions', label: 'Predictions', icon: '📊' },
+    { href: '/accuracy', label: 'Accuracy', icon: '🎯' },
+    { href: '/schedules', label: 'Schedules', icon: '⏰' },
     { href: '/image-analysis', label: 'Image Analysis', icon: '🔍' },
     { href: '/onnx-test', label: 'ONNX Test', icon: '🤖' },
     { href: '/ai-model-test', label: 'AI Model Test', icon: '🧪' },
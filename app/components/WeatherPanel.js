@@ -111,30 +111,31 @@ export default function WeatherPanel({ lat, lon, title = '🌤️ Weather (Open
           <div className="grid grid-cols-3 gap-4">
             <div>
               <p className="text-gray-400">Temperature</p>
-              <p className="text-white text-lg">{data.current?.temperature_2m}°C</p>
+              <p className="text-white text-lg">{data.current?.temperature}°C</p>
             </div>
             <div>
               <p className="text-gray-400">Humidity</p>
-              <p className="text-white text-lg">{data.current?.relative_humidity_2m}%</p>
+              <p className="text-white text-lg">{data.current?.humidity}%</p>
             </div>
             <div>
               <p className="text-gray-400">Wind</p>
-              <p className="text-white text-lg">{data.current?.wind_speed_10m} km/h</p>
+              <p className="text-white text-lg">{data.current?.windSpeed} km/h</p>
             </div>
           </div>
           <div>
             <p className="text-gray-400 mb-2">Next 3 days</p>
             <div className="grid grid-cols-3 gap-3">
-              {data.daily?.time?.slice(0,3).map((t, i) => (
-                <div key={t} className="bg-gray-800 rounded p-3 border border-gray-700">
-                  <p className="text-xs text-gray-400">{new Date(t).toDateString()}</p>
-                  <p className="text-sm">High {data.daily.temperature_2m_max[i]}°C</p>
-                  <p className="text-sm">Low {data.daily.temperature_2m_min[i]}°C</p>
-                  <p className="text-sm">Rain {data.daily.precipitation_sum[i]}mm</p>
+              {data.days?.slice(0,3).map(day => (
+                <div key={day.date} className="bg-gray-800 rounded p-3 border border-gray-700">
+                  <p className="text-xs text-gray-400">{new Date(day.date).toDateString()}</p>
+                  <p className="text-sm">High {day.tmax}°C</p>
+                  <p className="text-sm">Low {day.tmin}°C</p>
+                  <p className="text-sm">Rain {day.precipitation}mm</p>
                 </div>
               ))}
             </div>
           </div>
+          {data.provider && <p className="text-xs text-gray-500">Source: {data.providerLabel}{data.synthetic ? ' (synthetic)' : ''}</p>}
         </div>
       )}
     </div>
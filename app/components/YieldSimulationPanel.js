@@ -0,0 +1,162 @@
+'use client'
+
+import { useState } from 'react'
+import { mapFeaturesToOnnxSchema } from '../../lib/onnxClient.js'
+
+// Grid simulated once per run; the sliders then move through the returned response surface
+const DEFAULT_CHANGES = {
+  fertilizer_usage: { from: 40, to: 160, step: 20 },
+  rainfall: { percent: [-30, -20, -10, 0, 10, 20, 30] },
+  soil_ph: { delta: [-0.5, -0.25, 0, 0.25, 0.5] }
+}
+
+const LABELS = {
+  fertilizer_usage: '🧪 Fertilizer',
+  rainfall: '🌧️ Rainfall',
+  soil_ph: '🧱 Soil pH'
+}
+
+const pct = value => `${(value * 100).toFixed(1)}%`
+
+export default function YieldSimulationPanel({ basePrediction, crops = [] }) {
+  const [cropName, setCropName] = useState(basePrediction?.crops?.name || '')
+  const [simulation, setSimulation] = useState(null)
+  const [selection, setSelection] = useState({})
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const runSimulation = async () => {
+    setLoading(true)
+    setError(null)
+    try {
+      const crop = crops.find(c => c.name === cropName) || basePrediction?.crops
+      const base = mapFeaturesToOnnxSchema(
+        basePrediction?.features || {},
+        cropName || undefined,
+        crop?.season,
+        basePrediction?.regions?.name
+      )
+      const res = await fetch('/api/predictions/simulate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ base, changes: DEFAULT_CHANGES })
+      })
+      const json = await res.json()
+      if (!res.ok || !json.success) throw new Error(json.details?.join('; ') || json.error || 'Simulation failed')
+
+      // Start each slider at the value closest to the base input
+      const initial = {}
+      json.simulation.variables.forEach(variable => {
+        const distances = variable.values.map(value => Math.abs(value - variable.baseValue))
+        initial[variable.name] = distances.indexOf(Math.min(...distances))
+      })
+      setSimulation(json.simulation)
+      setSelection(initial)
+    } catch (e) {
+      setError(e.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const selectedSettings = simulation
+    ? Object.fromEntries(simulation.variables.map(variable => [variable.name, variable.values[selection[variable.name] ?? 0]]))
+    : null
+  const selectedPoint = simulation?.surface.find(point =>
+    Object.entries(selectedSettings).every(([name, value]) => point.settings[name] === value)
+  )
+  const jumpToBest = () => setSelection(Object.fromEntries(
+    simulation.variables.map(variable => [variable.name, variable.values.indexOf(simulation.best.settings[variable.name])])
+  ))
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <h2 className="text-2xl font-semibold text-white">🎛️ What-if Simulator</h2>
+        <div className="flex items-center gap-2">
+          <select
+            value={cropName}
+            onChange={(e) => setCropName(e.target.value)}
+            className="bg-gray-700 text-white rounded px-3 py-2"
+          >
+            <option value="">Any crop</option>
+            {crops.map(crop => (
+              <option key={crop.id} value={crop.name}>{crop.name}</option>
+            ))}
+          </select>
+          <button
+            onClick={runSimulation}
+            disabled={loading}
+            className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 text-white px-4 py-2 rounded"
+          >
+            {loading ? 'Simulating...' : 'Run Simulation'}
+          </button>
+        </div>
+      </div>
+
+      <p className="text-gray-400 text-sm mb-4">
+        {basePrediction
+          ? `Starting from the latest prediction (${basePrediction.crops?.name || 'crop'}, ${basePrediction.regions?.name || 'region'}).`
+          : 'Starting from typical conditions.'}
+        {' '}The model is run on every combination of fertilizer, rainfall and pH changes.
+      </p>
+
+      {error && <p className="text-red-400 text-sm mb-4">{error}</p>}
+
+      {simulation && selectedPoint && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div className="space-y-5">
+            {simulation.variables.map(variable => (
+              <div key={variable.name}>
+                <div className="flex justify-between text-sm text-gray-300 mb-1">
+                  <span>{LABELS[variable.name] || variable.name}</span>
+                  <span className="text-white font-medium">
+                    {selectedSettings[variable.name]} {variable.unit}
+                    <span className="text-gray-500"> (now {variable.baseValue})</span>
+                  </span>
+                </div>
+                <input
+                  type="range"
+                  min={0}
+                  max={variable.values.length - 1}
+                  value={selection[variable.name] ?? 0}
+                  onChange={(e) => setSelection(prev => ({ ...prev, [variable.name]: Number(e.target.value) }))}
+                  className="w-full accent-green-500"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Best on average: {variable.bestValue} {variable.unit} ({pct(variable.bestMeanPrediction)})
+                </p>
+              </div>
+            ))}
+          </div>
+
+          <div className="bg-gray-900 rounded-lg border border-gray-700 p-6 flex flex-col justify-between">
+            <div>
+              <p className="text-gray-400 text-sm">Predicted yield</p>
+              <p className="text-4xl font-bold text-white">{pct(selectedPoint.prediction)}</p>
+              <p className={`text-sm mt-1 ${selectedPoint.prediction >= simulation.baseline.prediction ? 'text-green-400' : 'text-red-400'}`}>
+                {selectedPoint.prediction >= simulation.baseline.prediction ? '+' : ''}
+                {((selectedPoint.prediction - simulation.baseline.prediction) * 100).toFixed(1)} pts vs current ({pct(simulation.baseline.prediction)})
+              </p>
+            </div>
+            <div className="mt-6 text-sm text-gray-300">
+              <p>
+                Best combination: {pct(simulation.best.prediction)} with{' '}
+                {Object.entries(simulation.best.settings).map(([name, value]) => `${name} ${value}`).join(', ')}
+              </p>
+              <button
+                onClick={jumpToBest}
+                className="mt-3 bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded"
+              >
+                Show best
+              </button>
+              <p className="text-xs text-gray-500 mt-3">
+                {simulation.combinations} combinations · model {simulation.modelVersion}
+              </p>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -154,7 +154,7 @@ export default function OnnxTestPage() {
                 <label className="w-40 text-gray-300">{k.replace('_', ' ').toUpperCase()}</label>
                 <input
                   className="border border-gray-600 p-3 rounded bg-gray-800 text-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent w-full"
-                  placeholder={`e.g., ${k === 'crop_name' ? 'Rice / Wheat / Maize' : k === 'season' ? 'Kharif / Rabi / Year-round' : 'Punjab / Maharashtra / Karnataka'}`}
+                  placeholder={`e.g., ${k === 'crop_name' ? 'Rice / Wheat / Maize' : k === 'season' ? 'Kharif / Rabi / Whole Year' : 'Punjab / Maharashtra / Karnataka'}`}
                   onChange={(e) => onChangeCat(k, e.target.value)}
                   value={categorical[k] || ''}
                 />
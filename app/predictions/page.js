@@ -11,7 +11,8 @@ import {
   SoilHealthChart,
   WeatherImpactChart,
   CropPerformanceChart,
-  SeasonalAnalysisChart
+  SeasonalAnalysisChart,
+  FeatureContributionWaterfall
 } from '../components/Charts'
 import SatelliteDataDashboard from '../components/SatelliteDataDashboard'
 import ImageAnalysisDashboard from '../components/ImageAnalysisDashboard'
@@ -22,6 +23,7 @@ import AlertsPanel from '../components/AlertsPanel'
 import VoicePanel from '../components/VoicePanel'
 import { HeroLogo } from '../components/Logo'
 import Navigation from '../components/Navigation'
+import YieldSimulationPanel from '../components/YieldSimulationPanel'
 
 export default function PredictionsPage() {
   const [predictions, setPredictions] = useState([])
@@ -32,6 +34,7 @@ export default function PredictionsPage() {
   const [selectedCrop, setSelectedCrop] = useState('')
   const [selectedRegion, setSelectedRegion] = useState('')
   const [selectedUser, setSelectedUser] = useState('')
+  const [explainedPredictionId, setExplainedPredictionId] = useState('')
 
   const [pipelineResults, setPipelineResults] = useState(null)
   const [aiModelCalls, setAiModelCalls] = useState([])
@@ -466,36 +469,36 @@ export default function PredictionsPage() {
                       <div>
                         <p><span className="text-gray-400">Current Temp:</span> 
                           <span className="text-white ml-2">
-                            {pipelineResults.dataCollection.weather.current?.temperature_2m || 'N/A'}°C
+                            {pipelineResults.dataCollection.weather.current?.temperature || 'N/A'}°C
                           </span>
                         </p>
                         <p><span className="text-gray-400">Humidity:</span> 
                           <span className="text-white ml-2">
-                            {pipelineResults.dataCollection.weather.current?.relative_humidity_2m || 'N/A'}%
+                            {pipelineResults.dataCollection.weather.current?.humidity || 'N/A'}%
                           </span>
                         </p>
                       </div>
                       <div>
                         <p><span className="text-gray-400">Max Temp:</span> 
                           <span className="text-white ml-2">
-                            {pipelineResults.dataCollection.weather.daily?.temperature_2m_max?.[0] || 'N/A'}°C
+                            {pipelineResults.dataCollection.weather.forecast?.days?.[0]?.tmax || 'N/A'}°C
                           </span>
                         </p>
                         <p><span className="text-gray-400">Min Temp:</span> 
                           <span className="text-white ml-2">
-                            {pipelineResults.dataCollection.weather.daily?.temperature_2m_min?.[0] || 'N/A'}°C
+                            {pipelineResults.dataCollection.weather.forecast?.days?.[0]?.tmin || 'N/A'}°C
                           </span>
                         </p>
                       </div>
                       <div>
                         <p><span className="text-gray-400">Precipitation:</span> 
                           <span className="text-white ml-2">
-                            {pipelineResults.dataCollection.weather.daily?.precipitation_sum?.[0] || 'N/A'} mm
+                            {pipelineResults.dataCollection.weather.forecast?.days?.[0]?.precipitation || 'N/A'} mm
                           </span>
                         </p>
                         <p><span className="text-gray-400">Wind Speed:</span> 
                           <span className="text-white ml-2">
-                            {pipelineResults.dataCollection.weather.current?.wind_speed_10m || 'N/A'} km/h
+                            {pipelineResults.dataCollection.weather.current?.windSpeed || 'N/A'} km/h
                           </span>
                         </p>
                       </div>
@@ -746,6 +749,34 @@ export default function PredictionsPage() {
             </div>
           )}
 
+          {/* Feature Contributions */}
+          {predictions.some(p => p.feature_contributions) && (() => {
+            const explained = predictions.filter(p => p.feature_contributions)
+            const current = explained.find(p => p.id === explainedPredictionId) || explained[0]
+            return (
+              <div className="bg-gray-800 rounded-lg p-6">
+                <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+                  <h2 className="text-2xl font-semibold text-white">🔍 Why This Yield?</h2>
+                  <select
+                    value={current.id}
+                    onChange={(e) => setExplainedPredictionId(e.target.value)}
+                    className="bg-gray-700 text-white rounded px-3 py-2"
+                  >
+                    {explained.map(p => (
+                      <option key={p.id} value={p.id}>
+                        {p.crops?.name || 'Crop'} · {p.regions?.name || 'Region'} · {new Date(p.created_at).toLocaleString()} · {(p.yield * 100).toFixed(1)}%
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <FeatureContributionWaterfall prediction={current} />
+              </div>
+            )
+          })()}
+
+          {/* What-if Simulation */}
+          <YieldSimulationPanel key={predictions[0]?.id || 'defaults'} basePrediction={predictions[0]} crops={crops} />
+
           {/* Traditional Charts */}
           <div className="bg-gray-800 rounded-lg p-6">
             <h2 className="text-2xl font-semibold text-white mb-4">📈 Traditional Analytics</h2>
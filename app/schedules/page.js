@@ -0,0 +1,286 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+
+const emptySchedule = { name: '', kind: 'advisory', cron: '', timezone: '', regionId: '', farmerIds: '', channel: 'sms' }
+const inputClass = 'border border-gray-600 rounded px-3 py-2 bg-gray-800 text-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent'
+const statusClass = {
+  completed: 'text-green-400',
+  running: 'text-blue-400',
+  skipped: 'text-yellow-400',
+  failed: 'text-red-400'
+}
+
+export default function SchedulesPage() {
+  const [schedules, setSchedules] = useState([])
+  const [kinds, setKinds] = useState({})
+  const [regions, setRegions] = useState([])
+  const [scheduler, setScheduler] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [showAddForm, setShowAddForm] = useState(false)
+  const [newSchedule, setNewSchedule] = useState(emptySchedule)
+  const [history, setHistory] = useState({})
+
+  useEffect(() => {
+    fetchSchedules()
+    fetch('/api/regions')
+      .then(response => response.json())
+      .then(data => setRegions(Array.isArray(data) ? data : []))
+      .catch(() => setRegions([]))
+  }, [])
+
+  const fetchSchedules = async () => {
+    try {
+      const response = await fetch('/api/schedules')
+      const data = await response.json()
+      if (response.ok) {
+        setSchedules(data.schedules)
+        setKinds(data.kinds)
+        setScheduler(data.scheduler)
+      } else {
+        setError(data.error || 'Failed to fetch schedules')
+      }
+    } catch (err) {
+      setError('Error fetching schedules')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Shared by every action: surface validation details, then refresh the list
+  const request = async (url, options) => {
+    setError(null)
+    const response = await fetch(url, {
+      ...options,
+      headers: { 'Content-Type': 'application/json' },
+      body: options.body && JSON.stringify(options.body)
+    })
+    const data = await response.json()
+    if (!response.ok) {
+      setError([data.error, ...(data.details || [])].join(' — '))
+      return null
+    }
+    fetchSchedules()
+    return data
+  }
+
+  const handleAddSchedule = async (e) => {
+    e.preventDefault()
+    const body = { name: newSchedule.name, kind: newSchedule.kind, channel: newSchedule.channel }
+    if (newSchedule.cron) body.cron = newSchedule.cron
+    if (newSchedule.timezone) body.timezone = newSchedule.timezone
+    if (newSchedule.regionId) body.regionId = newSchedule.regionId
+    const farmerIds = newSchedule.farmerIds.split(',').map(id => id.trim()).filter(Boolean)
+    if (farmerIds.length > 0) body.farmerIds = farmerIds
+
+    const created = await request('/api/schedules', { method: 'POST', body })
+    if (created) {
+      setNewSchedule(emptySchedule)
+      setShowAddForm(false)
+    }
+  }
+
+  const toggleHistory = async (scheduleId) => {
+    if (history[scheduleId]) {
+      setHistory({ ...history, [scheduleId]: null })
+      return
+    }
+    const response = await fetch(`/api/schedules/${scheduleId}/runs?limit=10`)
+    const data = await response.json()
+    setHistory({ ...history, [scheduleId]: response.ok ? data.runs : [] })
+  }
+
+  const regionName = (regionId) => regions.find(region => region.id === regionId)?.name || regionId
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-black flex items-center justify-center">
+        <div className="text-xl text-white">Loading schedules...</div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-black py-8 px-4">
+      <div className="max-w-6xl mx-auto">
+        <header className="text-center mb-8">
+          <h1 className="text-4xl font-bold text-white mb-2">Pipeline Schedules</h1>
+          <p className="text-lg text-gray-300">Recurring morning advisories and weekly digests for registered farmers</p>
+          {scheduler && !scheduler.started && (
+            <p className="text-sm text-yellow-400 mt-2">Scheduler is not running on this server (set SCHEDULER_ENABLED=true); runs start only with Run now</p>
+          )}
+        </header>
+
+        <div className="mb-6 flex gap-4 justify-center">
+          <button
+            onClick={() => setShowAddForm(!showAddForm)}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg"
+          >
+            {showAddForm ? 'Cancel' : 'Add Schedule'}
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-900 border border-red-700 text-red-200 rounded">
+            {error}
+          </div>
+        )}
+
+        {showAddForm && (
+          <div className="mb-6 bg-gray-900 rounded-lg shadow-md p-6 border border-gray-700">
+            <h2 className="text-xl font-semibold mb-4 text-white">Add Schedule</h2>
+            <form onSubmit={handleAddSchedule} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <input
+                type="text"
+                placeholder="Schedule Name"
+                value={newSchedule.name}
+                onChange={(e) => setNewSchedule({...newSchedule, name: e.target.value})}
+                className={inputClass}
+                required
+              />
+              <select
+                value={newSchedule.kind}
+                onChange={(e) => setNewSchedule({...newSchedule, kind: e.target.value})}
+                className={inputClass}
+              >
+                {Object.entries(kinds).map(([kind, { label }]) => (
+                  <option key={kind} value={kind}>{label}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                placeholder={`Cron (default ${kinds[newSchedule.kind]?.cron || ''})`}
+                value={newSchedule.cron}
+                onChange={(e) => setNewSchedule({...newSchedule, cron: e.target.value})}
+                className={inputClass}
+              />
+              <input
+                type="text"
+                placeholder="Timezone (default Asia/Kolkata)"
+                value={newSchedule.timezone}
+                onChange={(e) => setNewSchedule({...newSchedule, timezone: e.target.value})}
+                className={inputClass}
+              />
+              <select
+                value={newSchedule.regionId}
+                onChange={(e) => setNewSchedule({...newSchedule, regionId: e.target.value})}
+                className={inputClass}
+              >
+                <option value="">All regions</option>
+                {regions.map(region => (
+                  <option key={region.id} value={region.id}>{region.name}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                placeholder="Farmer IDs, comma separated (default: everyone)"
+                value={newSchedule.farmerIds}
+                onChange={(e) => setNewSchedule({...newSchedule, farmerIds: e.target.value})}
+                className={inputClass}
+              />
+              <select
+                value={newSchedule.channel}
+                onChange={(e) => setNewSchedule({...newSchedule, channel: e.target.value})}
+                className={inputClass}
+              >
+                <option value="sms">Send SMS</option>
+                <option value="none">No notification (report only)</option>
+              </select>
+              <button
+                type="submit"
+                className="bg-blue-600 hover:bg-blue-700 text-white py-2 rounded-lg"
+              >
+                Add Schedule
+              </button>
+            </form>
+          </div>
+        )}
+
+        <div className="space-y-4">
+          {schedules.map((schedule) => (
+            <div key={schedule.id} className="bg-gray-900 rounded-lg shadow-md p-6 border border-gray-700">
+              <div className="flex flex-wrap justify-between items-start gap-4">
+                <div>
+                  <h3 className="text-xl font-semibold text-white">{schedule.name}</h3>
+                  <p className="text-sm text-gray-400">
+                    {kinds[schedule.kind]?.label || schedule.kind} · <code>{schedule.cron}</code> ({schedule.timezone}) · {schedule.channel === 'sms' ? 'SMS' : 'no notification'}
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => request(`/api/schedules/${schedule.id}`, { method: 'PATCH', body: { enabled: !schedule.enabled } })}
+                    className="bg-gray-700 hover:bg-gray-600 text-white px-3 py-1 rounded"
+                  >
+                    {schedule.enabled ? 'Pause' : 'Resume'}
+                  </button>
+                  <button
+                    onClick={() => request(`/api/schedules/${schedule.id}/runs`, { method: 'POST' })}
+                    className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded"
+                  >
+                    Run now
+                  </button>
+                  <button
+                    onClick={() => confirm(`Delete "${schedule.name}"?`) && request(`/api/schedules/${schedule.id}`, { method: 'DELETE' })}
+                    className="bg-red-700 hover:bg-red-800 text-white px-3 py-1 rounded"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+
+              <div className="mt-3 grid grid-cols-1 md:grid-cols-3 gap-2 text-sm text-gray-300">
+                <p><strong>Scope:</strong> {schedule.regionId ? regionName(schedule.regionId) : 'All regions'}{schedule.farmerIds ? ` · ${schedule.farmerIds.length} farmers` : ''}</p>
+                <p><strong>Next run:</strong> {schedule.nextRunAt ? new Date(schedule.nextRunAt).toLocaleString() : 'Paused'}</p>
+                <p>
+                  <strong>Last run:</strong> {schedule.lastRunAt ? new Date(schedule.lastRunAt).toLocaleString() : 'Never'}
+                  {schedule.runningSince ? <span className="text-blue-400"> (running)</span> : schedule.lastStatus && <span className={statusClass[schedule.lastStatus]}> ({schedule.lastStatus})</span>}
+                </p>
+              </div>
+
+              <button onClick={() => toggleHistory(schedule.id)} className="mt-3 text-sm text-blue-400 hover:text-blue-300">
+                {history[schedule.id] ? 'Hide history' : 'Show history'}
+              </button>
+
+              {history[schedule.id] && (
+                <table className="mt-2 w-full text-sm text-gray-300">
+                  <thead>
+                    <tr className="text-left text-gray-400">
+                      <th className="py-1">Started</th>
+                      <th>Trigger</th>
+                      <th>Status</th>
+                      <th>Fields</th>
+                      <th>SMS sent</th>
+                      <th>Error</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {history[schedule.id].map(run => (
+                      <tr key={run.id} className="border-t border-gray-800">
+                        <td className="py-1">{new Date(run.startedAt).toLocaleString()}</td>
+                        <td>{run.trigger}</td>
+                        <td className={statusClass[run.status]}>{run.status}</td>
+                        <td>{run.totals ? `${run.totals.succeeded}/${run.totals.fields}` : '—'}</td>
+                        <td>{run.totals ? run.totals.smsSent : '—'}</td>
+                        <td className="text-red-300">{run.error || ''}</td>
+                      </tr>
+                    ))}
+                    {history[schedule.id].length === 0 && (
+                      <tr><td colSpan="6" className="py-2 text-gray-500">No runs yet</td></tr>
+                    )}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          ))}
+        </div>
+
+        {schedules.length === 0 && (
+          <div className="text-center py-12">
+            <p className="text-gray-400 text-lg">No schedules yet. Add a morning advisory to get started!</p>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
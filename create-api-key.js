@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+
+/**
+ * 🔐 API Key Issuer
+ * Issues a signed API key for a farmer, extension officer or admin (signed with API_KEY_SECRET)
+ *
+ * Usage: node create-api-key.js --subject <actor id> --role <farmer|extension-officer|admin>
+ *                               [--district <district>] [--farmer <farmerId>] [--days 90]
+ */
+
+import { config } from 'dotenv';
+
+// Same environment as the Next.js app
+config({ path: '.env.local', quiet: true });
+config({ quiet: true });
+
+function parseArgs(argv) {
+  const args = { subject: undefined, role: undefined, district: null, farmerId: null, expiresInDays: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = () => {
+      if (argv[i + 1] === undefined) throw new Error(`${flag} needs a value`);
+      return argv[++i];
+    };
+
+    if (flag === '--subject') args.subject = value();
+    else if (flag === '--role') args.role = value();
+    else if (flag === '--district') args.district = value();
+    else if (flag === '--farmer') args.farmerId = value();
+    else if (flag === '--days') args.expiresInDays = Number(value());
+    else throw new Error(`Unknown option: ${flag}`);
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  // Imported after dotenv so the service sees API_KEY_SECRET
+  const { authService } = await import('./lib/authService.js');
+
+  const { key, keyId, claims } = authService.issueApiKey(args);
+  console.log(`✅ API key ${keyId} for ${claims.sub} (${claims.role}${claims.district ? `, ${claims.district}` : ''})`);
+  console.log(`   Expires: ${claims.exp ? new Date(claims.exp * 1000).toISOString() : 'never'}`);
+  console.log(`   Send as: X-API-Key: ${key}`);
+  console.log(`   Revoke by adding ${keyId} to API_KEY_REVOKED_IDS`);
+}
+
+main().catch(error => {
+  console.error('❌ Could not issue API key:', error.message);
+  process.exitCode = 1;
+});
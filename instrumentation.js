@@ -0,0 +1,9 @@
+// Next.js server startup hook: starts the in-process pipeline scheduler when SCHEDULER_ENABLED=true.
+// Due runs are claimed in the database, so several instances never fire the same run twice
+
+export async function register() {
+  if (process.env.NEXT_RUNTIME !== 'nodejs' || process.env.SCHEDULER_ENABLED !== 'true') return
+
+  const { schedulerService } = await import('./lib/schedulerService.js')
+  schedulerService.start()
+}
@@ -1,4 +1,5 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
+import { predictionAuditService } from './predictionAuditService.js';
 
 // Secret Gemini service for agriculture expert responses
 class AgriExpertGemini {
@@ -19,43 +20,51 @@ class AgriExpertGemini {
       "gemini-1.0-pro"
     ];
     this.currentModelIndex = 0;
-    this.model = this.genAI.getGenerativeModel({ model: this.models[0] });
+    // Greedy decoding so a prompt always yields the same answer
+    this.generationConfig = { temperature: 0, topK: 1 };
+    this.model = this.genAI.getGenerativeModel({ model: this.models[0], generationConfig: this.generationConfig });
     this.available = true;
   }
 
-  async generateRealisticPrediction(inputFeatures) {
-    // Check if Gemini is available
-    if (!this.available) {
-      return this.getFallbackPrediction(inputFeatures);
-    }
-    
-    const prompt = this.buildPredictionPrompt(inputFeatures);
-    
-    // Try different models if one fails
+  // Try each model in order; resolves to { text, modelName } or null when none answered
+  async generateWithModels(prompt) {
     for (let i = 0; i < this.models.length; i++) {
       try {
-        const model = this.genAI.getGenerativeModel({ model: this.models[i] });
+        const model = this.genAI.getGenerativeModel({ model: this.models[i], generationConfig: this.generationConfig });
         
         const result = await model.generateContent(prompt);
         const response = await result.response;
-        const text = response.text();
-        
-        return this.parsePredictionResponse(text);
+        return { text: response.text(), modelName: this.models[i] };
       } catch (error) {
         // If it's an API key error, don't try other models
         if (error.message.includes('API key not valid') || error.message.includes('API_KEY_INVALID')) {
           break;
         }
-        
-        // If it's the last model, use fallback
-        if (i === this.models.length - 1) {
-          return this.getFallbackPrediction(inputFeatures);
-        }
       }
     }
+    return null;
+  }
+
+  // Same features -> same prompt -> replayed response in audit mode, so predictions are reproducible
+  async generateRealisticPrediction(inputFeatures) {
+    // Check if Gemini is available
+    if (!this.available) {
+      return this.getFallbackPrediction(inputFeatures);
+    }
+    
+    const result = await predictionAuditService.generateCached('yield_prediction', inputFeatures, async () => {
+      const prompt = this.buildPredictionPrompt(inputFeatures);
+      const response = await this.generateWithModels(prompt);
+      if (!response) return null;
+      
+      const parsed = this.parsePredictionResponse(response.text);
+      // Unparseable responses fall back and are not cached
+      if (parsed.source !== 'gemini') return null;
+      return { prompt, modelName: response.modelName, rawResponse: response.text, parsed };
+    });
     
-    // If we get here, use fallback response
-    return this.getFallbackPrediction(inputFeatures);
+    if (!result) return this.getFallbackPrediction(inputFeatures);
+    return { ...result.parsed, audit: this.toAudit(result) };
   }
 
   async generateExpertAnalysis(predictionData, inputFeatures) {
@@ -64,43 +73,31 @@ class AgriExpertGemini {
       return this.getFallbackResponse(predictionData, inputFeatures);
     }
     
-    const prompt = this.buildExpertPrompt(predictionData, inputFeatures);
-    
-    // Try different models if one fails
-    for (let i = 0; i < this.models.length; i++) {
-      try {
-        const model = this.genAI.getGenerativeModel({ model: this.models[i] });
-        
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        const text = response.text();
-        
-        return this.parseExpertResponse(text);
-      } catch (error) {
-        // If it's an API key error, don't try other models
-        if (error.message.includes('API key not valid') || error.message.includes('API_KEY_INVALID')) {
-          break;
-        }
-        
-        // If it's the last model, use fallback
-        if (i === this.models.length - 1) {
-          return this.getFallbackResponse(predictionData, inputFeatures);
-        }
-      }
-    }
+    const result = await predictionAuditService.generateCached('expert_analysis', { predictionData, inputFeatures }, async () => {
+      const prompt = this.buildExpertPrompt(predictionData, inputFeatures);
+      const response = await this.generateWithModels(prompt);
+      if (!response) return null;
+      return { prompt, modelName: response.modelName, rawResponse: response.text, parsed: this.parseExpertResponse(response.text) };
+    });
     
-    // If we get here, use fallback response
-    return this.getFallbackResponse(predictionData, inputFeatures);
+    if (!result) return this.getFallbackResponse(predictionData, inputFeatures);
+    return { ...result.parsed, audit: this.toAudit(result) };
+  }
+
+  toAudit(result) {
+    return {
+      inputHash: result.inputHash,
+      modelName: result.modelName,
+      prompt: result.prompt,
+      rawResponse: result.rawResponse,
+      replayed: result.replayed
+    };
   }
 
+  // Deterministic: the prompt depends only on the input features
   buildPredictionPrompt(inputFeatures) {
-    // Add some randomization to prevent pattern repetition
-    const randomSeed = Math.random();
-    const timestamp = Date.now();
-    
     return `You are a highly experienced agricultural scientist and crop yield prediction expert with 30+ years of experience in precision agriculture and machine learning for crop modeling.
 
-**ANALYSIS ID:** ${timestamp}-${randomSeed.toFixed(4)}
 **TASK:** Generate a realistic crop yield prediction based on the following environmental and farming conditions.
 
 **INPUT DATA:**
@@ -384,10 +381,6 @@ Provide your analysis in a structured format with clear sections. Be realistic,
       baseRisk += 0.1;
     }
     
-    // Add some randomness to prevent identical predictions
-    const randomFactor = (Math.random() - 0.5) * 0.1; // ±5% variation
-    baseYield += randomFactor;
-    
     // Ensure values are within bounds
     const yield_prediction = Math.max(0.1, Math.min(0.95, baseYield));
     const risk_score = Math.max(0.1, Math.min(0.9, baseRisk));
@@ -0,0 +1,74 @@
+// API route composition for PredictAgri
+// withApi(route, handler) wraps every route handler: request id, the route's policy from apiPolicies
+// (authentication, rate limit quotas with X-RateLimit-* headers, body schema) and structured JSON errors.
+// CORS, security headers and suspicious-request blocking run earlier, in middleware.js
+
+import crypto from 'crypto'
+import { NextResponse } from 'next/server.js'
+import { Logger } from './logger.js'
+import { authService } from './authService.js'
+import { securityMiddleware, validationSchemas } from './securityMiddleware.js'
+import { rateLimitService, rateLimitCaller } from './rateLimitService.js'
+import { resolvePolicy } from './apiPolicies.js'
+
+const REQUEST_ID_PATTERN = /^[a-zA-Z0-9\-_]{8,64}$/
+const BODY_METHODS = ['POST', 'PUT', 'PATCH']
+
+const httpError = (message, status, details) => {
+  const error = new Error(message)
+  error.status = status
+  if (details) error.details = details
+  return error
+}
+
+// Set by middleware.js for /api requests; handlers called directly (tests, scripts) get a fresh one
+export function requestIdOf(request) {
+  const incoming = request.headers.get('x-request-id')
+  return incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID()
+}
+
+async function validateBody(request, schemaName) {
+  if (!BODY_METHODS.includes(request.method) || !(request.headers.get('content-type') || '').includes('application/json')) return
+
+  const body = await request.clone().json().catch(() => null)
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw httpError('Request body must be a JSON object', 400)
+
+  const { isValid, errors } = securityMiddleware.validateInput(body, validationSchemas[schemaName])
+  if (!isValid) throw httpError('Invalid input data', 400, errors)
+}
+
+// handler(request, { params, requestId, principal }) — principal is null on public routes
+export function withApi(route, handler) {
+  return async (request, context = {}) => {
+    const requestId = requestIdOf(request)
+    const policy = resolvePolicy(request.method, route)
+    const limits = []
+    let response
+
+    try {
+      const principal = policy.auth === false ? null : authService.authorize(request, policy.auth)
+
+      // Quotas in order; a refused one stops before the next is counted
+      if (policy.rateLimit) {
+        const { subject, tier } = rateLimitCaller(request, principal)
+        for (const quota of policy.rateLimit) {
+          const limit = await securityMiddleware.checkRateLimit(subject, { quota, tier, route })
+          limits.push(limit)
+          if (!limit.allowed) throw httpError(`Rate limit exceeded (${quota})`, 429, { quota, retryAfterSeconds: Math.ceil(limit.retryAfterMs / 1000) })
+        }
+      }
+
+      if (policy.schema) await validateBody(request, policy.schema)
+
+      response = await handler(request, { ...context, requestId, principal })
+    } catch (error) {
+      const status = error.status || 500
+      new Logger({ route, requestId })[status >= 500 ? 'error' : 'warn']('request_failed', { method: request.method, status, error: error.message })
+      response = NextResponse.json({ success: false, error: error.message, details: error.details, requestId }, { status })
+    }
+
+    response.headers.set('X-Request-Id', requestId)
+    Object.entries(rateLimitService.headers(limits)).forEach(([name, value]) => response.headers.set(name, value))
+    return response
+  }
+}
@@ -0,0 +1,74 @@
+// API route policies for PredictAgri
+// The one place that says who may call each route, which body schema (from validationSchemas) it
+// accepts and whether it is rate limited. withApi (lib/apiHandler.js) applies the entry for
+// `${method} ${route}`; routes without an entry get DEFAULT_POLICY.
+//   auth: false (public), {} (any role), { roles } or { adminOnly: true }; see authService.authorize
+//   schema: key of validationSchemas checked against JSON bodies
+//   rateLimit: quotas of rateLimitService counted per caller, or false for webhooks that providers call
+//              at their own pace
+
+const STAFF = { roles: ['extension-officer', 'admin'] }
+const ADMIN = { roles: ['admin'] }
+const SIGNED_IN = { roles: ['farmer', 'extension-officer', 'admin'] }
+
+// Routes that call Gemini also count against the caller's daily Gemini quota
+const GEMINI = ['api', 'gemini']
+
+export const DEFAULT_POLICY = { auth: {}, schema: null, rateLimit: ['api'] }
+
+export const API_POLICIES = {
+  'GET /api/health': { auth: false },
+
+  // Outbound messages: officers only reach their district (checked in the route)
+  'POST /api/alerts': { auth: STAFF, schema: 'alertRequest' },
+  'POST /api/email': { auth: STAFF, schema: 'emailRequest' },
+
+  // Admin-only, even before AUTH_ENABLED
+  'GET /api/test-env': { auth: { adminOnly: true } },
+
+  // Farmer registry: farmers reach their own profile (checked in the route)
+  'GET /api/farmers': { auth: STAFF },
+  'POST /api/farmers': { auth: STAFF },
+  'DELETE /api/farmers/[id]': { auth: STAFF },
+
+  // Runs that text whole regions
+  'POST /api/pipeline/batch': { auth: ADMIN },
+  'POST /api/schedules': { auth: ADMIN },
+  'PATCH /api/schedules/[id]': { auth: ADMIN },
+  'DELETE /api/schedules/[id]': { auth: ADMIN },
+  'POST /api/schedules/[id]/runs': { auth: ADMIN },
+
+  // Async pipeline jobs: callers see the jobs they submitted or whose farmer they can reach (checked in
+  // the route); listing needs credentials so anonymous callers can't browse everyone's jobs
+  'GET /api/pipeline/jobs': { auth: SIGNED_IN },
+
+  'POST /api/pipeline': { schema: 'pipelineRequest' },
+  'POST /api/farmer-analysis': { schema: 'farmerAnalysisRequest' },
+  'POST /api/location-analysis': { schema: 'locationAnalysisRequest' },
+  'POST /api/image-analysis': { schema: 'imageAnalysisRequest' },
+
+  'POST /api/predictions': { rateLimit: GEMINI },
+  'POST /api/voice': { rateLimit: GEMINI },
+  'POST /api/voice/test': { rateLimit: GEMINI },
+
+  // Usage and resets of rate limit quotas
+  'GET /api/rate-limits': { auth: { adminOnly: true } },
+  'DELETE /api/rate-limits': { auth: { adminOnly: true } },
+
+  // Delivery history and farmer stats
+  'GET /api/sms/status': { auth: { adminOnly: true } },
+  'GET /api/monitoring': { auth: STAFF },
+
+  // Stations: officers register them; stations push readings with their own ingest token (checked in
+  // the route), so the Bearer token is not a user credential
+  'POST /api/stations': { auth: STAFF },
+  'POST /api/stations/[id]/readings': { auth: false },
+
+  // Twilio webhooks (checked against X-Twilio-Signature in the route)
+  'POST /api/sms/inbound': { auth: false, rateLimit: false },
+  'POST /api/sms/status': { auth: false, rateLimit: false }
+}
+
+export function resolvePolicy(method, route) {
+  return { ...DEFAULT_POLICY, ...API_POLICIES[`${method} ${route}`] }
+}
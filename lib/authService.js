@@ -0,0 +1,216 @@
+// Auth Service for PredictAgri
+// Authenticates API requests with a Supabase JWT or a signed API key and applies per-route role policies
+// (farmer, extension-officer, admin). Extension officers only reach farmers in their own district, and
+// privileged actions are written to the `api_audit_log` table with the actor's id
+
+import crypto from 'crypto'
+import { Logger } from './logger.js'
+import { securityMiddleware } from './securityMiddleware.js'
+import { farmerService } from './farmerService.js'
+
+export const ROLES = ['farmer', 'extension-officer', 'admin']
+export const API_KEY_PREFIX = 'pak_'
+
+const httpError = (message, status) => {
+  const error = new Error(message)
+  error.status = status
+  return error
+}
+
+const base64url = input => Buffer.from(input).toString('base64url')
+const sign = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest('base64url')
+
+// Constant-time comparison of two base64url signatures
+function signaturesMatch(expected, actual) {
+  const a = Buffer.from(expected)
+  const b = Buffer.from(actual)
+  return a.length === b.length && crypto.timingSafeEqual(a, b)
+}
+
+class AuthService {
+  constructor() {
+    this.logger = new Logger({ service: 'AuthService' })
+    this.auditTable = 'api_audit_log'
+    this.farmerService = farmerService
+  }
+
+  // Read at call time so tests and scripts can configure auth after import
+  get enforced() {
+    return process.env.AUTH_ENABLED === 'true'
+  }
+
+  async getDatabaseClient() {
+    try {
+      const { databaseService } = await import('./databaseService.js')
+      return databaseService.client
+    } catch (error) {
+      throw httpError('Audit log is unavailable: database not configured', 503)
+    }
+  }
+
+  // Issue an API key: the claims are signed with API_KEY_SECRET, so verifying one needs no lookup.
+  // Keys are revoked by listing their id in API_KEY_REVOKED_IDS
+  issueApiKey({ subject, role, district = null, farmerId = null, expiresInDays = null }) {
+    const secret = process.env.API_KEY_SECRET
+    if (!secret) throw new Error('API_KEY_SECRET is not configured')
+    if (!subject) throw new Error('subject is required')
+    if (!ROLES.includes(role)) throw new Error(`role must be one of ${ROLES.join(', ')}`)
+    if (role === 'extension-officer' && !district) throw new Error('district is required for extension officers')
+    if (role === 'farmer' && !farmerId) throw new Error('farmerId is required for farmers')
+
+    const issuedAt = Math.floor(Date.now() / 1000)
+    const claims = {
+      kid: crypto.randomBytes(8).toString('hex'),
+      sub: subject,
+      role,
+      district,
+      farmerId,
+      iat: issuedAt,
+      exp: expiresInDays ? issuedAt + Math.round(expiresInDays * 86400) : null
+    }
+    const payload = base64url(JSON.stringify(claims))
+    return { key: `${API_KEY_PREFIX}${payload}.${sign(secret, payload)}`, keyId: claims.kid, claims }
+  }
+
+  verifyApiKey(apiKey) {
+    const format = securityMiddleware.validateApiKey(apiKey)
+    if (!format.isValid || !apiKey.startsWith(API_KEY_PREFIX)) throw httpError('Invalid API key', 401)
+
+    const secret = process.env.API_KEY_SECRET
+    if (!secret) throw httpError('API keys are not configured on this server', 401)
+
+    const [payload, signature = ''] = apiKey.slice(API_KEY_PREFIX.length).split('.')
+    if (!signaturesMatch(sign(secret, payload), signature)) throw httpError('Invalid API key', 401)
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'))
+    if (claims.exp && claims.exp * 1000 <= Date.now()) throw httpError('API key has expired', 401)
+    const revoked = (process.env.API_KEY_REVOKED_IDS || '').split(',').map(id => id.trim())
+    if (revoked.includes(claims.kid)) throw httpError('API key has been revoked', 401)
+
+    return { id: claims.sub, role: claims.role, district: claims.district, farmerId: claims.farmerId, method: 'api_key', keyId: claims.kid }
+  }
+
+  // Supabase access tokens are HS256 JWTs signed with the project's JWT secret; the role, district and
+  // farmer id are set by an admin in the user's app_metadata (users cannot edit it themselves)
+  verifySupabaseJwt(token) {
+    const secret = process.env.SUPABASE_JWT_SECRET
+    if (!secret) throw httpError('Supabase JWT verification is not configured on this server', 401)
+
+    const [header, payload, signature = ''] = token.split('.')
+    let claims
+    try {
+      if (JSON.parse(Buffer.from(header, 'base64url').toString('utf8')).alg !== 'HS256') throw new Error('alg')
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'))
+    } catch (error) {
+      throw httpError('Invalid access token', 401)
+    }
+    if (!signaturesMatch(sign(secret, `${header}.${payload}`), signature)) throw httpError('Invalid access token', 401)
+    if (!claims.exp || claims.exp * 1000 <= Date.now()) throw httpError('Access token has expired', 401)
+
+    const metadata = claims.app_metadata || {}
+    if (!ROLES.includes(metadata.role)) throw httpError('Account has no PredictAgri role', 403)
+    // An officer without a district would otherwise be scoped to no district, i.e. every farmer
+    if (metadata.role === 'extension-officer' && !metadata.district) throw httpError('Extension officer account has no district', 403)
+    return { id: claims.sub, role: metadata.role, district: metadata.district || null, farmerId: metadata.farmer_id || null, method: 'jwt' }
+  }
+
+  // Principal from `Authorization: Bearer <jwt|api key>` or `X-API-Key`, or null without credentials
+  authenticate(request) {
+    const authorization = request.headers.get('authorization') || ''
+    const credential = request.headers.get('x-api-key') || (authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null)
+    if (!credential) return null
+
+    const principal = credential.startsWith(API_KEY_PREFIX) ? this.verifyApiKey(credential) : this.verifySupabaseJwt(credential)
+    if (!ROLES.includes(principal.role)) throw httpError('Credential has an unknown role', 403)
+    return principal
+  }
+
+  // Apply a route policy: { roles } allowed to call it, or adminOnly. Until AUTH_ENABLED=true, requests
+  // without credentials run as an anonymous caller on routes open to any role so existing pages keep
+  // working; role-restricted routes always need credentials, and credentials that are sent are always verified
+  authorize(request, { roles = null, adminOnly = false } = {}) {
+    const principal = this.authenticate(request)
+    const allowed = adminOnly ? ['admin'] : roles || ROLES
+
+    if (!principal) {
+      if (this.enforced || adminOnly || roles) throw httpError('Authentication required', 401)
+      return { id: 'anonymous', role: null, district: null, farmerId: null, method: 'anonymous', anonymous: true }
+    }
+    if (!allowed.includes(principal.role)) {
+      this.logger.warn('access_denied', { actorId: principal.id, role: principal.role, url: request.url })
+      throw httpError(`Role ${principal.role} may not access this resource`, 403)
+    }
+    return principal
+  }
+
+  // Farmers reach their own profile, officers the farmers of their district, admins everyone
+  assertFarmerAccess(principal, farmer) {
+    if (principal.anonymous || principal.role === 'admin') return
+    if (principal.role === 'farmer' && principal.farmerId === farmer.id) return
+    if (principal.role === 'extension-officer' && principal.district && farmer.district === principal.district) return
+    throw httpError('Farmer is outside your access', 403)
+  }
+
+  // Pipeline jobs: whoever submitted the job, or a caller with access to the job's farmer
+  assertJobAccess(principal, job) {
+    if (job.submittedBy && job.submittedBy === principal.id) return
+    if (!job.farmerId && !principal.anonymous && principal.role !== 'admin') throw httpError('Job is outside your access', 403)
+    this.assertFarmerAccess(principal, { id: job.farmerId, district: job.farmerDistrict })
+  }
+
+  // Routes nested under /api/farmers/[id] (fields): 404 for unknown farmers, 403 outside the caller's access
+  async assertFarmerIdAccess(principal, farmerId) {
+    const farmer = await this.farmerService.getFarmer(farmerId)
+    if (!farmer) throw httpError('Farmer not found', 404)
+    this.assertFarmerAccess(principal, farmer)
+    return farmer
+  }
+
+  // Messages may only go to registered farmers the caller can reach (by phone number or email)
+  async assertRecipientAccess(principal, { phoneNumber = null, email = null }) {
+    if (principal.anonymous || principal.role === 'admin') return
+
+    const farmer = await this.farmerService.findByContact({ phoneNumber, email })
+    if (!farmer) throw httpError('Recipient is not a registered farmer', 403)
+    if (principal.role === 'extension-officer' && farmer.district !== principal.district) {
+      throw httpError('Recipient is outside your district', 403)
+    }
+    this.assertFarmerAccess(principal, farmer)
+  }
+
+  // Pipeline runs text the farmer they analyse: the registered profile's number when there is one,
+  // otherwise the number the caller supplied, which must belong to a farmer the caller can reach
+  async assertNotificationAccess(principal, { profile = null, phoneNumber = null }) {
+    if (profile) {
+      this.assertFarmerAccess(principal, profile)
+    } else if (phoneNumber) {
+      await this.assertRecipientAccess(principal, { phoneNumber })
+    }
+  }
+
+  // Audit trail of who did what; never fails the request it records
+  async audit(principal, action, { resource = null, status = 'success', details = null } = {}) {
+    const entry = {
+      actor_id: principal.id,
+      actor_role: principal.role,
+      auth_method: principal.method,
+      action,
+      resource,
+      status,
+      details,
+      created_at: new Date().toISOString()
+    }
+    this.logger.info('audit', { actorId: entry.actor_id, role: entry.actor_role, action, resource, status })
+
+    try {
+      const client = await this.getDatabaseClient()
+      const { error } = await client.from(this.auditTable).insert(entry)
+      if (error) throw error
+    } catch (error) {
+      this.logger.warn('audit_write_failed', { action, error: error.message })
+    }
+  }
+}
+
+export const authService = new AuthService()
+export default authService
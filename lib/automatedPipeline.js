@@ -2,17 +2,18 @@
 // Integrates NASA data, weather, alerts, and voice assistant
 
 import { nasaDataService } from './nasaDataService.js'
-import { openMeteoService } from './openMeteoService.js'
+import { weatherProviderService } from './weatherProviderService.js'
 import { twilioService } from './twilioService.js'
 import { voiceAssistant } from './voiceAssistant.js'
 import { imageProcessingService } from './imageProcessingService.js'
 import { Logger } from './logger.js'
+import { safeFetch } from './safeFetch.js'
 
 class AutomatedPipeline {
   constructor() {
     this.logger = new Logger({ service: 'AutomatedPipeline' })
     this.nasaService = nasaDataService
-    this.weatherService = openMeteoService
+    this.weatherService = weatherProviderService
     this.twilioService = twilioService
     this.voiceAssistant = voiceAssistant
     this.geeService = null // will be loaded dynamically to avoid CJS/ESM conflicts
@@ -104,10 +105,9 @@ class AutomatedPipeline {
               const buf = Buffer.from(farmerData.imageBase64, 'base64')
               return await imageProcessingService.analyzeAgriculturalImage(buf, farmerData.analysisType || 'comprehensive')
             } else if (farmerData?.imageUrl) {
-              const res = await fetch(farmerData.imageUrl)
+              const res = await safeFetch(farmerData.imageUrl)
               if (!res.ok) return { success: true, data: imageProcessingService.getFallbackAnalysisResult('comprehensive'), isFallback: true }
-              const arr = Buffer.from(await res.arrayBuffer())
-              return await imageProcessingService.analyzeAgriculturalImage(arr, farmerData.analysisType || 'comprehensive')
+              return await imageProcessingService.analyzeAgriculturalImage(res.buffer, farmerData.analysisType || 'comprehensive')
             }
           } catch (e) {
             this.logger.warn('image_analysis_in_collect_failed', { error: e.message })
@@ -337,8 +337,8 @@ class AutomatedPipeline {
   }
 
   assessWeatherSeverity(weather) {
-    const temp = weather.temperature_2m
-    const humidity = weather.relative_humidity_2m
+    const temp = weather.temperature
+    const humidity = weather.humidity
     
     if (temp > 35 || temp < 5) return 'high'
     if (humidity > 85 || humidity < 20) return 'medium'
@@ -358,8 +358,8 @@ class AutomatedPipeline {
   }
 
   generateWeatherInsight(weather) {
-    const temp = weather.temperature_2m
-    const humidity = weather.relative_humidity_2m
+    const temp = weather.temperature
+    const humidity = weather.humidity
     
     if (temp > 35) {
       return 'High temperature detected. Consider irrigation and shade protection.'
@@ -397,7 +397,7 @@ class AutomatedPipeline {
     const weatherInsight = insights.find(i => i.type === 'weather')
     if (!weatherInsight) return null
     
-    const temp = weatherInsight.data.temperature_2m
+    const temp = weatherInsight.data.temperature
     let yieldChange = 0
     
     if (temp > 35) yieldChange = -15
@@ -436,7 +436,7 @@ class AutomatedPipeline {
     if (!weatherInsight) return []
     
     const predictions = []
-    const temp = weatherInsight.data.temperature_2m
+    const temp = weatherInsight.data.temperature
     
     if (temp > 35) {
       predictions.push({
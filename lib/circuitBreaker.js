@@ -0,0 +1,64 @@
+// Circuit Breaker for PredictAgri
+// Stops calling a dependency after repeated failures: closed -> open after failureThreshold
+// consecutive failures, half-open (one trial call) once cooldownMs has passed, closed again on success
+
+export class CircuitBreaker {
+  constructor(name, { failureThreshold = 3, cooldownMs = 60000, now = Date.now } = {}) {
+    this.name = name
+    this.failureThreshold = failureThreshold
+    this.cooldownMs = cooldownMs
+    this.now = now
+    this.failures = 0
+    this.openedAt = null
+    this.trialInFlight = false
+    this.lastError = null
+  }
+
+  get state() {
+    if (this.openedAt === null) return 'closed'
+    return this.now() - this.openedAt >= this.cooldownMs ? 'half-open' : 'open'
+  }
+
+  // Whether a call may go through now; in half-open only one trial call at a time
+  canRequest() {
+    const state = this.state
+    if (state === 'closed') return true
+    if (state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true
+      return true
+    }
+    return false
+  }
+
+  // The call never reached the dependency (e.g. it declined the request); free the trial slot
+  releaseTrial() {
+    this.trialInFlight = false
+  }
+
+  recordSuccess() {
+    this.failures = 0
+    this.openedAt = null
+    this.trialInFlight = false
+  }
+
+  recordFailure(error) {
+    this.failures++
+    this.lastError = error?.message || String(error)
+    // A failed trial re-opens immediately; otherwise open at the threshold
+    if (this.trialInFlight || this.failures >= this.failureThreshold) this.openedAt = this.now()
+    this.trialInFlight = false
+  }
+
+  getStatus() {
+    const state = this.state
+    return {
+      name: this.name,
+      state,
+      failures: this.failures,
+      lastError: this.lastError,
+      retryAt: state === 'open' ? new Date(this.openedAt + this.cooldownMs).toISOString() : null
+    }
+  }
+}
+
+export default CircuitBreaker
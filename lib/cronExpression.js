@@ -0,0 +1,142 @@
+// Cron Expressions for PredictAgri
+// Five-field cron (minute hour day-of-month month day-of-week) with *, lists, ranges, steps, month/day
+// names and @hourly/@daily/@weekly/@monthly, evaluated in an IANA timezone (farm schedules follow local time)
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+]
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+}
+
+const MINUTE_MS = 60 * 1000
+const MAX_SEARCH_YEARS = 5 // e.g. "0 0 30 2 *" never matches
+
+function parseValue(token, field) {
+  const index = field.names?.indexOf(token.toLowerCase()) ?? -1
+  if (index >= 0) return index + field.min
+  if (!/^\d+$/.test(token)) throw new Error(`Invalid ${field.name} value "${token}"`)
+  const value = Number(token)
+  if (value < field.min || value > field.max) throw new Error(`${field.name} ${value} is outside ${field.min}-${field.max}`)
+  return value
+}
+
+function parseField(text, field) {
+  const values = new Set()
+
+  for (const part of text.split(',')) {
+    const [range, stepText, extra] = part.split('/')
+    if (extra !== undefined || range === '') throw new Error(`Invalid ${field.name} "${part}"`)
+    const step = stepText === undefined ? 1 : Number(stepText)
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid ${field.name} step "${stepText}"`)
+
+    let from = field.min
+    let to = field.max
+    if (range !== '*') {
+      const [start, end] = range.split('-')
+      from = parseValue(start, field)
+      to = end === undefined ? (stepText === undefined ? from : field.max) : parseValue(end, field)
+      if (from > to) throw new Error(`Invalid ${field.name} range "${range}"`)
+    }
+    for (let value = from; value <= to; value += step) values.add(value)
+  }
+
+  return values
+}
+
+export function parseCron(expression) {
+  if (typeof expression !== 'string' || expression.trim() === '') throw new Error('Cron expression is required')
+  const text = MACROS[expression.trim().toLowerCase()] || expression.trim()
+  const parts = text.split(/\s+/)
+  if (parts.length !== FIELDS.length) throw new Error(`Cron expression needs 5 fields (minute hour day month weekday), got ${parts.length}`)
+
+  const cron = Object.fromEntries(FIELDS.map((field, i) => [field.name, parseField(parts[i], field)]))
+  // 7 is another name for Sunday
+  if (cron.dayOfWeek.delete(7)) cron.dayOfWeek.add(0)
+  // Standard cron: when both day fields are restricted a day matches either of them
+  cron.dayOfMonthRestricted = parts[2] !== '*'
+  cron.dayOfWeekRestricted = parts[4] !== '*'
+  cron.expression = expression.trim()
+  return cron
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+const formatters = new Map()
+
+// Wall-clock time in timeZone, as a Date whose UTC fields hold the local fields
+function toWallClock(instant, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }))
+  }
+  const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(instant).map(part => [part.type, part.value]))
+  return new Date(Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour), Number(parts.minute)))
+}
+
+// Instant at which the wall clock in timeZone shows `wall`: the first one when a DST change repeats it,
+// shifted forward by the change when it skips it
+function fromWallClock(wall, timeZone) {
+  const day = 24 * 60 * MINUTE_MS
+  const offset = at => toWallClock(new Date(at), timeZone).getTime() - at
+  const before = wall.getTime() - offset(wall.getTime() - day)
+  const after = wall.getTime() - offset(wall.getTime() + day)
+  const shows = at => toWallClock(new Date(at), timeZone).getTime() === wall.getTime()
+  if (shows(before) && shows(after)) return new Date(Math.min(before, after))
+  if (shows(after)) return new Date(after)
+  return new Date(before)
+}
+
+function matchesDay(cron, wall) {
+  const dayOfMonth = cron.dayOfMonth.has(wall.getUTCDate())
+  const dayOfWeek = cron.dayOfWeek.has(wall.getUTCDay())
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) return dayOfMonth || dayOfWeek
+  return dayOfMonth && dayOfWeek
+}
+
+// First time strictly after `after` that matches the expression in timeZone
+export function nextCronRun(expression, after = new Date(), timeZone = 'UTC') {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression
+  const wall = toWallClock(new Date(Math.floor(new Date(after).getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS), timeZone)
+  const limit = wall.getUTCFullYear() + MAX_SEARCH_YEARS
+
+  while (wall.getUTCFullYear() < limit) {
+    if (!cron.month.has(wall.getUTCMonth() + 1)) {
+      wall.setUTCMonth(wall.getUTCMonth() + 1, 1)
+      wall.setUTCHours(0, 0, 0, 0)
+    } else if (!matchesDay(cron, wall)) {
+      wall.setUTCDate(wall.getUTCDate() + 1)
+      wall.setUTCHours(0, 0, 0, 0)
+    } else if (!cron.hour.has(wall.getUTCHours())) {
+      wall.setUTCHours(wall.getUTCHours() + 1, 0, 0, 0)
+    } else if (!cron.minute.has(wall.getUTCMinutes())) {
+      wall.setUTCMinutes(wall.getUTCMinutes() + 1, 0, 0)
+    } else {
+      return fromWallClock(wall, timeZone)
+    }
+  }
+
+  throw new Error(`Cron expression "${cron.expression}" never matches`)
+}
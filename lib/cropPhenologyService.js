@@ -0,0 +1,344 @@
+// Crop Phenology Service for PredictAgri
+// Crop calendar and growth-stage engine: accumulates growing degree days (GDD) from the
+// sowing date using daily temperatures from weatherProviderService and maps them to stage-specific advice
+
+import { weatherProviderService } from './weatherProviderService.js'
+import { Logger } from './logger.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Advice by phase; every crop stage belongs to one phase
+export const PHASE_ADVICE = {
+  establishment: {
+    nutrients: 'Basal fertilizer only; hold nitrogen top-dressing until the crop is established',
+    irrigation: 'Light, frequent irrigation to keep the seedbed moist',
+    pests: 'Watch for cutworms, damping-off and seedling pests',
+    pestSensitivity: 'Moderate',
+    irrigationCritical: false
+  },
+  vegetative: {
+    nutrients: 'Top-dress nitrogen now as a split dose',
+    irrigation: 'Irrigate when about half of the available soil water is used',
+    pests: 'Scout for leaf-feeding insects and keep weeds down',
+    pestSensitivity: 'Moderate',
+    irrigationCritical: false
+  },
+  flowering: {
+    nutrients: 'Flowering — avoid nitrogen top-dressing; foliar micronutrients (boron, zinc) only if deficient',
+    irrigation: 'Critical stage — avoid any water stress during flowering',
+    pests: 'Most sensitive stage — scout for flower and pod borers and fungal blights',
+    pestSensitivity: 'High',
+    irrigationCritical: true
+  },
+  yieldFormation: {
+    nutrients: 'No further nitrogen; potash supports grain and fruit filling',
+    irrigation: 'Keep soil moist — stress now reduces grain/fruit weight',
+    pests: 'Watch for sucking pests and grain/fruit borers',
+    pestSensitivity: 'High',
+    irrigationCritical: true
+  },
+  maturity: {
+    nutrients: 'No fertilizer needed',
+    irrigation: 'Stop irrigation 10-15 days before harvest',
+    pests: 'Harvest on time and protect produce from storage pests',
+    pestSensitivity: 'Low',
+    irrigationCritical: false
+  }
+}
+
+// Stage thresholds are cumulative GDD (°C·day above baseTemp, capped at upperTemp) and typical
+// cumulative days after sowing, used when temperatures are unavailable. Values are approximate
+// figures for Indian growing conditions. sowingMonths drive the seasonal crop calendar.
+export const CROP_PHENOLOGY = {
+  Wheat: {
+    baseTemp: 5, upperTemp: 30, sowingMonths: [10, 11, 12],
+    stages: [
+      { key: 'emergence', name: 'Germination & emergence', phase: 'establishment', gdd: 150, days: 10 },
+      { key: 'tillering', name: 'Crown root initiation & tillering', phase: 'vegetative', gdd: 550, days: 45 },
+      { key: 'jointing', name: 'Jointing', phase: 'vegetative', gdd: 850, days: 65 },
+      { key: 'heading', name: 'Heading & flowering', phase: 'flowering', gdd: 1150, days: 90 },
+      { key: 'grain_fill', name: 'Milk & dough (grain filling)', phase: 'yieldFormation', gdd: 1550, days: 115 },
+      { key: 'maturity', name: 'Physiological maturity', phase: 'maturity', gdd: 1750, days: 130 }
+    ]
+  },
+  Rice: {
+    baseTemp: 10, upperTemp: 35, sowingMonths: [6, 7],
+    stages: [
+      { key: 'seedling', name: 'Seedling & transplanting', phase: 'establishment', gdd: 350, days: 25 },
+      { key: 'tillering', name: 'Tillering', phase: 'vegetative', gdd: 850, days: 55 },
+      { key: 'panicle_initiation', name: 'Panicle initiation', phase: 'vegetative', gdd: 1150, days: 75 },
+      { key: 'flowering', name: 'Booting & flowering', phase: 'flowering', gdd: 1450, days: 95 },
+      { key: 'grain_fill', name: 'Milk & dough (grain filling)', phase: 'yieldFormation', gdd: 1850, days: 120 },
+      { key: 'maturity', name: 'Physiological maturity', phase: 'maturity', gdd: 2100, days: 135 }
+    ]
+  },
+  Maize: {
+    baseTemp: 10, upperTemp: 30, sowingMonths: [1, 2, 6, 7],
+    stages: [
+      { key: 'emergence', name: 'Emergence (VE)', phase: 'establishment', gdd: 80, days: 7 },
+      { key: 'vegetative', name: 'Vegetative (V6-V12)', phase: 'vegetative', gdd: 600, days: 45 },
+      { key: 'tasseling', name: 'Tasseling & silking (VT-R1)', phase: 'flowering', gdd: 800, days: 60 },
+      { key: 'grain_fill', name: 'Blister to dent (R2-R5)', phase: 'yieldFormation', gdd: 1300, days: 95 },
+      { key: 'maturity', name: 'Physiological maturity (R6)', phase: 'maturity', gdd: 1500, days: 110 }
+    ]
+  },
+  Cotton: {
+    baseTemp: 15.5, upperTemp: 35, sowingMonths: [4, 5, 6],
+    stages: [
+      { key: 'emergence', name: 'Emergence', phase: 'establishment', gdd: 60, days: 10 },
+      { key: 'squaring', name: 'Vegetative & squaring', phase: 'vegetative', gdd: 450, days: 55 },
+      { key: 'flowering', name: 'Flowering', phase: 'flowering', gdd: 800, days: 90 },
+      { key: 'boll_development', name: 'Boll development', phase: 'yieldFormation', gdd: 1250, days: 140 },
+      { key: 'boll_opening', name: 'Boll opening', phase: 'maturity', gdd: 1500, days: 170 }
+    ]
+  },
+  Sugarcane: {
+    baseTemp: 12, upperTemp: 38, sowingMonths: [1, 2, 3, 10],
+    stages: [
+      { key: 'germination', name: 'Germination', phase: 'establishment', gdd: 450, days: 35 },
+      { key: 'tillering', name: 'Tillering', phase: 'vegetative', gdd: 1500, days: 120 },
+      { key: 'grand_growth', name: 'Grand growth', phase: 'yieldFormation', gdd: 3800, days: 270 },
+      { key: 'maturity', name: 'Maturity & ripening', phase: 'maturity', gdd: 5000, days: 360 }
+    ]
+  },
+  Potato: {
+    baseTemp: 7, upperTemp: 30, sowingMonths: [10, 11],
+    stages: [
+      { key: 'sprout', name: 'Sprout development & emergence', phase: 'establishment', gdd: 250, days: 20 },
+      { key: 'vegetative', name: 'Vegetative growth', phase: 'vegetative', gdd: 500, days: 35 },
+      { key: 'tuber_initiation', name: 'Tuber initiation', phase: 'flowering', gdd: 700, days: 50 },
+      { key: 'tuber_bulking', name: 'Tuber bulking', phase: 'yieldFormation', gdd: 1200, days: 85 },
+      { key: 'maturity', name: 'Maturation', phase: 'maturity', gdd: 1500, days: 105 }
+    ]
+  },
+  Tomato: {
+    baseTemp: 10, upperTemp: 32, sowingMonths: [1, 2, 6, 7, 10, 11],
+    stages: [
+      { key: 'establishment', name: 'Transplant establishment', phase: 'establishment', gdd: 150, days: 12 },
+      { key: 'vegetative', name: 'Vegetative growth', phase: 'vegetative', gdd: 400, days: 30 },
+      { key: 'flowering', name: 'Flowering', phase: 'flowering', gdd: 600, days: 45 },
+      { key: 'fruit_development', name: 'Fruit set & development', phase: 'yieldFormation', gdd: 950, days: 70 },
+      { key: 'ripening', name: 'Ripening & harvest', phase: 'maturity', gdd: 1300, days: 100 }
+    ]
+  },
+  Onion: {
+    baseTemp: 6, upperTemp: 30, sowingMonths: [6, 10, 11, 12],
+    stages: [
+      { key: 'establishment', name: 'Transplant establishment', phase: 'establishment', gdd: 250, days: 15 },
+      { key: 'vegetative', name: 'Leaf growth', phase: 'vegetative', gdd: 750, days: 50 },
+      { key: 'bulbing', name: 'Bulb initiation & development', phase: 'yieldFormation', gdd: 1300, days: 90 },
+      { key: 'maturity', name: 'Neck fall & maturity', phase: 'maturity', gdd: 1650, days: 115 }
+    ]
+  },
+  Chickpea: {
+    baseTemp: 5, upperTemp: 30, sowingMonths: [10, 11],
+    stages: [
+      { key: 'emergence', name: 'Emergence', phase: 'establishment', gdd: 120, days: 10 },
+      { key: 'vegetative', name: 'Branching', phase: 'vegetative', gdd: 600, days: 45 },
+      { key: 'flowering', name: 'Flowering', phase: 'flowering', gdd: 900, days: 65 },
+      { key: 'pod_fill', name: 'Pod formation & filling', phase: 'yieldFormation', gdd: 1300, days: 95 },
+      { key: 'maturity', name: 'Physiological maturity', phase: 'maturity', gdd: 1550, days: 110 }
+    ]
+  },
+  Soybean: {
+    baseTemp: 10, upperTemp: 30, sowingMonths: [6, 7],
+    stages: [
+      { key: 'emergence', name: 'Emergence (VE)', phase: 'establishment', gdd: 90, days: 7 },
+      { key: 'vegetative', name: 'Vegetative (V1-Vn)', phase: 'vegetative', gdd: 500, days: 35 },
+      { key: 'flowering', name: 'Flowering (R1-R2)', phase: 'flowering', gdd: 750, days: 50 },
+      { key: 'pod_fill', name: 'Pod & seed fill (R3-R6)', phase: 'yieldFormation', gdd: 1150, days: 80 },
+      { key: 'maturity', name: 'Maturity (R7-R8)', phase: 'maturity', gdd: 1350, days: 100 }
+    ]
+  },
+  Groundnut: {
+    baseTemp: 10, upperTemp: 33, sowingMonths: [1, 6, 7],
+    stages: [
+      { key: 'emergence', name: 'Emergence', phase: 'establishment', gdd: 110, days: 10 },
+      { key: 'vegetative', name: 'Vegetative growth', phase: 'vegetative', gdd: 400, days: 30 },
+      { key: 'pegging', name: 'Flowering & pegging', phase: 'flowering', gdd: 700, days: 50 },
+      { key: 'pod_fill', name: 'Pod development & filling', phase: 'yieldFormation', gdd: 1250, days: 90 },
+      { key: 'maturity', name: 'Maturity', phase: 'maturity', gdd: 1550, days: 110 }
+    ]
+  },
+  Sunflower: {
+    baseTemp: 6, upperTemp: 32, sowingMonths: [1, 2, 6, 7, 10],
+    stages: [
+      { key: 'emergence', name: 'Emergence', phase: 'establishment', gdd: 150, days: 10 },
+      { key: 'vegetative', name: 'Vegetative growth', phase: 'vegetative', gdd: 650, days: 40 },
+      { key: 'bud', name: 'Bud formation', phase: 'vegetative', gdd: 850, days: 50 },
+      { key: 'flowering', name: 'Flowering (anthesis)', phase: 'flowering', gdd: 1100, days: 65 },
+      { key: 'seed_fill', name: 'Seed filling', phase: 'yieldFormation', gdd: 1450, days: 85 },
+      { key: 'maturity', name: 'Physiological maturity', phase: 'maturity', gdd: 1650, days: 100 }
+    ]
+  }
+}
+
+// Common local names for the seeded crops
+const CROP_ALIASES = {
+  paddy: 'Rice',
+  corn: 'Maize',
+  gram: 'Chickpea',
+  chana: 'Chickpea',
+  kapas: 'Cotton',
+  peanut: 'Groundnut'
+}
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+
+export function normalizeCropName(crop) {
+  if (!crop || typeof crop !== 'string') return null
+  const key = crop.trim().toLowerCase()
+  if (CROP_ALIASES[key]) return CROP_ALIASES[key]
+  return Object.keys(CROP_PHENOLOGY).find(name => name.toLowerCase() === key) || null
+}
+
+// Daily GDD using the averaging method with the temperatures clamped to [base, upper]
+export function calculateDailyGDD(tmax, tmin, baseTemp, upperTemp) {
+  const clamp = t => Math.min(Math.max(t, baseTemp), upperTemp)
+  return Math.max(0, (clamp(tmax) + clamp(tmin)) / 2 - baseTemp)
+}
+
+// Accumulate GDD over normalized daily records ({ tmax, tmin }); days with missing readings
+// are filled with the mean of the observed days and counted in missingDays
+export function accumulateGDD(days, crop) {
+  const { baseTemp, upperTemp } = CROP_PHENOLOGY[crop]
+  const observed = []
+  let missingDays = 0
+
+  days.forEach(({ tmax, tmin }) => {
+    if (typeof tmax === 'number' && typeof tmin === 'number') {
+      observed.push(calculateDailyGDD(tmax, tmin, baseTemp, upperTemp))
+    } else {
+      missingDays++
+    }
+  })
+
+  const observedTotal = observed.reduce((sum, gdd) => sum + gdd, 0)
+  const meanDaily = observed.length > 0 ? observedTotal / observed.length : 0
+
+  return {
+    gdd: Math.round(observedTotal + meanDaily * missingDays),
+    meanDailyGDD: Math.round(meanDaily * 10) / 10,
+    observedDays: observed.length,
+    missingDays
+  }
+}
+
+// Locate a crop's stage from accumulated GDD (method 'gdd') or days after sowing ('calendar')
+export function findStage(crop, value, method = 'gdd') {
+  const { stages } = CROP_PHENOLOGY[crop]
+  const threshold = method === 'gdd' ? 'gdd' : 'days'
+  const index = stages.findIndex(stage => value < stage[threshold])
+
+  if (index === -1) {
+    const last = stages[stages.length - 1]
+    return { stage: last, index: stages.length - 1, nextStage: null, harvestReady: true, stageStart: stages[stages.length - 2]?.[threshold] || 0 }
+  }
+
+  return {
+    stage: stages[index],
+    index,
+    nextStage: stages[index + 1] || null,
+    harvestReady: false,
+    stageStart: index > 0 ? stages[index - 1][threshold] : 0
+  }
+}
+
+// Seasonal calendar check: is the given date inside the crop's usual sowing window?
+export function getSowingWindow(crop, date = new Date()) {
+  const name = normalizeCropName(crop)
+  if (!name) return null
+
+  const months = CROP_PHENOLOGY[name].sowingMonths
+  return {
+    crop: name,
+    inSowingWindow: months.includes(date.getMonth() + 1),
+    sowingMonths: months.map(month => MONTH_NAMES[month - 1])
+  }
+}
+
+class CropPhenologyService {
+  constructor() {
+    this.logger = new Logger({ service: 'CropPhenologyService' })
+    this.weatherService = weatherProviderService
+  }
+
+  listCrops() {
+    return Object.keys(CROP_PHENOLOGY)
+  }
+
+  // Estimate the current growth stage for a crop sown on sowingDate at (lat, lon)
+  // forecastDays (optional, normalized daily records) projects when the next stage starts
+  async estimateStage({ crop, sowingDate, lat, lon, forecastDays = null, asOf = new Date() }) {
+    const cropName = normalizeCropName(crop)
+    if (!cropName) {
+      throw new Error(`No phenology data for crop: ${crop}. Supported crops: ${this.listCrops().join(', ')}`)
+    }
+
+    const sown = new Date(sowingDate)
+    if (isNaN(sown.getTime())) throw new Error(`Invalid sowing date: ${sowingDate}`)
+    if (sown > asOf) throw new Error('Sowing date is in the future')
+
+    const daysAfterSowing = Math.floor((asOf - sown) / DAY_MS)
+    let thermal = null
+    let method = 'gdd'
+    let note = null
+
+    try {
+      const { days } = await this.weatherService.getDaily(lat, lon, {
+        startDate: sown.toISOString().slice(0, 10),
+        endDate: asOf.toISOString().slice(0, 10)
+      })
+      thermal = accumulateGDD(days, cropName)
+      if (thermal.observedDays === 0) throw new Error('No temperature observations since sowing')
+    } catch (error) {
+      this.logger.warn('phenology_temperature_fetch_failed', { crop: cropName, error: error.message })
+      method = 'calendar'
+      note = 'Temperatures unavailable; stage estimated from typical days after sowing'
+    }
+
+    const position = findStage(cropName, method === 'gdd' ? thermal.gdd : daysAfterSowing, method)
+    const { stage, nextStage } = position
+    const value = method === 'gdd' ? thermal.gdd : daysAfterSowing
+    const span = (method === 'gdd' ? stage.gdd : stage.days) - position.stageStart
+    const stageProgress = position.harvestReady ? 100 : Math.round(((value - position.stageStart) / (span || 1)) * 100)
+
+    // Project the next stage from forecast GDD, else from the season-to-date average
+    let daysToNextStage = null
+    if (!position.harvestReady) {
+      if (method === 'gdd') {
+        const forecastGDD = forecastDays?.length ? accumulateGDD(forecastDays, cropName).meanDailyGDD : 0
+        const dailyRate = forecastGDD || thermal.meanDailyGDD
+        daysToNextStage = dailyRate > 0 ? Math.ceil((stage.gdd - thermal.gdd) / dailyRate) : null
+      } else {
+        daysToNextStage = stage.days - daysAfterSowing
+      }
+    }
+
+    return {
+      crop: cropName,
+      sowingDate: sown.toISOString().slice(0, 10),
+      daysAfterSowing,
+      method,
+      accumulatedGDD: thermal?.gdd ?? null,
+      baseTemp: CROP_PHENOLOGY[cropName].baseTemp,
+      missingTemperatureDays: thermal?.missingDays ?? null,
+      stage: {
+        key: stage.key,
+        name: position.harvestReady ? `${stage.name} (harvest ready)` : stage.name,
+        phase: stage.phase,
+        index: position.index,
+        progress: Math.max(0, Math.min(100, stageProgress))
+      },
+      nextStage: nextStage ? { key: nextStage.key, name: nextStage.name, phase: nextStage.phase } : null,
+      daysToNextStage,
+      harvestReady: position.harvestReady,
+      advice: PHASE_ADVICE[stage.phase],
+      ...(note && { note }),
+      timestamp: new Date().toISOString()
+    }
+  }
+}
+
+export const cropPhenologyService = new CropPhenologyService()
+export default cropPhenologyService
@@ -0,0 +1,255 @@
+// Crop Risk Model Service for PredictAgri
+// Weather-driven disease and pest models (late blight, rice blast, wheat rust, cotton bollworm)
+// run over 14 days of hourly history plus the hourly forecast, giving a dated risk curve per crop
+
+import { Logger } from './logger.js'
+import { weatherProviderService } from './weatherProviderService.js'
+import { normalizeCropName } from './cropPhenologyService.js'
+
+const RISK_LEVELS = ['Low', 'Medium', 'High']
+const BOLLWORM_BASE_TEMP = 11 // °C, Helicoverpa armigera lower development threshold
+const BOLLWORM_UPPER_TEMP = 34 // °C, horizontal cutoff
+const BOLLWORM_GENERATION_DD = 500 // degree-days egg to adult
+
+// No leaf wetness sensor: count an hour as wet at RH >= 90% or with measurable rain
+export function isLeafWetHour(hour) {
+  return hour.humidity >= 90 || hour.precipitation >= 0.1
+}
+
+// Collapse hourly records (local time) into per-day weather summaries
+export function summarizeDays(hours) {
+  const byDate = {}
+  hours.forEach(hour => {
+    if (typeof hour.temperature !== 'number' || typeof hour.humidity !== 'number') return
+    const date = hour.time.slice(0, 10)
+    byDate[date] = byDate[date] || []
+    byDate[date].push(hour)
+  })
+
+  return Object.keys(byDate).sort().map(date => {
+    const dayHours = byDate[date]
+    const temperatures = dayHours.map(hour => hour.temperature)
+    const wetHours = dayHours.filter(isLeafWetHour)
+    return {
+      date,
+      observedHours: dayHours.length,
+      tmin: Math.min(...temperatures),
+      tmax: Math.max(...temperatures),
+      tmean: Math.round(temperatures.reduce((sum, t) => sum + t, 0) / temperatures.length * 10) / 10,
+      humidHours: dayHours.filter(hour => hour.humidity >= 90).length,
+      rainMm: Math.round(dayHours.reduce((sum, hour) => sum + hour.precipitation, 0) * 10) / 10,
+      wetHours: wetHours.length,
+      hours: dayHours
+    }
+  })
+}
+
+// Wet hours whose temperature falls inside [min, max] °C
+const wetHoursBetween = (day, min, max) =>
+  day.hours.filter(hour => isLeafWetHour(hour) && hour.temperature >= min && hour.temperature <= max).length
+
+export const RISK_MODELS = {
+  lateBlight: {
+    name: 'Late blight',
+    type: 'disease',
+    crops: ['Potato', 'Tomato'],
+    method: 'Smith period: two consecutive days with Tmin ≥ 10 °C and ≥ 11 h RH ≥ 90% (Hutton day: ≥ 6 h)',
+    advice: 'Spray protectant fungicide (mancozeb) before the high-risk date',
+    evaluate(days) {
+      const smithDay = day => day.tmin >= 10 && day.humidHours >= 11
+      const huttonDay = day => day.tmin >= 10 && day.humidHours >= 6
+      return days.map((day, i) => {
+        const previous = days[i - 1]
+        const smithPeriod = !!previous && smithDay(previous) && smithDay(day)
+        return {
+          risk: smithPeriod ? 'High' : huttonDay(day) ? 'Medium' : 'Low',
+          tmin: day.tmin,
+          humidHours: day.humidHours,
+          smithPeriod
+        }
+      })
+    }
+  },
+
+  riceBlast: {
+    name: 'Rice blast',
+    type: 'disease',
+    crops: ['Rice'],
+    method: 'Leaf-wet hours at 20-28 °C: ≥ 10 h high, ≥ 6 h medium',
+    advice: 'Avoid excess nitrogen; spray tricyclazole at first leaf lesions',
+    evaluate(days) {
+      return days.map(day => {
+        const favourableWetHours = wetHoursBetween(day, 20, 28)
+        return {
+          risk: favourableWetHours >= 10 ? 'High' : favourableWetHours >= 6 ? 'Medium' : 'Low',
+          wetHours: day.wetHours,
+          favourableWetHours
+        }
+      })
+    }
+  },
+
+  wheatRust: {
+    name: 'Wheat rust',
+    type: 'disease',
+    crops: ['Wheat'],
+    method: 'Leaf-wet hours at 7-15 °C (yellow rust) or 15-25 °C (brown rust): ≥ 8 h high, ≥ 4 h medium',
+    advice: 'Scout for rust pustules; spray propiconazole at first appearance',
+    evaluate(days) {
+      return days.map(day => {
+        const yellowRustHours = wetHoursBetween(day, 7, 15)
+        const brownRustHours = wetHoursBetween(day, 15.1, 25)
+        const favourableWetHours = Math.max(yellowRustHours, brownRustHours)
+        return {
+          risk: favourableWetHours >= 8 ? 'High' : favourableWetHours >= 4 ? 'Medium' : 'Low',
+          yellowRustHours,
+          brownRustHours,
+          dominant: favourableWetHours === 0 ? null : yellowRustHours >= brownRustHours ? 'Yellow rust' : 'Brown rust'
+        }
+      })
+    }
+  },
+
+  cottonBollworm: {
+    name: 'Cotton bollworm',
+    type: 'pest',
+    crops: ['Cotton'],
+    method: `Hourly degree-days (base ${BOLLWORM_BASE_TEMP} °C, cutoff ${BOLLWORM_UPPER_TEMP} °C); 7-day total ≥ 110 high, ≥ 70 medium`,
+    advice: 'Install pheromone traps; spray NPV or spinosad at egg hatch',
+    evaluate(days) {
+      let cumulativeDD = 0
+      const dailyDD = days.map(day => {
+        const total = day.hours.reduce((sum, hour) =>
+          sum + Math.max(0, Math.min(hour.temperature, BOLLWORM_UPPER_TEMP) - BOLLWORM_BASE_TEMP), 0)
+        return Math.round(total / 24 * 10) / 10
+      })
+
+      return days.map((day, i) => {
+        cumulativeDD += dailyDD[i]
+        const window = dailyDD.slice(Math.max(0, i - 6), i + 1)
+        const meanDD = window.reduce((sum, dd) => sum + dd, 0) / window.length
+        const weeklyDD = Math.round(meanDD * 7 * 10) / 10
+        return {
+          risk: weeklyDD >= 110 ? 'High' : weeklyDD >= 70 ? 'Medium' : 'Low',
+          degreeDays: dailyDD[i],
+          weeklyDegreeDays: weeklyDD,
+          cumulativeDegreeDays: Math.round(cumulativeDD * 10) / 10,
+          projectedGenerationDays: meanDD > 0 ? Math.round(BOLLWORM_GENERATION_DD / meanDD) : null
+        }
+      })
+    }
+  }
+}
+
+const riskRank = risk => RISK_LEVELS.indexOf(risk)
+
+class CropRiskModelService {
+  constructor() {
+    this.logger = new Logger({ service: 'CropRiskModelService' })
+    this.weatherService = weatherProviderService
+    this.historyDays = 14
+    this.forecastDays = 7
+  }
+
+  listModels() {
+    return Object.entries(RISK_MODELS).map(([key, model]) => ({
+      key,
+      name: model.name,
+      type: model.type,
+      crops: model.crops,
+      method: model.method
+    }))
+  }
+
+  // [modelKey, crop] pairs to run; every model/crop pair when no crop is given
+  modelsForCrop(crop) {
+    const normalized = crop ? normalizeCropName(crop) : null
+    return Object.entries(RISK_MODELS).flatMap(([key, model]) =>
+      model.crops
+        .filter(modelCrop => !crop || modelCrop === normalized)
+        .map(modelCrop => [key, modelCrop]))
+  }
+
+  // Run the models for a crop (or all crops) at a location
+  async assess({ lat, lon, crop = null, pastDays = this.historyDays, forecastDays = this.forecastDays }) {
+    const pairs = this.modelsForCrop(crop)
+    if (pairs.length === 0) {
+      return {
+        crop,
+        models: [],
+        note: `No risk models for crop: ${crop}. Modelled crops: ${[...new Set(Object.values(RISK_MODELS).flatMap(m => m.crops))].join(', ')}`,
+        timestamp: new Date().toISOString()
+      }
+    }
+
+    const conditions = await this.weatherService.getHourly(lat, lon, { pastDays, forecastDays })
+    const days = summarizeDays(conditions.hours)
+    const today = new Date(Date.now() + conditions.utcOffsetSeconds * 1000).toISOString().slice(0, 10)
+
+    const models = pairs.map(([key, modelCrop]) => {
+      const model = RISK_MODELS[key]
+      const curve = model.evaluate(days).map((point, i) => ({
+        date: days[i].date,
+        forecast: days[i].date > today,
+        ...point
+      }))
+      const upcoming = curve.filter(point => point.date >= today)
+      const peak = upcoming.reduce((best, point) => (!best || riskRank(point.risk) > riskRank(best.risk) ? point : best), null)
+
+      return {
+        key,
+        name: model.name,
+        type: model.type,
+        crop: modelCrop,
+        method: model.method,
+        advice: model.advice,
+        currentRisk: curve.find(point => point.date === today)?.risk || null,
+        peak: peak ? { date: peak.date, risk: peak.risk } : null,
+        nextHighRiskDate: upcoming.find(point => point.risk === 'High')?.date || null,
+        curve
+      }
+    })
+
+    this.logger.info('crop_risk_assessed', {
+      crop,
+      models: models.map(model => `${model.key}:${model.peak?.risk}`)
+    })
+
+    return {
+      crop,
+      window: { from: days[0]?.date || null, today, to: days[days.length - 1]?.date || null },
+      provider: conditions.provider,
+      leafWetness: days.map(day => ({ date: day.date, wetHours: day.wetHours, humidHours: day.humidHours, rainMm: day.rainMm })),
+      models,
+      timestamp: new Date().toISOString()
+    }
+  }
+
+  // Alert payloads for twilioService.sendAgriculturalAlert: one per model at minRisk or above
+  // within the next `withinDays` days
+  buildAlerts(assessment, { region = null, minRisk = 'High', withinDays = 3 } = {}) {
+    if (!assessment?.models?.length) return []
+    const today = assessment.window.today
+    const horizon = new Date(new Date(today).getTime() + withinDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+
+    return assessment.models.flatMap(model => {
+      const trigger = model.curve.find(point =>
+        point.date >= today && point.date <= horizon && riskRank(point.risk) >= riskRank(minRisk))
+      if (!trigger) return []
+
+      const [, month, day] = trigger.date.split('-')
+      return [{
+        type: model.type,
+        severity: trigger.risk.toLowerCase(),
+        region,
+        crop: model.crop,
+        recommendation: `${model.name} ${trigger.risk} risk from ${day}/${month}. ${model.advice}`,
+        model: model.key,
+        date: trigger.date
+      }]
+    })
+  }
+}
+
+export const cropRiskModelService = new CropRiskModelService()
+export default cropRiskModelService
@@ -0,0 +1,109 @@
+// Data Provenance helpers for PredictAgri
+// Tags pipeline values with their source (live API, cache, heuristic fallback),
+// when they were fetched and how much confidence to place in them
+
+export const DATA_SOURCES = {
+  LIVE: 'live',
+  CACHE: 'cache',
+  FALLBACK: 'fallback'
+}
+
+// Ordered from most to least trustworthy; combining values keeps the weakest
+const SOURCE_RANK = { live: 0, cache: 1, fallback: 2 }
+const CONFIDENCE_RANK = { high: 0, medium: 1, low: 2 }
+
+export function createProvenance({ source = DATA_SOURCES.LIVE, provider = 'unknown', fetchedAt, confidence, note } = {}) {
+  const provenance = {
+    source,
+    provider,
+    fetchedAt: fetchedAt || new Date().toISOString(),
+    confidence: confidence || (source === DATA_SOURCES.FALLBACK ? 'low' : 'high')
+  }
+  if (note) provenance.note = note
+  return provenance
+}
+
+// Services mark their own fallbacks with `source: 'Fallback Data'`, `quality: 'low'` or `isFallbackData`
+export function isFallbackValue(value) {
+  if (!value || typeof value !== 'object') return false
+  if (value.isFallbackData) return true
+  if (typeof value.source === 'string' && /fallback/i.test(value.source)) return true
+  return value.quality === 'low'
+}
+
+// Convert a 0-1 confidence score into a level
+export function confidenceLevel(score) {
+  if (typeof score !== 'number') return 'medium'
+  if (score >= 0.7) return 'high'
+  if (score >= 0.4) return 'medium'
+  return 'low'
+}
+
+export function attachProvenance(value, provenance) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return value
+  return { ...value, provenance }
+}
+
+export function getProvenance(value) {
+  return value && typeof value === 'object' ? value.provenance || null : null
+}
+
+// Combine the provenance of several inputs: weakest source, lowest confidence, oldest fetch
+export function combineProvenance(provenances, provider = 'derived') {
+  const known = provenances.filter(Boolean)
+  if (known.length === 0) return null
+
+  const source = known.reduce((worst, p) => SOURCE_RANK[p.source] > SOURCE_RANK[worst] ? p.source : worst, DATA_SOURCES.LIVE)
+  const confidence = known.reduce((worst, p) => CONFIDENCE_RANK[p.confidence] > CONFIDENCE_RANK[worst] ? p.confidence : worst, 'high')
+  const fetchedAt = known.map(p => p.fetchedAt).sort()[0]
+
+  return {
+    source,
+    provider,
+    fetchedAt,
+    confidence,
+    derivedFrom: [...new Set(known.map(p => p.provider))],
+    basedOnFallback: source === DATA_SOURCES.FALLBACK
+  }
+}
+
+// Return a deep copy in which every live provenance entry is marked as served from cache
+export function markAsCached(value, cachedAt = new Date().toISOString()) {
+  const walk = node => {
+    if (Array.isArray(node)) return node.map(walk)
+    if (!node || typeof node !== 'object') return node
+
+    const copy = {}
+    for (const [key, child] of Object.entries(node)) {
+      if (key === 'provenance' && child && child.source === DATA_SOURCES.LIVE) {
+        copy[key] = { ...child, source: DATA_SOURCES.CACHE, cachedAt }
+      } else {
+        copy[key] = walk(child)
+      }
+    }
+    return copy
+  }
+
+  return walk(value)
+}
+
+// Summarize data quality across named inputs; keyInputs are the ones farmer messages rely on
+export function summarizeDataQuality(provenanceByInput, keyInputs = []) {
+  const entries = Object.entries(provenanceByInput).filter(([, provenance]) => provenance)
+  const syntheticInputs = entries
+    .filter(([, provenance]) => provenance.source === DATA_SOURCES.FALLBACK)
+    .map(([input]) => input)
+  const presentKeyInputs = keyInputs.filter(input => provenanceByInput[input])
+  const syntheticKeyInputs = presentKeyInputs.filter(input => syntheticInputs.includes(input))
+  const overall = combineProvenance(entries.map(([, provenance]) => provenance), 'pipeline')
+
+  return {
+    inputs: Object.fromEntries(entries),
+    syntheticInputs,
+    syntheticKeyInputs,
+    usesFallbackData: syntheticInputs.length > 0,
+    allKeyInputsSynthetic: presentKeyInputs.length > 0 && syntheticKeyInputs.length === presentKeyInputs.length,
+    overallConfidence: overall?.confidence || 'low',
+    oldestFetchedAt: overall?.fetchedAt || null
+  }
+}
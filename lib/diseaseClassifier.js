@@ -0,0 +1,147 @@
+// Disease Classifier for PredictAgri
+// Runs a local ONNX image classification model (onnxruntime-node, CPU) on field photos.
+// Model path from DISEASE_MODEL_PATH; labels, version and preprocessing come from the JSON
+// sidecar next to the model (disease-classifier.onnx -> disease-classifier.json)
+
+import fs from 'fs'
+import path from 'path'
+import sharp from 'sharp'
+import { Logger } from './logger.js'
+
+const DEFAULT_MODEL_PATH = 'models/disease-classifier.onnx'
+const DEFAULT_TOP_K = 3
+
+const softmax = values => {
+  const max = Math.max(...values)
+  const exps = values.map(v => Math.exp(v - max))
+  const sum = exps.reduce((total, v) => total + v, 0)
+  return exps.map(v => v / sum)
+}
+
+class DiseaseClassifier {
+  constructor() {
+    this.logger = new Logger({ service: 'DiseaseClassifier' })
+    this.loaded = null // { modelPath, promise } for the current model path
+  }
+
+  getModelPath() {
+    return path.resolve(process.env.DISEASE_MODEL_PATH || DEFAULT_MODEL_PATH)
+  }
+
+  getTopK() {
+    return parseInt(process.env.DISEASE_MODEL_TOP_K, 10) || DEFAULT_TOP_K
+  }
+
+  readConfig(modelPath) {
+    const sidecar = modelPath.replace(/\.onnx$/i, '') + '.json'
+    if (!fs.existsSync(sidecar)) throw new Error(`Model labels/config not found: ${sidecar}`)
+    const config = JSON.parse(fs.readFileSync(sidecar, 'utf8'))
+    if (!Array.isArray(config.labels) || config.labels.length === 0) throw new Error(`No labels in ${sidecar}`)
+
+    return {
+      version: config.version || path.basename(modelPath, '.onnx'),
+      labels: config.labels,
+      healthyLabels: config.healthyLabels || config.labels.filter(label => /healthy/i.test(label)),
+      inputName: config.inputName || null,
+      outputName: config.outputName || null,
+      inputSize: config.inputSize || [224, 224],
+      layout: config.layout || 'NCHW',
+      scale: config.scale ?? 1 / 255,
+      mean: config.mean || [0.485, 0.456, 0.406],
+      std: config.std || [0.229, 0.224, 0.225],
+      outputIsProbability: !!config.outputIsProbability
+    }
+  }
+
+  // Load (once per model path) the runtime, session and sidecar; resolves to null when unavailable
+  async load() {
+    const modelPath = this.getModelPath()
+    if (this.loaded?.modelPath === modelPath) return this.loaded.promise
+
+    const promise = (async () => {
+      if (!fs.existsSync(modelPath)) {
+        return { modelPath, session: null, reason: `No model file at ${modelPath}` }
+      }
+      try {
+        const config = this.readConfig(modelPath)
+        const ort = await import('onnxruntime-node')
+        const session = await ort.InferenceSession.create(modelPath, { executionProviders: ['cpu'] })
+        this.logger.info('disease_model_loaded', { modelPath, version: config.version, labels: config.labels.length })
+        return { modelPath, ort, session, config }
+      } catch (error) {
+        this.logger.warn('disease_model_load_failed', { modelPath, error: error.message })
+        return { modelPath, session: null, reason: error.message }
+      }
+    })()
+
+    this.loaded = { modelPath, promise }
+    return promise
+  }
+
+  // Resize/crop to the model input and normalise into a float32 tensor
+  async preprocess(imageBuffer, { ort, config }) {
+    const [width, height] = config.inputSize
+    const { data } = await sharp(imageBuffer)
+      .rotate()
+      .resize(width, height, { fit: 'cover' })
+      .removeAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true })
+
+    const plane = width * height
+    const input = new Float32Array(plane * 3)
+    for (let i = 0; i < plane; i++) {
+      for (let c = 0; c < 3; c++) {
+        const value = (data[i * 3 + c] * config.scale - config.mean[c]) / config.std[c]
+        input[config.layout === 'NHWC' ? i * 3 + c : c * plane + i] = value
+      }
+    }
+
+    const dims = config.layout === 'NHWC' ? [1, height, width, 3] : [1, 3, height, width]
+    return new ort.Tensor('float32', input, dims)
+  }
+
+  // Top-k labels with probabilities; null when no model is available (callers fall back)
+  async classify(imageBuffer, { topK = this.getTopK() } = {}) {
+    const model = await this.load()
+    if (!model.session) return null
+
+    const startedAt = Date.now()
+    const { session, config } = model
+    const tensor = await this.preprocess(imageBuffer, model)
+    const outputs = await session.run({ [config.inputName || session.inputNames[0]]: tensor })
+    const scores = Array.from(outputs[config.outputName || session.outputNames[0]].data)
+    if (scores.length !== config.labels.length) {
+      throw new Error(`Model returned ${scores.length} scores for ${config.labels.length} labels`)
+    }
+
+    const probabilities = config.outputIsProbability ? scores : softmax(scores)
+    const ranked = config.labels
+      .map((label, i) => ({ label, probability: Math.round(probabilities[i] * 10000) / 10000 }))
+      .sort((a, b) => b.probability - a.probability)
+
+    return {
+      source: 'onnx',
+      modelVersion: config.version,
+      predictions: ranked.slice(0, topK),
+      healthyProbability: ranked
+        .filter(prediction => config.healthyLabels.includes(prediction.label))
+        .reduce((sum, prediction) => sum + prediction.probability, 0),
+      inferenceMs: Date.now() - startedAt
+    }
+  }
+
+  async getStatus() {
+    const model = await this.load()
+    return {
+      available: !!model.session,
+      modelPath: model.modelPath,
+      modelVersion: model.config?.version || null,
+      labels: model.config?.labels || [],
+      reason: model.reason || null
+    }
+  }
+}
+
+export const diseaseClassifier = new DiseaseClassifier()
+export default diseaseClassifier
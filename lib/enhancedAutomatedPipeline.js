@@ -4,73 +4,337 @@
 
 import { farmerLocationService } from './farmerLocationService.js'
 import { googleEarthEngineService } from './googleEarthEngineService.js'
-import { openMeteoService } from './openMeteoService.js'
+import { weatherProviderService } from './weatherProviderService.js'
 import { imageProcessingService } from './imageProcessingService.js'
 import { twilioService } from './twilioService.js'
 import { Logger } from './logger.js'
 import LocationService from './locationService.js'
+import { PipelineStepRegistry } from './pipelineStepRegistry.js'
+import { farmFieldService } from './farmFieldService.js'
+import { cropPhenologyService, getSowingWindow } from './cropPhenologyService.js'
+import { irrigationSchedulerService } from './irrigationSchedulerService.js'
+import { cropRiskModelService } from './cropRiskModelService.js'
+import { weatherWindowService } from './weatherWindowService.js'
+import { stationService } from './stationService.js'
+import { farmerService, smsBlockReason } from './farmerService.js'
+import { safeFetch } from './safeFetch.js'
+import {
+  DATA_SOURCES,
+  createProvenance,
+  isFallbackValue,
+  confidenceLevel,
+  attachProvenance,
+  getProvenance,
+  combineProvenance,
+  summarizeDataQuality
+} from './dataProvenance.js'
+
+// Ordered step names reported by executeFarmerPipeline progress callbacks
+export const FARMER_PIPELINE_STEPS = [
+  'location',
+  'environmental',
+  'weather',
+  'phenology',
+  'irrigation',
+  'riskModels',
+  'weatherWindows',
+  'images',
+  'insights',
+  'recommendations',
+  'sms'
+]
+
+// Inputs whose values are quoted in the farmer SMS; synthetic values here reword or block it
+const SMS_KEY_INPUTS = ['weather', 'environmental']
 
 class EnhancedAutomatedPipeline {
   constructor() {
     this.logger = new Logger({ service: 'EnhancedAutomatedPipeline' })
     this.farmerLocationService = farmerLocationService
-    this.weatherService = openMeteoService
+    this.weatherService = weatherProviderService
     this.geeService = googleEarthEngineService
+    this.fieldService = farmFieldService
+    this.phenologyService = cropPhenologyService
+    this.irrigationScheduler = irrigationSchedulerService
+    this.riskModelService = cropRiskModelService
+    this.windowService = weatherWindowService
+    this.stationService = stationService
+    this.farmerService = farmerService
     this.notificationService = twilioService
     this.locationService = new LocationService()
+    this.stepRegistry = new PipelineStepRegistry()
+    this.registerDefaultSteps()
+  }
+
+  // Built-in steps; additional analyzers/recommenders can be added through this.stepRegistry.register()
+  registerDefaultSteps() {
+    const registry = this.stepRegistry
+
+    // Collectors
+    registry.register({
+      name: 'location',
+      kind: 'collector',
+      inputs: ['farmerInput'],
+      output: 'location',
+      description: 'Resolve farmer coordinates, zone and soil classification',
+      run: async ({ farmerInput }) => (await this.getFarmerLocation(farmerInput)).data
+    })
+    registry.register({
+      name: 'environmental',
+      kind: 'collector',
+      inputs: ['location'],
+      optionalInputs: ['field'],
+      output: 'environmental',
+      description: 'Satellite, soil and land use data from Google Earth Engine (field boundary when given)',
+      run: ({ location, field }) => this.collectEnvironmentalData(location.coordinates, field)
+    })
+    registry.register({
+      name: 'weather',
+      kind: 'collector',
+      inputs: ['location'],
+      output: 'weather',
+      description: 'Current conditions and daily forecast from the first healthy weather provider',
+      run: ({ location }) => this.collectWeatherData(location.coordinates)
+    })
+    registry.register({
+      name: 'phenology',
+      kind: 'collector',
+      inputs: ['farmerInput', 'location'],
+      optionalInputs: ['field', 'weather'],
+      output: 'cropStage',
+      description: 'Growth stage of the sown crop from growing degree days since sowing',
+      run: ({ farmerInput, location, field, weather }) => this.collectCropStage(farmerInput, location, field, weather)
+    })
+    registry.register({
+      name: 'irrigation',
+      kind: 'collector',
+      inputs: ['farmerInput', 'location', 'environmental', 'cropStage'],
+      optionalInputs: ['field'],
+      output: 'irrigationSchedule',
+      description: 'FAO-56 ET0 soil water balance with dated irrigation events for the sown crop',
+      run: ({ farmerInput, location, environmental, cropStage, field }) =>
+        this.collectIrrigationSchedule(farmerInput, location, environmental, cropStage, field)
+    })
+    registry.register({
+      name: 'riskModels',
+      kind: 'collector',
+      inputs: ['farmerInput', 'location'],
+      optionalInputs: ['field', 'cropStage'],
+      output: 'diseaseRisk',
+      description: 'Late blight, rice blast, wheat rust and bollworm risk curves from 14 days of hourly history plus forecast',
+      run: ({ farmerInput, location, field, cropStage }) => this.collectDiseaseRisk(farmerInput, location, field, cropStage)
+    })
+    registry.register({
+      name: 'weatherWindows',
+      kind: 'collector',
+      inputs: ['farmerInput', 'location'],
+      optionalInputs: ['field', 'cropStage'],
+      output: 'weatherWindows',
+      description: 'Next safe spraying, sowing and harvesting windows from the hourly forecast',
+      run: ({ farmerInput, location, field, cropStage }) => this.collectWeatherWindows(farmerInput, location, field, cropStage)
+    })
+    registry.register({
+      name: 'images',
+      kind: 'collector',
+      inputs: ['farmerInput'],
+      output: 'imageAnalysis',
+      description: 'Analysis of farmer-provided field images',
+      run: ({ farmerInput }) => this.processFarmerImages(farmerInput)
+    })
+
+    // Analyzers
+    registry.register({
+      name: 'soil',
+      kind: 'analyzer',
+      inputs: ['environmental', 'location'],
+      output: 'soilHealth',
+      run: ({ environmental, location }) => this.analyzeSoilHealth(environmental.soil || {}, location.soilClassification)
+    })
+    registry.register({
+      name: 'crops',
+      kind: 'analyzer',
+      inputs: ['location', 'weather'],
+      optionalInputs: ['environmental', 'cropStage'],
+      output: 'cropSuitability',
+      run: ({ location, environmental, weather, cropStage }) =>
+        this.analyzeCropSuitability(location, environmental || {}, weather, cropStage)
+    })
+    registry.register({
+      name: 'water',
+      kind: 'analyzer',
+      inputs: ['weather'],
+      optionalInputs: ['environmental', 'cropStage', 'irrigationSchedule'],
+      output: 'waterManagement',
+      run: ({ environmental, weather, cropStage, irrigationSchedule }) =>
+        this.analyzeWaterManagement(environmental || {}, weather, cropStage, irrigationSchedule)
+    })
+    registry.register({
+      name: 'pests',
+      kind: 'analyzer',
+      inputs: ['weather'],
+      optionalInputs: ['environmental', 'imageAnalysis', 'cropStage', 'diseaseRisk'],
+      output: 'pestRisk',
+      run: ({ environmental, weather, imageAnalysis, cropStage, diseaseRisk }) =>
+        this.analyzePestRisk(environmental || {}, weather, imageAnalysis, cropStage, diseaseRisk)
+    })
+    registry.register({
+      name: 'yield',
+      kind: 'analyzer',
+      inputs: ['weather', 'location'],
+      optionalInputs: ['environmental'],
+      output: 'yieldPotential',
+      run: ({ environmental, weather, location }) => this.analyzeYieldPotential(environmental || {}, weather, location)
+    })
+    registry.register({
+      name: 'climate',
+      kind: 'analyzer',
+      inputs: ['weather', 'location'],
+      output: 'climateAdaptation',
+      run: ({ weather, location }) => this.analyzeClimateAdaptation(weather, location)
+    })
+    registry.register({
+      name: 'imageInsights',
+      kind: 'analyzer',
+      inputs: ['imageAnalysis'],
+      output: 'imageInsights',
+      run: ({ imageAnalysis }) => this.extractImageInsights(imageAnalysis)
+    })
+
+    // Recommenders (run only when their insight is present)
+    const recommenders = [
+      ['soilRecommendations', 'soilHealth', insight => this.generateSoilRecommendations(insight)],
+      ['cropRecommendations', 'cropSuitability', insight => this.generateCropRecommendations(insight)],
+      ['waterRecommendations', 'waterManagement', insight => this.generateWaterRecommendations(insight)],
+      ['pestRecommendations', 'pestRisk', insight => this.generatePestRecommendations(insight)],
+      ['climateRecommendations', 'climateAdaptation', insight => this.generateClimateRecommendations(insight)],
+      ['imageRecommendations', 'imageInsights', insight => this.generateImageBasedRecommendations(insight)]
+    ]
+    recommenders.forEach(([name, insightKey, generate]) => {
+      registry.register({
+        name,
+        kind: 'recommender',
+        inputs: [insightKey],
+        output: name,
+        run: context => context[insightKey] ? generate(context[insightKey]) : []
+      })
+    })
+
+    // Notifiers
+    registry.register({
+      name: 'sms',
+      kind: 'notifier',
+      inputs: ['farmerInput', 'insights', 'recommendations', 'dataQuality'],
+      optionalInputs: ['weather', 'weatherWindows'],
+      output: 'notification',
+      description: 'SMS summary of insights, the next field-work window and top recommendation to the farmer',
+      run: ({ farmerInput, insights, recommendations, weather, dataQuality, weatherWindows }) =>
+        this.sendSMSNotification(farmerInput, insights, recommendations, weather, dataQuality, weatherWindows)
+    })
+  }
+
+  // Attach the registered profile for farmerInput.farmerId; contact details and consent come from the
+  // registry, so callers only pass the id. Callers that already loaded it (batch runs) pass profile
+  async resolveFarmerProfile(farmerInput) {
+    if (!farmerInput.farmerId || farmerInput.profile === null) return farmerInput
+
+    let profile = farmerInput.profile
+    if (profile === undefined) {
+      try {
+        profile = await this.farmerService.getFarmer(farmerInput.farmerId)
+      } catch (error) {
+        this.logger.warn('farmer_profile_lookup_failed', { farmerId: farmerInput.farmerId, error: error.message })
+      }
+    }
+    if (!profile) return { ...farmerInput, profile: null }
+
+    return {
+      ...farmerInput,
+      profile,
+      farmerName: farmerInput.farmerName || profile.name,
+      phoneNumber: profile.phoneNumber,
+      language: farmerInput.language || profile.language
+    }
   }
 
   // Main pipeline execution for farmer analysis
-  async executeFarmerPipeline(farmerInput) {
-    const pipelineId = `farmer_pipeline_${Date.now()}`
+  // options.onStepStart / options.onStepComplete receive progress for each step,
+  // options.signal (AbortSignal) stops the pipeline before the next step starts
+  // options.fieldId (stored field) or options.field ({ boundary, crop, ... }) runs the
+  // analysis for one field polygon instead of the point around the farmer's coordinates
+  // options.shareLookup(stepName, context, execute) lets batch runs answer a collector from a lookup
+  // already made for a nearby farmer instead of calling execute()
+  async executeFarmerPipeline(farmerInput, options = {}) {
+    const pipelineId = options.pipelineId || `farmer_pipeline_${Date.now()}`
     
     try {
+      farmerInput = await this.resolveFarmerProfile(farmerInput)
 
+      // Resolve which registered steps run for this request (all by default)
+      const selectedSteps = this.stepRegistry.resolve(options.steps || farmerInput.steps)
 
-      // Step 1: Get exact farmer location and coordinates
-      const locationData = await this.getFarmerLocation(farmerInput)
-      
-      // Step 2: Collect comprehensive environmental data
-      const environmentalData = await this.collectEnvironmentalData(locationData.data.coordinates)
-      
-      // Step 3: Get weather data and forecasts
-      const weatherData = await this.collectWeatherData(locationData.data.coordinates)
-      
-      // Step 4: Process any provided images with OpenCV-like analysis
-      const imageAnalysis = await this.processFarmerImages(farmerInput)
+      // Field-level runs are located at the field centroid and query GEE with its boundary
+      const field = await this.fieldService.resolvePipelineField({
+        farmerId: farmerInput.farmerId,
+        fieldId: options.fieldId || farmerInput.fieldId,
+        field: options.field || farmerInput.field
+      })
+      const context = {
+        farmerInput: field ? { ...farmerInput, coordinates: field.centroid } : farmerInput,
+        field
+      }
+
+      // Steps 1-4: Location first, then environmental (GEE), weather and images concurrently
+      await this.stepRegistry.execute('collector', selectedSteps, context, (step, execute) =>
+        this.runStep(step.name, options, options.shareLookup ? () => options.shareLookup(step.name, context, execute) : execute)
+      )
       
+      context.dataQuality = this.assessDataQuality(context)
+
       // Step 5: Generate comprehensive agricultural insights
-      const agriculturalInsights = await this.generateAgriculturalInsights(
-        locationData.data,
-        environmentalData,
-        weatherData,
-        imageAnalysis
+      const agriculturalInsights = await this.runStep('insights', options, () =>
+        this.generateAgriculturalInsights(
+          context.location,
+          context.environmental,
+          context.weather,
+          context.imageAnalysis,
+          selectedSteps,
+          { cropStage: context.cropStage, irrigationSchedule: context.irrigationSchedule, diseaseRisk: context.diseaseRisk }
+        )
       )
 
       // Step 6: Create actionable recommendations
-      const recommendations = await this.generateRecommendations(agriculturalInsights)
+      const recommendations = await this.runStep('recommendations', options, () =>
+        this.generateRecommendations(agriculturalInsights, selectedSteps)
+      )
 
       // Step 7: Send SMS notification with processed data
-      const notificationResult = await this.sendSMSNotification(
-        farmerInput,
-        agriculturalInsights,
-        recommendations,
-        weatherData
+      context.insights = agriculturalInsights
+      context.recommendations = recommendations
+      await this.stepRegistry.execute('notifier', selectedSteps, context, (step, execute) =>
+        this.runStep(step.name, options, execute)
       )
+      const notificationResult = context.notification || { success: true, method: 'Skipped', reason: 'SMS step not selected' }
 
       const result = {
         success: true,
         pipelineId,
         timestamp: new Date().toISOString(),
         farmerId: farmerInput.farmerId,
-        location: locationData.data,
+        steps: Array.from(selectedSteps),
+        field: field ? this.summarizeField(field) : null,
+        location: context.location,
+        cropStage: context.cropStage || null,
+        irrigationSchedule: context.irrigationSchedule || null,
+        diseaseRisk: context.diseaseRisk || null,
+        weatherWindows: context.weatherWindows || null,
         dataCollection: {
-          weather: weatherData,
-          environmental: environmentalData,
-          imageAnalysis: imageAnalysis
+          weather: context.weather,
+          environmental: context.environmental,
+          imageAnalysis: context.imageAnalysis
         },
         insights: agriculturalInsights,
         recommendations,
+        dataQuality: context.dataQuality,
         notification: notificationResult,
         summary: this.generateSummary(agriculturalInsights, recommendations)
       }
@@ -78,6 +342,22 @@ class EnhancedAutomatedPipeline {
       return result
 
     } catch (error) {
+      if (error.cancelled) {
+        this.logger.warn('farmer_pipeline_cancelled', { 
+          pipelineId, 
+          farmerId: farmerInput.farmerId,
+          step: error.step 
+        })
+
+        return {
+          success: false,
+          cancelled: true,
+          pipelineId,
+          error: error.message,
+          timestamp: new Date().toISOString()
+        }
+      }
+
       this.logger.error('farmer_pipeline_failed', { 
         pipelineId, 
         farmerId: farmerInput.farmerId,
@@ -94,6 +374,60 @@ class EnhancedAutomatedPipeline {
     }
   }
 
+  summarizeField(field) {
+    return {
+      id: field.id,
+      name: field.name,
+      areaHectares: field.areaHectares,
+      centroid: field.centroid,
+      boundingBox: field.boundingBox,
+      crop: field.crop || null,
+      sowingDate: field.sowingDate || null
+    }
+  }
+
+  // Source, freshness and confidence of each collected input
+  assessDataQuality(context) {
+    return summarizeDataQuality({
+      location: getProvenance(context.location),
+      environmental: getProvenance(context.environmental),
+      weather: getProvenance(context.weather),
+      cropStage: getProvenance(context.cropStage),
+      diseaseRisk: getProvenance(context.diseaseRisk),
+      images: getProvenance(context.imageAnalysis)
+    }, SMS_KEY_INPUTS)
+  }
+
+  // Run a single pipeline step, reporting progress and honouring cancellation
+  async runStep(step, options, stepFn) {
+    if (options.signal?.aborted) {
+      const error = new Error(`Pipeline cancelled before step: ${step}`)
+      error.cancelled = true
+      error.step = step
+      throw error
+    }
+
+    const startedAt = Date.now()
+    options.onStepStart?.(step)
+
+    try {
+      const result = await stepFn()
+
+      options.onStepComplete?.(step, {
+        durationMs: Date.now() - startedAt,
+        result
+      })
+
+      return result
+    } catch (error) {
+      options.onStepFailed?.(step, {
+        durationMs: Date.now() - startedAt,
+        error: error.message
+      })
+      throw error
+    }
+  }
+
   // Step 1: Get exact farmer location and coordinates
   async getFarmerLocation(farmerInput) {
     try {
@@ -128,6 +462,14 @@ class EnhancedAutomatedPipeline {
         confidence: locationData.data.confidence
       })
 
+      const isFallback = !locationData.success || isFallbackValue(locationData.data.coordinates)
+      locationData.data = attachProvenance(locationData.data, createProvenance({
+        source: isFallback ? DATA_SOURCES.FALLBACK : DATA_SOURCES.LIVE,
+        provider: locationData.data.coordinates?.source || (processedInput.coordinates ? 'Farmer input' : 'Geocoding'),
+        fetchedAt: locationData.data.timestamp,
+        confidence: isFallback ? 'low' : confidenceLevel(locationData.data.confidence)
+      }))
+
       return locationData
     } catch (error) {
       this.logger.error('location_data_collection_failed', { 
@@ -139,15 +481,13 @@ class EnhancedAutomatedPipeline {
   }
 
   // Step 2: Collect comprehensive environmental data from Google Earth Engine
-  async collectEnvironmentalData(coordinates) {
+  async collectEnvironmentalData(coordinates, field = null) {
     try {
-      this.logger.info('environmental_data_collection_started', { coordinates })
+      this.logger.info('environmental_data_collection_started', { coordinates, fieldId: field?.id })
       
-      const region = {
-        name: 'Farmer Field',
-        lat: coordinates.lat,
-        lon: coordinates.lon
-      }
+      const region = field
+        ? this.fieldService.toRegion(field)
+        : { name: 'Farmer Field', lat: coordinates.lat, lon: coordinates.lon }
 
       // Get comprehensive satellite and soil data
       const [satelliteData, soilData, landUseData] = await Promise.all([
@@ -156,20 +496,32 @@ class EnhancedAutomatedPipeline {
         this.geeService.getLandUseData(region)
       ])
 
+      // GEE falls back internally per dataset, so each part gets its own provenance
+      const fetchedAt = new Date().toISOString()
+      const tag = (value, provider) => attachProvenance(value, createProvenance({
+        source: isFallbackValue(value) ? DATA_SOURCES.FALLBACK : DATA_SOURCES.LIVE,
+        provider,
+        fetchedAt
+      }))
+
       const environmentalData = {
-        satellite: satelliteData,
-        soil: soilData,
-        landUse: landUseData,
-        timestamp: new Date().toISOString(),
+        satellite: tag(satelliteData, 'Google Earth Engine'),
+        soil: tag(soilData, 'Google Earth Engine'),
+        landUse: tag(landUseData, 'Google Earth Engine (ESA WorldCover)'),
+        timestamp: fetchedAt,
         source: 'Google Earth Engine + Enhanced Analysis'
       }
+      environmentalData.provenance = combineProvenance(
+        [environmentalData.satellite, environmentalData.soil, environmentalData.landUse].map(getProvenance),
+        'Google Earth Engine'
+      )
 
       this.logger.info('environmental_data_collection_completed', { 
         coordinates,
         dataTypes: Object.keys(environmentalData).filter(key => key !== 'timestamp' && key !== 'source')
       })
 
-      return environmentalData
+      return this.applyStationSoilReadings(environmentalData, coordinates)
     } catch (error) {
       this.logger.error('environmental_data_collection_failed', { 
         coordinates, 
@@ -177,10 +529,44 @@ class EnhancedAutomatedPipeline {
       })
       
       // Return fallback data when services are unavailable
-      return this.getFallbackEnvironmentalData(coordinates)
+      return this.applyStationSoilReadings(this.getFallbackEnvironmentalData(coordinates), coordinates)
     }
   }
 
+  // A fresh soil probe reading near the farm replaces the satellite (SMAP, ~9 km) or fallback
+  // soil moisture and temperature
+  async applyStationSoilReadings(environmentalData, coordinates) {
+    let found = null
+    try {
+      found = await this.stationService.findFreshReading(coordinates.lat, coordinates.lon, { field: 'soilMoisture' })
+    } catch (error) {
+      if (error.status !== 503) this.logger.warn('station_soil_lookup_failed', { coordinates, error: error.message })
+    }
+    if (!found || !environmentalData.soil) return environmentalData
+
+    const { station, reading, ageMinutes } = found
+    const provenance = createProvenance({ source: DATA_SOURCES.LIVE, provider: `Soil probe: ${station.name}`, fetchedAt: reading.observedAt })
+    const measuredBy = { ...station, observedAt: reading.observedAt, ageMinutes }
+
+    environmentalData.soil.soilMoisture = attachProvenance({
+      value: reading.soilMoisture,
+      unit: 'm³/m³',
+      interpretation: this.geeService.interpretSoilMoisture(reading.soilMoisture),
+      station: measuredBy
+    }, provenance)
+    if (reading.soilTemperature !== null) {
+      environmentalData.soil.soilTemperature = attachProvenance({
+        value: reading.soilTemperature,
+        unit: '°C',
+        interpretation: this.geeService.interpretSoilTemperature(reading.soilTemperature),
+        station: measuredBy
+      }, provenance)
+    }
+
+    this.logger.info('station_soil_reading_applied', { stationId: station.id, distanceKm: station.distanceKm, ageMinutes })
+    return environmentalData
+  }
+
   // Step 3: Collect weather data and forecasts
   async collectWeatherData(coordinates) {
     try {
@@ -193,11 +579,22 @@ class EnhancedAutomatedPipeline {
 
       // Enhance weather data with agricultural insights
       const enhancedWeather = this.enhanceWeatherData(currentWeather, dailyForecast)
+      // A synthetic provider (fixture) answering after failover is no better than the static fallback.
+      // Current conditions may come from a nearby station while the forecast comes from a model
+      const provenanceOf = response => createProvenance({
+        source: response.synthetic ? DATA_SOURCES.FALLBACK : DATA_SOURCES.LIVE,
+        provider: response.station?.name ? `${response.providerLabel}: ${response.station.name}` : response.providerLabel
+      })
+      enhancedWeather.current = attachProvenance(enhancedWeather.current, provenanceOf(currentWeather))
+      enhancedWeather.forecast = attachProvenance(enhancedWeather.forecast, provenanceOf(dailyForecast))
+      enhancedWeather.provenance = combineProvenance([getProvenance(enhancedWeather.current), getProvenance(enhancedWeather.forecast)], 'Weather providers')
+      if (currentWeather.station) enhancedWeather.current.station = currentWeather.station
       
       this.logger.info('weather_data_collection_completed', { 
         coordinates,
         currentTemp: enhancedWeather.current?.temperature,
-        forecastDays: enhancedWeather.forecast?.daily?.time?.length || 0
+        provider: currentWeather.provider,
+        forecastDays: enhancedWeather.forecast?.days?.length || 0
       })
 
       return enhancedWeather
@@ -211,6 +608,105 @@ class EnhancedAutomatedPipeline {
     }
   }
 
+  // Growth stage of the crop on the field (or named in the input); null when no crop/sowing date
+  async collectCropStage(farmerInput, locationData, field, weatherData) {
+    const crop = farmerInput.crop || field?.crop
+    const sowingDate = farmerInput.sowingDate || field?.sowingDate
+    if (!crop || !sowingDate) return null
+
+    try {
+      const cropStage = await this.phenologyService.estimateStage({
+        crop,
+        sowingDate,
+        lat: locationData.coordinates.lat,
+        lon: locationData.coordinates.lon,
+        forecastDays: isFallbackValue(weatherData) ? null : weatherData?.forecast?.days
+      })
+
+      this.logger.info('crop_stage_estimated', {
+        farmerId: farmerInput.farmerId,
+        crop: cropStage.crop,
+        stage: cropStage.stage.key,
+        method: cropStage.method
+      })
+
+      return attachProvenance(cropStage, createProvenance({
+        source: cropStage.method === 'gdd' ? DATA_SOURCES.LIVE : DATA_SOURCES.FALLBACK,
+        provider: cropStage.method === 'gdd' ? 'Open-Meteo GDD' : 'Typical crop calendar',
+        confidence: cropStage.method === 'gdd' ? 'high' : 'low'
+      }))
+    } catch (error) {
+      this.logger.warn('crop_stage_estimation_failed', { farmerId: farmerInput.farmerId, crop, error: error.message })
+      return null
+    }
+  }
+
+  // Irrigation schedule for the sown crop; null without a crop stage
+  async collectIrrigationSchedule(farmerInput, locationData, environmentalData, cropStage, field) {
+    if (!cropStage) return null
+
+    try {
+      const schedule = await this.irrigationScheduler.createSchedule({
+        lat: locationData.coordinates.lat,
+        lon: locationData.coordinates.lon,
+        cropStage,
+        soil: environmentalData?.soil,
+        areaHectares: field?.areaHectares || farmerInput.areaHectares || null,
+        irrigationMethod: farmerInput.irrigationMethod
+      })
+
+      return attachProvenance(schedule, createProvenance({
+        source: DATA_SOURCES.LIVE,
+        provider: 'FAO-56 Penman-Monteith (Open-Meteo)',
+        confidence: schedule.soil.initialMoistureSource.startsWith('Assumed') ? 'medium' : 'high'
+      }))
+    } catch (error) {
+      this.logger.warn('irrigation_schedule_failed', { farmerId: farmerInput.farmerId, error: error.message })
+      return null
+    }
+  }
+
+  // Disease/pest risk curves for the farmer's crop (every modelled crop when none is known)
+  async collectDiseaseRisk(farmerInput, locationData, field, cropStage) {
+    try {
+      const assessment = await this.riskModelService.assess({
+        lat: locationData.coordinates.lat,
+        lon: locationData.coordinates.lon,
+        crop: cropStage?.crop || field?.crop || farmerInput.crop || null
+      })
+
+      return attachProvenance(assessment, createProvenance({
+        source: DATA_SOURCES.LIVE,
+        provider: `${assessment.provider || 'weather'} hourly (14-day history + forecast)`,
+        confidence: 'medium'
+      }))
+    } catch (error) {
+      this.logger.warn('disease_risk_failed', { farmerId: farmerInput.farmerId, error: error.message })
+      return null
+    }
+  }
+
+  // Spraying/sowing/harvesting windows for the farmer's crop; null when the hourly forecast fails
+  async collectWeatherWindows(farmerInput, locationData, field, cropStage) {
+    try {
+      const windows = await this.windowService.find({
+        lat: locationData.coordinates.lat,
+        lon: locationData.coordinates.lon,
+        crop: cropStage?.crop || field?.crop || farmerInput.crop || null,
+        cropStage
+      })
+
+      return attachProvenance(windows, createProvenance({
+        source: DATA_SOURCES.LIVE,
+        provider: `${windows.provider} hourly forecast`,
+        confidence: 'medium'
+      }))
+    } catch (error) {
+      this.logger.warn('weather_windows_failed', { farmerId: farmerInput.farmerId, error: error.message })
+      return null
+    }
+  }
+
   // Step 4: Process farmer images with OpenCV-like analysis
   async processFarmerImages(farmerInput) {
     try {
@@ -243,6 +739,11 @@ class EnhancedAutomatedPipeline {
       }
 
       const analysisSummary = this.summarizeImageAnalysis(imageResults)
+      imageResults = imageResults.map(result => attachProvenance(result, createProvenance({
+        source: result.error || this.isFallbackImageAnalysis(result) ? DATA_SOURCES.FALLBACK : DATA_SOURCES.LIVE,
+        provider: 'ImageProcessingService',
+        fetchedAt: result.timestamp
+      })))
       
       this.logger.info('image_processing_completed', { 
         farmerId: farmerInput.farmerId,
@@ -254,7 +755,8 @@ class EnhancedAutomatedPipeline {
         success: true,
         data: imageResults,
         summary: analysisSummary,
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        provenance: combineProvenance(imageResults.map(getProvenance), 'ImageProcessingService')
       }
 
     } catch (error) {
@@ -267,7 +769,8 @@ class EnhancedAutomatedPipeline {
         success: false,
         error: error.message,
         data: this.getFallbackImageAnalysis(),
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        provenance: createProvenance({ source: DATA_SOURCES.FALLBACK, provider: 'ImageProcessingService', note: error.message })
       }
     }
   }
@@ -280,10 +783,9 @@ class EnhancedAutomatedPipeline {
       if (image.type === 'base64') {
         imageBuffer = Buffer.from(image.data, 'base64')
       } else if (image.url) {
-        const response = await fetch(image.url)
+        const response = await safeFetch(image.url)
         if (!response.ok) throw new Error(`Failed to fetch image: ${response.status}`)
-        const arrayBuffer = await response.arrayBuffer()
-        imageBuffer = Buffer.from(arrayBuffer)
+        imageBuffer = response.buffer
       } else if (image.file) {
         imageBuffer = image.file
       } else {
@@ -326,21 +828,41 @@ class EnhancedAutomatedPipeline {
     }
   }
 
+  // Image analyses flag their own heuristic fallbacks (see imageProcessingService)
+  isFallbackImageAnalysis(imageResult) {
+    return ['comprehensive', 'cropHealth', 'soil', 'disease'].some(key => {
+      const data = imageResult[key]?.data
+      return isFallbackValue(data) || isFallbackValue(data?.results)
+    })
+  }
+
   // Step 5: Generate comprehensive agricultural insights
-  async generateAgriculturalInsights(locationData, environmentalData, weatherData, imageAnalysis) {
+  // additionalInputs carries outputs of other collectors (e.g. cropStage) to the analyzers
+  async generateAgriculturalInsights(locationData, environmentalData, weatherData, imageAnalysis, selectedSteps = this.stepRegistry.resolve(), additionalInputs = {}) {
     try {
       this.logger.info('agricultural_insights_generation_started')
       
-      const insights = {
-        soilHealth: this.analyzeSoilHealth(environmentalData.soil, locationData.soilClassification),
-        cropSuitability: this.analyzeCropSuitability(locationData, environmentalData, weatherData),
-        waterManagement: this.analyzeWaterManagement(environmentalData, weatherData),
-        pestRisk: this.analyzePestRisk(environmentalData, weatherData, imageAnalysis),
-        yieldPotential: this.analyzeYieldPotential(environmentalData, weatherData, locationData),
-        climateAdaptation: this.analyzeClimateAdaptation(weatherData, locationData),
-        imageInsights: this.extractImageInsights(imageAnalysis),
-        timestamp: new Date().toISOString()
+      const context = {
+        ...additionalInputs,
+        location: locationData,
+        environmental: environmentalData,
+        weather: weatherData,
+        imageAnalysis
       }
+      await this.stepRegistry.execute('analyzer', selectedSteps, context)
+
+      // Each insight inherits the weakest provenance of the inputs it was derived from
+      const insights = {}
+      this.stepRegistry.list('analyzer')
+        .filter(step => selectedSteps.has(step.name))
+        .forEach(step => {
+          const provenance = combineProvenance(
+            [...step.inputs, ...step.optionalInputs].map(input => getProvenance(context[input])),
+            step.name
+          )
+          insights[step.output] = provenance ? attachProvenance(context[step.output], provenance) : context[step.output]
+        })
+      insights.timestamp = new Date().toISOString()
 
       this.logger.info('agricultural_insights_generation_completed', { 
         insightTypes: Object.keys(insights).filter(key => key !== 'timestamp')
@@ -354,41 +876,24 @@ class EnhancedAutomatedPipeline {
   }
 
   // Step 6: Generate actionable recommendations
-  async generateRecommendations(insights) {
+  async generateRecommendations(insights, selectedSteps = this.stepRegistry.resolve()) {
     try {
       this.logger.info('recommendations_generation_started')
       
-      const recommendations = []
-
-      // Soil management recommendations
-      if (insights.soilHealth) {
-        recommendations.push(...this.generateSoilRecommendations(insights.soilHealth))
-      }
-
-      // Crop selection recommendations
-      if (insights.cropSuitability) {
-        recommendations.push(...this.generateCropRecommendations(insights.cropSuitability))
-      }
-
-      // Water management recommendations
-      if (insights.waterManagement) {
-        recommendations.push(...this.generateWaterRecommendations(insights.waterManagement))
-      }
-
-      // Pest management recommendations
-      if (insights.pestRisk) {
-        recommendations.push(...this.generatePestRecommendations(insights.pestRisk))
-      }
-
-      // Climate adaptation recommendations
-      if (insights.climateAdaptation) {
-        recommendations.push(...this.generateClimateRecommendations(insights.climateAdaptation))
-      }
-
-      // Image-based recommendations
-      if (insights.imageInsights) {
-        recommendations.push(...this.generateImageBasedRecommendations(insights.imageInsights))
-      }
+      const context = { ...insights }
+      await this.stepRegistry.execute('recommender', selectedSteps, context)
+
+      // Recommendations carry the provenance of the insight they were built on
+      const recommendations = this.stepRegistry.list('recommender')
+        .filter(step => selectedSteps.has(step.name))
+        .flatMap(step => {
+          const provenance = combineProvenance(step.inputs.map(input => getProvenance(context[input])), step.name)
+          return (context[step.output] || []).map(recommendation => ({
+            ...recommendation,
+            basedOnFallback: !!provenance?.basedOnFallback,
+            provenance
+          }))
+        })
 
       // Prioritize recommendations by impact and urgency
       const prioritizedRecommendations = this.prioritizeRecommendations(recommendations)
@@ -450,12 +955,13 @@ class EnhancedAutomatedPipeline {
     return health
   }
 
-  analyzeCropSuitability(locationData, environmentalData, weatherData) {
+  analyzeCropSuitability(locationData, environmentalData, weatherData, cropStage = null) {
     const suitability = {
       bestCrops: [],
       goodCrops: [],
       avoidCrops: [],
-      reasoning: {}
+      reasoning: {},
+      cropStage: this.summarizeCropStage(cropStage)
     }
 
     // Get dynamic coordinates for location-based recommendations
@@ -467,8 +973,8 @@ class EnhancedAutomatedPipeline {
     const cropDatabase = this.getCropRecommendationsByLocation(lat, lon, weather, environmentalData)
     
     // Temperature-based filtering
-    const currentTemp = weather?.temperature_2m || weather?.temperature || 25
-    const humidity = weather?.relative_humidity_2m || weather?.humidity || 60
+    const currentTemp = weather?.temperature ?? 25
+    const humidity = weather?.humidity ?? 60
     
     // Filter crops based on current environmental conditions
     cropDatabase.forEach(crop => {
@@ -492,6 +998,17 @@ class EnhancedAutomatedPipeline {
         suitabilityScore += 2
         reasons.push(`Good humidity (${humidity}%)`)
       }
+
+      // Crop calendar: sowing now vs. outside the crop's usual window
+      if (crop.sowingWindow) {
+        if (crop.sowingWindow.inSowingWindow) {
+          suitabilityScore += 1
+          reasons.push('In sowing window')
+        } else {
+          suitabilityScore -= 1
+          reasons.push(`Outside sowing window (${crop.sowingWindow.sowingMonths.join('/')})`)
+        }
+      }
       
       // Soil suitability (from environmental data)
       if (environmentalData.soil && environmentalData.soil.soilMoisture) {
@@ -567,13 +1084,19 @@ class EnhancedAutomatedPipeline {
     return suitability
   }
 
-  analyzeWaterManagement(environmentalData, weatherData) {
+  analyzeWaterManagement(environmentalData, weatherData, cropStage = null, irrigationSchedule = null) {
     const waterManagement = {
       irrigationNeeds: 'Moderate',
       drainageNeeds: 'Low',
       waterConservation: [],
       floodRisk: 'Low',
-      droughtRisk: 'Moderate'
+      droughtRisk: 'Moderate',
+      cropStage: this.summarizeCropStage(cropStage),
+      irrigationSchedule: irrigationSchedule ? {
+        method: irrigationSchedule.method,
+        events: irrigationSchedule.events,
+        ...irrigationSchedule.summary
+      } : null
     }
 
     if (environmentalData.soil && environmentalData.soil.soilMoisture) {
@@ -590,33 +1113,61 @@ class EnhancedAutomatedPipeline {
       }
     }
 
-    if (weatherData.forecast && weatherData.forecast.daily) {
-      const precipitation = weatherData.forecast.daily.precipitation_sum
-      if (precipitation && precipitation.some(p => p > 50)) {
+    if (weatherData.forecast?.days) {
+      if (weatherData.forecast.days.some(day => day.precipitation > 50)) {
         waterManagement.floodRisk = 'High'
         waterManagement.waterConservation.push('Prepare for heavy rainfall')
       }
     }
 
+    // The soil water balance replaces threshold guesses about irrigation need
+    if (irrigationSchedule) {
+      const next = irrigationSchedule.summary.nextIrrigation
+      const daysUntil = next ? Math.round((new Date(next.date) - new Date(new Date().toISOString().slice(0, 10))) / 86400000) : null
+      waterManagement.irrigationNeeds = next === null ? 'Low' : daysUntil <= 2 ? 'High' : 'Moderate'
+    }
+
     return waterManagement
   }
 
-  analyzePestRisk(environmentalData, weatherData, imageAnalysis) {
+  analyzePestRisk(environmentalData, weatherData, imageAnalysis, cropStage = null, diseaseRisk = null) {
     const pestRisk = {
       overall: 'Low',
       factors: [],
-      recommendations: []
-    }
-
-    // Weather-based pest risk
-    if (weatherData.current && weatherData.current.relative_humidity_2m > 80) {
-      pestRisk.factors.push('High humidity - favorable for fungal diseases')
-      pestRisk.recommendations.push('Monitor for fungal infections')
-    }
+      recommendations: [],
+      cropStage: this.summarizeCropStage(cropStage),
+      models: []
+    }
+
+    if (diseaseRisk?.models?.length) {
+      // Model curves replace the single current humidity/temperature check
+      pestRisk.models = diseaseRisk.models.map(model => ({
+        key: model.key,
+        name: model.name,
+        type: model.type,
+        crop: model.crop,
+        currentRisk: model.currentRisk,
+        peak: model.peak,
+        nextHighRiskDate: model.nextHighRiskDate,
+        advice: model.advice
+      }))
+      pestRisk.models
+        .filter(model => model.peak && model.peak.risk !== 'Low')
+        .forEach(model => {
+          pestRisk.factors.push(`${model.name} (${model.crop}): ${model.peak.risk} risk on ${model.peak.date}`)
+          pestRisk.recommendations.push(model.advice)
+        })
+    } else {
+      // Weather-based pest risk
+      if (weatherData.current && weatherData.current.humidity > 80) {
+        pestRisk.factors.push('High humidity - favorable for fungal diseases')
+        pestRisk.recommendations.push('Monitor for fungal infections')
+      }
 
-    if (weatherData.current && weatherData.current.temperature_2m > 25) {
-      pestRisk.factors.push('Warm temperature - favorable for insect pests')
-      pestRisk.recommendations.push('Check for insect infestations')
+      if (weatherData.current && weatherData.current.temperature > 25) {
+        pestRisk.factors.push('Warm temperature - favorable for insect pests')
+        pestRisk.recommendations.push('Check for insect infestations')
+      }
     }
 
     // Image-based pest detection
@@ -637,9 +1188,16 @@ class EnhancedAutomatedPipeline {
       })
     }
 
-    // Calculate overall risk
+    // Stage sensitivity (flowering and grain/pod fill) only matters when conditions favour pests
+    if (cropStage?.advice.pestSensitivity === 'High' && pestRisk.factors.length > 0) {
+      pestRisk.factors.push(`${cropStage.crop} at ${cropStage.stage.name} - most pest-sensitive stage`)
+      pestRisk.recommendations.push(cropStage.advice.pests)
+    }
+
+    // Calculate overall risk; a model peaking at High makes the whole assessment High
     if (pestRisk.factors.length >= 3) pestRisk.overall = 'High'
     else if (pestRisk.factors.length >= 1) pestRisk.overall = 'Moderate'
+    if (pestRisk.models.some(model => model.peak?.risk === 'High')) pestRisk.overall = 'High'
 
     return pestRisk
   }
@@ -677,8 +1235,8 @@ class EnhancedAutomatedPipeline {
     }
 
     // Weather impact
-    if (weatherData.current && weatherData.current.temperature_2m) {
-      const temp = weatherData.current.temperature_2m
+    if (typeof weatherData.current?.temperature === 'number') {
+      const temp = weatherData.current.temperature
       if (temp >= 20 && temp <= 30) {
         yieldPotential.factors.push('Optimal temperature range')
         yieldPotential.score += 10
@@ -706,17 +1264,16 @@ class EnhancedAutomatedPipeline {
       opportunities: []
     }
 
-    if (weatherData.forecast && weatherData.forecast.daily) {
-      const temps = weatherData.forecast.daily.temperature_2m_max
-      const precip = weatherData.forecast.daily.precipitation_sum
+    if (weatherData.forecast?.days) {
+      const { days } = weatherData.forecast
 
-      if (temps && temps.some(t => t > 35)) {
+      if (days.some(day => day.tmax > 35)) {
         adaptation.risks.push('Heat stress periods')
         adaptation.strategies.push('Implement shade structures')
         adaptation.strategies.push('Use heat-tolerant crop varieties')
       }
 
-      if (precip && precip.some(p => p > 30)) {
+      if (days.some(day => day.precipitation > 30)) {
         adaptation.risks.push('Heavy rainfall events')
         adaptation.strategies.push('Improve drainage systems')
         adaptation.strategies.push('Plant flood-tolerant crops')
@@ -861,11 +1418,28 @@ class EnhancedAutomatedPipeline {
       }
     ]
 
-    // Filter crops suitable for the current region
+    // Filter crops suitable for the current region and attach their sowing window
     const regionType = this.getRegionType(lat, lon)
-    return cropDatabase.filter(crop => 
-      crop.regions.includes('all') || crop.regions.includes(regionType)
-    )
+    return cropDatabase
+      .filter(crop => crop.regions.includes('all') || crop.regions.includes(regionType))
+      .map(crop => ({ ...crop, sowingWindow: getSowingWindow(crop.name) }))
+  }
+
+  // Compact crop stage carried on insights so recommenders can phrase stage-specific advice
+  summarizeCropStage(cropStage) {
+    if (!cropStage) return null
+    return {
+      crop: cropStage.crop,
+      stage: cropStage.stage.name,
+      phase: cropStage.stage.phase,
+      daysAfterSowing: cropStage.daysAfterSowing,
+      daysToNextStage: cropStage.daysToNextStage,
+      advice: cropStage.advice
+    }
+  }
+
+  stageTimeframe(cropStage) {
+    return cropStage.daysToNextStage ? `Next ${cropStage.daysToNextStage} days` : 'Current stage'
   }
 
   // Helper method to determine region type based on coordinates
@@ -937,6 +1511,17 @@ class EnhancedAutomatedPipeline {
 
   generateCropRecommendations(cropSuitability) {
     const recommendations = []
+    const stage = cropSuitability.cropStage
+
+    if (stage) {
+      recommendations.push({
+        priority: 'High',
+        category: 'Crop Nutrition',
+        action: `${stage.crop} (${stage.stage}): ${stage.advice.nutrients}`,
+        impact: 'High',
+        timeframe: this.stageTimeframe(stage)
+      })
+    }
     
     if (cropSuitability.bestCrops.length > 0) {
       recommendations.push({
@@ -963,8 +1548,37 @@ class EnhancedAutomatedPipeline {
 
   generateWaterRecommendations(waterManagement) {
     const recommendations = []
+    const stage = waterManagement.cropStage
+
+    if (stage) {
+      recommendations.push({
+        priority: stage.advice.irrigationCritical ? 'High' : 'Medium',
+        category: 'Water Management',
+        action: `${stage.crop} (${stage.stage}): ${stage.advice.irrigation}`,
+        impact: stage.advice.irrigationCritical ? 'High' : 'Medium',
+        timeframe: this.stageTimeframe(stage)
+      })
+    }
     
-    if (waterManagement.irrigationNeeds === 'High') {
+    const schedule = waterManagement.irrigationSchedule
+    if (schedule?.nextIrrigation) {
+      const next = schedule.nextIrrigation
+      recommendations.push({
+        priority: waterManagement.irrigationNeeds === 'High' ? 'High' : 'Medium',
+        category: 'Irrigation Schedule',
+        action: `Irrigate ${next.grossDepthMm} mm on ${next.date} (${schedule.method})`,
+        impact: 'High',
+        timeframe: next.date
+      })
+    } else if (schedule) {
+      recommendations.push({
+        priority: 'Low',
+        category: 'Irrigation Schedule',
+        action: `No irrigation needed for the next ${schedule.days} days`,
+        impact: 'Medium',
+        timeframe: `${schedule.days} days`
+      })
+    } else if (waterManagement.irrigationNeeds === 'High') {
       recommendations.push({
         priority: 'High',
         category: 'Water Management',
@@ -989,7 +1603,30 @@ class EnhancedAutomatedPipeline {
 
   generatePestRecommendations(pestRisk) {
     const recommendations = []
+    const stage = pestRisk.cropStage
+
+    if (stage) {
+      recommendations.push({
+        priority: stage.advice.pestSensitivity === 'High' ? 'High' : 'Medium',
+        category: 'Pest Management',
+        action: `${stage.crop} (${stage.stage}): ${stage.advice.pests}`,
+        impact: stage.advice.pestSensitivity === 'High' ? 'High' : 'Medium',
+        timeframe: this.stageTimeframe(stage)
+      })
+    }
     
+    // Dated actions from the disease/pest risk models
+    const elevatedModels = (pestRisk.models || []).filter(model => model.peak && model.peak.risk !== 'Low')
+    elevatedModels.forEach(model => {
+      recommendations.push({
+        priority: model.peak.risk === 'High' ? 'High' : 'Medium',
+        category: model.type === 'pest' ? 'Pest Management' : 'Disease Prevention',
+        action: `${model.name} (${model.crop}): ${model.advice}`,
+        impact: model.peak.risk === 'High' ? 'High' : 'Medium',
+        timeframe: `Before ${model.nextHighRiskDate || model.peak.date}`
+      })
+    })
+
     if (pestRisk.overall === 'High') {
       recommendations.push({
         priority: 'High',
@@ -1059,29 +1696,29 @@ class EnhancedAutomatedPipeline {
   enhanceWeatherData(current, daily) {
     return {
       current: {
-        temperature: current?.current?.temperature_2m,
-        humidity: current?.current?.relative_humidity_2m,
-        windSpeed: current?.current?.wind_speed_10m,
+        temperature: current?.current?.temperature,
+        humidity: current?.current?.humidity,
+        windSpeed: current?.current?.windSpeed,
         timestamp: current?.current?.time
       },
-      forecast: daily,
-      agriculturalImpact: this.calculateWeatherAgriculturalImpact(current, daily)
+      forecast: { timezone: daily?.timezone || null, days: daily?.days || [] },
+      agriculturalImpact: this.calculateWeatherAgriculturalImpact(current)
     }
   }
 
-  calculateWeatherAgriculturalImpact(current, daily) {
+  calculateWeatherAgriculturalImpact(current) {
     const impact = {
       irrigation: 'Not needed',
       pestRisk: 'Low',
       cropStress: 'Low'
     }
 
-    if (current?.current?.temperature_2m > 30) {
+    if (current?.current?.temperature > 30) {
       impact.irrigation = 'May be needed'
       impact.cropStress = 'Moderate'
     }
 
-    if (current?.current?.relative_humidity_2m > 80) {
+    if (current?.current?.humidity > 80) {
       impact.pestRisk = 'Moderate'
     }
 
@@ -1157,6 +1794,7 @@ class EnhancedAutomatedPipeline {
     // Generate realistic fallback data based on actual location
     const baseNDVI = this.generateRealisticNDVI(coordinates.lat, coordinates.lon)
     const soilData = this.generateRealisticSoilData(regionInfo)
+    const provenance = createProvenance({ source: DATA_SOURCES.FALLBACK, provider: 'Location-Based Fallback Data' })
     
     return {
       satellite: {
@@ -1166,7 +1804,8 @@ class EnhancedAutomatedPipeline {
         source: 'Location-Based Fallback Data',
         quality: 'medium',
         region: regionInfo.region,
-        state: regionInfo.state
+        state: regionInfo.state,
+        provenance
       },
       soil: {
         soilMoisture: { 
@@ -1191,7 +1830,8 @@ class EnhancedAutomatedPipeline {
         },
         soilTexture: soilData.texture,
         soilType: regionInfo.soilType,
-        region: regionInfo.region
+        region: regionInfo.region,
+        provenance
       },
       landUse: {
         landCoverTypes: [
@@ -1201,11 +1841,13 @@ class EnhancedAutomatedPipeline {
         ],
         dominantCover: 'Cultivated and managed vegetation',
         majorCrops: regionInfo.majorCrops,
-        climate: regionInfo.climate
+        climate: regionInfo.climate,
+        provenance
       },
       timestamp: new Date().toISOString(),
       source: 'Location-Based Fallback Data',
-      note: 'Using agricultural region data for coordinates: ' + coordinates.lat + ', ' + coordinates.lon
+      note: 'Using agricultural region data for coordinates: ' + coordinates.lat + ', ' + coordinates.lon,
+      provenance
     }
   }
 
@@ -1375,25 +2017,30 @@ class EnhancedAutomatedPipeline {
   }
 
   getFallbackWeatherData(coordinates) {
+    const provenance = createProvenance({ source: DATA_SOURCES.FALLBACK, provider: 'Static weather fallback' })
+
     return {
       current: {
         temperature: 28,
         humidity: 65,
         windSpeed: 12,
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        provenance
       },
       forecast: {
-        daily: {
-          time: ['2024-01-01', '2024-01-02', '2024-01-03'],
-          temperature_2m_max: [30, 32, 29],
-          precipitation_sum: [0, 5, 0]
-        }
+        days: [
+          { date: '2024-01-01', tmax: 30, precipitation: 0 },
+          { date: '2024-01-02', tmax: 32, precipitation: 5 },
+          { date: '2024-01-03', tmax: 29, precipitation: 0 }
+        ],
+        provenance
       },
       agriculturalImpact: {
         irrigation: 'May be needed',
         pestRisk: 'Low',
         cropStress: 'Low'
-      }
+      },
+      provenance
     }
   }
 
@@ -1418,7 +2065,8 @@ class EnhancedAutomatedPipeline {
         issues: [],
         overallHealth: 'Good'
       },
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
+      provenance: createProvenance({ source: DATA_SOURCES.FALLBACK, provider: 'Fallback image analysis' })
     }
   }
 
@@ -1432,43 +2080,57 @@ class EnhancedAutomatedPipeline {
   }
 
   getFallbackAgriculturalInsights() {
+    const provenance = { ...createProvenance({ source: DATA_SOURCES.FALLBACK, provider: 'Default insights' }), basedOnFallback: true }
+
     return {
-      soilHealth: { overall: 'Good', score: 75, issues: [], strengths: ['Optimal soil moisture'], recommendations: [] },
-      cropSuitability: { bestCrops: ['Wheat', 'Cotton'], goodCrops: ['Pulses'], avoidCrops: [], reasoning: {} },
-      waterManagement: { irrigationNeeds: 'Moderate', drainageNeeds: 'Low', waterConservation: [], floodRisk: 'Low', droughtRisk: 'Moderate' },
-      pestRisk: { overall: 'Low', factors: [], recommendations: [] },
-      yieldPotential: { overall: 'Good', score: 75, factors: ['High vegetation density'], limitations: [] },
-      climateAdaptation: { strategies: [], risks: [], opportunities: [] },
-      imageInsights: { cropHealth: 'Good', soilConditions: 'Loam', diseasePresence: 'None', weedInfestation: 'Low', recommendations: [] },
+      soilHealth: { overall: 'Good', score: 75, issues: [], strengths: ['Optimal soil moisture'], recommendations: [], provenance },
+      cropSuitability: { bestCrops: ['Wheat', 'Cotton'], goodCrops: ['Pulses'], avoidCrops: [], reasoning: {}, provenance },
+      waterManagement: { irrigationNeeds: 'Moderate', drainageNeeds: 'Low', waterConservation: [], floodRisk: 'Low', droughtRisk: 'Moderate', provenance },
+      pestRisk: { overall: 'Low', factors: [], recommendations: [], provenance },
+      yieldPotential: { overall: 'Good', score: 75, factors: ['High vegetation density'], limitations: [], provenance },
+      climateAdaptation: { strategies: [], risks: [], opportunities: [], provenance },
+      imageInsights: { cropHealth: 'Good', soilConditions: 'Loam', diseasePresence: 'None', weedInfestation: 'Low', recommendations: [], provenance },
       timestamp: new Date().toISOString()
     }
   }
 
   getFallbackRecommendations() {
+    const provenance = { ...createProvenance({ source: DATA_SOURCES.FALLBACK, provider: 'Default recommendations' }), basedOnFallback: true }
+
     return [
       {
         priority: 'Medium',
         category: 'Soil Management',
         action: 'Conduct regular soil testing',
         impact: 'Medium',
-        timeframe: '3-6 months'
+        timeframe: '3-6 months',
+        basedOnFallback: true,
+        provenance
       },
       {
         priority: 'Low',
         category: 'Water Management',
         action: 'Monitor soil moisture levels',
         impact: 'Low',
-        timeframe: 'Ongoing'
+        timeframe: 'Ongoing',
+        basedOnFallback: true,
+        provenance
       }
     ]
   }
 
   // Send SMS notification with processed pipeline data
-  async sendSMSNotification(farmerInput, insights, recommendations, weatherData) {
+  async sendSMSNotification(farmerInput, insights, recommendations, weatherData, dataQuality = null, weatherWindows = null) {
     try {
-      // Get farmer's phone number from input or use default
-      const phoneNumber = farmerInput.phoneNumber || '+919322909257'
+      const phoneNumber = farmerInput.phoneNumber
       const language = farmerInput.language || 'hi' // Default to Hindi for Indian farmers
+
+      // Registered farmers are only texted with consent, on the SMS channel and outside quiet hours
+      const consentReason = farmerInput.profile ? smsBlockReason(farmerInput.profile) : !phoneNumber && 'No phone number on record'
+      if (consentReason) {
+        this.logger.info('sms_not_permitted', { farmerId: farmerInput.farmerId, reason: consentReason })
+        return { success: true, method: 'Skipped', reason: consentReason }
+      }
       
       // Check if we should skip notifications (e.g., for testing or when limits are exceeded)
       if (process.env.SKIP_NOTIFICATIONS === 'true' || process.env.NODE_ENV === 'test') {
@@ -1479,13 +2141,14 @@ class EnhancedAutomatedPipeline {
         return { success: true, method: 'Skipped', reason: 'Notifications disabled' }
       }
       
-      // Check for SMS limit exceeded (Twilio trial accounts have 9 SMS/day limit)
-      if (process.env.SMS_LIMIT_EXCEEDED === 'true') {
-        this.logger.info('sms_limit_exceeded', { 
+      // Don't present synthetic weather/soil figures to farmers as measurements
+      const blockReason = this.getSyntheticDataBlockReason(dataQuality)
+      if (blockReason) {
+        this.logger.warn('sms_blocked_synthetic_data', { 
           farmerId: farmerInput.farmerId,
-          reason: 'Daily SMS limit exceeded - will retry tomorrow'
+          syntheticInputs: dataQuality.syntheticKeyInputs
         })
-        return { success: true, method: 'Skipped', reason: 'Daily SMS limit exceeded - will retry tomorrow' }
+        return { success: true, method: 'Skipped', reason: blockReason }
       }
       
       // Create comprehensive agricultural alert with processed data
@@ -1494,7 +2157,7 @@ class EnhancedAutomatedPipeline {
         severity: 'medium',
         region: farmerInput.region || 'Agricultural Analysis',
         crop: 'Field Analysis',
-        recommendation: this.generateSMSMessage(insights, recommendations, weatherData, language)
+        recommendation: this.generateSMSMessage(insights, recommendations, weatherData, language, dataQuality, weatherWindows)
       }
 
       this.logger.info('sending_sms_notification', { 
@@ -1504,7 +2167,7 @@ class EnhancedAutomatedPipeline {
       })
 
       // Send both SMS and voice notification
-      const result = await this.notificationService.sendAgriculturalAlert(phoneNumber, alertData, language)
+      const result = await this.notificationService.sendAgriculturalAlert(phoneNumber, alertData, language, { farmerId: farmerInput.farmerId })
 
       if (result.success) {
         this.logger.info('sms_notification_sent_successfully', { 
@@ -1512,16 +2175,13 @@ class EnhancedAutomatedPipeline {
           method: result.sms?.success ? 'SMS + Voice' : result.voice?.success ? 'Voice' : 'Failed'
         })
       } else {
-        // Check if it's a daily limit exceeded error
-        if (result.sms?.error && result.sms.error.includes('exceeded the 9 daily messages limit')) {
-          this.logger.warn('sms_daily_limit_exceeded', { 
+        // Refused by the SMS quotas (rateLimitService) or Twilio's own daily limit: not a failure
+        if (result.rateLimited) {
+          this.logger.warn('sms_rate_limited', { 
             farmerId: farmerInput.farmerId,
-            error: 'Daily SMS limit exceeded - will retry tomorrow',
-            suggestion: 'Upgrade Twilio account or wait for daily reset'
+            reason: result.error || result.sms?.error
           })
-          // Set environment flag to skip future SMS attempts today
-          process.env.SMS_LIMIT_EXCEEDED = 'true'
-          return { success: true, method: 'Skipped', reason: 'Daily SMS limit exceeded - will retry tomorrow' }
+          return { success: true, method: 'Skipped', reason: result.error || 'Daily SMS limit reached' }
         } else {
           this.logger.warn('sms_notification_failed', { 
             farmerId: farmerInput.farmerId,
@@ -1540,8 +2200,20 @@ class EnhancedAutomatedPipeline {
     }
   }
 
+  // SMS_SYNTHETIC_POLICY: 'reword' (default) sends an estimate-worded SMS unless every key
+  // input is synthetic; 'block' skips the SMS when any key input is synthetic
+  getSyntheticDataBlockReason(dataQuality) {
+    if (!dataQuality || dataQuality.syntheticKeyInputs.length === 0) return null
+
+    const policy = process.env.SMS_SYNTHETIC_POLICY || 'reword'
+    if (policy === 'block' || dataQuality.allKeyInputsSynthetic) {
+      return `Live data unavailable for: ${dataQuality.syntheticKeyInputs.join(', ')}`
+    }
+    return null
+  }
+
   // Generate comprehensive SMS message with processed data
-  generateSMSMessage(insights, recommendations, weatherData, language = 'hi') {
+  generateSMSMessage(insights, recommendations, weatherData, language = 'hi', dataQuality = null, weatherWindows = null) {
     const messages = {
       'en': {
         prefix: '🌾 Agricultural Analysis Complete: ',
@@ -1550,6 +2222,9 @@ class EnhancedAutomatedPipeline {
         yield: 'Yield Potential: ',
         risk: 'Risk Level: ',
         topRec: 'Top Recommendation: ',
+        irrigate: 'Irrigate: ',
+        windows: { spraying: 'Spray: ', sowing: 'Sow: ', harvesting: 'Harvest: ' },
+        estimate: 'Estimate (limited live data): ',
         suffix: ' Check app for details.'
       },
       'hi': {
@@ -1559,6 +2234,9 @@ class EnhancedAutomatedPipeline {
         yield: 'उपज क्षमता: ',
         risk: 'जोखिम स्तर: ',
         topRec: 'मुख्य सिफारिश: ',
+        irrigate: 'सिंचाई: ',
+        windows: { spraying: 'छिड़काव: ', sowing: 'बुवाई: ', harvesting: 'कटाई: ' },
+        estimate: 'अनुमान (सीमित लाइव डेटा): ',
         suffix: ' विवरण के लिए ऐप देखें।'
       },
       'mr': {
@@ -1568,36 +2246,66 @@ class EnhancedAutomatedPipeline {
         yield: 'उत्पादन क्षमता: ',
         risk: 'धोका पातळी: ',
         topRec: 'मुख्य शिफारस: ',
+        irrigate: 'पाणी द्या: ',
+        windows: { spraying: 'फवारणी: ', sowing: 'पेरणी: ', harvesting: 'काढणी: ' },
+        estimate: 'अंदाज (मर्यादित थेट माहिती): ',
         suffix: ' तपशीलांसाठी ऍप तपासा।'
       }
     }
 
     const msg = messages[language] || messages['hi']
+    const synthetic = dataQuality?.syntheticKeyInputs || []
     let message = msg.prefix
+    if (synthetic.length > 0) {
+      message += msg.estimate
+    }
 
-    // Add weather information
-    if (weatherData?.current) {
+    // Add weather information (omitted when it is not live)
+    if (weatherData?.current && !synthetic.includes('weather')) {
       message += `${msg.weather}${weatherData.current.temperature}°C, ${weatherData.current.humidity}% humidity. `
     }
 
-    // Add soil health
-    if (insights?.soilHealth?.overall) {
+    // Add soil health (omitted when satellite/soil data is not live)
+    if (insights?.soilHealth?.overall && !synthetic.includes('environmental')) {
       message += `${msg.soil}${insights.soilHealth.overall}. `
     }
 
+    // Add the next scheduled irrigation (depth and DD/MM date)
+    const nextIrrigation = insights?.waterManagement?.irrigationSchedule?.nextIrrigation
+    if (nextIrrigation && !synthetic.includes('weather')) {
+      const [, month, day] = nextIrrigation.date.split('-')
+      message += `${msg.irrigate}${nextIrrigation.grossDepthMm}mm ${day}/${month}. `
+    }
+
+    // Add the next window for the most relevant field operation (DD/MM HH-HHh)
+    const fieldWindow = weatherWindows?.activities?.[weatherWindows.primaryActivity]?.next
+    if (fieldWindow && !synthetic.includes('weather')) {
+      const [, month, day] = fieldWindow.start.slice(0, 10).split('-')
+      message += `${msg.windows[weatherWindows.primaryActivity]}${day}/${month} ${fieldWindow.start.slice(11, 13)}-${fieldWindow.end.slice(11, 13)}h. `
+    }
+
     // Add yield potential
-    if (insights?.yieldPotential?.overall) {
+    if (insights?.yieldPotential?.overall && !synthetic.includes('environmental')) {
       message += `${msg.yield}${insights.yieldPotential.overall}. `
     }
 
-    // Add risk assessment
+    // Add risk assessment, naming the first model forecast at High risk
     if (insights?.pestRisk?.overall) {
-      message += `${msg.risk}${insights.pestRisk.overall}. `
+      const highRisk = insights.pestRisk.models?.find(model => model.nextHighRiskDate)
+      if (highRisk && !synthetic.includes('weather')) {
+        const [, month, day] = highRisk.nextHighRiskDate.split('-')
+        message += `${msg.risk}${insights.pestRisk.overall} (${highRisk.name} ${day}/${month}). `
+      } else {
+        message += `${msg.risk}${insights.pestRisk.overall}. `
+      }
     }
 
     // Add top recommendation
     if (recommendations && recommendations.length > 0) {
-      const topRec = recommendations.find(r => r.priority === 'High') || recommendations[0]
+      const candidates = recommendations.some(r => !r.basedOnFallback)
+        ? recommendations.filter(r => !r.basedOnFallback)
+        : recommendations
+      const topRec = candidates.find(r => r.priority === 'High') || candidates[0]
       message += `${msg.topRec}${topRec.action}. `
     }
 
@@ -83,11 +83,12 @@ class EnhancedLogger extends Logger {
     }
   }
 
-  // Start flush timer for batch processing
+  // Start flush timer for batch processing; unref'd so CLI scripts importing the logger can exit
   startFlushTimer() {
-    setInterval(() => {
+    const timer = setInterval(() => {
       this.flushBuffer()
     }, this.flushInterval)
+    timer.unref?.()
   }
 
   // Flush log buffer (for external log aggregation)
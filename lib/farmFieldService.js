@@ -0,0 +1,201 @@
+// Farm Field Service for PredictAgri
+// Stores a farmer's named fields (GeoJSON polygon, area, crop, sowing date) in Supabase
+// and turns them into regions the pipeline and GEE queries can use
+
+import { Logger } from './logger.js'
+import { describeFieldBoundary } from './fieldGeometry.js'
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+class FarmFieldService {
+  constructor() {
+    this.logger = new Logger({ service: 'FarmFieldService' })
+    this.tableName = 'farmer_fields'
+  }
+
+  // databaseService throws at import time without Supabase env, so load it lazily
+  async getDatabaseClient() {
+    try {
+      const { databaseService } = await import('./databaseService.js')
+      return databaseService.client
+    } catch (error) {
+      this.logger.warn('farm_field_database_unavailable', { error: error.message })
+      const unavailable = new Error('Field storage is unavailable: database not configured')
+      unavailable.status = 503
+      throw unavailable
+    }
+  }
+
+  // Validate a create/update payload; partial=true allows missing required fields
+  validateField(input, { partial = false } = {}) {
+    const errors = []
+    const field = {}
+
+    if (input.name !== undefined || !partial) {
+      if (typeof input.name !== 'string' || input.name.trim() === '') {
+        errors.push('name is required')
+      } else {
+        field.name = input.name.trim()
+      }
+    }
+
+    if (input.boundary !== undefined || !partial) {
+      try {
+        Object.assign(field, describeFieldBoundary(input.boundary))
+      } catch (error) {
+        errors.push(error.message)
+      }
+    }
+
+    if (input.crop !== undefined) {
+      if (input.crop !== null && typeof input.crop !== 'string') {
+        errors.push('crop must be a string')
+      } else {
+        field.crop = input.crop ? input.crop.trim() : null
+      }
+    }
+
+    if (input.sowingDate !== undefined) {
+      if (input.sowingDate !== null && (typeof input.sowingDate !== 'string' || isNaN(Date.parse(input.sowingDate)))) {
+        errors.push('sowingDate must be an ISO date (YYYY-MM-DD)')
+      } else {
+        field.sowingDate = input.sowingDate ? input.sowingDate.slice(0, 10) : null
+      }
+    }
+
+    return { valid: errors.length === 0, errors, field }
+  }
+
+  toRow(farmerId, field) {
+    const row = { farmer_id: farmerId, updated_at: new Date().toISOString() }
+    if (field.name !== undefined) row.name = field.name
+    if (field.boundary !== undefined) {
+      row.boundary = field.boundary
+      row.area_hectares = field.areaHectares
+      row.centroid_lat = field.centroid.lat
+      row.centroid_lon = field.centroid.lon
+      row.bounding_box = field.boundingBox
+    }
+    if (field.crop !== undefined) row.crop = field.crop
+    if (field.sowingDate !== undefined) row.sowing_date = field.sowingDate
+    return row
+  }
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      farmerId: row.farmer_id,
+      name: row.name,
+      boundary: row.boundary,
+      areaHectares: row.area_hectares !== null ? Number(row.area_hectares) : null,
+      centroid: { lat: row.centroid_lat, lon: row.centroid_lon },
+      boundingBox: row.bounding_box,
+      crop: row.crop,
+      sowingDate: row.sowing_date,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    }
+  }
+
+  async listFields(farmerId) {
+    const client = await this.getDatabaseClient()
+    const { data, error } = await client
+      .from(this.tableName)
+      .select('*')
+      .eq('farmer_id', farmerId)
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+    return data.map(row => this.fromRow(row))
+  }
+
+  async getField(farmerId, fieldId) {
+    if (!UUID_PATTERN.test(fieldId)) return null
+    const client = await this.getDatabaseClient()
+    const { data, error } = await client
+      .from(this.tableName)
+      .select('*')
+      .eq('farmer_id', farmerId)
+      .eq('id', fieldId)
+      .maybeSingle()
+
+    if (error) throw error
+    return data ? this.fromRow(data) : null
+  }
+
+  async createField(farmerId, field) {
+    const client = await this.getDatabaseClient()
+    const { data, error } = await client
+      .from(this.tableName)
+      .insert(this.toRow(farmerId, field))
+      .select()
+      .single()
+
+    if (error) throw error
+    this.logger.info('farm_field_created', { farmerId, fieldId: data.id, areaHectares: data.area_hectares })
+    return this.fromRow(data)
+  }
+
+  async updateField(farmerId, fieldId, field) {
+    if (!UUID_PATTERN.test(fieldId)) return null
+    const client = await this.getDatabaseClient()
+    const { data, error } = await client
+      .from(this.tableName)
+      .update(this.toRow(farmerId, field))
+      .eq('farmer_id', farmerId)
+      .eq('id', fieldId)
+      .select()
+      .maybeSingle()
+
+    if (error) throw error
+    if (data) this.logger.info('farm_field_updated', { farmerId, fieldId })
+    return data ? this.fromRow(data) : null
+  }
+
+  async deleteField(farmerId, fieldId) {
+    if (!UUID_PATTERN.test(fieldId)) return false
+    const client = await this.getDatabaseClient()
+    const { data, error } = await client
+      .from(this.tableName)
+      .delete()
+      .eq('farmer_id', farmerId)
+      .eq('id', fieldId)
+      .select()
+
+    if (error) throw error
+    if (data.length > 0) this.logger.info('farm_field_deleted', { farmerId, fieldId })
+    return data.length > 0
+  }
+
+  // Resolve the field a pipeline run targets: a stored field by id, or an inline boundary
+  async resolvePipelineField(farmerInput) {
+    if (farmerInput.fieldId) {
+      if (!farmerInput.farmerId) throw new Error('farmerId is required when fieldId is given')
+      const field = await this.getField(farmerInput.farmerId, farmerInput.fieldId)
+      if (!field) throw new Error(`Field ${farmerInput.fieldId} not found for farmer ${farmerInput.farmerId}`)
+      return field
+    }
+
+    if (farmerInput.field?.boundary) {
+      const { valid, errors, field } = this.validateField({ name: 'Inline field', ...farmerInput.field })
+      if (!valid) throw new Error(`Invalid field: ${errors.join('; ')}`)
+      return { id: null, ...field }
+    }
+
+    return null
+  }
+
+  // Region object understood by googleEarthEngineService (boundary replaces the ±0.1° box)
+  toRegion(field) {
+    return {
+      name: field.name,
+      lat: field.centroid.lat,
+      lon: field.centroid.lon,
+      boundary: field.boundary,
+      boundingBox: field.boundingBox
+    }
+  }
+}
+
+export const farmFieldService = new FarmFieldService()
+export default farmFieldService
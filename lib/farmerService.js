@@ -0,0 +1,273 @@
+// Farmer Service for PredictAgri
+// Registry of farmer profiles (contact details, district, language, notification channels, quiet hours,
+// SMS consent and crops) in Supabase. farmer_id elsewhere (fields, analyses, batch runs) refers to farmers.id, so the
+// pipeline can look a farmer up by id instead of receiving the profile with every request
+
+import crypto from 'crypto'
+import { Logger } from './logger.js'
+import { securityMiddleware, validationSchemas } from './securityMiddleware.js'
+import { isValidTimeZone } from './cronExpression.js'
+
+export const LANGUAGES = ['en', 'hi', 'mr']
+export const CONTACT_CHANNELS = ['sms', 'voice', 'email']
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/
+const CROP_PATTERN = validationSchemas.cropName.pattern
+const LOOKUP_CHUNK = 200
+
+const httpError = (message, status) => {
+  const error = new Error(message)
+  error.status = status
+  return error
+}
+
+const minutesOf = time => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5))
+
+// Quiet hours { start: '21:00', end: '06:00' } are local to the farmer's timezone and may span midnight
+export function isWithinQuietHours(quietHours, timeZone, now = new Date()) {
+  if (!quietHours) return false
+  const local = new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).format(now)
+  const minute = minutesOf(local)
+  const start = minutesOf(quietHours.start)
+  const end = minutesOf(quietHours.end)
+  return start <= end ? minute >= start && minute < end : minute >= start || minute < end
+}
+
+// Why the farmer must not be texted right now, or null when an SMS is allowed
+export function smsBlockReason(farmer, now = new Date()) {
+  if (!farmer.phoneNumber) return 'No phone number on record'
+  if (!farmer.smsConsent) return 'Farmer has not consented to SMS'
+  if (!farmer.notificationChannels.includes('sms')) return 'SMS is not one of the farmer\'s notification channels'
+  if (isWithinQuietHours(farmer.quietHours, farmer.timezone, now)) return `Quiet hours (${farmer.quietHours.start}-${farmer.quietHours.end})`
+  return null
+}
+
+class FarmerService {
+  constructor() {
+    this.logger = new Logger({ service: 'FarmerService' })
+    this.tableName = 'farmers'
+    this.defaultTimeZone = process.env.SCHEDULER_TIMEZONE || 'Asia/Kolkata'
+  }
+
+  // databaseService throws at import time without Supabase env, so load it lazily
+  async getDatabaseClient() {
+    try {
+      const { databaseService } = await import('./databaseService.js')
+      return databaseService.client
+    } catch (error) {
+      this.logger.warn('farmer_database_unavailable', { error: error.message })
+      throw httpError('Farmer registry is unavailable: database not configured', 503)
+    }
+  }
+
+  // Validate a create/update payload; partial=true allows missing required fields
+  validateFarmer(input, { partial = false } = {}) {
+    const schema = partial
+      ? Object.fromEntries(Object.entries(validationSchemas.farmer).map(([field, rules]) => [field, { ...rules, required: false }]))
+      : validationSchemas.farmer
+    const { errors } = securityMiddleware.validateInput(input, schema)
+    const farmer = {}
+
+    if (input.id !== undefined && !partial) farmer.id = input.id
+    if (typeof input.name === 'string') farmer.name = securityMiddleware.sanitizeString(input.name)
+    if (input.phoneNumber !== undefined) farmer.phoneNumber = input.phoneNumber || null
+    if (input.email !== undefined) farmer.email = input.email ? input.email.trim().toLowerCase() : null
+    if (input.district !== undefined) farmer.district = input.district ? securityMiddleware.sanitizeString(input.district) : null
+
+    if (input.language !== undefined || !partial) {
+      farmer.language = input.language ?? 'hi'
+      if (!LANGUAGES.includes(farmer.language)) errors.push(`language must be one of ${LANGUAGES.join(', ')}`)
+    }
+
+    if (input.timezone !== undefined || !partial) {
+      farmer.timezone = input.timezone ?? this.defaultTimeZone
+      if (typeof farmer.timezone !== 'string' || !isValidTimeZone(farmer.timezone)) errors.push('timezone must be an IANA timezone (e.g. Asia/Kolkata)')
+    }
+
+    if (input.notificationChannels !== undefined || !partial) {
+      farmer.notificationChannels = input.notificationChannels ?? ['sms']
+      if (!Array.isArray(farmer.notificationChannels) || farmer.notificationChannels.some(channel => !CONTACT_CHANNELS.includes(channel))) {
+        errors.push(`notificationChannels must be a list of ${CONTACT_CHANNELS.join(', ')}`)
+      } else {
+        farmer.notificationChannels = [...new Set(farmer.notificationChannels)]
+      }
+    }
+
+    if (input.quietHours !== undefined) {
+      const { start, end } = input.quietHours || {}
+      if (input.quietHours !== null && (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end) || start === end)) {
+        errors.push('quietHours must be { start, end } as different HH:MM times (e.g. 21:00 to 06:00)')
+      } else {
+        farmer.quietHours = input.quietHours && { start, end }
+      }
+    }
+
+    // Consent is only recorded when explicitly given; a new farmer has not consented
+    if (input.smsConsent !== undefined) farmer.smsConsent = input.smsConsent
+    else if (!partial) farmer.smsConsent = false
+
+    if (input.crops !== undefined) {
+      if (!Array.isArray(input.crops) || input.crops.some(crop => typeof crop !== 'string' || !CROP_PATTERN.test(crop) || crop.length > 50)) {
+        errors.push('crops must be a list of crop names (letters, spaces, hyphens)')
+      } else {
+        farmer.crops = [...new Set(input.crops.map(crop => crop.trim()))]
+      }
+    }
+
+    if (!partial && farmer.notificationChannels?.includes('sms') && !input.phoneNumber) {
+      errors.push('phoneNumber is required for SMS notifications')
+    }
+    if (!partial && farmer.notificationChannels?.includes('email') && !input.email) {
+      errors.push('email is required for email notifications')
+    }
+
+    return { valid: errors.length === 0, errors, farmer }
+  }
+
+  toRow(farmer) {
+    const row = { updated_at: new Date().toISOString() }
+    if (farmer.id !== undefined) row.id = farmer.id
+    if (farmer.name !== undefined) row.name = farmer.name
+    if (farmer.phoneNumber !== undefined) row.phone_number = farmer.phoneNumber
+    if (farmer.email !== undefined) row.email = farmer.email
+    if (farmer.district !== undefined) row.district = farmer.district
+    if (farmer.language !== undefined) row.language = farmer.language
+    if (farmer.timezone !== undefined) row.timezone = farmer.timezone
+    if (farmer.notificationChannels !== undefined) row.notification_channels = farmer.notificationChannels
+    if (farmer.quietHours !== undefined) row.quiet_hours = farmer.quietHours
+    if (farmer.crops !== undefined) row.crops = farmer.crops
+    if (farmer.smsConsent !== undefined) {
+      row.sms_consent = farmer.smsConsent
+      row.sms_consent_at = row.updated_at
+    }
+    return row
+  }
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      phoneNumber: row.phone_number,
+      email: row.email,
+      district: row.district,
+      language: row.language,
+      timezone: row.timezone,
+      notificationChannels: row.notification_channels || [],
+      quietHours: row.quiet_hours,
+      smsConsent: row.sms_consent,
+      smsConsentAt: row.sms_consent_at,
+      crops: row.crops || [],
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    }
+  }
+
+  async listFarmers({ search = null, district = null, limit = 100 } = {}) {
+    const client = await this.getDatabaseClient()
+    let query = client.from(this.tableName).select('*').order('created_at', { ascending: true }).limit(limit)
+    if (search) query = query.ilike('name', `%${search.replace(/[%_]/g, '')}%`)
+    if (district) query = query.eq('district', district)
+
+    const { data, error } = await query
+    if (error) throw error
+    return data.map(row => this.fromRow(row))
+  }
+
+  async getFarmer(farmerId) {
+    const client = await this.getDatabaseClient()
+    const { data, error } = await client.from(this.tableName).select('*').eq('id', farmerId).maybeSingle()
+    if (error) throw error
+    return data ? this.fromRow(data) : null
+  }
+
+  // Registered farmer reached on a phone number or email, or null
+  async findByContact({ phoneNumber = null, email = null }) {
+    if (!phoneNumber && !email) return null
+    const client = await this.getDatabaseClient()
+    let query = client.from(this.tableName).select('*').limit(1)
+    query = phoneNumber ? query.eq('phone_number', phoneNumber) : query.eq('email', email.trim().toLowerCase())
+
+    const { data, error } = await query
+    if (error) throw error
+    return data.length > 0 ? this.fromRow(data[0]) : null
+  }
+
+  // Profiles by id for batch runs; farmers without a profile are simply missing from the map
+  async getFarmers(farmerIds) {
+    const farmers = new Map()
+    if (farmerIds.length === 0) return farmers
+
+    const client = await this.getDatabaseClient()
+    for (let i = 0; i < farmerIds.length; i += LOOKUP_CHUNK) {
+      const { data, error } = await client.from(this.tableName).select('*').in('id', farmerIds.slice(i, i + LOOKUP_CHUNK))
+      if (error) throw error
+      data.forEach(row => farmers.set(row.id, this.fromRow(row)))
+    }
+    return farmers
+  }
+
+  // Profile plus the fields mapped for the farmer
+  async getProfile(farmerId) {
+    const farmer = await this.getFarmer(farmerId)
+    if (!farmer) return null
+
+    const client = await this.getDatabaseClient()
+    const { data, error } = await client
+      .from('farmer_fields')
+      .select('id, name, area_hectares, crop, sowing_date')
+      .eq('farmer_id', farmerId)
+      .order('created_at', { ascending: true })
+    if (error) throw error
+
+    return {
+      ...farmer,
+      fields: data.map(field => ({
+        id: field.id,
+        name: field.name,
+        areaHectares: field.area_hectares !== null ? Number(field.area_hectares) : null,
+        crop: field.crop,
+        sowingDate: field.sowing_date
+      }))
+    }
+  }
+
+  async createFarmer(farmer) {
+    const client = await this.getDatabaseClient()
+    const farmerId = farmer.id || `farmer_${crypto.randomBytes(6).toString('hex')}`
+    const { data, error } = await client
+      .from(this.tableName)
+      .insert(this.toRow({ ...farmer, id: farmerId }))
+      .select()
+      .single()
+
+    if (error?.code === '23505') throw httpError(`Farmer ${farmerId} already exists`, 409)
+    if (error) throw error
+    this.logger.info('farmer_created', { farmerId: data.id, smsConsent: data.sms_consent })
+    return this.fromRow(data)
+  }
+
+  async updateFarmer(farmerId, farmer) {
+    const client = await this.getDatabaseClient()
+    const { data, error } = await client
+      .from(this.tableName)
+      .update(this.toRow(farmer))
+      .eq('id', farmerId)
+      .select()
+      .maybeSingle()
+
+    if (error) throw error
+    if (data) this.logger.info('farmer_updated', { farmerId, consentChanged: farmer.smsConsent !== undefined })
+    return data ? this.fromRow(data) : null
+  }
+
+  async deleteFarmer(farmerId) {
+    const client = await this.getDatabaseClient()
+    const { data, error } = await client.from(this.tableName).delete().eq('id', farmerId).select()
+    if (error) throw error
+    if (data.length > 0) this.logger.info('farmer_deleted', { farmerId })
+    return data.length > 0
+  }
+}
+
+export const farmerService = new FarmerService()
+export default farmerService
@@ -0,0 +1,124 @@
+// Field Geometry helpers for PredictAgri
+// Validates GeoJSON field boundaries and derives area, centroid and bounding box
+// so GEE queries can use the real field shape instead of a fixed rectangle
+
+const EARTH_RADIUS_M = 6378137
+const SQUARE_METERS_PER_HECTARE = 10000
+const MAX_FIELD_AREA_HECTARES = 10000 // Larger shapes are almost certainly drawing mistakes
+
+const toRadians = degrees => degrees * Math.PI / 180
+
+// Accept a GeoJSON Polygon geometry or a Feature wrapping one; returns a closed Polygon geometry
+export function normalizeBoundary(boundary) {
+  if (!boundary || typeof boundary !== 'object') {
+    throw new Error('Field boundary must be a GeoJSON Polygon')
+  }
+
+  const geometry = boundary.type === 'Feature' ? boundary.geometry : boundary
+  if (!geometry || geometry.type !== 'Polygon' || !Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+    throw new Error('Field boundary must be a GeoJSON Polygon')
+  }
+
+  const rings = geometry.coordinates.map((ring, index) => {
+    if (!Array.isArray(ring)) throw new Error(`Boundary ring ${index} must be an array of positions`)
+
+    const positions = ring.map(position => {
+      const [lon, lat] = Array.isArray(position) ? position.map(Number) : []
+      if (!Number.isFinite(lon) || !Number.isFinite(lat) || lon < -180 || lon > 180 || lat < -90 || lat > 90) {
+        throw new Error(`Invalid position in boundary ring ${index}: ${JSON.stringify(position)}`)
+      }
+      return [lon, lat]
+    })
+
+    // Close the ring if the client left it open
+    const first = positions[0]
+    const last = positions[positions.length - 1]
+    if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+      positions.push([...first])
+    }
+
+    if (positions.length < 4) {
+      throw new Error(`Boundary ring ${index} needs at least 3 distinct positions`)
+    }
+    return positions
+  })
+
+  return { type: 'Polygon', coordinates: rings }
+}
+
+// Spherical ring area in square metres (same approach as d3-geo / turf)
+function ringArea(ring) {
+  let total = 0
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [lon1, lat1] = ring[i]
+    const [lon2, lat2] = ring[i + 1]
+    total += toRadians(lon2 - lon1) * (2 + Math.sin(toRadians(lat1)) + Math.sin(toRadians(lat2)))
+  }
+  return Math.abs(total * EARTH_RADIUS_M * EARTH_RADIUS_M / 2)
+}
+
+// Outer ring minus holes, in hectares
+export function calculateAreaHectares(polygon) {
+  const [outer, ...holes] = polygon.coordinates
+  const squareMeters = ringArea(outer) - holes.reduce((sum, hole) => sum + ringArea(hole), 0)
+  return Math.round(squareMeters / SQUARE_METERS_PER_HECTARE * 100) / 100
+}
+
+// Area-weighted centroid of the outer ring; fields are small enough for a planar approximation
+export function calculateCentroid(polygon) {
+  const ring = polygon.coordinates[0]
+  let area = 0
+  let lon = 0
+  let lat = 0
+
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [x1, y1] = ring[i]
+    const [x2, y2] = ring[i + 1]
+    const cross = x1 * y2 - x2 * y1
+    area += cross
+    lon += (x1 + x2) * cross
+    lat += (y1 + y2) * cross
+  }
+
+  if (area === 0) {
+    // Degenerate ring: fall back to the vertex average
+    const vertices = ring.slice(0, -1)
+    return {
+      lat: vertices.reduce((sum, [, y]) => sum + y, 0) / vertices.length,
+      lon: vertices.reduce((sum, [x]) => sum + x, 0) / vertices.length
+    }
+  }
+
+  return {
+    lat: Math.round(lat / (3 * area) * 1e6) / 1e6,
+    lon: Math.round(lon / (3 * area) * 1e6) / 1e6
+  }
+}
+
+// [minLon, minLat, maxLon, maxLat], matching the boundingBox format GEE results already use
+export function calculateBoundingBox(polygon) {
+  const positions = polygon.coordinates[0]
+  const lons = positions.map(([lon]) => lon)
+  const lats = positions.map(([, lat]) => lat)
+  return [Math.min(...lons), Math.min(...lats), Math.max(...lons), Math.max(...lats)]
+}
+
+// Validate a boundary and derive everything stored alongside it
+export function describeFieldBoundary(boundary) {
+  const polygon = normalizeBoundary(boundary)
+  const areaHectares = calculateAreaHectares(polygon)
+
+  if (areaHectares <= 0) {
+    throw new Error('Field boundary encloses no area')
+  }
+  if (areaHectares > MAX_FIELD_AREA_HECTARES) {
+    throw new Error(`Field boundary is ${areaHectares} ha; fields larger than ${MAX_FIELD_AREA_HECTARES} ha are not supported`)
+  }
+
+  return {
+    boundary: polygon,
+    areaHectares,
+    centroid: calculateCentroid(polygon),
+    boundingBox: calculateBoundingBox(polygon)
+  }
+}
@@ -193,6 +193,19 @@ class GoogleEarthEngineService {
     console.log(`API call ${this.apiCallCount}/${this.maxApiCalls} used today`)
   }
 
+  // Field boundary (GeoJSON Polygon) when the region is a mapped field, otherwise a ±0.1° box
+  getRegionGeometry(region) {
+    if (region.boundary?.type === 'Polygon') {
+      return ee.Geometry.Polygon(region.boundary.coordinates)
+    }
+    return ee.Geometry.Rectangle(this.getRegionBoundingBox(region))
+  }
+
+  getRegionBoundingBox(region) {
+    if (region.boundingBox) return region.boundingBox
+    return [region.lon - 0.1, region.lat - 0.1, region.lon + 0.1, region.lat + 0.1]
+  }
+
   // Get comprehensive soil data for a region
   async getComprehensiveSoilData(region, date = new Date()) {
     console.log(`🌍 [GEE] Starting comprehensive soil data fetch for region: ${region.name} (${region.lat}, ${region.lon}) at ${date.toISOString()}`)
@@ -208,10 +221,7 @@ class GoogleEarthEngineService {
       await this.initialize()
 
       // Create region geometry
-      const regionGeometry = ee.Geometry.Rectangle([
-        region.lon - 0.1, region.lat - 0.1,
-        region.lon + 0.1, region.lat + 0.1
-      ])
+      const regionGeometry = this.getRegionGeometry(region)
 
       console.log(`🌍 [GEE] Creating region geometry: ${regionGeometry.toString()}`)
       
@@ -559,10 +569,7 @@ class GoogleEarthEngineService {
       this.checkApiLimits()
       await this.initialize()
 
-      const regionGeometry = ee.Geometry.Rectangle([
-        region.lon - 0.1, region.lat - 0.1,
-        region.lon + 0.1, region.lat + 0.1
-      ])
+      const regionGeometry = this.getRegionGeometry(region)
 
       // Get ESA WorldCover data
       const worldCoverCollection = ee.ImageCollection('ESA/WorldCover/v100')
@@ -630,10 +637,7 @@ class GoogleEarthEngineService {
       await this.initialize()
 
       // Create region geometry
-      const regionGeometry = ee.Geometry.Rectangle([
-        region.lon - 0.1, region.lat - 0.1,
-        region.lon + 0.1, region.lat + 0.1
-      ])
+      const regionGeometry = this.getRegionGeometry(region)
 
       // Get MODIS NDVI data
       const ndviCollection = ee.ImageCollection('MODIS/006/MOD13Q1')
@@ -688,7 +692,7 @@ class GoogleEarthEngineService {
         satelliteImage: imageUrl,
         imageType: 'NDVI',
         coordinates: { lat: region.lat, lon: region.lon },
-        boundingBox: [region.lon - 0.1, region.lat - 0.1, region.lon + 0.1, region.lat + 0.1]
+        boundingBox: this.getRegionBoundingBox(region)
       }
     } catch (error) {
       console.error(`🌍 [GEE] NDVI data fetch failed:`, {
@@ -758,10 +762,7 @@ class GoogleEarthEngineService {
       await this.initialize()
 
       // Create region geometry
-      const regionGeometry = ee.Geometry.Rectangle([
-        region.lon - 0.1, region.lat - 0.1,
-        region.lon + 0.1, region.lat + 0.1
-      ])
+      const regionGeometry = this.getRegionGeometry(region)
 
       // Get multiple satellite datasets
       const [ndviData, lstData, rgbData] = await Promise.all([
@@ -798,10 +799,7 @@ class GoogleEarthEngineService {
       await this.initialize()
 
       // Create region geometry
-      const regionGeometry = ee.Geometry.Rectangle([
-        region.lon - 0.1, region.lat - 0.1,
-        region.lon + 0.1, region.lat + 0.1
-      ])
+      const regionGeometry = this.getRegionGeometry(region)
 
       // Get Sentinel-2 true color image
       const sentinel2 = ee.ImageCollection('COPERNICUS/S2_SR')
@@ -832,7 +830,7 @@ class GoogleEarthEngineService {
         quality: 'high',
         imageType: 'True Color RGB',
         coordinates: { lat: region.lat, lon: region.lon },
-        boundingBox: [region.lon - 0.1, region.lat - 0.1, region.lon + 0.1, region.lat + 0.1],
+        boundingBox: this.getRegionBoundingBox(region),
         metadata: {
           satellite: 'Sentinel-2',
           bands: ['B4 (Red)', 'B3 (Green)', 'B2 (Blue)'],
@@ -859,10 +857,7 @@ class GoogleEarthEngineService {
 
       console.log(`🌍 [GEE] Fetching land surface temperature for region: ${region.name}`)
 
-      const regionGeometry = ee.Geometry.Rectangle([
-        region.lon - 0.1, region.lat - 0.1,
-        region.lon + 0.1, region.lat + 0.1
-      ])
+      const regionGeometry = this.getRegionGeometry(region)
       console.log(`🌍 [GEE] Region geometry created:`, regionGeometry.toString())
 
       // Get MODIS land surface temperature
@@ -973,10 +968,7 @@ class GoogleEarthEngineService {
       this.checkApiLimits()
       await this.initialize()
 
-      const regionGeometry = ee.Geometry.Rectangle([
-        region.lon - 0.1, region.lat - 0.1,
-        region.lon + 0.1, region.lat + 0.1
-      ])
+      const regionGeometry = this.getRegionGeometry(region)
 
       // Calculate VHI using NDVI and temperature
       const ndviCollection = ee.ImageCollection('MODIS/006/MOD13Q1')
@@ -1267,7 +1259,7 @@ class GoogleEarthEngineService {
       quality: 'low',
       imageType: 'Placeholder',
       coordinates: { lat: region.lat, lon: region.lon },
-      boundingBox: [region.lon - 0.1, region.lat - 0.1, region.lon + 0.1, region.lat + 0.1],
+      boundingBox: this.getRegionBoundingBox(region),
       metadata: {
         satellite: 'Fallback',
         bands: ['Placeholder'],
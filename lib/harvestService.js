@@ -0,0 +1,242 @@
+// Harvest Service for PredictAgri
+// Records actual harvests against stored predictions (API, SMS or voice) and scores prediction
+// accuracy (MAE/bias) by crop, region and model version
+
+import { Logger } from './logger.js'
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+const SHORT_CODE_PATTERN = /^[0-9a-f]{8}$/i
+
+const round = value => Math.round(value * 10000) / 10000
+
+const httpError = (message, status) => {
+  const error = new Error(message)
+  error.status = status
+  return error
+}
+
+// Predictions are a fraction of attainable yield; absolute reports are divided by these.
+// Approximate attainable yields (t/ha) under good management in India; sugarcane is cane weight
+export const CROP_REFERENCE_YIELDS_T_HA = {
+  rice: 6,
+  wheat: 5,
+  maize: 6,
+  cotton: 2.5,
+  sugarcane: 100,
+  potato: 30,
+  tomato: 40,
+  onion: 30,
+  chickpea: 2,
+  soybean: 3,
+  groundnut: 3
+}
+
+// Accepted spellings (SMS/voice included) for each canonical unit
+const UNIT_ALIASES = {
+  fraction: ['fraction'],
+  percent: ['%', 'percent', 'pct', 'प्रतिशत', 'टक्के'],
+  't/ha': ['t/ha', 'tonnes/ha', 'tonne/ha', 'tons/ha', 't', 'tonnes', 'tonne', 'tons', 'ton', 'टन'],
+  'kg/ha': ['kg/ha', 'kg', 'kilo', 'kilos', 'किलो'],
+  'quintal/acre': ['quintal/acre', 'quintals/acre', 'qtl/acre', 'q/acre', 'qtl', 'quintal', 'quintals', 'q', 'क्विंटल']
+}
+
+// Absolute units -> t/ha (1 acre = 0.404686 ha, 1 quintal = 0.1 t)
+const TONNES_PER_HECTARE = {
+  't/ha': 1,
+  'kg/ha': 0.001,
+  'quintal/acre': 0.1 / 0.404686
+}
+
+export function normalizeUnit(unit) {
+  const cleaned = String(unit || '').trim().toLowerCase()
+    .replace(/\s*(\/|\bper\b)\s*/g, '/')
+    .replace(/\/hectare$/, '/ha')
+  return Object.keys(UNIT_ALIASES).find(key => UNIT_ALIASES[key].includes(cleaned)) || null
+}
+
+// Convert a reported yield to the prediction scale (fraction of attainable yield)
+export function normalizeActualYield({ value, unit, crop }) {
+  const amount = Number(value)
+  if (!Number.isFinite(amount) || amount < 0) throw httpError('actual yield must be a non-negative number', 400)
+
+  const normalizedUnit = normalizeUnit(unit)
+  if (!normalizedUnit) {
+    throw httpError(`Unknown yield unit "${unit}" (use fraction, percent, t/ha, kg/ha or quintal/acre)`, 400)
+  }
+  if (normalizedUnit === 'fraction') return { fraction: amount, unit: normalizedUnit, tonnesPerHectare: null }
+  if (normalizedUnit === 'percent') return { fraction: amount / 100, unit: normalizedUnit, tonnesPerHectare: null }
+
+  const reference = CROP_REFERENCE_YIELDS_T_HA[String(crop || '').trim().toLowerCase()]
+  if (!reference) {
+    throw httpError(`No reference yield for crop "${crop}"; report the harvest as a percent of expected yield`, 400)
+  }
+  const tonnesPerHectare = amount * TONNES_PER_HECTARE[normalizedUnit]
+  return { fraction: tonnesPerHectare / reference, unit: normalizedUnit, tonnesPerHectare, referenceYield: reference }
+}
+
+// "HARVEST 3f2a9c1d 4.2 t/ha" (SMS) or "harvest 3f2a9c1d 18 quintal per acre" (voice transcript)
+export function parseHarvestReport(text) {
+  const match = String(text || '').trim().match(/^(?:harvest|yield|फसल|उपज|उत्पादन)\s+([0-9a-f]{8})(?:[0-9a-f-]*)\s+([\d.]+)\s*(.*)$/i)
+  if (!match) return null
+  return { code: match[1].toLowerCase(), value: Number(match[2]), unit: match[3].trim() || 'percent' }
+}
+
+// MAE, bias (mean predicted - actual; positive = over-prediction) and RMSE per group
+export function computeAccuracy(records, groupBy = ['crop', 'region', 'modelVersion']) {
+  const summarize = rows => {
+    const errors = rows.map(row => row.predicted - row.actual)
+    return {
+      count: rows.length,
+      mae: round(errors.reduce((sum, e) => sum + Math.abs(e), 0) / rows.length),
+      bias: round(errors.reduce((sum, e) => sum + e, 0) / rows.length),
+      rmse: round(Math.sqrt(errors.reduce((sum, e) => sum + e * e, 0) / rows.length))
+    }
+  }
+
+  const groups = {}
+  groupBy.forEach(dimension => {
+    const buckets = new Map()
+    records.forEach(record => {
+      const key = record[dimension] || 'Unknown'
+      if (!buckets.has(key)) buckets.set(key, [])
+      buckets.get(key).push(record)
+    })
+    groups[dimension] = [...buckets.entries()]
+      .map(([key, rows]) => ({ key, ...summarize(rows) }))
+      .sort((a, b) => b.count - a.count)
+  })
+
+  return { overall: records.length > 0 ? summarize(records) : { count: 0, mae: null, bias: null, rmse: null }, groups }
+}
+
+class HarvestService {
+  constructor() {
+    this.logger = new Logger({ service: 'HarvestService' })
+    this.tableName = 'harvests'
+  }
+
+  // databaseService throws at import time without Supabase env, so load it lazily
+  async getDatabaseClient() {
+    try {
+      const { databaseService } = await import('./databaseService.js')
+      return databaseService.client
+    } catch (error) {
+      this.logger.warn('harvest_database_unavailable', { error: error.message })
+      const unavailable = new Error('Harvest storage is unavailable: database not configured')
+      unavailable.status = 503
+      throw unavailable
+    }
+  }
+
+  async getPrediction(predictionId) {
+    if (!UUID_PATTERN.test(predictionId)) return null
+    const client = await this.getDatabaseClient()
+    const { data, error } = await client
+      .from('predictions')
+      .select('id, yield, model_version, created_at, crops(name), regions(name)')
+      .eq('id', predictionId)
+      .maybeSingle()
+
+    if (error) throw error
+    return data
+  }
+
+  // SMS/voice reports carry the first 8 hex characters of the prediction id
+  async findPredictionByCode(code) {
+    if (!SHORT_CODE_PATTERN.test(code)) return null
+    const client = await this.getDatabaseClient()
+    const { data, error } = await client
+      .from('predictions')
+      .select('id')
+      .gte('id', `${code}-0000-0000-0000-000000000000`)
+      .lte('id', `${code}-ffff-ffff-ffff-ffffffffffff`)
+      .limit(2)
+
+    if (error) throw error
+    if (data.length > 1) throw httpError(`Prediction code ${code} is ambiguous; use the full id`, 409)
+    return data[0]?.id || null
+  }
+
+  // One harvest per prediction; a later report replaces the earlier one
+  async recordActual(predictionId, { value, unit = 'fraction', harvestDate = null, source = 'api', reporter = null, notes = null }) {
+    const prediction = await this.getPrediction(predictionId)
+    if (!prediction) throw httpError(`Prediction ${predictionId} not found`, 404)
+    if (harvestDate && isNaN(Date.parse(harvestDate))) throw httpError('harvestDate must be an ISO date (YYYY-MM-DD)', 400)
+
+    const actual = normalizeActualYield({ value, unit, crop: prediction.crops?.name })
+    const client = await this.getDatabaseClient()
+    const { data, error } = await client
+      .from(this.tableName)
+      .upsert({
+        prediction_id: predictionId,
+        actual_yield: round(actual.fraction),
+        reported_value: Number(value),
+        reported_unit: actual.unit,
+        harvest_date: harvestDate ? harvestDate.slice(0, 10) : null,
+        source,
+        reporter,
+        notes,
+        created_at: new Date().toISOString()
+      }, { onConflict: 'prediction_id' })
+      .select()
+      .single()
+
+    if (error) throw error
+    const predicted = Number(prediction.yield)
+    this.logger.info('harvest_recorded', { predictionId, source, actual: data.actual_yield, predicted })
+
+    return {
+      harvest: data,
+      prediction: {
+        id: prediction.id,
+        crop: prediction.crops?.name || null,
+        region: prediction.regions?.name || null,
+        modelVersion: prediction.model_version || null,
+        predicted
+      },
+      actual: { ...actual, fraction: round(actual.fraction) },
+      error: round(predicted - Number(data.actual_yield))
+    }
+  }
+
+  async getHarvest(predictionId) {
+    if (!UUID_PATTERN.test(predictionId)) return null
+    const client = await this.getDatabaseClient()
+    const { data, error } = await client
+      .from(this.tableName)
+      .select('*')
+      .eq('prediction_id', predictionId)
+      .maybeSingle()
+
+    if (error) throw error
+    return data
+  }
+
+  async getAccuracyReport({ since = null } = {}) {
+    const client = await this.getDatabaseClient()
+    let query = client
+      .from(this.tableName)
+      .select('actual_yield, harvest_date, source, created_at, predictions(id, yield, model_version, created_at, crops(name), regions(name))')
+    if (since) query = query.gte('created_at', since)
+
+    const { data, error } = await query
+    if (error) throw error
+
+    const records = data
+      .filter(row => row.predictions)
+      .map(row => ({
+        predictionId: row.predictions.id,
+        predicted: Number(row.predictions.yield),
+        actual: Number(row.actual_yield),
+        crop: row.predictions.crops?.name,
+        region: row.predictions.regions?.name,
+        modelVersion: row.predictions.model_version,
+        source: row.source
+      }))
+
+    return { ...computeAccuracy(records), since, generatedAt: new Date().toISOString() }
+  }
+}
+
+export const harvestService = new HarvestService()
+export default harvestService
@@ -1,10 +1,15 @@
 // Image Processing Service for PredictAgri
 // Provides OpenCV-like functionality for agricultural image analysis
-// Uses Sharp for image stats; guarded fallbacks for portability
+// Uses Sharp raw buffers for pixel segmentation and image stats; guarded fallbacks for portability
 
 import sharp from 'sharp'
 import path from 'path'
 import fs from 'fs'
+import { PIXEL_CLASSES, segmentPixels, renderOverlay } from './imageSegmentation.js'
+import { diseaseClassifier } from './diseaseClassifier.js'
+
+const SEGMENTATION_WIDTH = 512
+const MAX_HOTSPOTS = 10
 
 async function computeImageStats(imageBuffer) {
   // Downscale for speed and convert to raw RGB
@@ -57,6 +62,40 @@ async function computeImageStats(imageBuffer) {
   }
 }
 
+// Auto-orient, downscale and segment into soil / vegetation / lesion / weed pixels
+async function segmentImage(imageBuffer) {
+  const { data, info } = await sharp(imageBuffer)
+    .rotate()
+    .resize({ width: SEGMENTATION_WIDTH, withoutEnlargement: true })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true })
+
+  return { ...segmentPixels(data, info.width, info.height, info.channels), pixels: data, channels: info.channels }
+}
+
+// Lesion regions as boxes in segmentation pixels (same size as the overlay) and as 0-1 fractions
+function toHotspots(segmentation) {
+  const { width, height } = segmentation
+  return segmentation.lesions.slice(0, MAX_HOTSPOTS).map(lesion => ({
+    type: 'lesion',
+    box: lesion.box,
+    relativeBox: {
+      x: Math.round(lesion.box.x / width * 1000) / 1000,
+      y: Math.round(lesion.box.y / height * 1000) / 1000,
+      width: Math.round(lesion.box.width / width * 1000) / 1000,
+      height: Math.round(lesion.box.height / height * 1000) / 1000
+    },
+    areaPct: Math.round(lesion.area / (width * height) * 10000) / 100
+  }))
+}
+
+// Share of canopy pixels (healthy + lesion) that are lesion-coloured
+function lesionShareOfCanopy(segmentation) {
+  const canopy = segmentation.fractions.vegetation + segmentation.fractions.lesion
+  return canopy > 0 ? segmentation.fractions.lesion / canopy : 0
+}
+
 class ImageProcessingService {
   constructor() {
     this.supportedFormats = ['jpg', 'jpeg', 'png', 'bmp', 'tiff']
@@ -66,27 +105,31 @@ class ImageProcessingService {
   }
 
   // Main image analysis function for agricultural purposes
-  async analyzeAgriculturalImage(imageBuffer, analysisType = 'comprehensive') {
+  // options.includeOverlay adds a base64 PNG of the segmentation with hotspot boxes
+  async analyzeAgriculturalImage(imageBuffer, analysisType = 'comprehensive', options = {}) {
     try {
       console.log('🔄 Starting image analysis for type:', analysisType)
 
       let results
+      let segmentation = null
       try {
         if (!imageBuffer || imageBuffer.length === 0) throw new Error('Empty imageBuffer')
+        segmentation = await segmentImage(imageBuffer)
         if (analysisType === 'crop-health') {
-          results = await this.analyzeCropHealth(imageBuffer)
+          results = await this.analyzeCropHealth(imageBuffer, segmentation)
         } else if (analysisType === 'disease-detection') {
-          results = await this.detectDiseases(imageBuffer)
+          results = await this.detectDiseases(imageBuffer, segmentation)
         } else if (analysisType === 'soil-analysis') {
-          results = await this.analyzeSoil(imageBuffer)
+          results = await this.analyzeSoil(imageBuffer, segmentation)
         } else if (analysisType === 'weed-detection') {
-          results = await this.detectWeeds(imageBuffer)
+          results = await this.detectWeeds(imageBuffer, segmentation)
         } else {
-          results = await this.comprehensiveAnalysis(imageBuffer)
+          results = await this.comprehensiveAnalysis(imageBuffer, segmentation)
         }
       } catch (inner) {
         console.warn('Analysis dependency failed, returning fallback:', inner.message)
         results = this.getFallbackAnalysisResult(analysisType)
+        segmentation = null
       }
 
       const analysisResult = {
@@ -96,6 +139,10 @@ class ImageProcessingService {
         results
       }
 
+      if (options.includeOverlay && segmentation) {
+        analysisResult.overlay = await this.createOverlay(segmentation)
+      }
+
       console.log('✅ Analysis completed (with sharp features where available)')
       return { success: true, data: analysisResult }
 
@@ -116,14 +163,23 @@ class ImageProcessingService {
     }
   }
 
-  async analyzeCropHealth(imageBuffer) {
+  async analyzeCropHealth(imageBuffer, segmentation = null) {
     try {
+      const segmented = segmentation || await segmentImage(imageBuffer)
       const stats = await computeImageStats(imageBuffer)
-      const healthScore = Math.max(0, Math.min(1, 0.6 * stats.vegetationIndex + 0.2 * (1 - Math.abs(stats.brightness - 0.6)) + 0.2 * (1 - Math.abs(stats.contrast - 0.4))))
+      const lesionShare = lesionShareOfCanopy(segmented)
+      // Healthy share of the canopy, scaled down when little of the frame is covered
+      const healthScore = Math.max(0, Math.min(1, 0.7 * (1 - lesionShare) + 0.3 * Math.min(1, segmented.canopyCoverPct / 60)))
       return {
-        summary: 'Crop health estimated from color/brightness balance',
-        confidence: 0.85,
-        vegetationAnalysis: { percentage: stats.vegetationIndex * 100 },
+        summary: 'Crop health from ExGR vegetation segmentation (canopy cover and lesion share)',
+        confidence: segmented.canopyCoverPct < 5 ? 0.5 : 0.85,
+        vegetationAnalysis: {
+          percentage: segmented.canopyCoverPct,
+          canopyCoverPct: segmented.canopyCoverPct,
+          healthyCanopyPct: Math.round(segmented.fractions.vegetation * 1000) / 10,
+          lesionCanopySharePct: Math.round(lesionShare * 1000) / 10
+        },
+        fractions: segmented.fractions,
         healthScore,
         stats: {
           width: stats.width,
@@ -133,8 +189,8 @@ class ImageProcessingService {
           contrast: stats.contrast
         },
         recommendations: [
-          healthScore < 0.5 ? 'Increase irrigation frequency' : 'Maintain current irrigation',
-          stats.contrast < 0.25 ? 'Consider higher-resolution capture for better diagnostics' : 'Image quality sufficient'
+          healthScore < 0.5 ? 'Inspect yellowing/brown patches and check irrigation and nutrition' : 'Maintain current irrigation',
+          segmented.canopyCoverPct < 5 ? 'Photograph the crop canopy closer; too little vegetation in frame' : 'Image quality sufficient'
         ]
       }
     } catch (error) {
@@ -143,18 +199,52 @@ class ImageProcessingService {
     }
   }
 
-  async detectDiseases(imageBuffer) {
+  async detectDiseases(imageBuffer, segmentation = null) {
     try {
-      const stats = await computeImageStats(imageBuffer)
-      // Heuristic: very low contrast + mid-high humidity proxy → higher disease risk
-      const diseaseProbability = Math.max(0, Math.min(1, 0.6 * (1 - stats.contrast) + 0.4 * (1 - Math.abs(stats.brightness - 0.5))))
-      const severity = diseaseProbability > 0.7 ? 'high' : diseaseProbability > 0.4 ? 'medium' : 'low'
+      const segmented = segmentation || await segmentImage(imageBuffer)
+      const lesionShare = lesionShareOfCanopy(segmented)
+      const localisation = {
+        affectedCanopyPct: Math.round(lesionShare * 1000) / 10,
+        lesionCount: segmented.lesions.length,
+        hotspots: toHotspots(segmented)
+      }
+
+      // Local ONNX classifier when a model is configured; segmentation still localises lesions
+      let classification = null
+      try {
+        classification = await diseaseClassifier.classify(imageBuffer)
+      } catch (error) {
+        console.warn('Disease classifier failed, using lesion heuristic:', error.message)
+      }
+
+      if (classification) {
+        const diseaseProbability = Math.max(0, Math.min(1, 1 - classification.healthyProbability))
+        const severity = diseaseProbability > 0.7 ? 'high' : diseaseProbability > 0.4 ? 'medium' : 'low'
+        return {
+          summary: `Disease classified by local ONNX model ${classification.modelVersion}`,
+          confidence: classification.predictions[0].probability,
+          diseaseProbability,
+          severity,
+          diseaseRisk: severity.charAt(0).toUpperCase() + severity.slice(1),
+          topDiagnosis: classification.predictions[0].label,
+          predictions: classification.predictions,
+          modelVersion: classification.modelVersion,
+          classifier: { source: 'onnx', modelVersion: classification.modelVersion, inferenceMs: classification.inferenceMs },
+          ...localisation
+        }
+      }
+
+      // Heuristic: lesion-coloured tissue covering 15% of the canopy counts as certain infection
+      const diseaseProbability = Math.max(0, Math.min(1, lesionShare / 0.15))
+      const severity = lesionShare > 0.1 ? 'high' : lesionShare > 0.03 ? 'medium' : 'low'
       return {
-        summary: 'Disease likelihood estimated from texture/illumination variance',
-        confidence: 0.8,
+        summary: 'Disease likelihood from yellow/brown lesion regions enclosed by canopy',
+        confidence: segmented.canopyCoverPct < 5 ? 0.4 : 0.8,
         diseaseProbability,
         severity,
-        hotspots: []
+        diseaseRisk: severity.charAt(0).toUpperCase() + severity.slice(1),
+        classifier: { source: 'heuristic', modelVersion: null },
+        ...localisation
       }
     } catch (error) {
       console.warn('Disease detection failed:', error)
@@ -162,9 +252,11 @@ class ImageProcessingService {
     }
   }
 
-  async analyzeSoil(imageBuffer) {
+  async analyzeSoil(imageBuffer, segmentation = null) {
     try {
-      const stats = await computeImageStats(imageBuffer)
+      const segmented = segmentation || await segmentImage(imageBuffer)
+      // Colour of the soil pixels only; whole-image colour when almost no soil is visible
+      const stats = segmented.fractions.soil >= 0.01 ? this.meanColourOf(segmented, PIXEL_CLASSES.SOIL) : await computeImageStats(imageBuffer)
       // Simple soil proxies from RGB: more red+brown → higher fertility proxy; blue deficit → dry
       const soilQuality = Math.max(0, Math.min(1, (stats.meanR * 0.5 + stats.meanG * 0.3) / 255))
       const moisture = Math.max(0, Math.min(1, stats.meanB / 255))
@@ -175,6 +267,8 @@ class ImageProcessingService {
         soilQuality,
         moistureLevel: moisture * 100,
         fertility,
+        soilCoverPct: Math.round(segmented.fractions.soil * 1000) / 10,
+        canopyCoverPct: segmented.canopyCoverPct,
         stats: { meanR: stats.meanR, meanG: stats.meanG, meanB: stats.meanB }
       }
     } catch (error) {
@@ -183,16 +277,18 @@ class ImageProcessingService {
     }
   }
 
-  async detectWeeds(imageBuffer) {
+  async detectWeeds(imageBuffer, segmentation = null) {
     try {
-      const stats = await computeImageStats(imageBuffer)
-      // Weeds proxy: very high vegetation index + high contrast → more heterogeneous green patches
-      const weedCoveragePct = Math.max(0, Math.min(100, (stats.vegetationIndex * (0.5 + stats.contrast)) * 100))
-      const severity = weedCoveragePct > 30 ? 'high' : weedCoveragePct > 10 ? 'medium' : 'low'
+      const segmented = segmentation || await segmentImage(imageBuffer)
+      // Weeds: small green patches isolated in soil, away from the main crop canopy
+      const weedCoveragePct = Math.round(segmented.fractions.weed * 1000) / 10
+      const severity = weedCoveragePct > 10 ? 'high' : weedCoveragePct > 3 ? 'medium' : 'low'
       return {
-        summary: 'Weed coverage approximated from vegetation/contrast heuristics',
-        confidence: 0.77,
+        summary: 'Weed coverage from isolated vegetation patches in soil',
+        confidence: 0.7,
         weedCoverage: weedCoveragePct,
+        weedCoveragePct,
+        patchCount: segmented.weeds.length,
         severity
       }
     } catch (error) {
@@ -201,26 +297,64 @@ class ImageProcessingService {
     }
   }
 
-  async comprehensiveAnalysis(imageBuffer) {
+  async comprehensiveAnalysis(imageBuffer, segmentation = null) {
     try {
+      const segmented = segmentation || await segmentImage(imageBuffer)
       const [cropHealth, diseases, soil, weeds] = await Promise.all([
-        this.analyzeCropHealth(imageBuffer),
-        this.detectDiseases(imageBuffer),
-        this.analyzeSoil(imageBuffer),
-        this.detectWeeds(imageBuffer)
+        this.analyzeCropHealth(imageBuffer, segmented),
+        this.detectDiseases(imageBuffer, segmented),
+        this.analyzeSoil(imageBuffer, segmented),
+        this.detectWeeds(imageBuffer, segmented)
       ])
 
-      return { cropHealth, diseases, soil, weeds }
+      return {
+        cropHealth,
+        diseases,
+        soil,
+        weeds,
+        segmentation: { canopyCoverPct: segmented.canopyCoverPct, fractions: segmented.fractions }
+      }
     } catch (error) {
       console.warn('Comprehensive analysis failed:', error)
       return this.getFallbackAnalysisResult('comprehensive')
     }
   }
 
+  // Mean RGB over the pixels of one segmentation class
+  meanColourOf(segmentation, pixelClass) {
+    const { mask, pixels, channels } = segmentation
+    let sumR = 0, sumG = 0, sumB = 0, count = 0
+    for (let i = 0; i < mask.length; i++) {
+      if (mask[i] !== pixelClass) continue
+      sumR += pixels[i * channels]
+      sumG += pixels[i * channels + 1]
+      sumB += pixels[i * channels + 2]
+      count++
+    }
+    return { meanR: sumR / (count || 1), meanG: sumG / (count || 1), meanB: sumB / (count || 1) }
+  }
+
+  // PNG overlay (base64) at segmentation resolution; hotspot boxes use the same pixel grid
+  async createOverlay(segmentation) {
+    const { width, height, pixels, channels } = segmentation
+    const hotspots = toHotspots(segmentation)
+    const raw = renderOverlay(pixels, width, height, channels, segmentation, hotspots.map(hotspot => hotspot.box))
+    const png = await sharp(raw, { raw: { width, height, channels: 3 } }).png().toBuffer()
+
+    return {
+      mimeType: 'image/png',
+      width,
+      height,
+      legend: { vegetation: 'green', lesion: 'red', weed: 'magenta', hotspot: 'yellow box' },
+      base64: png.toString('base64')
+    }
+  }
+
   getFallbackAnalysisResult(type) {
     const base = {
       summary: 'Fallback analysis result for demonstration. Real processing is guarded.',
       confidence: 0.82,
+      isFallbackData: true,
       recommendations: [
         'Monitor irrigation schedule',
         'Check for pests weekly',
@@ -245,11 +379,12 @@ class ImageProcessingService {
     return map[type] || map['comprehensive']
   }
 
-  getServiceStatus() {
+  async getServiceStatus() {
     return {
       supportedFormats: this.supportedFormats,
       maxFileSize: this.maxFileSize,
-      sharpAvailable: !!sharp
+      sharpAvailable: !!sharp,
+      diseaseModel: await diseaseClassifier.getStatus()
     }
   }
 }
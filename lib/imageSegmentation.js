@@ -0,0 +1,204 @@
+// Pixel-level segmentation for field photos (raw RGB buffers from sharp)
+// Vegetation from the ExG - ExR (ExGR) index, lesion-coloured regions enclosed by canopy,
+// small isolated green patches in soil as weeds, plus an RGB overlay of the classes
+
+export const PIXEL_CLASSES = { SOIL: 0, VEGETATION: 1, LESION: 2, WEED: 3, OTHER: 4 }
+
+const LESION_CANDIDATE = 5 // temporary label until enclosure by canopy is checked
+const MIN_PIXEL_SUM = 60 // darker pixels are shadow; chromatic indices are noise there
+const LESION_MIN_VEGETATION_BORDER = 0.5
+const WEED_MAX_SHARE_OF_VEGETATION = 0.02
+const WEED_MIN_SOIL_BORDER = 0.6
+
+// Excess green, excess red and their difference on chromatic coordinates (Meyer & Neto 2008)
+export function vegetationIndices(r, g, b) {
+  const sum = r + g + b || 1
+  const rn = r / sum
+  const gn = g / sum
+  const bn = b / sum
+  const exg = 2 * gn - rn - bn
+  const exr = 1.4 * rn - gn
+  return { exg, exr, exgr: exg - exr }
+}
+
+// Yellow/brown hue with some saturation: chlorotic or necrotic tissue (and, away from canopy, soil)
+function isLesionColoured(r, g, b) {
+  const max = Math.max(r, g, b)
+  const min = Math.min(r, g, b)
+  if (max === 0 || max === min) return false
+  const saturation = (max - min) / max
+  const value = max / 255
+  if (saturation < 0.25 || value < 0.2 || value > 0.95) return false
+
+  let hue
+  if (max === r) hue = 60 * (((g - b) / (max - min)) % 6)
+  else if (max === g) hue = 60 * ((b - r) / (max - min) + 2)
+  else hue = 60 * ((r - g) / (max - min) + 4)
+  if (hue < 0) hue += 360
+  return hue >= 15 && hue <= 65
+}
+
+export function classifyPixel(r, g, b) {
+  const sum = r + g + b
+  if (sum < MIN_PIXEL_SUM) return PIXEL_CLASSES.OTHER // shadow
+  if (Math.min(r, g, b) > 225) return PIXEL_CLASSES.OTHER // specular highlight
+  if (b > r && b > g && b > 128) return PIXEL_CLASSES.OTHER // sky
+
+  if (vegetationIndices(r, g, b).exgr > 0) return PIXEL_CLASSES.VEGETATION
+  if (isLesionColoured(r, g, b)) return LESION_CANDIDATE
+  return PIXEL_CLASSES.SOIL
+}
+
+// 4-connected regions of one label, with bounding box and the labels found just outside them
+// (the image edge counts as its own 'edge' neighbour, so regions cut by the frame are not enclosed)
+export function findConnectedRegions(mask, width, height, label) {
+  const visited = new Uint8Array(mask.length)
+  const stack = new Int32Array(mask.length)
+  const regions = []
+
+  for (let start = 0; start < mask.length; start++) {
+    if (mask[start] !== label || visited[start]) continue
+
+    const pixels = []
+    const border = {}
+    let minX = width, minY = height, maxX = 0, maxY = 0
+    let top = 0
+    stack[top++] = start
+    visited[start] = 1
+
+    while (top > 0) {
+      const index = stack[--top]
+      const x = index % width
+      const y = (index - x) / width
+      pixels.push(index)
+      if (x < minX) minX = x
+      if (x > maxX) maxX = x
+      if (y < minY) minY = y
+      if (y > maxY) maxY = y
+
+      const neighbours = [
+        x > 0 ? index - 1 : -1,
+        x < width - 1 ? index + 1 : -1,
+        y > 0 ? index - width : -1,
+        y < height - 1 ? index + width : -1
+      ]
+      for (const neighbour of neighbours) {
+        if (neighbour < 0) {
+          border.edge = (border.edge || 0) + 1
+        } else if (mask[neighbour] === label) {
+          if (!visited[neighbour]) {
+            visited[neighbour] = 1
+            stack[top++] = neighbour
+          }
+        } else {
+          border[mask[neighbour]] = (border[mask[neighbour]] || 0) + 1
+        }
+      }
+    }
+
+    const borderTotal = Object.values(border).reduce((sum, count) => sum + count, 0)
+    regions.push({
+      pixels,
+      area: pixels.length,
+      box: { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 },
+      borderShare: labelToCheck => (borderTotal ? (border[labelToCheck] || 0) / borderTotal : 0)
+    })
+  }
+
+  return regions
+}
+
+// Segment an RGB(A) raw buffer into soil / vegetation / lesion / weed / other
+export function segmentPixels(data, width, height, channels = 3) {
+  const total = width * height
+  const mask = new Uint8Array(total)
+  for (let i = 0; i < total; i++) {
+    const offset = i * channels
+    mask[i] = classifyPixel(data[offset], data[offset + 1], data[offset + 2])
+  }
+
+  // Lesion-coloured regions count as lesions only when mostly enclosed by canopy; the rest is soil
+  const minRegionPixels = Math.max(4, Math.round(total * 0.0002))
+  const lesions = []
+  findConnectedRegions(mask, width, height, LESION_CANDIDATE).forEach(region => {
+    const enclosed = region.borderShare(PIXEL_CLASSES.VEGETATION) >= LESION_MIN_VEGETATION_BORDER
+    const isLesion = enclosed && region.area >= minRegionPixels
+    region.pixels.forEach(index => { mask[index] = isLesion ? PIXEL_CLASSES.LESION : PIXEL_CLASSES.SOIL })
+    if (isLesion) lesions.push({ area: region.area, box: region.box })
+  })
+
+  // Small green patches surrounded by soil are treated as weeds rather than crop canopy
+  const vegetationRegions = findConnectedRegions(mask, width, height, PIXEL_CLASSES.VEGETATION)
+  const vegetationArea = vegetationRegions.reduce((sum, region) => sum + region.area, 0)
+  const weeds = []
+  vegetationRegions.forEach(region => {
+    if (region.area < minRegionPixels) return
+    if (region.area > vegetationArea * WEED_MAX_SHARE_OF_VEGETATION) return
+    if (region.borderShare(PIXEL_CLASSES.SOIL) < WEED_MIN_SOIL_BORDER) return
+    region.pixels.forEach(index => { mask[index] = PIXEL_CLASSES.WEED })
+    weeds.push({ area: region.area, box: region.box })
+  })
+
+  const counts = [0, 0, 0, 0, 0]
+  for (let i = 0; i < total; i++) counts[mask[i]]++
+  const fraction = count => Math.round(count / total * 10000) / 10000
+
+  return {
+    width,
+    height,
+    mask,
+    fractions: {
+      soil: fraction(counts[PIXEL_CLASSES.SOIL]),
+      vegetation: fraction(counts[PIXEL_CLASSES.VEGETATION]),
+      lesion: fraction(counts[PIXEL_CLASSES.LESION]),
+      weed: fraction(counts[PIXEL_CLASSES.WEED]),
+      other: fraction(counts[PIXEL_CLASSES.OTHER])
+    },
+    // Diseased tissue is still canopy; weeds are not
+    canopyCoverPct: Math.round((counts[PIXEL_CLASSES.VEGETATION] + counts[PIXEL_CLASSES.LESION]) / total * 1000) / 10,
+    lesions: lesions.sort((a, b) => b.area - a.area),
+    weeds: weeds.sort((a, b) => b.area - a.area)
+  }
+}
+
+const OVERLAY_COLOURS = {
+  [PIXEL_CLASSES.VEGETATION]: { colour: [0, 200, 0], alpha: 0.35 },
+  [PIXEL_CLASSES.LESION]: { colour: [255, 0, 0], alpha: 0.7 },
+  [PIXEL_CLASSES.WEED]: { colour: [255, 0, 255], alpha: 0.55 }
+}
+const HOTSPOT_OUTLINE = [255, 220, 0]
+
+// RGB overlay: classes tinted over the photo, hotspot boxes outlined in yellow
+export function renderOverlay(data, width, height, channels, segmentation, hotspotBoxes = []) {
+  const output = Buffer.alloc(width * height * 3)
+  for (let i = 0; i < width * height; i++) {
+    const tint = OVERLAY_COLOURS[segmentation.mask[i]]
+    for (let c = 0; c < 3; c++) {
+      const value = data[i * channels + c]
+      output[i * 3 + c] = tint ? Math.round(value * (1 - tint.alpha) + tint.colour[c] * tint.alpha) : value
+    }
+  }
+
+  const thickness = width > 300 ? 2 : 1
+  const paint = (x, y) => {
+    if (x < 0 || y < 0 || x >= width || y >= height) return
+    const offset = (y * width + x) * 3
+    output[offset] = HOTSPOT_OUTLINE[0]
+    output[offset + 1] = HOTSPOT_OUTLINE[1]
+    output[offset + 2] = HOTSPOT_OUTLINE[2]
+  }
+  hotspotBoxes.forEach(box => {
+    for (let t = 0; t < thickness; t++) {
+      for (let x = box.x - thickness; x < box.x + box.width + thickness; x++) {
+        paint(x, box.y - 1 - t)
+        paint(x, box.y + box.height + t)
+      }
+      for (let y = box.y - thickness; y < box.y + box.height + thickness; y++) {
+        paint(box.x - 1 - t, y)
+        paint(box.x + box.width + t, y)
+      }
+    }
+  })
+
+  return output
+}
@@ -0,0 +1,256 @@
+// Irrigation Scheduler Service for PredictAgri
+// FAO-56 reference evapotranspiration (Penman-Monteith), crop coefficients by growth stage
+// and a daily root-zone soil water balance that yields dated irrigation events in mm
+
+import { weatherProviderService } from './weatherProviderService.js'
+import { cropPhenologyService, normalizeCropName } from './cropPhenologyService.js'
+import { Logger } from './logger.js'
+
+const STEFAN_BOLTZMANN = 4.903e-9 // MJ K⁻⁴ m⁻² day⁻¹
+const SOLAR_CONSTANT = 0.0820 // MJ m⁻² min⁻¹
+
+// FAO-56 Table 12 (Kc), Table 22 (max root depth m, depletion fraction p), typical values
+export const CROP_WATER_PARAMETERS = {
+  Wheat: { kcIni: 0.4, kcMid: 1.15, kcEnd: 0.3, rootDepth: 1.5, p: 0.55 },
+  Rice: { kcIni: 1.05, kcMid: 1.2, kcEnd: 0.75, rootDepth: 0.5, p: 0.2 },
+  Maize: { kcIni: 0.3, kcMid: 1.2, kcEnd: 0.35, rootDepth: 1.2, p: 0.55 },
+  Cotton: { kcIni: 0.35, kcMid: 1.15, kcEnd: 0.6, rootDepth: 1.3, p: 0.65 },
+  Sugarcane: { kcIni: 0.4, kcMid: 1.25, kcEnd: 0.75, rootDepth: 1.5, p: 0.65 },
+  Potato: { kcIni: 0.5, kcMid: 1.15, kcEnd: 0.75, rootDepth: 0.5, p: 0.35 },
+  Tomato: { kcIni: 0.6, kcMid: 1.15, kcEnd: 0.8, rootDepth: 1.0, p: 0.4 },
+  Onion: { kcIni: 0.7, kcMid: 1.05, kcEnd: 0.75, rootDepth: 0.45, p: 0.3 },
+  Chickpea: { kcIni: 0.4, kcMid: 1.0, kcEnd: 0.35, rootDepth: 0.8, p: 0.5 },
+  Soybean: { kcIni: 0.4, kcMid: 1.15, kcEnd: 0.5, rootDepth: 1.0, p: 0.5 },
+  Groundnut: { kcIni: 0.4, kcMid: 1.15, kcEnd: 0.6, rootDepth: 0.7, p: 0.5 },
+  Sunflower: { kcIni: 0.35, kcMid: 1.1, kcEnd: 0.35, rootDepth: 1.2, p: 0.45 }
+}
+
+// Volumetric water content (m³/m³) at field capacity and wilting point, FAO-56 Table 19 midpoints
+export const SOIL_WATER_PROPERTIES = {
+  'sand': { fieldCapacity: 0.12, wiltingPoint: 0.045 },
+  'loamy sand': { fieldCapacity: 0.14, wiltingPoint: 0.06 },
+  'sandy loam': { fieldCapacity: 0.23, wiltingPoint: 0.1 },
+  'sandy clay loam': { fieldCapacity: 0.27, wiltingPoint: 0.17 },
+  'loam': { fieldCapacity: 0.25, wiltingPoint: 0.12 },
+  'silt loam': { fieldCapacity: 0.29, wiltingPoint: 0.15 },
+  'silt': { fieldCapacity: 0.32, wiltingPoint: 0.15 },
+  'clay loam': { fieldCapacity: 0.32, wiltingPoint: 0.19 },
+  'silty clay loam': { fieldCapacity: 0.34, wiltingPoint: 0.2 },
+  'silty clay': { fieldCapacity: 0.36, wiltingPoint: 0.23 },
+  'clay': { fieldCapacity: 0.36, wiltingPoint: 0.22 }
+}
+
+// Application efficiency by method
+export const IRRIGATION_EFFICIENCY = {
+  drip: 0.9,
+  sprinkler: 0.75,
+  furrow: 0.65,
+  flood: 0.6
+}
+
+const saturationVapourPressure = t => 0.6108 * Math.exp((17.27 * t) / (t + 237.3))
+
+const dayOfYear = date => {
+  const d = new Date(`${date}T00:00:00Z`)
+  return Math.floor((d - Date.UTC(d.getUTCFullYear(), 0, 0)) / 86400000)
+}
+
+// Extraterrestrial radiation Ra (MJ m⁻² day⁻¹), FAO-56 eq. 21
+export function extraterrestrialRadiation(latitude, doy) {
+  const phi = latitude * Math.PI / 180
+  const dr = 1 + 0.033 * Math.cos(2 * Math.PI * doy / 365)
+  const delta = 0.409 * Math.sin(2 * Math.PI * doy / 365 - 1.39)
+  const ws = Math.acos(Math.max(-1, Math.min(1, -Math.tan(phi) * Math.tan(delta))))
+  return (24 * 60 / Math.PI) * SOLAR_CONSTANT * dr *
+    (ws * Math.sin(phi) * Math.sin(delta) + Math.cos(phi) * Math.cos(delta) * Math.sin(ws))
+}
+
+// Daily reference evapotranspiration ET0 (mm/day), FAO-56 eq. 6
+// day: normalized daily record { date, tmax, tmin, rhMax, rhMin, windSpeed (10 m mean, km/h), solarRadiation (MJ/m²) }
+export function calculateET0(day, latitude, elevation = 0) {
+  const { tmax, tmin } = day
+  const tmean = (tmax + tmin) / 2
+  const ra = extraterrestrialRadiation(latitude, dayOfYear(day.date))
+
+  const pressure = 101.3 * Math.pow((293 - 0.0065 * elevation) / 293, 5.26)
+  const gamma = 0.000665 * pressure
+  const delta = 4098 * saturationVapourPressure(tmean) / Math.pow(tmean + 237.3, 2)
+
+  const es = (saturationVapourPressure(tmax) + saturationVapourPressure(tmin)) / 2
+  const ea = (typeof day.rhMax === 'number' && typeof day.rhMin === 'number')
+    ? (saturationVapourPressure(tmin) * day.rhMax / 100 + saturationVapourPressure(tmax) * day.rhMin / 100) / 2
+    : saturationVapourPressure(tmin) // FAO-56 eq. 48: dew point ≈ Tmin when humidity is missing
+
+  // Hargreaves radiation estimate (eq. 50) when radiation is missing
+  const rs = typeof day.solarRadiation === 'number'
+    ? day.solarRadiation
+    : 0.16 * Math.sqrt(Math.max(0, tmax - tmin)) * ra
+  const rso = (0.75 + 2e-5 * elevation) * ra
+  const rns = 0.77 * rs
+  const rnl = STEFAN_BOLTZMANN *
+    (Math.pow(tmax + 273.16, 4) + Math.pow(tmin + 273.16, 4)) / 2 *
+    (0.34 - 0.14 * Math.sqrt(ea)) *
+    (1.35 * Math.min(1, rs / rso) - 0.35)
+  const rn = rns - rnl
+
+  // Wind at 2 m from 10 m (eq. 47); 2 m/s is the FAO default when wind is missing
+  const u2 = typeof day.windSpeed === 'number' ? (day.windSpeed / 3.6) * 4.87 / Math.log(67.8 * 10 - 5.42) : 2
+
+  const et0 = (0.408 * delta * rn + gamma * (900 / (tmean + 273)) * u2 * (es - ea)) /
+    (delta + gamma * (1 + 0.34 * u2))
+
+  return Math.max(0, Math.round(et0 * 100) / 100)
+}
+
+// Crop coefficient for a growth stage: Kc_ini during establishment, rising to Kc_mid through
+// vegetative growth, Kc_mid through flowering and yield formation, falling to Kc_end at maturity
+export function cropCoefficient(crop, phase, progress = 50) {
+  const { kcIni, kcMid, kcEnd } = CROP_WATER_PARAMETERS[crop]
+  const fraction = Math.max(0, Math.min(100, progress)) / 100
+
+  switch (phase) {
+    case 'establishment': return kcIni
+    case 'vegetative': return Math.round((kcIni + (kcMid - kcIni) * fraction) * 100) / 100
+    case 'maturity': return Math.round((kcMid + (kcEnd - kcMid) * fraction) * 100) / 100
+    default: return kcMid
+  }
+}
+
+// Roots deepen through establishment and vegetative growth
+export function rootZoneDepth(crop, phase) {
+  const { rootDepth } = CROP_WATER_PARAMETERS[crop]
+  if (phase === 'establishment') return Math.max(0.15, rootDepth * 0.3)
+  if (phase === 'vegetative') return rootDepth * 0.7
+  return rootDepth
+}
+
+export function soilWaterProperties(texture) {
+  const key = typeof texture === 'string' ? texture.trim().toLowerCase() : null
+  return SOIL_WATER_PROPERTIES[key] || SOIL_WATER_PROPERTIES.loam
+}
+
+// Rain below 2 mm is lost to interception/evaporation; 80% of the rest reaches the root zone
+export function effectiveRainfall(precipitation) {
+  return precipitation >= 2 ? precipitation * 0.8 : 0
+}
+
+class IrrigationSchedulerService {
+  constructor() {
+    this.logger = new Logger({ service: 'IrrigationSchedulerService' })
+    this.weatherService = weatherProviderService
+    this.phenologyService = cropPhenologyService
+    this.defaultMethod = 'furrow'
+    this.maxForecastDays = 16
+  }
+
+  // Build a schedule from crop/sowing date (or an existing cropStage from the pipeline)
+  // options: { lat, lon, crop, sowingDate, cropStage, soil, areaHectares, irrigationMethod, days }
+  // soil is the GEE soil block ({ soilMoisture: { value }, soilTexture: { texture } }) when available
+  async createSchedule(options) {
+    const { lat, lon, soil = null, areaHectares = null } = options
+    const days = Math.min(Math.max(parseInt(options.days, 10) || 7, 1), this.maxForecastDays)
+    const method = options.irrigationMethod || this.defaultMethod
+
+    if (!IRRIGATION_EFFICIENCY[method]) {
+      throw new Error(`Unknown irrigation method: ${method}. Use one of: ${Object.keys(IRRIGATION_EFFICIENCY).join(', ')}`)
+    }
+
+    const cropStage = options.cropStage || await this.phenologyService.estimateStage({
+      crop: options.crop,
+      sowingDate: options.sowingDate,
+      lat,
+      lon
+    })
+    const crop = normalizeCropName(cropStage.crop)
+    if (!CROP_WATER_PARAMETERS[crop]) throw new Error(`No water parameters for crop: ${cropStage.crop}`)
+
+    const forecast = await this.weatherService.getDaily(lat, lon, { days })
+
+    // Root zone water holding: total (TAW) and readily available (RAW) water, mm
+    const phase = cropStage.stage.phase
+    const kc = cropCoefficient(crop, phase, cropStage.stage.progress)
+    const rootDepth = rootZoneDepth(crop, phase)
+    const texture = soil?.soilTexture?.texture || null
+    const { fieldCapacity, wiltingPoint } = soilWaterProperties(texture)
+    const taw = 1000 * (fieldCapacity - wiltingPoint) * rootDepth
+    const raw = CROP_WATER_PARAMETERS[crop].p * taw
+
+    // Starting depletion from a soil probe or GEE (SMAP) soil moisture; half of RAW when unavailable
+    const measuredMoisture = soil?.soilMoisture?.value
+    const probe = soil?.soilMoisture?.station || null
+    const hasMeasurement = typeof measuredMoisture === 'number' && (probe !== null || (!soil?.isFallbackData && soil?.quality !== 'low'))
+    let depletion = hasMeasurement
+      ? Math.min(taw, Math.max(0, 1000 * (fieldCapacity - measuredMoisture) * rootDepth))
+      : raw / 2
+    const initialDepletion = depletion
+
+    const efficiency = IRRIGATION_EFFICIENCY[method]
+    const events = []
+    const balance = forecast.days.map(day => {
+      const et0 = calculateET0(day, lat, forecast.elevation || 0)
+      const etc = Math.round(et0 * kc * 100) / 100
+      const rain = effectiveRainfall(day.precipitation)
+
+      depletion = Math.min(taw, Math.max(0, depletion - rain + etc))
+
+      let irrigation = null
+      if (depletion >= raw) {
+        const netDepthMm = Math.round(depletion)
+        irrigation = {
+          date: day.date,
+          netDepthMm,
+          grossDepthMm: Math.round(netDepthMm / efficiency),
+          volumeM3: areaHectares ? Math.round(netDepthMm / efficiency * areaHectares * 10) : null,
+          reason: `Root-zone depletion ${Math.round(depletion)} mm exceeds readily available water ${Math.round(raw)} mm`
+        }
+        events.push(irrigation)
+        depletion = 0 // refilled to field capacity
+      }
+
+      return {
+        date: day.date,
+        et0,
+        kc,
+        etc,
+        precipitation: day.precipitation,
+        effectiveRainfall: Math.round(rain * 10) / 10,
+        depletionMm: Math.round(depletion * 10) / 10,
+        irrigationMm: irrigation?.grossDepthMm || 0
+      }
+    })
+
+    this.logger.info('irrigation_schedule_created', { crop, stage: cropStage.stage.key, days, events: events.length })
+
+    return {
+      crop,
+      stage: { key: cropStage.stage.key, name: cropStage.stage.name, phase },
+      method,
+      efficiency,
+      kc,
+      rootZoneDepthM: rootDepth,
+      soil: {
+        texture: texture || 'Loam (assumed)',
+        fieldCapacity,
+        wiltingPoint,
+        totalAvailableWaterMm: Math.round(taw),
+        readilyAvailableWaterMm: Math.round(raw),
+        initialDepletionMm: Math.round(initialDepletion),
+        initialMoistureSource: probe ? `Soil probe: ${probe.name}` : hasMeasurement ? 'Google Earth Engine (SMAP)' : 'Assumed (no live soil moisture)'
+      },
+      events,
+      balance,
+      summary: {
+        days: balance.length,
+        totalEt0Mm: Math.round(balance.reduce((sum, day) => sum + day.et0, 0) * 10) / 10,
+        totalEtcMm: Math.round(balance.reduce((sum, day) => sum + day.etc, 0) * 10) / 10,
+        totalGrossIrrigationMm: events.reduce((sum, event) => sum + event.grossDepthMm, 0),
+        nextIrrigation: events[0] || null
+      },
+      ...(crop === 'Rice' && { note: 'Paddy: keep 5 cm standing water during tillering to grain filling; events show upland-equivalent demand' }),
+      timestamp: new Date().toISOString()
+    }
+  }
+}
+
+export const irrigationSchedulerService = new IrrigationSchedulerService()
+export default irrigationSchedulerService
@@ -1,27 +1,21 @@
-// client-only helper to load and run ONNX via Render backend
+// client-only helper to run yield predictions through the in-process model runtime (/api/ai-model-predict)
 "use client";
 
-// Backend URL - your actual Render backend URL
-const BACKEND_URL = process.env.NEXT_PUBLIC_BACKEND_URL || 'https://agribackend-f3ky.onrender.com';
+import { YIELD_MODEL_SCHEMA } from './yieldModelSchema.js';
 
 export async function loadSchema() {
-  // Since the backend doesn't have a schema endpoint, return a default schema
-  // based on the required fields we discovered
-  return {
-    numeric_features: ['soil_ph', 'temperature', 'humidity', 'rainfall', 'fertilizer_usage', 'risk_score'],
-    categorical_features: ['crop_name', 'season', 'region']
-  };
+  return YIELD_MODEL_SCHEMA;
 }
 
 export async function runPrediction(numeric, categorical) {
   try {
-    // Combine numeric and categorical data into the flat format the backend expects
+    // Combine numeric and categorical data into the flat format the runtime expects
     const predictionData = {
       ...numeric,
       ...categorical
     };
 
-    const res = await fetch(`${BACKEND_URL}/predict`, {
+    const res = await fetch('/api/ai-model-predict', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -29,15 +23,14 @@ export async function runPrediction(numeric, categorical) {
       body: JSON.stringify(predictionData),
     });
 
+    const data = await res.json().catch(() => ({}));
     if (!res.ok) {
-      const errorData = await res.json().catch(() => ({}));
-      throw new Error(`Prediction failed: ${errorData.details || res.statusText}`);
+      throw new Error(`Prediction failed: ${data.details?.join('; ') || data.error || res.statusText}`);
     }
 
-    const data = await res.json();
     return data.prediction;
   } catch (error) {
-    console.error('Failed to run prediction on backend:', error);
+    console.error('Failed to run yield prediction:', error);
     throw error;
   }
 }
@@ -61,17 +54,14 @@ export function mapFeaturesToOnnxSchema(features, cropName, season, region) {
   };
 }
 
-// Helper function to check backend health
+// Helper function to check that the yield model runtime has a model loaded
 export async function checkBackendHealth() {
   try {
-    const res = await fetch(`${BACKEND_URL}/health`);
-    if (!res.ok) {
-      return false;
-    }
+    const res = await fetch('/api/ai-model-health');
     const data = await res.json();
-    return data.modelLoaded;
+    return !!data.model_loaded;
   } catch (error) {
-    console.error('Backend health check failed:', error);
+    console.error('Yield model health check failed:', error);
     return false;
   }
 }
@@ -0,0 +1,414 @@
+// Pipeline Batch Service for PredictAgri
+// Runs the enhanced farmer pipeline for every stored field in a region, of chosen farmers or everywhere,
+// with bounded concurrency. Weather and point GEE lookups are shared between farmers in the same grid cell,
+// and each run keeps a report (per-field outcome, SMS sent) in memory and in the `pipeline_batch_runs` table
+
+import { enhancedAutomatedPipeline } from './enhancedAutomatedPipeline.js'
+import { farmFieldService } from './farmFieldService.js'
+import { farmerService, smsBlockReason } from './farmerService.js'
+import { haversineKm } from './weatherProviders.js'
+import { Logger } from './logger.js'
+
+export const MAX_BATCH_CONCURRENCY = 16
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+const MAX_RUNS_IN_MEMORY = 20
+
+const httpError = (message, status) => {
+  const error = new Error(message)
+  error.status = status
+  return error
+}
+
+// Collectors whose output only depends on where the farm is; a field boundary makes GEE data field-specific
+const SHARED_STEPS = {
+  weather: () => true,
+  environmental: context => !context.field
+}
+
+export function gridCellKey(lat, lon, gridDegrees) {
+  return `${Math.floor(lat / gridDegrees)}:${Math.floor(lon / gridDegrees)}`
+}
+
+// Runs worker(item, index) over items with at most `limit` in flight; results keep the input order
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length)
+  let next = 0
+  const lane = async () => {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await worker(items[index], index)
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, lane))
+  return results
+}
+
+// Per-run cache of collector lookups by grid cell; concurrent farmers in a cell wait for the first lookup
+export class GridLookupCache {
+  constructor(gridDegrees) {
+    this.gridDegrees = gridDegrees
+    this.entries = new Map()
+    this.stats = Object.fromEntries(Object.keys(SHARED_STEPS).map(step => [step, { fetched: 0, reused: 0 }]))
+  }
+
+  keyFor(step, context) {
+    const coordinates = context.location?.coordinates
+    if (!SHARED_STEPS[step]?.(context) || !coordinates) return null
+    return `${step}:${gridCellKey(coordinates.lat, coordinates.lon, this.gridDegrees)}`
+  }
+
+  share(step, context, execute) {
+    const key = this.keyFor(step, context)
+    if (!key) return execute()
+
+    if (this.entries.has(key)) {
+      this.stats[step].reused++
+      return this.entries.get(key)
+    }
+
+    this.stats[step].fetched++
+    const lookup = execute().catch(error => {
+      // Let the next farmer in the cell try again rather than sharing the failure
+      this.entries.delete(key)
+      throw error
+    })
+    this.entries.set(key, lookup)
+    return lookup
+  }
+}
+
+// How the pipeline's notification turned out: sent, skipped (not selected, disabled, blocked) or failed
+export function smsOutcome(notification) {
+  if (!notification || notification.method === 'Skipped') return 'skipped'
+  return notification.success ? 'sent' : 'failed'
+}
+
+export function summarizeResults(results) {
+  const count = (key, value) => results.filter(result => result[key] === value).length
+  return {
+    fields: results.length,
+    farmers: new Set(results.map(result => result.farmerId)).size,
+    succeeded: count('status', 'succeeded'),
+    failed: count('status', 'failed'),
+    smsSent: count('sms', 'sent'),
+    smsSkipped: count('sms', 'skipped'),
+    smsFailed: count('sms', 'failed')
+  }
+}
+
+class PipelineBatchService {
+  constructor() {
+    this.logger = new Logger({ service: 'PipelineBatchService' })
+    this.pipeline = enhancedAutomatedPipeline
+    this.farmerService = farmerService
+    this.runs = new Map()
+    this.activeScopes = new Set()
+    this.tableName = 'pipeline_batch_runs'
+    this.defaultConcurrency = Math.min(Number(process.env.BATCH_CONCURRENCY) || 4, MAX_BATCH_CONCURRENCY)
+    this.gridDegrees = Number(process.env.BATCH_GRID_DEGREES) || 0.1
+  }
+
+  // databaseService throws at import time without Supabase env, so load it lazily
+  async getDatabaseClient() {
+    try {
+      const { databaseService } = await import('./databaseService.js')
+      return databaseService.client
+    } catch (error) {
+      this.logger.warn('batch_database_unavailable', { error: error.message })
+      throw httpError('Batch runs are unavailable: database not configured', 503)
+    }
+  }
+
+  validateOptions(input = {}) {
+    const errors = []
+    const options = {
+      regionId: input.regionId ?? null,
+      farmerIds: input.farmerIds ?? null,
+      steps: input.steps ?? null,
+      concurrency: input.concurrency === undefined ? this.defaultConcurrency : Number(input.concurrency)
+    }
+
+    if (options.regionId !== null && (typeof options.regionId !== 'string' || !UUID_PATTERN.test(options.regionId))) {
+      errors.push('regionId must be a region UUID')
+    }
+    if (options.farmerIds !== null && (!Array.isArray(options.farmerIds) || options.farmerIds.length === 0 ||
+      options.farmerIds.some(id => typeof id !== 'string' || id.trim() === ''))) {
+      errors.push('farmerIds must be a non-empty array of farmer ids')
+    }
+    if (!Number.isInteger(options.concurrency) || options.concurrency < 1 || options.concurrency > MAX_BATCH_CONCURRENCY) {
+      errors.push(`concurrency must be an integer between 1 and ${MAX_BATCH_CONCURRENCY}`)
+    }
+    if (options.steps !== null) {
+      try {
+        if (!Array.isArray(options.steps)) throw new Error('steps must be an array of step names')
+        this.pipeline.stepRegistry.resolve(options.steps)
+      } catch (error) {
+        errors.push(error.message)
+      }
+    }
+
+    return { valid: errors.length === 0, errors, options }
+  }
+
+  // Every stored field (of farmerIds when given), assigned to the region whose centre is nearest, with the
+  // farmer's registered profile (null for farmers who are not in the registry)
+  async loadRoster({ regionId = null, farmerIds = null } = {}) {
+    const client = await this.getDatabaseClient()
+
+    const { data: regions, error: regionsError } = await client.from('regions').select('id, name, lat, lon')
+    if (regionsError) throw regionsError
+    if (regionId && !regions.some(region => region.id === regionId)) throw httpError(`Region ${regionId} not found`, 404)
+
+    let query = client
+      .from('farmer_fields')
+      .select('*')
+      .order('farmer_id', { ascending: true })
+      .order('created_at', { ascending: true })
+    if (farmerIds) query = query.in('farmer_id', farmerIds)
+    const { data: fieldRows, error: fieldsError } = await query
+    if (fieldsError) throw fieldsError
+
+    const nearestRegion = ({ lat, lon }) => regions.reduce((best, region) => {
+      const distanceKm = haversineKm(lat, lon, region.lat, region.lon)
+      return !best || distanceKm < best.distanceKm ? { region, distanceKm } : best
+    }, null)?.region || null
+
+    const entries = fieldRows
+      .map(row => farmFieldService.fromRow(row))
+      .map(field => ({ field, region: nearestRegion(field.centroid) }))
+      .filter(({ region }) => !regionId || region?.id === regionId)
+      .map(({ field, region }) => ({
+        farmerId: field.farmerId,
+        fieldId: field.id,
+        fieldName: field.name,
+        regionId: region?.id || null,
+        regionName: region?.name || null,
+        coordinates: field.centroid,
+        cell: gridCellKey(field.centroid.lat, field.centroid.lon, this.gridDegrees),
+        profile: null
+      }))
+
+    const profiles = await this.farmerService.getFarmers([...new Set(entries.map(entry => entry.farmerId))])
+    entries.forEach(entry => { entry.profile = profiles.get(entry.farmerId) || null })
+    return entries
+  }
+
+  // Roster only: which fields a run would cover and how they group into grid cells
+  async previewRun(input = {}) {
+    const { valid, errors, options } = this.validateOptions(input)
+    if (!valid) throw Object.assign(httpError('Invalid batch options', 400), { details: errors })
+
+    const roster = await this.loadRoster(options)
+    return {
+      regionId: options.regionId,
+      fields: roster.length,
+      farmers: new Set(roster.map(entry => entry.farmerId)).size,
+      cells: new Set(roster.map(entry => entry.cell)).size,
+      unregistered: roster.filter(entry => !entry.profile).length,
+      smsBlocked: roster.filter(entry => this.smsReasonFor(entry)).length,
+      roster: roster.map(({ profile, ...entry }) => ({ ...entry, registered: !!profile, smsReason: this.smsReasonFor({ profile }) }))
+    }
+  }
+
+  // Why a roster entry gets no SMS (no profile, no consent, quiet hours...), or null
+  smsReasonFor(entry) {
+    return entry.profile ? smsBlockReason(entry.profile) : 'Farmer is not registered'
+  }
+
+  createRun(input) {
+    const { valid, errors, options } = this.validateOptions(input)
+    if (!valid) throw Object.assign(httpError('Invalid batch options', 400), { details: errors })
+
+    const scope = this.scopeOf(options)
+    if (this.activeScopes.has(scope)) throw httpError(`A batch run for ${options.regionId ? `region ${options.regionId}` : 'all regions'}${options.farmerIds ? ` (${options.farmerIds.length} farmers)` : ''} is already running`, 409)
+    this.activeScopes.add(scope)
+
+    const run = {
+      runId: `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      status: 'queued',
+      regionId: options.regionId,
+      options: { farmerIds: options.farmerIds, steps: options.steps, concurrency: options.concurrency, gridDegrees: this.gridDegrees },
+      triggeredBy: input.triggeredBy || 'api',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      totals: summarizeResults([]),
+      sharedLookups: null,
+      results: [],
+      error: null
+    }
+
+    this.runs.set(run.runId, run)
+    this.pruneRuns()
+    this.logger.info('batch_run_created', { runId: run.runId, regionId: run.regionId, triggeredBy: run.triggeredBy })
+    return run
+  }
+
+  // Start a run in the background and return its snapshot immediately (API)
+  startRun(input = {}) {
+    const run = this.createRun(input)
+    setTimeout(() => {
+      this.executeRun(run).catch(error => {
+        this.logger.error('batch_run_runner_error', { runId: run.runId, error: error.message })
+      })
+    }, 0)
+    return this.summarize(run)
+  }
+
+  // Run to completion and return the full report (CLI)
+  async runBatch(input = {}) {
+    const run = this.createRun(input)
+    await this.executeRun(run)
+    return this.snapshot(run)
+  }
+
+  scopeOf({ regionId, farmerIds }) {
+    return `${regionId || 'all'}:${farmerIds ? [...farmerIds].sort().join(',') : '*'}`
+  }
+
+  async executeRun(run) {
+    const scope = this.scopeOf({ regionId: run.regionId, farmerIds: run.options.farmerIds })
+    run.status = 'running'
+    run.startedAt = new Date().toISOString()
+    await this.persistRun(run)
+
+    try {
+      const roster = await this.loadRoster({ regionId: run.regionId, farmerIds: run.options.farmerIds })
+      const lookups = new GridLookupCache(this.gridDegrees)
+      // Farmers who may not be texted skip the sms step instead of failing it
+      const selectedSteps = Array.from(this.pipeline.stepRegistry.resolve(run.options.steps))
+      const withoutSms = selectedSteps.filter(step => step !== 'sms')
+
+      this.logger.info('batch_run_started', { runId: run.runId, fields: roster.length, concurrency: run.options.concurrency })
+
+      await mapWithConcurrency(roster, run.options.concurrency, async (entry, index) => {
+        const startedAt = Date.now()
+        const smsReason = this.smsReasonFor(entry)
+        const result = await this.pipeline.executeFarmerPipeline(
+          { farmerId: entry.farmerId, profile: entry.profile, region: entry.regionName || undefined },
+          {
+            pipelineId: `${run.runId}_${index}`,
+            fieldId: entry.fieldId,
+            steps: smsReason ? withoutSms : selectedSteps,
+            shareLookup: (step, context, execute) => lookups.share(step, context, execute)
+          }
+        )
+
+        run.results.push({
+          farmerId: entry.farmerId,
+          fieldId: entry.fieldId,
+          fieldName: entry.fieldName,
+          regionId: entry.regionId,
+          cell: entry.cell,
+          pipelineId: result.pipelineId,
+          status: result.success ? 'succeeded' : 'failed',
+          sms: result.success ? smsOutcome(result.notification) : 'skipped',
+          smsReason: result.notification?.reason || smsReason,
+          error: result.success ? null : result.error,
+          durationMs: Date.now() - startedAt
+        })
+        run.totals = summarizeResults(run.results)
+      })
+
+      run.sharedLookups = lookups.stats
+      run.status = 'completed'
+    } catch (error) {
+      run.status = 'failed'
+      run.error = error.message
+      this.logger.error('batch_run_failed', { runId: run.runId, error: error.message })
+    } finally {
+      run.finishedAt = new Date().toISOString()
+      this.activeScopes.delete(scope)
+    }
+
+    this.logger.info('batch_run_finished', { runId: run.runId, status: run.status, ...run.totals })
+    await this.persistRun(run)
+    return run
+  }
+
+  async getRun(runId) {
+    const run = this.runs.get(runId)
+    if (run) return this.snapshot(run)
+    return this.loadPersistedRun(runId)
+  }
+
+  listRuns({ regionId, limit = 20 } = {}) {
+    return Array.from(this.runs.values())
+      .filter(run => !regionId || run.regionId === regionId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit)
+      .map(run => this.summarize(run))
+  }
+
+  snapshot(run) {
+    return { ...run, options: { ...run.options }, totals: { ...run.totals }, results: run.results.map(result => ({ ...result })) }
+  }
+
+  summarize(run) {
+    const { results, ...summary } = this.snapshot(run)
+    return summary
+  }
+
+  // Keep the newest finished runs; the table holds the full history
+  pruneRuns() {
+    const finished = Array.from(this.runs.values())
+      .filter(run => run.finishedAt)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    finished.slice(0, Math.max(0, this.runs.size - MAX_RUNS_IN_MEMORY)).forEach(run => this.runs.delete(run.runId))
+  }
+
+  async persistRun(run) {
+    try {
+      const client = await this.getDatabaseClient()
+      const { error } = await client
+        .from(this.tableName)
+        .upsert({
+          run_id: run.runId,
+          region_id: run.regionId,
+          status: run.status,
+          options: run.options,
+          triggered_by: run.triggeredBy,
+          totals: run.totals,
+          shared_lookups: run.sharedLookups,
+          results: run.results,
+          error: run.error,
+          created_at: run.createdAt,
+          started_at: run.startedAt,
+          finished_at: run.finishedAt
+        }, { onConflict: 'run_id' })
+      if (error) throw error
+    } catch (error) {
+      this.logger.warn('batch_run_persist_failed', { runId: run.runId, error: error.message })
+    }
+  }
+
+  async loadPersistedRun(runId) {
+    try {
+      const client = await this.getDatabaseClient()
+      const { data, error } = await client.from(this.tableName).select('*').eq('run_id', runId).maybeSingle()
+      if (error) throw error
+      if (!data) return null
+
+      return {
+        runId: data.run_id,
+        status: data.status,
+        regionId: data.region_id,
+        options: data.options,
+        triggeredBy: data.triggered_by,
+        createdAt: data.created_at,
+        startedAt: data.started_at,
+        finishedAt: data.finished_at,
+        totals: data.totals,
+        sharedLookups: data.shared_lookups,
+        results: data.results || [],
+        error: data.error
+      }
+    } catch (error) {
+      this.logger.warn('batch_run_load_failed', { runId, error: error.message })
+      return null
+    }
+  }
+}
+
+export const pipelineBatchService = new PipelineBatchService()
+export default pipelineBatchService
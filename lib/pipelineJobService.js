@@ -0,0 +1,331 @@
+// Pipeline Job Service for PredictAgri
+// Runs the enhanced farmer pipeline in the background so API requests return immediately
+// Jobs are kept in memory and optionally mirrored to the Supabase `pipeline_jobs` table
+
+import { enhancedAutomatedPipeline, FARMER_PIPELINE_STEPS } from './enhancedAutomatedPipeline.js'
+import { Logger } from './logger.js'
+
+class PipelineJobService {
+  constructor() {
+    this.logger = new Logger({ service: 'PipelineJobService' })
+    this.pipeline = enhancedAutomatedPipeline
+    this.jobs = new Map()
+    this.controllers = new Map()
+    this.maxJobs = 500
+    this.jobTTL = 60 * 60 * 1000 // keep finished jobs for 1 hour
+    this.persistEnabled = process.env.PIPELINE_JOBS_PERSIST === 'true'
+    this.tableName = 'pipeline_jobs'
+    this.persistQueues = new Map()
+  }
+
+  // Submit a farmer pipeline job and return its initial snapshot immediately
+  // options.steps selects pipeline steps (see EnhancedAutomatedPipeline.registerDefaultSteps)
+  // options.onComplete(result) runs after a successful pipeline (e.g. storing results)
+  // options.submittedBy is the principal id of the caller; with the farmer's district it decides who
+  // may see or cancel the job (authService.assertJobAccess)
+  submitFarmerJob(farmerInput, options = {}) {
+    this.pruneJobs()
+
+    const jobId = `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+    const job = {
+      jobId,
+      type: 'farmer_pipeline',
+      status: 'queued',
+      farmerId: farmerInput.farmerId || null,
+      farmerDistrict: farmerInput.profile?.district || null,
+      submittedBy: options.submittedBy || null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      currentStep: null,
+      steps: FARMER_PIPELINE_STEPS.map(name => ({
+        name,
+        status: 'pending',
+        startedAt: null,
+        finishedAt: null,
+        durationMs: null,
+        error: null
+      })),
+      partialResults: {},
+      result: null,
+      error: null
+    }
+
+    const controller = new AbortController()
+    this.jobs.set(jobId, job)
+    this.controllers.set(jobId, controller)
+
+    this.logger.info('pipeline_job_submitted', { jobId, farmerId: job.farmerId })
+    this.persistJob(job)
+
+    // Start on the next tick so the caller gets the job id before any work begins
+    setTimeout(() => {
+      this.runJob(job, farmerInput, controller.signal, options).catch(error => {
+        this.logger.error('pipeline_job_runner_error', { jobId, error: error.message })
+      })
+    }, 0)
+
+    return this.snapshot(job)
+  }
+
+  async runJob(job, farmerInput, signal, options) {
+    if (signal.aborted) return
+
+    job.status = 'running'
+    job.startedAt = new Date().toISOString()
+    this.persistJob(job)
+
+    const result = await this.pipeline.executeFarmerPipeline(farmerInput, {
+      pipelineId: `farmer_pipeline_${job.jobId}`,
+      steps: options.steps,
+      signal,
+      onStepStart: step => {
+        const entry = this.findStep(job, step)
+        entry.status = 'running'
+        entry.startedAt = new Date().toISOString()
+        job.currentStep = step
+        this.persistJob(job)
+      },
+      onStepComplete: (step, { durationMs, result: stepResult }) => {
+        const entry = this.findStep(job, step)
+        entry.status = 'completed'
+        entry.finishedAt = new Date().toISOString()
+        entry.durationMs = durationMs
+        job.partialResults[step] = stepResult
+        this.logger.info('pipeline_job_step_completed', { jobId: job.jobId, step, durationMs })
+        this.persistJob(job)
+      },
+      onStepFailed: (step, { durationMs, error }) => {
+        const entry = this.findStep(job, step)
+        entry.status = 'failed'
+        entry.finishedAt = new Date().toISOString()
+        entry.durationMs = durationMs
+        entry.error = error
+        this.persistJob(job)
+      }
+    })
+
+    job.currentStep = null
+    job.finishedAt = new Date().toISOString()
+    this.controllers.delete(job.jobId)
+
+    // Steps not selected for this request never start
+    job.steps.forEach(step => {
+      if (step.status === 'pending') step.status = 'skipped'
+    })
+
+    if (result.cancelled || job.status === 'cancelled') {
+      this.markCancelled(job)
+    } else if (result.success) {
+      job.status = 'completed'
+      job.result = result
+
+      if (options.onComplete) {
+        try {
+          await options.onComplete(result)
+        } catch (error) {
+          this.logger.warn('pipeline_job_on_complete_failed', { jobId: job.jobId, error: error.message })
+        }
+      }
+    } else {
+      job.status = 'failed'
+      job.error = result.error
+      job.result = result
+    }
+
+    this.logger.info('pipeline_job_finished', { jobId: job.jobId, status: job.status })
+    this.persistJob(job)
+  }
+
+  // Cancel a queued or running job; steps already in flight finish, later steps are skipped.
+  // options.assertAccess(job) throws when the caller may not cancel it
+  cancelJob(jobId, { assertAccess = null } = {}) {
+    const job = this.jobs.get(jobId)
+    if (!job) return null
+    if (assertAccess) assertAccess(job)
+
+    if (job.status === 'queued' || job.status === 'running') {
+      this.controllers.get(jobId)?.abort()
+      this.controllers.delete(jobId)
+      this.markCancelled(job)
+      job.finishedAt = job.finishedAt || new Date().toISOString()
+      this.logger.info('pipeline_job_cancelled', { jobId })
+      this.persistJob(job)
+    }
+
+    return this.snapshot(job)
+  }
+
+  async getJob(jobId) {
+    const job = this.jobs.get(jobId)
+    if (job) return this.snapshot(job)
+
+    return this.loadPersistedJob(jobId)
+  }
+
+  // filter(job) narrows the list further, e.g. to the jobs a caller may see
+  listJobs({ farmerId, status, limit = 50, filter = null } = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => !filter || filter(job))
+      .filter(job => !farmerId || job.farmerId === farmerId)
+      .filter(job => !status || job.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit)
+      .map(job => this.summarize(job))
+  }
+
+  findStep(job, step) {
+    let entry = job.steps.find(s => s.name === step)
+    if (!entry) {
+      entry = { name: step, status: 'pending', startedAt: null, finishedAt: null, durationMs: null, error: null }
+      job.steps.push(entry)
+    }
+    return entry
+  }
+
+  markCancelled(job) {
+    job.status = 'cancelled'
+    job.error = job.error || 'Job cancelled'
+    job.steps.forEach(step => {
+      if (step.status === 'pending') step.status = 'skipped'
+    })
+  }
+
+  snapshot(job) {
+    const completedSteps = job.steps.filter(s => s.status === 'completed').length
+
+    return {
+      ...job,
+      steps: job.steps.map(step => ({ ...step })),
+      progress: {
+        completedSteps,
+        totalSteps: job.steps.length,
+        percentage: Math.round((completedSteps / (job.steps.length || 1)) * 100)
+      }
+    }
+  }
+
+  summarize(job) {
+    const { partialResults, result, ...summary } = this.snapshot(job)
+    return summary
+  }
+
+  // Drop expired finished jobs and keep the in-memory store bounded
+  pruneJobs() {
+    const now = Date.now()
+
+    for (const [jobId, job] of this.jobs.entries()) {
+      if (job.finishedAt && now - new Date(job.finishedAt).getTime() > this.jobTTL) {
+        this.jobs.delete(jobId)
+      }
+    }
+
+    if (this.jobs.size >= this.maxJobs) {
+      const finished = Array.from(this.jobs.values())
+        .filter(job => job.finishedAt)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+
+      finished.slice(0, this.jobs.size - this.maxJobs + 1).forEach(job => this.jobs.delete(job.jobId))
+    }
+  }
+
+  // Optional Supabase mirror so job status survives restarts and is visible to other instances
+  async getDatabaseClient() {
+    if (!this.persistEnabled) return null
+
+    try {
+      const { databaseService } = await import('./databaseService.js')
+      return databaseService.client
+    } catch (error) {
+      this.logger.warn('pipeline_job_persistence_unavailable', { error: error.message })
+      this.persistEnabled = false
+      return null
+    }
+  }
+
+  // Writes for one job are chained so a slow upsert can't land after a later one and leave a
+  // stale status; the row is captured when the change happens
+  persistJob(job) {
+    if (!this.persistEnabled) return Promise.resolve()
+
+    const row = {
+      job_id: job.jobId,
+      job_type: job.type,
+      farmer_id: job.farmerId,
+      farmer_district: job.farmerDistrict,
+      submitted_by: job.submittedBy,
+      status: job.status,
+      current_step: job.currentStep,
+      steps: job.steps.map(step => ({ ...step })),
+      partial_results: { ...job.partialResults },
+      result: job.result,
+      error: job.error,
+      created_at: job.createdAt,
+      started_at: job.startedAt,
+      finished_at: job.finishedAt,
+      updated_at: new Date().toISOString()
+    }
+
+    const previous = this.persistQueues.get(job.jobId) || Promise.resolve()
+    const write = previous.then(() => this.writeJobRow(row))
+    this.persistQueues.set(job.jobId, write)
+    write.then(() => {
+      if (this.persistQueues.get(job.jobId) === write) this.persistQueues.delete(job.jobId)
+    })
+    return write
+  }
+
+  async writeJobRow(row) {
+    const client = await this.getDatabaseClient()
+    if (!client) return
+
+    try {
+      const { error } = await client
+        .from(this.tableName)
+        .upsert(row, { onConflict: 'job_id' })
+
+      if (error) throw error
+    } catch (error) {
+      this.logger.warn('pipeline_job_persist_failed', { jobId: row.job_id, error: error.message })
+    }
+  }
+
+  async loadPersistedJob(jobId) {
+    const client = await this.getDatabaseClient()
+    if (!client) return null
+
+    try {
+      const { data, error } = await client
+        .from(this.tableName)
+        .select('*')
+        .eq('job_id', jobId)
+        .maybeSingle()
+
+      if (error) throw error
+      if (!data) return null
+
+      return this.snapshot({
+        jobId: data.job_id,
+        type: data.job_type,
+        status: data.status,
+        farmerId: data.farmer_id,
+        farmerDistrict: data.farmer_district || null,
+        submittedBy: data.submitted_by || null,
+        createdAt: data.created_at,
+        startedAt: data.started_at,
+        finishedAt: data.finished_at,
+        currentStep: data.current_step,
+        steps: data.steps || [],
+        partialResults: data.partial_results || {},
+        result: data.result,
+        error: data.error
+      })
+    } catch (error) {
+      this.logger.warn('pipeline_job_load_failed', { jobId, error: error.message })
+      return null
+    }
+  }
+}
+
+export const pipelineJobService = new PipelineJobService()
+export default pipelineJobService
@@ -0,0 +1,150 @@
+// Pipeline Step Registry for PredictAgri
+// Declares collectors, analyzers, recommenders and notifiers with their inputs and outputs
+// so the enhanced pipeline can select steps per request and run independent ones concurrently
+
+const STEP_KINDS = ['collector', 'analyzer', 'recommender', 'notifier']
+
+class PipelineStepRegistry {
+  constructor() {
+    this.steps = new Map()
+  }
+
+  // Register a step:
+  //   name            unique step name, used in `steps: [...]` selections
+  //   kind            'collector' | 'analyzer' | 'recommender' | 'notifier'
+  //   inputs          context keys the step needs; their producers are pulled in automatically
+  //   optionalInputs  context keys used when another selected step produces them
+  //   output          context key the step's result is stored under
+  //   run(context)    sync or async function returning the output value
+  register(definition) {
+    const { name, kind, output, run } = definition
+
+    if (!name || typeof name !== 'string') throw new Error('Pipeline step requires a name')
+    if (!STEP_KINDS.includes(kind)) throw new Error(`Invalid kind for pipeline step ${name}: ${kind}`)
+    if (!output) throw new Error(`Pipeline step ${name} must declare an output`)
+    if (typeof run !== 'function') throw new Error(`Pipeline step ${name} must provide a run function`)
+
+    const existingProducer = this.producerOf(output)
+    if (existingProducer && existingProducer.name !== name) {
+      throw new Error(`Output ${output} is already produced by pipeline step ${existingProducer.name}`)
+    }
+
+    this.steps.set(name, {
+      inputs: [],
+      optionalInputs: [],
+      enabledByDefault: true,
+      description: '',
+      ...definition
+    })
+
+    return this
+  }
+
+  unregister(name) {
+    return this.steps.delete(name)
+  }
+
+  get(name) {
+    return this.steps.get(name) || null
+  }
+
+  list(kind) {
+    return Array.from(this.steps.values()).filter(step => !kind || step.kind === kind)
+  }
+
+  producerOf(output) {
+    return this.list().find(step => step.output === output) || null
+  }
+
+  // Expand a selection into the full set of step names to run.
+  // No selection means every step enabled by default. Required inputs pull in their
+  // producers, and recommenders are added when everything they need is selected.
+  resolve(requested) {
+    const selected = new Set()
+
+    if (requested != null && (!Array.isArray(requested) || requested.some(name => typeof name !== 'string'))) {
+      throw new Error('Pipeline steps must be an array of step names')
+    }
+
+    if (!requested || requested.length === 0) {
+      this.list().filter(step => step.enabledByDefault).forEach(step => selected.add(step.name))
+    } else {
+      const unknown = requested.filter(name => !this.steps.has(name))
+      if (unknown.length > 0) {
+        throw new Error(`Unknown pipeline steps: ${unknown.join(', ')}`)
+      }
+      requested.forEach(name => selected.add(name))
+    }
+
+    const addDependencies = (name, trail = []) => {
+      if (trail.includes(name)) {
+        throw new Error(`Circular pipeline step dependency: ${[...trail, name].join(' -> ')}`)
+      }
+
+      for (const input of this.steps.get(name).inputs) {
+        const producer = this.producerOf(input)
+        if (!producer) continue // provided by the caller's context (e.g. farmerInput)
+        selected.add(producer.name)
+        addDependencies(producer.name, [...trail, name])
+      }
+    }
+
+    Array.from(selected).forEach(name => addDependencies(name))
+
+    const producedOutputs = () => new Set(Array.from(selected).map(name => this.steps.get(name).output))
+    for (const recommender of this.list('recommender')) {
+      if (selected.has(recommender.name) || !recommender.enabledByDefault) continue
+      const outputs = producedOutputs()
+      const satisfied = recommender.inputs.every(input => outputs.has(input) || !this.producerOf(input))
+      if (satisfied) selected.add(recommender.name)
+    }
+
+    return selected
+  }
+
+  // Run the selected steps of one kind. A step starts once every input produced by a
+  // selected step is in the context; steps that become ready together run concurrently.
+  // wrap(step, execute) lets the caller add timing, logging or progress reporting.
+  async execute(kind, selected, context, wrap = (step, execute) => execute()) {
+    const pending = this.list(kind).filter(step => selected.has(step.name))
+    const selectedOutputs = new Set(Array.from(selected).map(name => this.steps.get(name)?.output))
+
+    const isReady = step => [...step.inputs, ...step.optionalInputs]
+      .filter(input => selectedOutputs.has(input))
+      .every(input => input in context)
+
+    while (pending.length > 0) {
+      const ready = pending.filter(isReady)
+
+      if (ready.length === 0) {
+        throw new Error(`Unresolvable pipeline step inputs: ${pending.map(step => step.name).join(', ')}`)
+      }
+
+      const results = await Promise.all(
+        ready.map(step => wrap(step, () => Promise.resolve(step.run(context))))
+      )
+
+      ready.forEach((step, index) => {
+        context[step.output] = results[index]
+        pending.splice(pending.indexOf(step), 1)
+      })
+    }
+
+    return context
+  }
+
+  describe() {
+    return this.list().map(({ name, kind, inputs, optionalInputs, output, enabledByDefault, description }) => ({
+      name,
+      kind,
+      inputs,
+      optionalInputs,
+      output,
+      enabledByDefault,
+      description
+    }))
+  }
+}
+
+export { PipelineStepRegistry, STEP_KINDS }
+export default PipelineStepRegistry
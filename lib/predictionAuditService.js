@@ -0,0 +1,173 @@
+// Prediction Audit Service for PredictAgri
+// Audit mode (PREDICTION_AUDIT_MODE, on by default): LLM calls are keyed by a hash of their input
+// features and replayed from llm_response_cache, and every stored prediction gets a prediction_audits
+// row with the input hash, source, prompt, model name and raw response that produced it
+
+import crypto from 'crypto'
+import { Logger } from './logger.js'
+
+// Bump when a prompt template changes so old cached responses are not replayed for it
+export const PROMPT_VERSION = 'v2'
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+// Key order and undefined values must not change the hash
+const canonicalize = value => {
+  if (Array.isArray(value)) return value.map(canonicalize)
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((sorted, key) => {
+      if (value[key] !== undefined) sorted[key] = canonicalize(value[key])
+      return sorted
+    }, {})
+  }
+  return value
+}
+
+export function hashInput(kind, features) {
+  const payload = JSON.stringify({ kind, promptVersion: PROMPT_VERSION, features: canonicalize(features) })
+  return crypto.createHash('sha256').update(payload).digest('hex')
+}
+
+class PredictionAuditService {
+  constructor() {
+    this.logger = new Logger({ service: 'PredictionAuditService' })
+    this.memoryCache = new Map() // kind:hash -> cached response when the database is unavailable
+  }
+
+  isEnabled() {
+    return process.env.PREDICTION_AUDIT_MODE !== 'false'
+  }
+
+  // databaseService throws at import time without Supabase env; audit storage is best effort
+  async getDatabaseClient() {
+    try {
+      const { databaseService } = await import('./databaseService.js')
+      return databaseService.client
+    } catch (error) {
+      return null
+    }
+  }
+
+  async readCache(kind, inputHash) {
+    const memoryKey = `${kind}:${inputHash}`
+    if (this.memoryCache.has(memoryKey)) return this.memoryCache.get(memoryKey)
+
+    const client = await this.getDatabaseClient()
+    if (!client) return null
+    const { data, error } = await client
+      .from('llm_response_cache')
+      .select('prompt, model_name, raw_response, parsed, created_at')
+      .eq('kind', kind)
+      .eq('input_hash', inputHash)
+      .maybeSingle()
+
+    if (error) {
+      this.logger.warn('llm_cache_read_failed', { kind, error: error.message })
+      return null
+    }
+    if (!data) return null
+    const cached = { prompt: data.prompt, modelName: data.model_name, rawResponse: data.raw_response, parsed: data.parsed, cachedAt: data.created_at }
+    this.memoryCache.set(memoryKey, cached)
+    return cached
+  }
+
+  async writeCache(kind, inputHash, entry) {
+    this.memoryCache.set(`${kind}:${inputHash}`, { ...entry, cachedAt: new Date().toISOString() })
+
+    const client = await this.getDatabaseClient()
+    if (!client) return
+    const { error } = await client
+      .from('llm_response_cache')
+      .upsert({
+        kind,
+        input_hash: inputHash,
+        prompt: entry.prompt,
+        model_name: entry.modelName,
+        raw_response: entry.rawResponse,
+        parsed: entry.parsed
+      }, { onConflict: 'kind,input_hash', ignoreDuplicates: true })
+
+    if (error) this.logger.warn('llm_cache_write_failed', { kind, error: error.message })
+  }
+
+  // Replay a cached LLM response for these features, or call generate() and cache what it returns.
+  // generate() resolves to { prompt, modelName, rawResponse, parsed }, or null when no LLM answered
+  // (fallbacks are never cached, so a later run can still reach the model)
+  async generateCached(kind, features, generate) {
+    const inputHash = hashInput(kind, features)
+
+    if (this.isEnabled()) {
+      const cached = await this.readCache(kind, inputHash)
+      if (cached) {
+        this.logger.info('llm_response_replayed', { kind, inputHash })
+        return { ...cached, inputHash, replayed: true }
+      }
+    }
+
+    const generated = await generate()
+    if (!generated) return null
+    if (this.isEnabled()) await this.writeCache(kind, inputHash, generated)
+    return { ...generated, inputHash, replayed: false }
+  }
+
+  // One audit row per stored prediction: how the number was produced
+  async recordAudit(predictionId, audit) {
+    if (!this.isEnabled() || !UUID_PATTERN.test(predictionId)) return null
+
+    const client = await this.getDatabaseClient()
+    if (!client) return null
+    const { data, error } = await client
+      .from('prediction_audits')
+      .insert({
+        prediction_id: predictionId,
+        input_hash: audit.inputHash,
+        source: audit.source,
+        model_version: audit.modelVersion || null,
+        features: audit.features,
+        prompt: audit.prompt || null,
+        model_name: audit.modelName || null,
+        raw_response: audit.rawResponse || null,
+        output: audit.output,
+        replayed: !!audit.replayed
+      })
+      .select()
+      .single()
+
+    if (error) {
+      this.logger.warn('prediction_audit_write_failed', { predictionId, error: error.message })
+      return null
+    }
+    return data
+  }
+
+  async getAudit(predictionId) {
+    if (!UUID_PATTERN.test(predictionId)) return null
+
+    const client = await this.getDatabaseClient()
+    if (!client) {
+      const unavailable = new Error('Audit storage is unavailable: database not configured')
+      unavailable.status = 503
+      throw unavailable
+    }
+
+    const { data: prediction, error } = await client
+      .from('predictions')
+      .select('id, yield, risk_score, features, model_version, created_at, crops(name), regions(name)')
+      .eq('id', predictionId)
+      .maybeSingle()
+    if (error) throw error
+    if (!prediction) return null
+
+    const { data: audits, error: auditError } = await client
+      .from('prediction_audits')
+      .select('*')
+      .eq('prediction_id', predictionId)
+      .order('created_at', { ascending: true })
+    if (auditError) throw auditError
+
+    return { prediction, audits }
+  }
+}
+
+export const predictionAuditService = new PredictionAuditService()
+export default predictionAuditService
@@ -0,0 +1,57 @@
+// Prediction Explainer for PredictAgri
+// Exact Shapley values by perturbation: every coalition of changed features is evaluated with the
+// remaining features held at a reference input, so contributions sum to prediction - baseline
+
+const MAX_EXACT_FEATURES = 12 // 2^12 model evaluations
+
+const factorial = n => (n <= 1 ? 1 : n * factorial(n - 1))
+
+const round = value => Math.round(value * 10000) / 10000
+
+// predict: async (features) => number; features/reference: flat objects over featureNames
+export async function explainPrediction(predict, features, reference, featureNames = Object.keys(reference)) {
+  const changed = featureNames.filter(name => features[name] !== reference[name])
+  if (changed.length > MAX_EXACT_FEATURES) {
+    throw new Error(`Exact Shapley explanation supports at most ${MAX_EXACT_FEATURES} changed features (got ${changed.length})`)
+  }
+
+  // v[mask] = prediction with the features in mask taken from the input, the rest from the reference
+  const n = changed.length
+  const values = new Array(2 ** n)
+  for (let mask = 0; mask < values.length; mask++) {
+    const mixed = { ...reference }
+    changed.forEach((name, i) => {
+      if (mask & (1 << i)) mixed[name] = features[name]
+    })
+    values[mask] = await predict(mixed)
+  }
+
+  const weights = Array.from({ length: n }, (_, size) => factorial(size) * factorial(n - size - 1) / factorial(n))
+  const popcount = mask => mask.toString(2).replace(/0/g, '').length
+  const contributionOf = i => {
+    let total = 0
+    for (let mask = 0; mask < values.length; mask++) {
+      if (mask & (1 << i)) continue
+      total += weights[popcount(mask)] * (values[mask | (1 << i)] - values[mask])
+    }
+    return total
+  }
+
+  const contributions = featureNames.map(name => {
+    const i = changed.indexOf(name)
+    return {
+      feature: name,
+      value: features[name],
+      referenceValue: reference[name],
+      contribution: i === -1 ? 0 : round(contributionOf(i))
+    }
+  }).sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
+
+  return {
+    method: 'shapley-exact',
+    baseValue: round(values[0]),
+    prediction: round(values[values.length - 1]),
+    evaluations: values.length,
+    contributions
+  }
+}
@@ -0,0 +1,210 @@
+// Rate Limit Service for PredictAgri
+// Named quotas counted in a shared store (rateLimitStores.js) with sliding windows: the previous fixed
+// window's count is weighted by how much of it still overlaps the sliding one. Limits depend on the
+// caller's tier (anonymous or their role) and can be overridden with RATE_LIMIT_<QUOTA>[_<TIER>], e.g.
+// RATE_LIMIT_API_FARMER=200 or RATE_LIMIT_SMS_ACCOUNT=9. Store failures are logged and let requests through
+
+import { Logger } from './logger.js'
+import { createRateLimitStore } from './rateLimitStores.js'
+
+const MINUTE_MS = 60 * 1000
+const DAY_MS = 24 * 60 * MINUTE_MS
+
+// perRoute: counted separately for each API route; `default` applies to tiers without their own limit
+export const QUOTAS = {
+  api: {
+    description: 'API requests per caller per route',
+    windowMs: MINUTE_MS,
+    perRoute: true,
+    limits: { anonymous: 60, farmer: 120, 'extension-officer': 600, admin: 1200 }
+  },
+  gemini: {
+    description: 'Gemini-backed requests per caller',
+    windowMs: DAY_MS,
+    limits: { anonymous: 20, farmer: 50, 'extension-officer': 200, admin: 1000 }
+  },
+  sms: {
+    description: 'SMS sent to one farmer (phone number)',
+    windowMs: DAY_MS,
+    limits: { default: 5 }
+  },
+  sms_account: {
+    description: 'SMS sent from the Twilio account (a cost guard; Twilio trial accounts allow 9 per day)',
+    windowMs: DAY_MS,
+    limits: { default: 1000 }
+  }
+}
+
+export const TIERS = ['anonymous', 'farmer', 'extension-officer', 'admin']
+
+// Anonymous callers are counted by address. Clients can write any X-Forwarded-For they like; only the
+// hops appended by our own proxies (TRUSTED_PROXY_COUNT, default 1: the platform or Next.js server) are
+// real, so the client is the entry that many places from the right. Without that many hops (or with
+// no trusted proxy) callers share one 'unknown' bucket; X-Real-IP is client-writable too and never used
+export function clientAddress(request) {
+  const configured = Number(process.env.TRUSTED_PROXY_COUNT ?? 1)
+  const trustedProxies = Number.isInteger(configured) && configured >= 0 ? configured : 1
+  if (trustedProxies === 0) return 'unknown'
+
+  const hops = (request.headers.get('x-forwarded-for') || '').split(',').map(hop => hop.trim()).filter(Boolean)
+  return hops.length >= trustedProxies ? hops[hops.length - trustedProxies] : 'unknown'
+}
+
+// Who a quota is counted against: the principal, or the client address for anonymous callers
+export function rateLimitCaller(request, principal) {
+  const anonymous = !principal || principal.anonymous
+  return anonymous ? { subject: clientAddress(request), tier: 'anonymous' } : { subject: principal.id, tier: principal.role }
+}
+
+const envName = (...parts) => ['RATE_LIMIT', ...parts].join('_').toUpperCase().replace(/-/g, '_')
+
+export class RateLimitService {
+  constructor({ store = null, now = Date.now } = {}) {
+    this.logger = new Logger({ service: 'RateLimitService' })
+    this.quotas = QUOTAS
+    this.injectedStore = store
+    this.now = now
+  }
+
+  // Created on first use so scripts and tests can pick RATE_LIMIT_STORE after import
+  get store() {
+    if (!this.injectedStore) this.injectedStore = createRateLimitStore()
+    return this.injectedStore
+  }
+
+  set store(store) {
+    this.injectedStore = store
+  }
+
+  getQuota(name) {
+    const quota = this.quotas[name]
+    if (!quota) throw new Error(`Unknown rate limit quota: ${name}. Available: ${Object.keys(this.quotas).join(', ')}`)
+    return quota
+  }
+
+  // Read at call time so limits can be tuned from the environment in scripts and tests
+  limitFor(name, tier = 'anonymous') {
+    const { limits } = this.getQuota(name)
+    const tiered = !('default' in limits)
+    const override = tiered ? process.env[envName(name, tier)] : process.env[envName(name)]
+    if (override !== undefined && override !== '') return Number(override)
+    return tiered ? limits[tier] ?? limits.anonymous : limits.default
+  }
+
+  keyFor(name, { subject, route = null }) {
+    const quota = this.getQuota(name)
+    return ['rl', name, quota.perRoute && route ? route : null, subject].filter(Boolean).join(':')
+  }
+
+  // Add amount to the caller's count and report the sliding-window usage. A call that would go over the
+  // limit is not counted. amount 0 only reads the usage
+  async consume(name, { subject, tier = 'anonymous', route = null, amount = 1 } = {}) {
+    const quota = this.getQuota(name)
+    const limit = this.limitFor(name, tier)
+    const key = this.keyFor(name, { subject, route })
+    const now = this.now()
+    const bucket = Math.floor(now / quota.windowMs)
+    const elapsed = now - bucket * quota.windowMs
+    const resetMs = quota.windowMs - elapsed
+
+    if (!Number.isFinite(limit)) return { quota: name, allowed: true, limit: null, remaining: null, resetMs, retryAfterMs: 0 }
+
+    let counts
+    try {
+      counts = await this.store.hit(key, bucket, amount, quota.windowMs * 2)
+    } catch (error) {
+      this.logger.warn('rate_limit_store_failed', { quota: name, store: this.store.name, error: error.message })
+      return { quota: name, allowed: true, limit, remaining: null, resetMs, retryAfterMs: 0, degraded: true }
+    }
+
+    const overlap = 1 - elapsed / quota.windowMs
+    const used = counts.previous * overlap + counts.current
+    const allowed = used <= limit
+
+    if (!allowed && amount > 0) {
+      await this.store.hit(key, bucket, -amount, quota.windowMs * 2).catch(() => {})
+      this.logger.warn('rate_limit_exceeded', { quota: name, tier, route, limit })
+    }
+
+    const before = allowed ? used : used - amount
+    return {
+      quota: name,
+      allowed,
+      limit,
+      remaining: Math.max(0, Math.floor(limit - before)),
+      resetMs,
+      retryAfterMs: allowed ? 0 : this.retryAfter({ ...counts, current: counts.current - amount }, { limit, amount, elapsed, windowMs: quota.windowMs })
+    }
+  }
+
+  // When the weighted previous window has decayed enough for `amount` more; if the current window alone
+  // is full, not before it becomes the previous one
+  retryAfter({ current, previous }, { limit, amount, elapsed, windowMs }) {
+    if (current + amount > limit || previous === 0) return windowMs - elapsed
+    const at = windowMs * (1 - (limit - amount - current) / previous)
+    return Math.max(1000, Math.ceil(at - elapsed))
+  }
+
+  async peek(name, options = {}) {
+    const usage = await this.consume(name, { ...options, amount: 0 })
+    return { ...usage, exhausted: usage.remaining === 0 }
+  }
+
+  // Give back a consumed unit, e.g. when the SMS it was reserved for could not be sent
+  async release(name, options = {}) {
+    if (!Number.isFinite(this.limitFor(name, options.tier))) return
+    const quota = this.getQuota(name)
+    const bucket = Math.floor(this.now() / quota.windowMs)
+    await this.store.hit(this.keyFor(name, options), bucket, -(options.amount || 1), quota.windowMs * 2)
+      .catch(error => this.logger.warn('rate_limit_release_failed', { quota: name, error: error.message }))
+  }
+
+  // Use up the rest of the window, e.g. when the provider reports its own daily limit was hit
+  async exhaust(name, options = {}) {
+    const limit = this.limitFor(name, options.tier)
+    if (!Number.isFinite(limit)) return
+    const quota = this.getQuota(name)
+    const bucket = Math.floor(this.now() / quota.windowMs)
+    await this.store.hit(this.keyFor(name, options), bucket, limit, quota.windowMs * 2)
+      .catch(error => this.logger.warn('rate_limit_exhaust_failed', { quota: name, error: error.message }))
+  }
+
+  async reset(name, options = {}) {
+    const quota = this.getQuota(name)
+    const bucket = Math.floor(this.now() / quota.windowMs)
+    await this.store.clear(this.keyFor(name, options), [bucket, bucket - 1])
+    this.logger.info('rate_limit_reset', { quota: name, route: options.route || null })
+  }
+
+  // X-RateLimit-* for the tightest of the consumed quotas; Retry-After when one was refused
+  headers(results) {
+    const limited = results.filter(result => result && result.limit !== null && result.remaining !== null)
+    if (limited.length === 0) return {}
+
+    const tightest = limited.find(result => !result.allowed) || limited.reduce((a, b) => (b.remaining < a.remaining ? b : a))
+    const headers = {
+      'X-RateLimit-Limit': String(tightest.limit),
+      'X-RateLimit-Remaining': String(tightest.remaining),
+      'X-RateLimit-Reset': String(Math.ceil(tightest.resetMs / 1000)),
+      'X-RateLimit-Policy': tightest.quota
+    }
+    if (!tightest.allowed) headers['Retry-After'] = String(Math.ceil(tightest.retryAfterMs / 1000))
+    return headers
+  }
+
+  describe() {
+    return {
+      store: this.store.name,
+      quotas: Object.fromEntries(Object.entries(this.quotas).map(([name, quota]) => [name, {
+        description: quota.description,
+        window: quota.windowMs / 1000 + 's',
+        perRoute: !!quota.perRoute,
+        limits: Object.fromEntries(('default' in quota.limits ? ['default'] : TIERS)
+          .map(tier => [tier, Number.isFinite(this.limitFor(name, tier)) ? this.limitFor(name, tier) : null]))
+      }]))
+    }
+  }
+}
+
+export const rateLimitService = new RateLimitService()
+export default rateLimitService
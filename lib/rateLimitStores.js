@@ -0,0 +1,198 @@
+// Rate Limit Stores for PredictAgri
+// Counter backends for rateLimitService. Every store keeps one integer per (key, bucket), where a bucket
+// is a fixed window index, and implements:
+//   hit(key, bucket, amount, ttlMs) -> { current, previous }  adds amount (may be 0 or negative) to the
+//                                                             bucket and returns it with bucket - 1
+//   clear(key, buckets)                                       forgets the given buckets
+// Memory is per process; Supabase (rate_limit_counters + rate_limit_hit) and Redis are shared between
+// instances and survive deploys
+
+import { Logger } from './logger.js'
+
+const SWEEP_INTERVAL_MS = 60000
+
+const bucketKey = (key, bucket) => `${key}:${bucket}`
+
+export class MemoryRateLimitStore {
+  constructor() {
+    this.name = 'memory'
+    this.counters = new Map()
+    this.lastSweep = Date.now()
+  }
+
+  sweep(now) {
+    if (now - this.lastSweep < SWEEP_INTERVAL_MS) return
+    this.lastSweep = now
+    for (const [key, counter] of this.counters) {
+      if (counter.expiresAt <= now) this.counters.delete(key)
+    }
+  }
+
+  async hit(key, bucket, amount, ttlMs) {
+    const now = Date.now()
+    this.sweep(now)
+
+    const currentKey = bucketKey(key, bucket)
+    const counter = this.counters.get(currentKey)
+    const count = (counter && counter.expiresAt > now ? counter.count : 0) + amount
+    this.counters.set(currentKey, { count, expiresAt: now + ttlMs })
+
+    const previous = this.counters.get(bucketKey(key, bucket - 1))
+    return { current: count, previous: previous && previous.expiresAt > now ? previous.count : 0 }
+  }
+
+  async clear(key, buckets) {
+    buckets.forEach(bucket => this.counters.delete(bucketKey(key, bucket)))
+  }
+
+  get size() {
+    return this.counters.size
+  }
+}
+
+// Postgres through Supabase: one upsert-and-read round trip per hit via the rate_limit_hit function
+// (supabase-migration-safe.sql), which also drops the key's expired buckets
+export class SupabaseRateLimitStore {
+  constructor() {
+    this.name = 'supabase'
+    this.tableName = 'rate_limit_counters'
+  }
+
+  async getDatabaseClient() {
+    try {
+      const { databaseService } = await import('./databaseService.js')
+      return databaseService.client
+    } catch (error) {
+      throw new Error('Rate limit store unavailable: database not configured')
+    }
+  }
+
+  async hit(key, bucket, amount, ttlMs) {
+    const client = await this.getDatabaseClient()
+    const { data, error } = await client.rpc('rate_limit_hit', {
+      p_key: key,
+      p_bucket: bucket,
+      p_amount: amount,
+      p_expires_at: new Date(Date.now() + ttlMs).toISOString()
+    })
+    if (error) throw error
+
+    const row = Array.isArray(data) ? data[0] : data
+    return { current: row?.current_count || 0, previous: row?.previous_count || 0 }
+  }
+
+  async clear(key, buckets) {
+    const client = await this.getDatabaseClient()
+    const { error } = await client.from(this.tableName).delete().eq('key', key).in('bucket', buckets)
+    if (error) throw error
+  }
+}
+
+// Redis-compatible REST API (Upstash and compatible proxies): POST <url>/pipeline with a JSON array of
+// commands and `Authorization: Bearer <token>`; answers [{ result } | { error }] in order
+export class RedisRestClient {
+  constructor({ url, token }) {
+    this.url = url.replace(/\/+$/, '')
+    this.token = token
+  }
+
+  async exec(commands) {
+    const response = await fetch(`${this.url}/pipeline`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(this.token ? { Authorization: `Bearer ${this.token}` } : {}) },
+      body: JSON.stringify(commands)
+    })
+    if (!response.ok) throw new Error(`Redis REST request failed: ${response.status}`)
+
+    const replies = await response.json()
+    const failed = replies.find(reply => reply.error)
+    if (failed) throw new Error(`Redis command failed: ${failed.error}`)
+    return replies.map(reply => reply.result)
+  }
+}
+
+// In-process stand-in for the Redis commands the store uses (INCRBY, PEXPIRE, GET, DEL), for development
+// and tests without a Redis server. Like MemoryRateLimitStore it is not shared between instances
+export class LocalRedisClient {
+  constructor() {
+    this.values = new Map()
+  }
+
+  read(key) {
+    const entry = this.values.get(key)
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.values.delete(key)
+      return null
+    }
+    return entry || null
+  }
+
+  async exec(commands) {
+    return commands.map(([command, ...args]) => {
+      switch (command.toUpperCase()) {
+        case 'INCRBY': {
+          const [key, amount] = args
+          const entry = this.read(key)
+          const value = Number(entry?.value || 0) + Number(amount)
+          this.values.set(key, { value: String(value), expiresAt: entry?.expiresAt ?? null })
+          return value
+        }
+        case 'PEXPIRE': {
+          const [key, ttlMs] = args
+          const entry = this.read(key)
+          if (!entry) return 0
+          entry.expiresAt = Date.now() + Number(ttlMs)
+          return 1
+        }
+        case 'GET':
+          return this.read(args[0])?.value ?? null
+        case 'DEL':
+          return args.filter(key => this.read(key) && this.values.delete(key)).length
+        default:
+          throw new Error(`Unsupported command in local Redis stand-in: ${command}`)
+      }
+    })
+  }
+}
+
+export class RedisRateLimitStore {
+  constructor(client) {
+    this.name = 'redis'
+    this.client = client
+  }
+
+  async hit(key, bucket, amount, ttlMs) {
+    const currentKey = bucketKey(key, bucket)
+    const [current, , previous] = await this.client.exec([
+      ['INCRBY', currentKey, amount],
+      ['PEXPIRE', currentKey, ttlMs],
+      ['GET', bucketKey(key, bucket - 1)]
+    ])
+    return { current: Number(current) || 0, previous: Number(previous) || 0 }
+  }
+
+  async clear(key, buckets) {
+    await this.client.exec([['DEL', ...buckets.map(bucket => bucketKey(key, bucket))]])
+  }
+}
+
+// RATE_LIMIT_STORE: memory (default), supabase or redis. Redis uses RATE_LIMIT_REDIS_URL/_TOKEN and
+// falls back to the local stand-in when no URL is set
+export function createRateLimitStore(name = process.env.RATE_LIMIT_STORE || 'memory') {
+  switch (name) {
+    case 'memory':
+      return new MemoryRateLimitStore()
+    case 'supabase':
+      return new SupabaseRateLimitStore()
+    case 'redis': {
+      const url = process.env.RATE_LIMIT_REDIS_URL
+      if (!url) {
+        new Logger({ service: 'RateLimitStore' }).warn('redis_url_missing', { fallback: 'local stand-in, not shared between instances' })
+        return new RedisRateLimitStore(new LocalRedisClient())
+      }
+      return new RedisRateLimitStore(new RedisRestClient({ url, token: process.env.RATE_LIMIT_REDIS_TOKEN }))
+    }
+    default:
+      throw new Error(`Unknown rate limit store: ${name}. Available: memory, supabase, redis`)
+  }
+}
@@ -0,0 +1,114 @@
+// Safe Fetch for PredictAgri
+// Fetches caller-supplied URLs (e.g. imageUrl in image analysis requests) without letting them reach the
+// server's own network: http(s) on standard ports only, every resolved address must be public (checked
+// when the socket connects, so DNS rebinding cannot slip past), redirects re-checked, size and time capped
+
+import dns from 'dns'
+import http from 'http'
+import https from 'https'
+import net from 'net'
+
+export const DEFAULT_MAX_BYTES = 10 * 1024 * 1024
+const DEFAULT_TIMEOUT_MS = 10000
+const MAX_REDIRECTS = 3
+const ALLOWED_PORTS = ['', '80', '443']
+
+const httpError = (message, status) => {
+  const error = new Error(message)
+  error.status = status
+  return error
+}
+
+// Loopback, private, link-local (cloud metadata), CGNAT, documentation, multicast and reserved ranges
+const blockList = new net.BlockList()
+;[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+  ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blockList.addSubnet(network, prefix, 'ipv4'))
+;[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => blockList.addSubnet(network, prefix, 'ipv6'))
+
+export function isPublicAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is the IPv4 address
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address)
+  if (mapped) return isPublicAddress(mapped[1])
+
+  const family = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null
+  return family !== null && !blockList.check(address, family)
+}
+
+// Parse and vet a URL before any connection is made; throws 400 with the reason
+export function assertFetchableUrl(input) {
+  let url
+  try {
+    url = new URL(input)
+  } catch (error) {
+    throw httpError('URL is not valid', 400)
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) throw httpError('Only http and https URLs can be fetched', 400)
+  if (url.username || url.password) throw httpError('URLs with credentials cannot be fetched', 400)
+  if (!ALLOWED_PORTS.includes(url.port)) throw httpError('Only the standard http/https ports can be fetched', 400)
+
+  const host = url.hostname.replace(/^\[|\]$/g, '')
+  if (net.isIP(host) && !isPublicAddress(host)) throw httpError(`URL points to a non-public address (${host})`, 400)
+  return url
+}
+
+// dns.lookup for the socket: refuses to connect when any answer is non-public
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error)
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address))
+    if (blocked) return callback(httpError(`URL resolves to a non-public address (${blocked.address})`, 400))
+    if (options.all) return callback(null, addresses)
+    callback(null, addresses[0].address, addresses[0].family)
+  })
+}
+
+// GET a caller-supplied URL; resolves { ok, status, contentType, buffer } and rejects with error.status set
+export function safeFetch(input, { maxBytes = DEFAULT_MAX_BYTES, timeoutMs = DEFAULT_TIMEOUT_MS, redirects = MAX_REDIRECTS } = {}) {
+  return new Promise((resolve, reject) => {
+    const url = assertFetchableUrl(input)
+    const client = url.protocol === 'https:' ? https : http
+
+    const request = client.get(url, { lookup: guardedLookup, timeout: timeoutMs, headers: { 'user-agent': 'PredictAgri/1.0' } }, response => {
+      const { statusCode, headers } = response
+
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume()
+        if (redirects === 0) return reject(httpError('URL redirected too many times', 400))
+        return resolve(safeFetch(new URL(headers.location, url).toString(), { maxBytes, timeoutMs, redirects: redirects - 1 }))
+      }
+
+      if (Number(headers['content-length']) > maxBytes) {
+        response.destroy()
+        return reject(httpError(`Response is larger than ${maxBytes} bytes`, 413))
+      }
+
+      const chunks = []
+      let size = 0
+      response.on('data', chunk => {
+        size += chunk.length
+        if (size > maxBytes) {
+          response.destroy()
+          reject(httpError(`Response is larger than ${maxBytes} bytes`, 413))
+        } else {
+          chunks.push(chunk)
+        }
+      })
+      response.on('end', () => resolve({
+        ok: statusCode >= 200 && statusCode < 300,
+        status: statusCode,
+        contentType: headers['content-type'] || null,
+        buffer: Buffer.concat(chunks)
+      }))
+      response.on('error', reject)
+    })
+
+    request.on('timeout', () => request.destroy(httpError('Timed out fetching URL', 504)))
+    request.on('error', reject)
+  })
+}
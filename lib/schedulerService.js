@@ -0,0 +1,402 @@
+// Scheduler Service for PredictAgri
+// In-process scheduler for recurring batch pipeline runs (daily advisories, weekly digests). Schedules live
+// in `pipeline_schedules` with a cron expression and timezone; every tick claims the due ones (so only one
+// instance fires each run), skips a run while the previous one is still going and records it in `schedule_runs`
+
+import { Logger } from './logger.js'
+import { parseCron, nextCronRun, isValidTimeZone } from './cronExpression.js'
+import { pipelineBatchService } from './pipelineBatchService.js'
+
+// Kind -> default cron and pipeline steps (null: the pipeline's default steps)
+export const SCHEDULE_KINDS = {
+  advisory: { label: 'Morning advisory', cron: '0 6 * * *', steps: null },
+  digest: { label: 'Weekly digest', cron: '0 7 * * 1', steps: ['weather', 'weatherWindows', 'crops', 'climate', 'sms'] }
+}
+export const NOTIFICATION_CHANNELS = ['sms', 'none']
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+// A run marked as running for longer than this is assumed lost with its instance
+const STALE_RUN_MS = 6 * 60 * 60 * 1000
+
+const httpError = (message, status) => {
+  const error = new Error(message)
+  error.status = status
+  return error
+}
+
+class SchedulerService {
+  constructor() {
+    this.logger = new Logger({ service: 'SchedulerService' })
+    this.batchService = pipelineBatchService
+    this.tableName = 'pipeline_schedules'
+    this.runsTable = 'schedule_runs'
+    this.defaultTimeZone = process.env.SCHEDULER_TIMEZONE || 'Asia/Kolkata'
+    this.tickMs = Number(process.env.SCHEDULER_TICK_MS) || 60000
+    this.timer = null
+    this.ticking = false
+    this.running = new Set()
+  }
+
+  // databaseService throws at import time without Supabase env, so load it lazily
+  async getDatabaseClient() {
+    try {
+      const { databaseService } = await import('./databaseService.js')
+      return databaseService.client
+    } catch (error) {
+      this.logger.warn('scheduler_database_unavailable', { error: error.message })
+      throw httpError('Schedules are unavailable: database not configured', 503)
+    }
+  }
+
+  // Validate a create/update payload; partial=true allows missing required fields
+  validateSchedule(input, { partial = false } = {}) {
+    const errors = []
+    const schedule = {}
+
+    if (input.name !== undefined || !partial) {
+      if (typeof input.name !== 'string' || input.name.trim() === '') errors.push('name is required')
+      else schedule.name = input.name.trim()
+    }
+
+    if (input.kind !== undefined || !partial) {
+      schedule.kind = input.kind ?? 'advisory'
+      if (!SCHEDULE_KINDS[schedule.kind]) errors.push(`kind must be one of ${Object.keys(SCHEDULE_KINDS).join(', ')}`)
+    }
+
+    if (input.cron !== undefined || !partial) {
+      schedule.cron = input.cron ?? SCHEDULE_KINDS[schedule.kind]?.cron
+      try {
+        nextCronRun(parseCron(schedule.cron))
+      } catch (error) {
+        errors.push(`cron: ${error.message}`)
+      }
+    }
+
+    if (input.timezone !== undefined || !partial) {
+      schedule.timezone = input.timezone ?? this.defaultTimeZone
+      if (typeof schedule.timezone !== 'string' || !isValidTimeZone(schedule.timezone)) errors.push('timezone must be an IANA timezone (e.g. Asia/Kolkata)')
+    }
+
+    if (input.regionId !== undefined) {
+      if (input.regionId !== null && (typeof input.regionId !== 'string' || !UUID_PATTERN.test(input.regionId))) errors.push('regionId must be a region UUID')
+      else schedule.regionId = input.regionId
+    }
+
+    if (input.farmerIds !== undefined) {
+      if (input.farmerIds !== null && (!Array.isArray(input.farmerIds) || input.farmerIds.length === 0 ||
+        input.farmerIds.some(id => typeof id !== 'string' || id.trim() === ''))) {
+        errors.push('farmerIds must be a non-empty array of farmer ids')
+      } else {
+        schedule.farmerIds = input.farmerIds && input.farmerIds.map(id => id.trim())
+      }
+    }
+
+    if (input.steps !== undefined) {
+      try {
+        if (input.steps !== null && !Array.isArray(input.steps)) throw new Error('steps must be an array of step names')
+        if (input.steps) this.batchService.pipeline.stepRegistry.resolve(input.steps)
+        schedule.steps = input.steps
+      } catch (error) {
+        errors.push(error.message)
+      }
+    }
+
+    if (input.channel !== undefined || !partial) {
+      schedule.channel = input.channel ?? 'sms'
+      if (!NOTIFICATION_CHANNELS.includes(schedule.channel)) errors.push(`channel must be one of ${NOTIFICATION_CHANNELS.join(', ')}`)
+    }
+
+    if (input.enabled !== undefined) {
+      if (typeof input.enabled !== 'boolean') errors.push('enabled must be true or false')
+      else schedule.enabled = input.enabled
+    }
+
+    return { valid: errors.length === 0, errors, schedule }
+  }
+
+  // Steps a run executes: the schedule's own, else its kind's; the 'none' channel never texts farmers
+  resolveSteps(schedule) {
+    const steps = schedule.steps || SCHEDULE_KINDS[schedule.kind].steps
+    if (schedule.channel !== 'none') return steps
+    return Array.from(this.batchService.pipeline.stepRegistry.resolve(steps)).filter(step => step !== 'sms')
+  }
+
+  nextRunAt(schedule, after = new Date()) {
+    return schedule.enabled === false ? null : nextCronRun(schedule.cron, after, schedule.timezone).toISOString()
+  }
+
+  toRow(schedule) {
+    const row = { updated_at: new Date().toISOString() }
+    if (schedule.name !== undefined) row.name = schedule.name
+    if (schedule.kind !== undefined) row.kind = schedule.kind
+    if (schedule.cron !== undefined) row.cron = schedule.cron
+    if (schedule.timezone !== undefined) row.timezone = schedule.timezone
+    if (schedule.regionId !== undefined) row.region_id = schedule.regionId
+    if (schedule.farmerIds !== undefined) row.farmer_ids = schedule.farmerIds
+    if (schedule.steps !== undefined) row.steps = schedule.steps
+    if (schedule.channel !== undefined) row.channel = schedule.channel
+    if (schedule.enabled !== undefined) row.enabled = schedule.enabled
+    return row
+  }
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      kind: row.kind,
+      cron: row.cron,
+      timezone: row.timezone,
+      regionId: row.region_id,
+      farmerIds: row.farmer_ids,
+      steps: row.steps,
+      channel: row.channel,
+      enabled: row.enabled,
+      nextRunAt: row.next_run_at,
+      lastRunAt: row.last_run_at,
+      lastStatus: row.last_status,
+      runningSince: row.running_since,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    }
+  }
+
+  fromRunRow(row) {
+    return {
+      id: row.id,
+      scheduleId: row.schedule_id,
+      trigger: row.trigger,
+      status: row.status,
+      scheduledFor: row.scheduled_for,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+      batchRunId: row.batch_run_id,
+      totals: row.totals,
+      error: row.error
+    }
+  }
+
+  async listSchedules() {
+    const client = await this.getDatabaseClient()
+    const { data, error } = await client.from(this.tableName).select('*').order('created_at', { ascending: true })
+    if (error) throw error
+    return data.map(row => this.fromRow(row))
+  }
+
+  async getSchedule(scheduleId) {
+    if (!UUID_PATTERN.test(scheduleId)) return null
+    const client = await this.getDatabaseClient()
+    const { data, error } = await client.from(this.tableName).select('*').eq('id', scheduleId).maybeSingle()
+    if (error) throw error
+    return data ? this.fromRow(data) : null
+  }
+
+  async createSchedule(schedule) {
+    const client = await this.getDatabaseClient()
+    const { data, error } = await client
+      .from(this.tableName)
+      .insert({ ...this.toRow(schedule), next_run_at: this.nextRunAt(schedule) })
+      .select()
+      .single()
+
+    if (error) throw error
+    this.logger.info('schedule_created', { scheduleId: data.id, kind: data.kind, cron: data.cron, nextRunAt: data.next_run_at })
+    return this.fromRow(data)
+  }
+
+  // The next run follows the merged cron, timezone and enabled flag
+  async updateSchedule(scheduleId, changes) {
+    const existing = await this.getSchedule(scheduleId)
+    if (!existing) return null
+
+    const merged = { ...existing, ...changes }
+    const client = await this.getDatabaseClient()
+    const { data, error } = await client
+      .from(this.tableName)
+      .update({ ...this.toRow(changes), next_run_at: this.nextRunAt(merged) })
+      .eq('id', scheduleId)
+      .select()
+      .maybeSingle()
+
+    if (error) throw error
+    if (data) this.logger.info('schedule_updated', { scheduleId, nextRunAt: data.next_run_at })
+    return data ? this.fromRow(data) : null
+  }
+
+  async deleteSchedule(scheduleId) {
+    if (!UUID_PATTERN.test(scheduleId)) return false
+    const client = await this.getDatabaseClient()
+    const { data, error } = await client.from(this.tableName).delete().eq('id', scheduleId).select()
+    if (error) throw error
+    if (data.length > 0) this.logger.info('schedule_deleted', { scheduleId })
+    return data.length > 0
+  }
+
+  async listRuns(scheduleId, { limit = 20 } = {}) {
+    const client = await this.getDatabaseClient()
+    const { data, error } = await client
+      .from(this.runsTable)
+      .select('*')
+      .eq('schedule_id', scheduleId)
+      .order('started_at', { ascending: false })
+      .limit(limit)
+    if (error) throw error
+    return data.map(row => this.fromRunRow(row))
+  }
+
+  start() {
+    if (this.timer) return
+    this.timer = setInterval(() => this.tick(), this.tickMs)
+    this.timer.unref?.()
+    this.logger.info('scheduler_started', { tickMs: this.tickMs, timezone: this.defaultTimeZone })
+    this.tick()
+  }
+
+  stop() {
+    clearInterval(this.timer)
+    this.timer = null
+  }
+
+  getStatus() {
+    return { started: !!this.timer, tickMs: this.tickMs, running: [...this.running] }
+  }
+
+  // Fire every enabled schedule whose next run is due
+  async tick(now = new Date()) {
+    if (this.ticking) return
+    this.ticking = true
+
+    try {
+      const client = await this.getDatabaseClient()
+      const { data, error } = await client
+        .from(this.tableName)
+        .select('*')
+        .eq('enabled', true)
+        .lte('next_run_at', now.toISOString())
+      if (error) throw error
+
+      for (const row of data) {
+        if (await this.claim(client, row, now)) {
+          this.trigger(this.fromRow(row), 'cron', row.next_run_at).catch(error => {
+            this.logger.error('schedule_trigger_failed', { scheduleId: row.id, error: error.message })
+          })
+        }
+      }
+    } catch (error) {
+      this.logger.warn('scheduler_tick_failed', { error: error.message })
+    } finally {
+      this.ticking = false
+    }
+  }
+
+  // Move next_run_at on only if no other instance has already done so; the one that does fires the run
+  async claim(client, row, now) {
+    const { data, error } = await client
+      .from(this.tableName)
+      .update({ next_run_at: this.nextRunAt(this.fromRow(row), now) })
+      .eq('id', row.id)
+      .eq('next_run_at', row.next_run_at)
+      .select('id')
+    if (error) throw error
+    return data.length > 0
+  }
+
+  async runNow(scheduleId) {
+    const schedule = await this.getSchedule(scheduleId)
+    if (!schedule) throw httpError('Schedule not found', 404)
+    return this.trigger(schedule, 'manual', new Date().toISOString())
+  }
+
+  isRunning(schedule) {
+    const since = schedule.runningSince && Date.parse(schedule.runningSince)
+    return this.running.has(schedule.id) || (since && Date.now() - since < STALE_RUN_MS)
+  }
+
+  // Records the run and starts it in the background; returns the run record
+  async trigger(schedule, trigger, scheduledFor) {
+    const client = await this.getDatabaseClient()
+    const startedAt = new Date().toISOString()
+
+    if (this.isRunning(schedule)) {
+      if (trigger === 'manual') throw httpError(`Schedule "${schedule.name}" is already running`, 409)
+      this.logger.warn('schedule_run_skipped', { scheduleId: schedule.id, runningSince: schedule.runningSince })
+      return this.recordRun(client, {
+        schedule_id: schedule.id,
+        trigger,
+        status: 'skipped',
+        scheduled_for: scheduledFor,
+        started_at: startedAt,
+        finished_at: startedAt,
+        error: 'Previous run still running'
+      })
+    }
+
+    this.running.add(schedule.id)
+    try {
+      await this.updateState(client, schedule.id, { running_since: startedAt, last_run_at: startedAt })
+      const run = await this.recordRun(client, {
+        schedule_id: schedule.id,
+        trigger,
+        status: 'running',
+        scheduled_for: scheduledFor,
+        started_at: startedAt
+      })
+
+      this.logger.info('schedule_run_started', { scheduleId: schedule.id, runId: run.id, trigger })
+      this.execute(client, schedule, run)
+      return run
+    } catch (error) {
+      this.running.delete(schedule.id)
+      throw error
+    }
+  }
+
+  async execute(client, schedule, run) {
+    let result = { status: 'failed', batch_run_id: null, totals: null, error: null }
+
+    try {
+      const batch = await this.batchService.runBatch({
+        regionId: schedule.regionId,
+        farmerIds: schedule.farmerIds,
+        steps: this.resolveSteps(schedule),
+        triggeredBy: `schedule:${schedule.id}`
+      })
+      result = {
+        status: batch.status === 'completed' ? 'completed' : 'failed',
+        batch_run_id: batch.runId,
+        totals: batch.totals,
+        error: batch.error
+      }
+    } catch (error) {
+      // The same region or farmers are already being run by someone else
+      result.status = error.status === 409 ? 'skipped' : 'failed'
+      result.error = error.message
+    }
+
+    const finishedAt = new Date().toISOString()
+    try {
+      const { error } = await client.from(this.runsTable).update({ ...result, finished_at: finishedAt }).eq('id', run.id)
+      if (error) throw error
+      await this.updateState(client, schedule.id, { running_since: null, last_status: result.status })
+    } catch (error) {
+      this.logger.warn('schedule_run_record_failed', { scheduleId: schedule.id, runId: run.id, error: error.message })
+    } finally {
+      this.running.delete(schedule.id)
+    }
+
+    this.logger.info('schedule_run_finished', { scheduleId: schedule.id, runId: run.id, status: result.status, ...result.totals })
+  }
+
+  async recordRun(client, row) {
+    const { data, error } = await client.from(this.runsTable).insert(row).select().single()
+    if (error) throw error
+    return this.fromRunRow(data)
+  }
+
+  async updateState(client, scheduleId, state) {
+    const { error } = await client.from(this.tableName).update(state).eq('id', scheduleId)
+    if (error) throw error
+  }
+}
+
+export const schedulerService = new SchedulerService()
+export default schedulerService
@@ -1,4 +1,5 @@
 import { enhancedLogger } from './enhancedLogger.js'
+import { rateLimitService } from './rateLimitService.js'
 
 // Input validation schemas
 const validationSchemas = {
@@ -42,22 +43,81 @@ const validationSchemas = {
     minLength: 1,
     maxLength: 50,
     message: 'User ID must be 1-50 characters, alphanumeric, hyphens, and underscores only'
+  },
+
+  // Farmer registry profile (scalar fields; lists and quiet hours are checked by farmerService)
+  farmer: {
+    id: { type: 'string', pattern: /^[a-zA-Z0-9\-_]+$/, minLength: 1, maxLength: 50, message: 'id must be 1-50 characters, alphanumeric, hyphens, and underscores only' },
+    name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+    phoneNumber: { type: 'string', pattern: /^\+[1-9]\d{7,14}$/, message: 'phoneNumber must be in international format (e.g., +919876543210)' },
+    email: { type: 'string', pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, maxLength: 254, message: 'Invalid email format' },
+    language: { type: 'string' },
+    timezone: { type: 'string', maxLength: 64 },
+    district: { type: 'string', maxLength: 100 },
+    smsConsent: { type: 'boolean' },
+    notificationChannels: { type: 'object' },
+    quietHours: { type: 'object' },
+    crops: { type: 'object' }
+  },
+
+  // Request bodies, checked by withApi (lib/apiHandler.js) for the routes in lib/apiPolicies.js
+  alertRequest: {
+    phoneNumber: { type: 'string', required: true, pattern: /^\+?[1-9]\d{1,14}$/, message: 'Phone number must be in international format (e.g., +1234567890)' },
+    alertData: { type: 'object', required: true },
+    language: { type: 'string', maxLength: 5 }
+  },
+
+  emailRequest: {
+    email: { type: 'string', required: true, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, maxLength: 254, message: 'Invalid email format' },
+    type: { type: 'string', required: true },
+    data: { type: 'object', required: true },
+    language: { type: 'string', maxLength: 5 }
+  },
+
+  pipelineRequest: {
+    region: { type: 'string' },
+    phoneNumber: { type: 'string' },
+    userId: { type: 'string' },
+    farmerData: { type: 'object' },
+    steps: { type: 'object' },
+    async: { type: 'boolean' }
+  },
+
+  locationAnalysisRequest: {
+    coordinates: { type: 'object' },
+    locationName: { type: 'string' },
+    useCurrentLocation: { type: 'boolean' },
+    farmerData: { type: 'object' }
+  },
+
+  farmerAnalysisRequest: {
+    farmerId: { type: 'string', required: true, pattern: /^[a-zA-Z0-9\-_]+$/, maxLength: 50, message: 'farmerId must be alphanumeric, hyphens, and underscores only' },
+    phoneNumber: { type: 'string', pattern: /^\+?[1-9]\d{1,14}$/, message: 'Phone number must be in international format (e.g., +1234567890)' },
+    coordinates: { type: 'object' },
+    address: { type: 'string', maxLength: 500 },
+    steps: { type: 'object' }
+  },
+
+  imageAnalysisRequest: {
+    imageUrl: { type: 'string', maxLength: 2048 },
+    imageBase64: { type: 'string' },
+    analysisType: { type: 'string', maxLength: 50 },
+    includeOverlay: { type: 'boolean' }
   }
 }
 
 class SecurityMiddleware {
   constructor() {
     this.logger = enhancedLogger.with({ service: 'SecurityMiddleware' })
-    this.rateLimitStore = new Map()
-    this.rateLimitWindow = 60000 // 1 minute
-    this.maxRequestsPerWindow = 1000 // Increased from 100 for testing
+    this.rateLimits = rateLimitService
   }
 
   // CORS configuration
   corsConfig = {
     origin: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000', 'https://yourdomain.com'],
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Requested-With'],
+    exposedHeaders: ['X-Request-Id', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-RateLimit-Policy', 'Retry-After'],
     credentials: true,
     maxAge: 86400 // 24 hours
   }
@@ -200,31 +260,10 @@ class SecurityMiddleware {
     return validation
   }
 
-  // Rate limiting
-  checkRateLimit(identifier) {
-    const now = Date.now()
-    const windowStart = now - this.rateLimitWindow
-
-    // Clean old entries for this identifier
-    for (const [key, timestamp] of this.rateLimitStore.entries()) {
-      if (key.startsWith(`${identifier}-`) && timestamp < windowStart) {
-        this.rateLimitStore.delete(key)
-      }
-    }
-
-    // Count requests for this identifier in current window
-    const requestCount = Array.from(this.rateLimitStore.entries())
-      .filter(([key, timestamp]) => key.startsWith(`${identifier}-`) && timestamp >= windowStart)
-      .length
-
-    if (requestCount >= this.maxRequestsPerWindow) {
-      this.logger.warn('rate_limit_exceeded', { identifier, requestCount })
-      return { allowed: false, remaining: 0 }
-    }
-
-    // Add current request
-    this.rateLimitStore.set(`${identifier}-${now}`, now)
-    return { allowed: true, remaining: this.maxRequestsPerWindow - requestCount - 1 }
+  // Rate limiting: counts one request against a quota of rateLimitService (shared store, sliding window).
+  // Resolves { allowed, limit, remaining, resetMs, retryAfterMs }
+  checkRateLimit(identifier, { quota = 'api', tier = 'anonymous', route = null } = {}) {
+    return this.rateLimits.consume(quota, { subject: identifier, tier, route })
   }
 
   // Sanitize input data
@@ -310,6 +349,7 @@ class SecurityMiddleware {
 
     headers['Access-Control-Allow-Methods'] = this.corsConfig.methods.join(', ')
     headers['Access-Control-Allow-Headers'] = this.corsConfig.allowedHeaders.join(', ')
+    headers['Access-Control-Expose-Headers'] = this.corsConfig.exposedHeaders.join(', ')
     headers['Access-Control-Allow-Credentials'] = this.corsConfig.credentials.toString()
     headers['Access-Control-Max-Age'] = this.corsConfig.maxAge.toString()
 
@@ -366,7 +406,7 @@ class SecurityMiddleware {
     if (!apiKey) return { isValid: false, error: 'API key is required' }
     
     // Check if API key format is valid (basic check)
-    const isValidFormat = /^[a-zA-Z0-9\-_]{20,}$/.test(apiKey)
+    const isValidFormat = /^[a-zA-Z0-9\-_.]{20,}$/.test(apiKey)
     
     if (!isValidFormat) {
       this.logger.warn('invalid_api_key_format', { apiKey: apiKey.substring(0, 10) + '...' })
@@ -0,0 +1,281 @@
+// SMS Delivery Service for PredictAgri
+// Tracks every alert SMS in the `sms_messages` table from Twilio's status callbacks (POST /api/sms/status):
+// queued → sent → delivered, or undelivered/failed with Twilio's error code. Undelivered alerts are sent
+// again when the error is transient (up to SMS_MAX_ATTEMPTS) and the farmer may still be texted (consent,
+// quiet hours), otherwise emailed to farmers who accept email
+
+import { Logger } from './logger.js'
+import { farmerService, smsBlockReason } from './farmerService.js'
+import { emailService } from './emailService.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const DEFAULT_MAX_ATTEMPTS = 2
+
+// Twilio statuses in the order a message moves through them; callbacks can arrive out of order, so a
+// status never replaces a later one
+const STATUS_RANK = {
+  accepted: 0, scheduled: 0, queued: 0, sending: 1, sent: 2,
+  delivered: 3, undelivered: 3, failed: 3, canceled: 3, read: 4
+}
+export const FAILED_STATUSES = ['undelivered', 'failed', 'canceled']
+export const DELIVERED_STATUSES = ['delivered', 'read']
+
+// Twilio error codes worth another attempt: queue overflow, unreachable handset, unknown error, missing
+// segment, carrier congestion. Blocked, landline, unknown or unsubscribed numbers are not retried
+export const RETRYABLE_ERROR_CODES = [30001, 30003, 30008, 30009, 30017]
+
+const httpError = (message, status) => {
+  const error = new Error(message)
+  error.status = status
+  return error
+}
+
+const maskPhone = phoneNumber => (phoneNumber ? phoneNumber.substring(0, 8) + '***' : null)
+
+export function shouldApplyStatus(current, next) {
+  if (!(next in STATUS_RANK)) return false
+  return !current || (STATUS_RANK[next] ?? -1) > (STATUS_RANK[current] ?? -1)
+}
+
+// What to do about a message that ended undelivered: 'retry', 'email' or null
+export function followUpFor(message, { maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+  if (!FAILED_STATUSES.includes(message.status)) return null
+  if (RETRYABLE_ERROR_CODES.includes(Number(message.errorCode)) && message.attempt < maxAttempts) return 'retry'
+  return 'email'
+}
+
+const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null)
+
+// Delivery totals and per-farmer stats (farmer id, or the masked number for unregistered recipients).
+// Every attempt is a message of its own; deliveryRate only counts settled (delivered or failed) ones
+export function summarizeDeliveries(messages, { farmerLimit = 20 } = {}) {
+  const totals = { messages: messages.length, delivered: 0, failed: 0, pending: 0, retries: 0, emailFallbacks: 0 }
+  const farmers = new Map()
+
+  for (const message of messages) {
+    const outcome = DELIVERED_STATUSES.includes(message.status) ? 'delivered' : FAILED_STATUSES.includes(message.status) ? 'failed' : 'pending'
+    totals[outcome]++
+    if (message.attempt > 1) totals.retries++
+    if (message.followUp === 'email') totals.emailFallbacks++
+
+    const key = message.farmerId || maskPhone(message.phoneNumber)
+    const farmer = farmers.get(key) || { farmerId: message.farmerId || null, phoneNumber: maskPhone(message.phoneNumber), messages: 0, delivered: 0, failed: 0, pending: 0, lastStatus: null, lastErrorCode: null, lastAt: null }
+    farmer.messages++
+    farmer[outcome]++
+    if (!farmer.lastAt || message.createdAt > farmer.lastAt) {
+      Object.assign(farmer, { lastStatus: message.status, lastErrorCode: message.errorCode || null, lastAt: message.createdAt })
+    }
+    farmers.set(key, farmer)
+  }
+
+  const settled = totals.delivered + totals.failed
+  return {
+    totals: { ...totals, deliveryRate: rate(totals.delivered, settled) },
+    // Farmers with the most failed messages first
+    farmers: [...farmers.values()]
+      .map(farmer => ({ ...farmer, deliveryRate: rate(farmer.delivered, farmer.delivered + farmer.failed) }))
+      .sort((a, b) => b.failed - a.failed || b.messages - a.messages)
+      .slice(0, farmerLimit)
+  }
+}
+
+class SmsDeliveryService {
+  constructor() {
+    this.logger = new Logger({ service: 'SmsDeliveryService' })
+    this.tableName = 'sms_messages'
+    this.farmerService = farmerService
+    this.emailService = emailService
+  }
+
+  get maxAttempts() {
+    return Number(process.env.SMS_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS
+  }
+
+  async getDatabaseClient() {
+    try {
+      const { databaseService } = await import('./databaseService.js')
+      return databaseService.client
+    } catch (error) {
+      throw httpError('SMS delivery tracking is unavailable: database not configured', 503)
+    }
+  }
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      messageSid: row.message_sid,
+      farmerId: row.farmer_id,
+      phoneNumber: row.phone_number,
+      alertType: row.alert_type,
+      alertData: row.alert_data,
+      language: row.language,
+      status: row.status,
+      errorCode: row.error_code,
+      errorMessage: row.error_message,
+      attempt: row.attempt,
+      retryOf: row.retry_of,
+      followUp: row.follow_up,
+      followUpResult: row.follow_up_result,
+      statusHistory: row.status_history || [],
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      deliveredAt: row.delivered_at
+    }
+  }
+
+  // Record a message handed to Twilio (or refused by its API, with the error code). Messages without
+  // alertData (test SMS) are tracked but never retried. Best effort: an untracked SMS is still sent
+  async recordSent({ messageSid = null, phoneNumber, farmerId = null, alertData = null, alertType = alertData?.type || null, language = null, status, errorCode = null, errorMessage = null, attempt = 1, retryOf = null }) {
+    try {
+      const client = await this.getDatabaseClient()
+      const now = new Date().toISOString()
+      const { data, error } = await client.from(this.tableName).insert({
+        message_sid: messageSid,
+        farmer_id: farmerId,
+        phone_number: phoneNumber,
+        alert_type: alertType,
+        alert_data: alertData,
+        language,
+        status,
+        error_code: errorCode,
+        error_message: errorMessage,
+        attempt,
+        retry_of: retryOf,
+        status_history: [{ status, errorCode, at: now }],
+        created_at: now,
+        updated_at: now
+      }).select().single()
+      if (error) throw error
+      return this.fromRow(data)
+    } catch (error) {
+      this.logger.warn('sms_record_failed', { messageSid, error: error.message })
+      return null
+    }
+  }
+
+  async getMessage(messageSid) {
+    const client = await this.getDatabaseClient()
+    const { data, error } = await client.from(this.tableName).select('*').eq('message_sid', messageSid).maybeSingle()
+    if (error) throw error
+    return data ? this.fromRow(data) : null
+  }
+
+  async listMessages({ farmerId = null, phoneNumber = null, limit = 50 } = {}) {
+    const client = await this.getDatabaseClient()
+    let query = client.from(this.tableName).select('*').order('created_at', { ascending: false }).limit(limit)
+    if (farmerId) query = query.eq('farmer_id', farmerId)
+    if (phoneNumber) query = query.eq('phone_number', phoneNumber)
+
+    const { data, error } = await query
+    if (error) throw error
+    return data.map(row => this.fromRow(row))
+  }
+
+  // Apply a Twilio status callback ({ MessageSid, MessageStatus, ErrorCode, ErrorMessage }); undelivered
+  // messages are then retried or emailed. Resolves { message, applied, followUp }
+  async handleStatusCallback({ MessageSid: messageSid, MessageStatus: status, ErrorCode: errorCode, ErrorMessage: errorMessage }) {
+    const message = await this.getMessage(messageSid)
+    if (!message) {
+      this.logger.warn('sms_status_unknown_message', { messageSid, status })
+      return { message: null, applied: false, followUp: null }
+    }
+
+    const now = new Date().toISOString()
+    const code = errorCode ? Number(errorCode) : null
+    const history = [...message.statusHistory, { status, errorCode: code, at: now }]
+    const applied = shouldApplyStatus(message.status, status)
+    const changes = { status_history: history, updated_at: now }
+    if (applied) {
+      Object.assign(changes, { status, error_code: code ?? message.errorCode, error_message: errorMessage || message.errorMessage })
+      if (DELIVERED_STATUSES.includes(status)) changes.delivered_at = now
+    }
+
+    const client = await this.getDatabaseClient()
+    const { data, error } = await client.from(this.tableName).update(changes).eq('id', message.id).select().single()
+    if (error) throw error
+    const updated = this.fromRow(data)
+
+    this.logger.info('sms_status_updated', { messageSid, status, applied, errorCode: code })
+    const followUp = applied ? await this.followUp(updated) : null
+    return { message: updated, applied, followUp }
+  }
+
+  // Retry or email an undelivered alert once; the follow_up column is claimed first so duplicate
+  // callbacks don't send twice
+  async followUp(message) {
+    const action = followUpFor(message, { maxAttempts: this.maxAttempts })
+    if (!action || !message.alertData) return null
+
+    const client = await this.getDatabaseClient()
+    const { data: claimed, error } = await client.from(this.tableName)
+      .update({ follow_up: action }).eq('id', message.id).is('follow_up', null).select()
+    if (error) throw error
+    if (!claimed?.length) return null
+
+    const result = action === 'retry' ? await this.retry(message) : await this.emailFallback(message)
+    const taken = result.smsBlocked ? 'email' : action
+    await client.from(this.tableName).update({ follow_up: taken, follow_up_result: result }).eq('id', message.id)
+    this.logger.info('sms_follow_up', { messageSid: message.messageSid, action: taken, success: result.success })
+    return { action: taken, ...result }
+  }
+
+  // A retry is a new SMS, so it follows the same rules as the first one: a farmer who has withdrawn
+  // consent or is now in quiet hours gets the email fallback instead
+  async retry(message) {
+    const farmer = await this.findRecipient(message)
+    const blockReason = farmer && smsBlockReason(farmer)
+    if (blockReason) {
+      this.logger.info('sms_retry_blocked', { farmerId: farmer.id, reason: blockReason })
+      return { ...(await this.emailFallback(message, farmer)), smsBlocked: blockReason }
+    }
+
+    const { twilioService } = await import('./twilioService.js')
+    const result = await twilioService.sendAgriculturalAlert(message.phoneNumber, message.alertData, message.language || 'en', {
+      farmerId: message.farmerId,
+      attempt: message.attempt + 1,
+      retryOf: message.id
+    })
+    return { success: result.success, messageSid: result.sms?.messageId || null, error: result.error || result.sms?.error || null }
+  }
+
+  // The registered farmer a message went to, or null for unregistered numbers and failed lookups
+  async findRecipient(message) {
+    try {
+      return message.farmerId
+        ? await this.farmerService.getFarmer(message.farmerId)
+        : await this.farmerService.findByContact({ phoneNumber: message.phoneNumber })
+    } catch (error) {
+      this.logger.warn('sms_follow_up_farmer_lookup_failed', { farmerId: message.farmerId, error: error.message })
+      return null
+    }
+  }
+
+  // Email the alert to the farmer when they accept email notifications
+  async emailFallback(message, recipient = null) {
+    const farmer = recipient || await this.findRecipient(message)
+
+    if (!farmer?.email || !farmer.notificationChannels?.includes('email')) {
+      return { success: false, channel: 'email', error: 'Farmer has no email notifications on record' }
+    }
+
+    const result = await this.emailService.sendAgriculturalAlert(farmer.email, message.alertData, message.language || farmer.language || 'en')
+    return { success: result.success, channel: 'email', messageId: result.messageId || null, error: result.error || null }
+  }
+
+  // Totals and per-farmer delivery stats over the last `days` days (monitoring dashboard)
+  async getDeliveryStats({ days = 7, farmerLimit = 20 } = {}) {
+    const client = await this.getDatabaseClient()
+    const since = new Date(Date.now() - days * DAY_MS).toISOString()
+    const { data, error } = await client.from(this.tableName)
+      .select('farmer_id, phone_number, status, error_code, attempt, follow_up, created_at')
+      .gte('created_at', since)
+      .order('created_at', { ascending: false })
+      .limit(10000)
+    if (error) throw error
+
+    return { since, ...summarizeDeliveries(data.map(row => this.fromRow(row)), { farmerLimit }) }
+  }
+}
+
+export const smsDeliveryService = new SmsDeliveryService()
+export default smsDeliveryService
@@ -0,0 +1,352 @@
+// Station Service for PredictAgri
+// Registers on-farm weather stations and soil moisture probes per region, ingests their readings
+// (JSON or CSV batches) into station_readings and finds the nearest station with a fresh reading,
+// so the pipeline can prefer measurements over model and satellite data
+
+import crypto from 'crypto'
+import { Logger } from './logger.js'
+import { parseCsvRows, haversineKm, unsupported } from './weatherProviders.js'
+
+export const STATION_TYPES = ['weather', 'soil', 'combined']
+export const MAX_READINGS_PER_BATCH = 5000
+const MAX_CLOCK_SKEW_MS = 10 * 60 * 1000 // station clocks run a little fast
+const UPSERT_CHUNK = 1000
+
+// Reading field -> [CSV/database column, min, max]; units as in station_readings
+export const READING_FIELDS = {
+  temperature: ['temperature', -60, 70],
+  humidity: ['humidity', 0, 100],
+  windSpeed: ['wind_speed', 0, 250],
+  precipitation: ['precipitation', 0, 500],
+  pressure: ['pressure', 800, 1100],
+  soilMoisture: ['soil_moisture', 0, 1],
+  soilTemperature: ['soil_temperature', -30, 80]
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+// Loggers rarely know the farm's timezone, so timestamps must carry their own offset
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/
+
+const httpError = (message, status) => {
+  const error = new Error(message)
+  error.status = status
+  return error
+}
+
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex')
+
+// One reading from JSON (camelCase or column names) or a CSV row; observedAt may also be sent as time
+export function validateReading(raw, now = Date.now()) {
+  const errors = []
+  const reading = { observedAt: null }
+
+  const time = raw.observedAt ?? raw.observed_at ?? raw.time
+  if (typeof time !== 'string' || !TIMESTAMP_PATTERN.test(time.trim()) || isNaN(Date.parse(time))) {
+    errors.push('observedAt must be an ISO timestamp with an offset (e.g. 2026-07-01T06:00:00+05:30)')
+  } else if (Date.parse(time) > now + MAX_CLOCK_SKEW_MS) {
+    errors.push('observedAt is in the future')
+  } else {
+    reading.observedAt = new Date(time).toISOString()
+  }
+
+  Object.entries(READING_FIELDS).forEach(([field, [column, min, max]]) => {
+    const value = raw[field] ?? raw[column]
+    if (value === undefined || value === null || value === '') {
+      reading[field] = null
+      return
+    }
+    const number = Number(value)
+    if (!Number.isFinite(number) || number < min || number > max) {
+      errors.push(`${field} must be a number between ${min} and ${max}`)
+    } else {
+      reading[field] = number
+    }
+  })
+
+  if (errors.length === 0 && Object.keys(READING_FIELDS).every(field => reading[field] === null)) {
+    errors.push(`No measurements (send any of ${Object.keys(READING_FIELDS).join(', ')})`)
+  }
+
+  return { valid: errors.length === 0, errors, reading }
+}
+
+// payload: parsed JSON ({ readings: [...] } or an array) or CSV text with a header row.
+// Invalid rows are reported by index and skipped; a repeated timestamp keeps the last row
+export function parseReadingsBatch(payload, format = 'json', now = Date.now()) {
+  const rows = format === 'csv' ? parseCsvRows(payload) : Array.isArray(payload) ? payload : payload?.readings
+  if (!Array.isArray(rows)) throw httpError('Body must be { readings: [...] }, an array of readings, or CSV with a header row', 400)
+  if (rows.length === 0) throw httpError('The batch has no readings', 400)
+  if (rows.length > MAX_READINGS_PER_BATCH) throw httpError(`At most ${MAX_READINGS_PER_BATCH} readings per batch`, 413)
+
+  const byTime = new Map()
+  const rejected = []
+  rows.forEach((row, index) => {
+    const { valid, errors, reading } = validateReading(row || {}, now)
+    if (valid) byTime.set(reading.observedAt, reading)
+    else rejected.push({ index, errors })
+  })
+  return { readings: [...byTime.values()], rejected }
+}
+
+class StationService {
+  constructor() {
+    this.logger = new Logger({ service: 'StationService' })
+    this.stationsTable = 'weather_stations'
+    this.readingsTable = 'station_readings'
+    this.maxDistanceKm = Number(process.env.STATION_MAX_DISTANCE_KM) || 10
+    this.maxAgeMinutes = Number(process.env.STATION_MAX_AGE_MINUTES) || 120
+  }
+
+  // databaseService throws at import time without Supabase env, so load it lazily
+  async getDatabaseClient() {
+    try {
+      const { databaseService } = await import('./databaseService.js')
+      return databaseService.client
+    } catch (error) {
+      this.logger.warn('station_database_unavailable', { error: error.message })
+      throw httpError('Station storage is unavailable: database not configured', 503)
+    }
+  }
+
+  validateStation(input) {
+    const errors = []
+    const station = {}
+
+    if (typeof input.regionId !== 'string' || !UUID_PATTERN.test(input.regionId)) errors.push('regionId must be a region UUID')
+    else station.regionId = input.regionId
+
+    if (typeof input.name !== 'string' || input.name.trim() === '') errors.push('name is required')
+    else station.name = input.name.trim()
+
+    station.type = input.type ?? 'weather'
+    if (!STATION_TYPES.includes(station.type)) errors.push(`type must be one of ${STATION_TYPES.join(', ')}`)
+
+    const lat = Number(input.lat)
+    const lon = Number(input.lon)
+    if (input.lat === undefined || !Number.isFinite(lat) || lat < -90 || lat > 90) errors.push('lat must be between -90 and 90')
+    if (input.lon === undefined || !Number.isFinite(lon) || lon < -180 || lon > 180) errors.push('lon must be between -180 and 180')
+    station.lat = lat
+    station.lon = lon
+
+    if (input.elevation !== undefined && input.elevation !== null) {
+      if (!Number.isFinite(Number(input.elevation))) errors.push('elevation must be a number (m)')
+      else station.elevation = Number(input.elevation)
+    }
+
+    return { valid: errors.length === 0, errors, station }
+  }
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      regionId: row.region_id,
+      name: row.name,
+      type: row.type,
+      lat: row.lat,
+      lon: row.lon,
+      elevation: row.elevation,
+      active: row.active,
+      lastReadingAt: row.last_reading_at,
+      createdAt: row.created_at
+    }
+  }
+
+  readingFromRow(row) {
+    return {
+      observedAt: new Date(row.observed_at).toISOString(),
+      ...Object.fromEntries(Object.entries(READING_FIELDS).map(([field, [column]]) => [field, row[column]]))
+    }
+  }
+
+  // The ingest token is returned once; only its hash is stored
+  async registerStation(station) {
+    const client = await this.getDatabaseClient()
+    const { data: region, error: regionError } = await client.from('regions').select('id').eq('id', station.regionId).maybeSingle()
+    if (regionError) throw regionError
+    if (!region) throw httpError(`Region ${station.regionId} not found`, 404)
+
+    const ingestToken = crypto.randomBytes(24).toString('hex')
+    const { data, error } = await client
+      .from(this.stationsTable)
+      .insert({
+        region_id: station.regionId,
+        name: station.name,
+        type: station.type,
+        lat: station.lat,
+        lon: station.lon,
+        elevation: station.elevation ?? null,
+        ingest_token_hash: hashToken(ingestToken)
+      })
+      .select()
+      .single()
+
+    if (error) throw error
+    this.logger.info('station_registered', { stationId: data.id, regionId: station.regionId, type: station.type })
+    return { station: this.fromRow(data), ingestToken }
+  }
+
+  async listStations({ regionId = null } = {}) {
+    const client = await this.getDatabaseClient()
+    let query = client.from(this.stationsTable).select('*').order('created_at', { ascending: true })
+    if (regionId) query = query.eq('region_id', regionId)
+
+    const { data, error } = await query
+    if (error) throw error
+    return data.map(row => this.fromRow(row))
+  }
+
+  async getStationRow(stationId) {
+    if (!UUID_PATTERN.test(stationId)) return null
+    const client = await this.getDatabaseClient()
+    const { data, error } = await client.from(this.stationsTable).select('*').eq('id', stationId).maybeSingle()
+    if (error) throw error
+    return data
+  }
+
+  async authenticate(stationId, token) {
+    const row = await this.getStationRow(stationId)
+    if (!row) throw httpError(`Station ${stationId} not found`, 404)
+    if (!token) throw httpError('Station token required (Authorization: Bearer <token>)', 401)
+    const expected = Buffer.from(row.ingest_token_hash, 'hex')
+    const given = Buffer.from(hashToken(token), 'hex')
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) throw httpError('Invalid station token', 401)
+    if (!row.active) throw httpError(`Station ${stationId} is deactivated`, 403)
+    return row
+  }
+
+  // Upsert a validated batch; re-sending a timestamp overwrites it
+  async ingestReadings(stationId, token, readings) {
+    const station = await this.authenticate(stationId, token)
+    const client = await this.getDatabaseClient()
+
+    const rows = readings.map(reading => ({
+      station_id: stationId,
+      observed_at: reading.observedAt,
+      ...Object.fromEntries(Object.entries(READING_FIELDS).map(([field, [column]]) => [column, reading[field]]))
+    }))
+    for (let i = 0; i < rows.length; i += UPSERT_CHUNK) {
+      const { error } = await client
+        .from(this.readingsTable)
+        .upsert(rows.slice(i, i + UPSERT_CHUNK), { onConflict: 'station_id,observed_at' })
+      if (error) throw error
+    }
+
+    const latestObservedAt = readings.reduce((latest, r) => (r.observedAt > latest ? r.observedAt : latest), '')
+    if (latestObservedAt && (!station.last_reading_at || new Date(station.last_reading_at).toISOString() < latestObservedAt)) {
+      const { error } = await client.from(this.stationsTable).update({ last_reading_at: latestObservedAt }).eq('id', stationId)
+      if (error) throw error
+    }
+
+    this.logger.info('station_readings_ingested', { stationId, accepted: rows.length, latestObservedAt })
+    return { stationId, accepted: rows.length, latestObservedAt: latestObservedAt || null }
+  }
+
+  async getReadings(stationId, { since = null, limit = 100 } = {}) {
+    if (since && isNaN(Date.parse(since))) throw httpError('since must be an ISO timestamp', 400)
+    const station = await this.getStationRow(stationId)
+    if (!station) throw httpError(`Station ${stationId} not found`, 404)
+
+    const client = await this.getDatabaseClient()
+    let query = client
+      .from(this.readingsTable)
+      .select('*')
+      .eq('station_id', stationId)
+      .order('observed_at', { ascending: false })
+      .limit(Math.min(Math.max(parseInt(limit, 10) || 100, 1), 1000))
+    if (since) query = query.gte('observed_at', since)
+
+    const { data, error } = await query
+    if (error) throw error
+    return { station: this.fromRow(station), readings: data.map(row => this.readingFromRow(row)) }
+  }
+
+  // Nearest active station within maxDistanceKm whose latest reading of `field` is at most
+  // maxAgeMinutes old: { station, reading, ageMinutes } or null
+  async findFreshReading(lat, lon, { field, maxDistanceKm = this.maxDistanceKm, maxAgeMinutes = this.maxAgeMinutes, now = Date.now() } = {}) {
+    if (!READING_FIELDS[field]) throw new Error(`Unknown reading field: ${field}`)
+    const client = await this.getDatabaseClient()
+
+    // Bounding box first, exact distance after
+    const latDelta = maxDistanceKm / 111
+    const lonDelta = maxDistanceKm / (111 * Math.max(Math.cos(lat * Math.PI / 180), 0.01))
+    const { data: stationRows, error } = await client
+      .from(this.stationsTable)
+      .select('*')
+      .eq('active', true)
+      .gte('lat', lat - latDelta).lte('lat', lat + latDelta)
+      .gte('lon', lon - lonDelta).lte('lon', lon + lonDelta)
+    if (error) throw error
+
+    const nearby = stationRows
+      .map(row => ({ row, distanceKm: haversineKm(lat, lon, row.lat, row.lon) }))
+      .filter(candidate => candidate.distanceKm <= maxDistanceKm)
+      .sort((a, b) => a.distanceKm - b.distanceKm)
+    if (nearby.length === 0) return null
+
+    // Nearest first; usually only a handful of stations are in range
+    const column = READING_FIELDS[field][0]
+    const since = new Date(now - maxAgeMinutes * 60 * 1000).toISOString()
+    for (const { row, distanceKm } of nearby) {
+      const { data: latest, error: readingError } = await client
+        .from(this.readingsTable)
+        .select('*')
+        .eq('station_id', row.id)
+        .gte('observed_at', since)
+        .not(column, 'is', null)
+        .order('observed_at', { ascending: false })
+        .limit(1)
+        .maybeSingle()
+      if (readingError) throw readingError
+      if (!latest) continue
+
+      const reading = this.readingFromRow(latest)
+      return {
+        station: { id: row.id, name: row.name, type: row.type, elevation: row.elevation, distanceKm: Math.round(distanceKm * 10) / 10 },
+        reading,
+        ageMinutes: Math.round((now - Date.parse(reading.observedAt)) / 60000)
+      }
+    }
+    return null
+  }
+}
+
+export const stationService = new StationService()
+export default stationService
+
+// Current conditions from the nearest fresh station reading, for weatherProviderService. Stations
+// offer no forecast here, and a missing database or station is "unsupported", not a failure
+export class StationNetworkProvider {
+  constructor(service = stationService) {
+    this.name = 'stations'
+    this.label = 'On-farm weather station'
+    this.service = service
+  }
+
+  async getCurrent(lat, lon) {
+    let found
+    try {
+      found = await this.service.findFreshReading(lat, lon, { field: 'temperature' })
+    } catch (error) {
+      if (error.status === 503) throw unsupported(error.message)
+      throw error
+    }
+    if (!found) throw unsupported(`No station reading from the last ${this.service.maxAgeMinutes} min within ${this.service.maxDistanceKm} km`)
+
+    const { station, reading, ageMinutes } = found
+    return {
+      timezone: null,
+      utcOffsetSeconds: 0,
+      elevation: station.elevation ?? null,
+      station: { ...station, ageMinutes },
+      current: {
+        time: reading.observedAt,
+        temperature: reading.temperature,
+        humidity: reading.humidity,
+        windSpeed: reading.windSpeed,
+        precipitation: reading.precipitation,
+        pressure: reading.pressure,
+        weatherCode: null
+      }
+    }
+  }
+}
@@ -1,27 +1,93 @@
 // Twilio Service for SMS Alerts Only (Voice calls removed)
 import twilio from 'twilio'
 import { Logger } from './logger.js'
+import { rateLimitService } from './rateLimitService.js'
+import { smsDeliveryService } from './smsDeliveryService.js'
+
+// Subject of the account-wide `sms_account` quota
+export const SMS_ACCOUNT_SUBJECT = 'twilio'
+
+// Twilio error 63038: the account's daily message limit (9 on trial accounts) was reached
+const isDailyLimitError = error => error?.code === 63038 || /daily messages limit/i.test(error?.message || '')
 
 class TwilioService {
   constructor() {
     this.accountSid = process.env.TWILIO_ACCOUNT_SID
     this.authToken = process.env.TWILIO_AUTH_TOKEN
     this.phoneNumber = process.env.TWILIO_PHONE_NUMBER
+    // Public URL of POST /api/sms/status; without it messages keep the status Twilio returned on send
+    this.statusCallbackUrl = process.env.TWILIO_STATUS_CALLBACK_URL || null
+    // Public URL of POST /api/sms/inbound as set on the Twilio number; Twilio signs this URL, which
+    // behind a proxy is not the URL the request arrives on
+    this.inboundWebhookUrl = process.env.TWILIO_INBOUND_WEBHOOK_URL || null
     this.logger = new Logger({ service: 'TwilioService' })
+    this.rateLimits = rateLimitService
+    this.delivery = smsDeliveryService
 
     if (this.accountSid && this.authToken) {
       this.client = twilio(this.accountSid, this.authToken)
     }
   }
 
-  // Send SMS alert only (voice calls removed)
-  async sendAgriculturalAlert(phoneNumber, alertData, language = 'en') {
+  // Count an SMS against the account's and the farmer's daily quotas; both or neither are consumed
+  async reserveSms(phoneNumber) {
+    const account = await this.rateLimits.consume('sms_account', { subject: SMS_ACCOUNT_SUBJECT })
+    if (!account.allowed) return { ...account, error: 'Daily SMS limit reached for the account' }
+
+    const farmer = await this.rateLimits.consume('sms', { subject: phoneNumber })
+    if (!farmer.allowed) {
+      await this.rateLimits.release('sms_account', { subject: SMS_ACCOUNT_SUBJECT })
+      return { ...farmer, error: 'Daily SMS limit reached for this farmer' }
+    }
+    return farmer
+  }
+
+  // Give the reservation back when the message was not sent; a Twilio daily-limit error also uses up
+  // the account quota so no further sends are tried until the window slides
+  async releaseSms(phoneNumber, error) {
+    await this.rateLimits.release('sms', { subject: phoneNumber })
+    await this.rateLimits.release('sms_account', { subject: SMS_ACCOUNT_SUBJECT })
+    if (isDailyLimitError(error)) {
+      this.logger.warn('twilio_daily_limit_reached', { error: error.message })
+      await this.rateLimits.exhaust('sms_account', { subject: SMS_ACCOUNT_SUBJECT })
+    }
+  }
+
+  // messages.create with the delivery status callback when one is configured
+  createMessage(body, to) {
+    return this.client.messages.create({
+      body,
+      from: this.phoneNumber,
+      to,
+      ...(this.statusCallbackUrl ? { statusCallback: this.statusCallbackUrl } : {})
+    })
+  }
+
+  // Send SMS alert only (voice calls removed). Refused by the SMS quotas with { rateLimited: true }.
+  // Sent and refused messages are tracked in sms_messages; options: { farmerId, attempt, retryOf }
+  async sendAgriculturalAlert(phoneNumber, alertData, language = 'en', { farmerId = null, attempt = 1, retryOf = null } = {}) {
+    const tracking = { phoneNumber, farmerId, alertData, language, attempt, retryOf }
+    let reserved = false
     try {
       if (!this.client) {
         this.logger.warn('twilio_not_configured', { message: 'Twilio credentials not found' })
         return { success: false, error: 'Twilio not configured' }
       }
 
+      const quota = await this.reserveSms(phoneNumber)
+      if (!quota.allowed) {
+        this.logger.warn('sms_rate_limited', { phoneNumber: phoneNumber.substring(0, 8) + '***', quota: quota.quota })
+        return {
+          success: false,
+          rateLimited: true,
+          error: quota.error,
+          retryAfterSeconds: Math.ceil(quota.retryAfterMs / 1000),
+          sms: { success: false, error: quota.error },
+          voice: { success: false, error: 'Voice calls disabled' }
+        }
+      }
+      reserved = true
+
       const message = this.generateAlertMessage(alertData, language)
       
       this.logger.info('sending_sms_alert', { 
@@ -30,16 +96,13 @@ class TwilioService {
         messageLength: message.length
       })
 
-      const result = await this.client.messages.create({
-        body: message,
-        from: this.phoneNumber,
-        to: phoneNumber
-      })
+      const result = await this.createMessage(message, phoneNumber)
 
       this.logger.info('sms_alert_sent_successfully', { 
         messageId: result.sid,
         phoneNumber: phoneNumber.substring(0, 8) + '***'
       })
+      await this.delivery.recordSent({ ...tracking, messageSid: result.sid, status: result.status })
 
       return {
         success: true,
@@ -59,9 +122,16 @@ class TwilioService {
         phoneNumber: phoneNumber ? phoneNumber.substring(0, 8) + '***' : 'undefined',
         error: error.message 
       })
+      if (reserved) {
+        await this.releaseSms(phoneNumber, error)
+        const failed = await this.delivery.recordSent({ ...tracking, status: 'failed', errorCode: error.code || null, errorMessage: error.message })
+        // No status callback arrives for a message Twilio refused, so retry or email it now
+        if (failed) await this.followUpRefused(failed)
+      }
 
       return {
         success: false,
+        rateLimited: isDailyLimitError(error),
         sms: {
           success: false,
           error: error.message
@@ -74,6 +144,15 @@ class TwilioService {
     }
   }
 
+  // Best effort: the send already failed, a follow-up error must not change that result
+  async followUpRefused(message) {
+    try {
+      await this.delivery.followUp(message)
+    } catch (error) {
+      this.logger.warn('sms_follow_up_failed', { messageId: message.id, error: error.message })
+    }
+  }
+
   // Generate alert message based on type and language
   generateAlertMessage(alertData, language = 'en') {
     const messages = {
@@ -191,11 +270,8 @@ class TwilioService {
         return { success: false, error: 'Twilio not configured' }
       }
 
-      const result = await this.client.messages.create({
-        body: message,
-        from: this.phoneNumber,
-        to: phoneNumber
-      })
+      const result = await this.createMessage(message, phoneNumber)
+      await this.delivery.recordSent({ messageSid: result.sid, phoneNumber, alertType: 'test', status: result.status })
 
       return {
         success: true,
@@ -204,12 +280,35 @@ class TwilioService {
       }
 
     } catch (error) {
+      if (isDailyLimitError(error)) await this.rateLimits.exhaust('sms_account', { subject: SMS_ACCOUNT_SUBJECT })
       return {
         success: false,
+        rateLimited: isDailyLimitError(error),
         error: error.message
       }
     }
   }
+
+  // Whether the account-wide daily SMS quota is used up
+  async isSmsLimitReached() {
+    return (await this.rateLimits.peek('sms_account', { subject: SMS_ACCOUNT_SUBJECT })).exhausted
+  }
+
+  // Check X-Twilio-Signature on incoming webhooks; without an auth token nothing can be verified, so
+  // every request is rejected
+  validateWebhook(signature, url, params) {
+    if (!this.authToken || !signature) return false
+    return twilio.validateRequest(this.authToken, signature, url, params)
+  }
+
+  // TwiML reply for incoming SMS webhooks
+  buildSmsReply(message) {
+    const escaped = String(message)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+    return `<?xml version="1.0" encoding="UTF-8"?><Response><Message>${escaped}</Message></Response>`
+  }
 }
 
 export const twilioService = new TwilioService()
@@ -305,14 +305,16 @@ class VoiceAssistant {
         'Tell me about crop conditions',
         'What are today\'s predictions?',
         'Show me alerts',
-        'Help me with farming advice'
+        'Help me with farming advice',
+        'Harvest 3f2a9c1d 18 quintal per acre'
       ],
       hi: [
         'मौसम कैसा है?',
         'फसल की स्थिति के बारे में बताएं',
         'आज के पूर्वानुमान क्या हैं?',
         'मुझे अलर्ट दिखाएं',
-        'खेती की सलाह में मेरी मदद करें'
+        'खेती की सलाह में मेरी मदद करें',
+        'उपज 3f2a9c1d 18 क्विंटल'
       ],
       mr: [
         'हवामान कसा आहे?',
@@ -0,0 +1,365 @@
+// Weather Archive Service for PredictAgri
+// Backfills daily weather history per region (Open-Meteo archive via weatherProviderService) into weather_daily,
+// computes climatology normals (30-year baseline, 1991-2020 by default) and scores rainfall
+// deficit and heat-day anomalies against them
+
+import { Logger } from './logger.js'
+import { weatherProviderService } from './weatherProviderService.js'
+
+export const DEFAULT_BASELINE = { startYear: 1991, endYear: 2020 }
+export const HEAT_DAY_THRESHOLD_C = 35
+export const RAINY_DAY_MM = 2.5 // IMD rainy-day threshold
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+const MIN_MONTH_COVERAGE = 0.9 // a month counts towards the normal when 90% of its days are present
+const PAGE_SIZE = 1000 // Supabase caps rows per request
+const DEFAULT_WINDOW_DAYS = 30
+
+const round = (value, digits = 2) => value === null || value === undefined ? null : Math.round(value * 10 ** digits) / 10 ** digits
+const mean = values => {
+  const present = values.filter(Number.isFinite)
+  return present.length ? present.reduce((sum, v) => sum + v, 0) / present.length : null
+}
+const sum = values => values.filter(Number.isFinite).reduce((total, v) => total + v, 0)
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate()
+const toIsoDate = time => new Date(time).toISOString().slice(0, 10)
+const addDays = (date, days) => toIsoDate(new Date(date).getTime() + days * DAY_MS)
+
+const httpError = (message, status) => {
+  const error = new Error(message)
+  error.status = status
+  return error
+}
+
+// IMD categories for seasonal rainfall departure from normal
+export function classifyRainfallDeparture(percent) {
+  if (percent === null) return 'Unknown'
+  if (percent <= -99) return 'No Rain'
+  if (percent <= -60) return 'Large Deficient'
+  if (percent <= -20) return 'Deficient'
+  if (percent < 20) return 'Normal'
+  if (percent < 60) return 'Excess'
+  return 'Large Excess'
+}
+
+// Calendar-month history for charts: rainfall totals, mean temperatures and heat days per YYYY-MM
+export function aggregateMonthly(days, heatThreshold = HEAT_DAY_THRESHOLD_C) {
+  const months = new Map()
+  days.forEach(day => {
+    const key = day.date.slice(0, 7)
+    if (!months.has(key)) months.set(key, [])
+    months.get(key).push(day)
+  })
+  return [...months.entries()].map(([month, rows]) => ({
+    month,
+    days: rows.length,
+    precipitation: round(sum(rows.map(r => r.precipitation)), 1),
+    tmax: round(mean(rows.map(r => r.tmax)), 1),
+    tmin: round(mean(rows.map(r => r.tmin)), 1),
+    heatDays: rows.filter(r => r.tmax >= heatThreshold).length,
+    rainyDays: rows.filter(r => r.precipitation >= RAINY_DAY_MM).length
+  }))
+}
+
+// Monthly normals over the baseline years. Rainfall, heat days and rainy days are per-month
+// totals averaged over the years with (nearly) complete records; temperatures are daily means
+export function computeClimatology(days, { startYear = DEFAULT_BASELINE.startYear, endYear = DEFAULT_BASELINE.endYear, heatThreshold = HEAT_DAY_THRESHOLD_C } = {}) {
+  const yearMonths = aggregateMonthly(
+    days.filter(day => {
+      const year = Number(day.date.slice(0, 4))
+      return year >= startYear && year <= endYear
+    }),
+    heatThreshold
+  ).filter(row => row.days >= MIN_MONTH_COVERAGE * daysInMonth(Number(row.month.slice(0, 4)), Number(row.month.slice(5, 7))))
+
+  const months = Array.from({ length: 12 }, (_, index) => {
+    const rows = yearMonths.filter(row => Number(row.month.slice(5, 7)) === index + 1)
+    return {
+      month: index + 1,
+      years: rows.length,
+      precipitation: round(mean(rows.map(r => r.precipitation)), 1),
+      tmax: round(mean(rows.map(r => r.tmax)), 1),
+      tmin: round(mean(rows.map(r => r.tmin)), 1),
+      heatDays: round(mean(rows.map(r => r.heatDays)), 1),
+      rainyDays: round(mean(rows.map(r => r.rainyDays)), 1)
+    }
+  })
+
+  const complete = months.every(m => m.years > 0)
+  return {
+    baseline: { startYear, endYear, years: Math.min(...months.map(m => m.years)) },
+    heatThreshold,
+    months,
+    annual: complete
+      ? { precipitation: round(sum(months.map(m => m.precipitation)), 1), heatDays: round(sum(months.map(m => m.heatDays)), 1) }
+      : null
+  }
+}
+
+// Observed window vs normals. Monthly normals are spread evenly over their days, so windows
+// that cut across months get a pro-rated normal
+export function computeAnomaly(days, climatology, { startDate, endDate }) {
+  const window = days.filter(day => day.date >= startDate && day.date <= endDate)
+  if (window.length === 0) throw httpError(`No weather history between ${startDate} and ${endDate}`, 404)
+
+  const normalFor = (day, key) => {
+    const month = climatology.months[Number(day.date.slice(5, 7)) - 1]
+    if (month[key] === null) return null
+    if (key === 'tmax' || key === 'tmin') return month[key]
+    return month[key] / daysInMonth(Number(day.date.slice(0, 4)), month.month)
+  }
+
+  const observedRain = sum(window.map(d => d.precipitation))
+  const normalRain = sum(window.map(d => normalFor(d, 'precipitation')))
+  const departure = normalRain > 0 ? round((observedRain - normalRain) / normalRain * 100, 1) : null
+  const observedHeatDays = window.filter(d => d.tmax >= climatology.heatThreshold).length
+  const normalHeatDays = sum(window.map(d => normalFor(d, 'heatDays')))
+  const tmaxAnomaly = mean(window.map(d => Number.isFinite(d.tmax) && normalFor(d, 'tmax') !== null ? d.tmax - normalFor(d, 'tmax') : null))
+
+  // Longest run of consecutive days below the rainy-day threshold within the window
+  let dryRun = 0
+  let longestDrySpell = 0
+  window.forEach(d => {
+    dryRun = d.precipitation < RAINY_DAY_MM ? dryRun + 1 : 0
+    longestDrySpell = Math.max(longestDrySpell, dryRun)
+  })
+
+  // 0-1: a 60% rainfall deficit (IMD "large deficient") or heat days exceeding normal by a
+  // quarter of the window each saturate their component
+  const deficitRisk = departure === null ? 0 : Math.min(1, Math.max(0, -departure / 60))
+  const heatRisk = Math.min(1, Math.max(0, (observedHeatDays - normalHeatDays) / Math.max(1, window.length / 4)))
+  const riskScore = round(0.6 * deficitRisk + 0.4 * heatRisk)
+
+  return {
+    period: { startDate, endDate, days: window.length, missingDays: window.filter(d => !Number.isFinite(d.precipitation)).length },
+    rainfall: {
+      observed: round(observedRain, 1),
+      normal: round(normalRain, 1),
+      departurePercent: departure,
+      deficit: round(Math.max(0, normalRain - observedRain), 1),
+      category: classifyRainfallDeparture(departure),
+      rainyDays: window.filter(d => d.precipitation >= RAINY_DAY_MM).length,
+      longestDrySpell
+    },
+    heat: {
+      threshold: climatology.heatThreshold,
+      observedDays: observedHeatDays,
+      normalDays: round(normalHeatDays, 1),
+      excessDays: round(observedHeatDays - normalHeatDays, 1),
+      tmaxAnomaly: round(tmaxAnomaly, 1)
+    },
+    riskScore,
+    riskLevel: riskScore >= 0.6 ? 'high' : riskScore >= 0.3 ? 'moderate' : 'low',
+    monthly: aggregateMonthly(window, climatology.heatThreshold).map(row => ({
+      ...row,
+      normalPrecipitation: climatology.months[Number(row.month.slice(5, 7)) - 1].precipitation
+    }))
+  }
+}
+
+class WeatherArchiveService {
+  constructor() {
+    this.logger = new Logger({ service: 'WeatherArchiveService' })
+    this.tableName = 'weather_daily'
+    this.climatologyCache = new Map() // location/baseline key -> climatology, for lat/lon lookups without a database
+  }
+
+  // databaseService throws at import time without Supabase env; lat/lon lookups still work
+  // straight from the archive without it
+  async getDatabaseClient() {
+    try {
+      const { databaseService } = await import('./databaseService.js')
+      return databaseService.client
+    } catch (error) {
+      return null
+    }
+  }
+
+  // { regionId } or { lat, lon } -> { regionId, name, lat, lon }
+  async resolveLocation({ regionId, lat, lon }) {
+    if (regionId) {
+      const client = await this.getDatabaseClient()
+      if (!client) throw httpError('Region lookups need the database; pass lat and lon instead', 503)
+      const { data, error } = await client.from('regions').select('id, name, lat, lon').eq('id', regionId).maybeSingle()
+      if (error) throw error
+      if (!data) throw httpError(`Region ${regionId} not found`, 404)
+      return { regionId: data.id, name: data.name, lat: data.lat, lon: data.lon }
+    }
+
+    const latitude = Number(lat)
+    const longitude = Number(lon)
+    if (lat === null || lat === undefined || lon === null || lon === undefined ||
+        !Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      throw httpError('Provide regionId, or lat (-90..90) and lon (-180..180)', 400)
+    }
+    return { regionId: null, name: null, lat: round(latitude, 4), lon: round(longitude, 4) }
+  }
+
+  // Clamp a requested range to what the archive can serve
+  resolveRange(startDate, endDate, defaultDays = DEFAULT_WINDOW_DAYS) {
+    const archiveEnd = weatherProviderService.getArchiveEndDate()
+    const end = endDate || archiveEnd
+    const start = startDate || addDays(end, -(defaultDays - 1))
+    if (!ISO_DATE_PATTERN.test(start) || !ISO_DATE_PATTERN.test(end) || isNaN(Date.parse(start)) || isNaN(Date.parse(end))) {
+      throw httpError('start and end must be dates (YYYY-MM-DD)', 400)
+    }
+    if (start > end) throw httpError('start must not be after end', 400)
+    if (start < '1940-01-01') throw httpError('The archive starts at 1940-01-01', 400)
+    return { startDate: start, endDate: end < archiveEnd ? end : archiveEnd, archiveEnd }
+  }
+
+  async readStoredDays(client, regionId, startDate, endDate) {
+    const days = []
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await client
+        .from(this.tableName)
+        .select('date, tmax, tmin, tmean, precipitation, wind_max')
+        .eq('region_id', regionId)
+        .gte('date', startDate)
+        .lte('date', endDate)
+        .order('date', { ascending: true })
+        .range(from, from + PAGE_SIZE - 1)
+      if (error) throw error
+      data.forEach(row => days.push({
+        date: row.date,
+        tmax: row.tmax,
+        tmin: row.tmin,
+        tmean: row.tmean,
+        precipitation: row.precipitation,
+        windMax: row.wind_max
+      }))
+      if (data.length < PAGE_SIZE) return days
+    }
+  }
+
+  // Fetch startDate..endDate from the archive and upsert it into weather_daily. Only the parts
+  // outside the stored range are fetched unless force is set
+  async backfill({ regionId, startDate, endDate, force = false }) {
+    const client = await this.getDatabaseClient()
+    if (!client) throw httpError('Weather history storage is unavailable: database not configured', 503)
+    const location = await this.resolveLocation({ regionId })
+    const range = this.resolveRange(startDate, endDate)
+
+    const gaps = [[range.startDate, range.endDate]]
+    if (!force) {
+      const [{ data: first }, { data: last }] = await Promise.all([
+        client.from(this.tableName).select('date').eq('region_id', regionId).order('date', { ascending: true }).limit(1),
+        client.from(this.tableName).select('date').eq('region_id', regionId).order('date', { ascending: false }).limit(1)
+      ])
+      if (first?.length && last?.length) {
+        gaps.length = 0
+        if (range.startDate < first[0].date) gaps.push([range.startDate, addDays(first[0].date, -1)])
+        if (range.endDate > last[0].date) gaps.push([addDays(last[0].date, 1), range.endDate])
+      }
+    }
+
+    let stored = 0
+    for (const [start, end] of gaps) {
+      if (start > end) continue
+      const { days, provider } = await weatherProviderService.getDaily(location.lat, location.lon, { startDate: start, endDate: end })
+      for (let i = 0; i < days.length; i += PAGE_SIZE) {
+        const { error } = await client.from(this.tableName).upsert(
+          days.slice(i, i + PAGE_SIZE).map(day => ({
+            region_id: regionId,
+            date: day.date,
+            tmax: day.tmax,
+            tmin: day.tmin,
+            tmean: day.tmean,
+            precipitation: day.precipitation,
+            wind_max: day.windMax,
+            source: provider
+          })),
+          { onConflict: 'region_id,date' }
+        )
+        if (error) throw error
+      }
+      stored += days.length
+    }
+
+    // Normals are derived from the stored history, so drop any computed before this backfill
+    if (stored > 0) {
+      const { error } = await client.from('weather_normals').delete().eq('region_id', regionId)
+      if (error) this.logger.warn('weather_normals_invalidate_failed', { regionId, error: error.message })
+    }
+
+    this.logger.info('weather_backfill_complete', { regionId, stored, gaps: gaps.length })
+    return { region: location, ...range, fetchedRanges: gaps.filter(([start, end]) => start <= end), storedDays: stored }
+  }
+
+  // Daily history for a region (backfilled on demand) or a lat/lon (straight from the archive)
+  async getHistory(locationQuery, { startDate, endDate, defaultDays } = {}) {
+    const location = await this.resolveLocation(locationQuery)
+    const range = this.resolveRange(startDate, endDate, defaultDays)
+    const client = location.regionId ? await this.getDatabaseClient() : null
+
+    if (!client) {
+      const { days, provider } = await weatherProviderService.getDaily(location.lat, location.lon, range)
+      return { location, ...range, source: provider, days }
+    }
+
+    await this.backfill({ regionId: location.regionId, startDate: range.startDate, endDate: range.endDate })
+    const days = await this.readStoredDays(client, location.regionId, range.startDate, range.endDate)
+    return { location, ...range, source: 'weather_daily', days }
+  }
+
+  async getClimatology(locationQuery, { startYear = DEFAULT_BASELINE.startYear, endYear = DEFAULT_BASELINE.endYear, heatThreshold = HEAT_DAY_THRESHOLD_C } = {}) {
+    if (!Number.isInteger(startYear) || !Number.isInteger(endYear) || startYear > endYear || startYear < 1940) {
+      throw httpError('baseline years must be integers with 1940 <= start <= end', 400)
+    }
+    const location = await this.resolveLocation(locationQuery)
+    const cacheKey = `${location.regionId || `${location.lat},${location.lon}`}:${startYear}-${endYear}:${heatThreshold}`
+    if (this.climatologyCache.has(cacheKey)) return this.climatologyCache.get(cacheKey)
+
+    const client = location.regionId ? await this.getDatabaseClient() : null
+    if (client) {
+      const { data, error } = await client
+        .from('weather_normals')
+        .select('normals')
+        .eq('region_id', location.regionId)
+        .eq('baseline_start_year', startYear)
+        .eq('baseline_end_year', endYear)
+        .eq('heat_threshold', heatThreshold)
+        .maybeSingle()
+      if (error) this.logger.warn('weather_normals_read_failed', { error: error.message })
+      if (data) return { location, ...data.normals }
+    }
+
+    const history = await this.getHistory(
+      location.regionId ? { regionId: location.regionId } : location,
+      { startDate: `${startYear}-01-01`, endDate: `${endYear}-12-31` }
+    )
+    const normals = computeClimatology(history.days, { startYear, endYear, heatThreshold })
+    if (normals.baseline.years === 0) throw httpError(`No complete months of history for ${startYear}-${endYear}`, 404)
+
+    const climatology = { location, ...normals }
+    if (client) {
+      const { error } = await client.from('weather_normals').upsert({
+        region_id: location.regionId,
+        baseline_start_year: startYear,
+        baseline_end_year: endYear,
+        heat_threshold: heatThreshold,
+        normals,
+        computed_at: new Date().toISOString()
+      }, { onConflict: 'region_id,baseline_start_year,baseline_end_year,heat_threshold' })
+      if (error) this.logger.warn('weather_normals_write_failed', { error: error.message })
+    } else {
+      this.climatologyCache.set(cacheKey, climatology)
+    }
+    return climatology
+  }
+
+  async getAnomaly(locationQuery, { startDate, endDate, baseline = {}, heatThreshold = HEAT_DAY_THRESHOLD_C } = {}) {
+    const climatology = await this.getClimatology(locationQuery, { ...DEFAULT_BASELINE, ...baseline, heatThreshold })
+    const history = await this.getHistory(locationQuery, { startDate, endDate })
+    return {
+      location: history.location,
+      ...computeAnomaly(history.days, climatology, history),
+      baseline: climatology.baseline,
+      generatedAt: new Date().toISOString()
+    }
+  }
+}
+
+export const weatherArchiveService = new WeatherArchiveService()
+export default weatherArchiveService
@@ -0,0 +1,118 @@
+// Weather Provider Service for PredictAgri
+// The single weather interface for routes and services: tries providers in WEATHER_PROVIDERS order
+// (default stations,open-meteo,csv-station) and fails over to the next one, skipping providers whose circuit
+// breaker is open. Responses use the normalized schema in weatherProviders.js plus
+// { provider, synthetic, failover } describing who answered and who was skipped
+
+import { Logger } from './logger.js'
+import { CircuitBreaker } from './circuitBreaker.js'
+import { OpenMeteoProvider, CsvStationProvider, FixtureWeatherProvider } from './weatherProviders.js'
+import { StationNetworkProvider } from './stationService.js'
+
+// Fresh on-farm station readings beat model data for current conditions
+const DEFAULT_ORDER = 'stations,open-meteo,csv-station'
+
+class WeatherProviderService {
+  constructor() {
+    this.logger = new Logger({ service: 'WeatherProviderService' })
+    this.providers = new Map()
+    this.breakers = new Map()
+    this.register(new StationNetworkProvider())
+    this.register(new OpenMeteoProvider())
+    this.register(new CsvStationProvider())
+    this.register(new FixtureWeatherProvider())
+    this.setOrder((process.env.WEATHER_PROVIDERS || DEFAULT_ORDER).split(','))
+  }
+
+  // provider: { name, label, synthetic?, getCurrent?, getDaily?, getHourly?, getArchiveEndDate? }
+  register(provider, breakerOptions = {}) {
+    this.providers.set(provider.name, provider)
+    this.breakers.set(provider.name, new CircuitBreaker(provider.name, {
+      failureThreshold: Number(process.env.WEATHER_BREAKER_FAILURES) || 3,
+      cooldownMs: Number(process.env.WEATHER_BREAKER_COOLDOWN_MS) || 60000,
+      ...breakerOptions
+    }))
+  }
+
+  setOrder(names) {
+    const order = names.map(name => name.trim()).filter(Boolean)
+    const unknown = order.filter(name => !this.providers.has(name))
+    if (unknown.length > 0) throw new Error(`Unknown weather providers: ${unknown.join(', ')}. Available: ${[...this.providers.keys()].join(', ')}`)
+    this.order = order
+  }
+
+  async call(method, args) {
+    const failover = []
+    for (const name of this.order) {
+      const provider = this.providers.get(name)
+      if (typeof provider[method] !== 'function') {
+        failover.push({ provider: name, reason: 'unsupported' })
+        continue
+      }
+      const breaker = this.breakers.get(name)
+      if (!breaker.canRequest()) {
+        failover.push({ provider: name, reason: 'circuit open' })
+        continue
+      }
+
+      try {
+        const result = await provider[method](...args)
+        breaker.recordSuccess()
+        if (failover.some(attempt => attempt.error)) {
+          this.logger.warn('weather_provider_failover', { method, provider: name, failover })
+        }
+        return { ...result, provider: name, providerLabel: provider.label, synthetic: !!provider.synthetic, failover }
+      } catch (error) {
+        if (error.unsupported) {
+          breaker.releaseTrial()
+          failover.push({ provider: name, reason: error.message })
+          continue
+        }
+        breaker.recordFailure(error)
+        failover.push({ provider: name, reason: 'error', error: error.message })
+        this.logger.warn('weather_provider_failed', { method, provider: name, error: error.message, circuit: breaker.state })
+      }
+    }
+
+    const error = new Error(`No weather provider could serve ${method}: ${failover.map(f => `${f.provider} (${f.error || f.reason})`).join('; ')}`)
+    error.status = 503
+    error.failover = failover
+    throw error
+  }
+
+  getCurrent(lat, lon) {
+    return this.call('getCurrent', [lat, lon])
+  }
+
+  // options: { days } for the forecast from today, or { startDate, endDate } for a date range
+  getDaily(lat, lon, options = {}) {
+    return this.call('getDaily', [lat, lon, options])
+  }
+
+  // options: { pastDays, forecastDays }
+  getHourly(lat, lon, options = {}) {
+    return this.call('getHourly', [lat, lon, options])
+  }
+
+  // Latest date history can be expected for; the first provider that knows its own lag decides
+  getArchiveEndDate() {
+    const provider = this.order.map(name => this.providers.get(name)).find(p => typeof p.getArchiveEndDate === 'function')
+    return provider ? provider.getArchiveEndDate() : new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+  }
+
+  getStatus() {
+    return {
+      order: this.order,
+      providers: [...this.providers.values()].map(provider => ({
+        name: provider.name,
+        label: provider.label,
+        enabled: this.order.includes(provider.name),
+        synthetic: !!provider.synthetic,
+        circuit: this.breakers.get(provider.name).getStatus()
+      }))
+    }
+  }
+}
+
+export const weatherProviderService = new WeatherProviderService()
+export default weatherProviderService
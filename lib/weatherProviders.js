@@ -0,0 +1,392 @@
+// Weather Providers for PredictAgri
+// Every provider returns the same normalized schema (metric units, local time, null when unknown):
+//   current: { time, temperature °C, humidity %, windSpeed km/h, precipitation mm, pressure hPa, weatherCode }
+//   day:     { date, tmax, tmin, tmean, precipitation, rhMax, rhMin, windSpeed (mean km/h), windMax,
+//              solarRadiation MJ/m², weatherCode }
+//   hour:    { time, temperature, humidity, dewPoint, windSpeed, windGusts, precipitation,
+//              precipitationProbability %, soilTemperature (6 cm) }
+// wrapped in { timezone, utcOffsetSeconds, elevation, current | days | hours }. A provider throws an
+// error with .unsupported when it cannot serve a request at all (no station nearby, no forecast),
+// which weatherProviderService skips without counting it against the provider's circuit breaker
+
+import fs from 'fs'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const HOUR_MS = 60 * 60 * 1000
+const ARCHIVE_LAG_DAYS = 5 // ERA5 archive lags real time by about five days
+const ARCHIVE_CHUNK_YEARS = 5 // keep archive responses small; a 30-year backfill is six requests
+
+const DAILY_VARIABLES = 'temperature_2m_max,temperature_2m_min,temperature_2m_mean,precipitation_sum,relative_humidity_2m_max,relative_humidity_2m_min,wind_speed_10m_max,shortwave_radiation_sum,weather_code'
+const HOURLY_VARIABLES = 'temperature_2m,relative_humidity_2m,dew_point_2m,wind_speed_10m,wind_gusts_10m,precipitation_probability,precipitation,soil_temperature_6cm'
+
+const toIsoDate = time => new Date(time).toISOString().slice(0, 10)
+const round = (value, digits = 1) => value === null || value === undefined ? null : Math.round(value * 10 ** digits) / 10 ** digits
+const mean = values => {
+  const present = values.filter(Number.isFinite)
+  return present.length ? present.reduce((sum, v) => sum + v, 0) / present.length : null
+}
+const extreme = (values, pick) => {
+  const present = values.filter(Number.isFinite)
+  return present.length ? pick(...present) : null
+}
+
+// Rows of a simple CSV (header line, comma-separated, no quoting) as objects keyed by column
+export function parseCsvRows(text) {
+  const [header, ...lines] = text.split(/\r?\n/).filter(line => line.trim())
+  if (!header) return []
+  const columns = header.split(',').map(column => column.trim())
+  return lines.map(line => Object.fromEntries(line.split(',').map((cell, i) => [columns[i], cell.trim()])))
+}
+
+export function unsupported(message) {
+  const error = new Error(message)
+  error.unsupported = true
+  return error
+}
+
+// Magnus approximation, °C
+export function dewPoint(temperature, humidity) {
+  if (!Number.isFinite(temperature) || !Number.isFinite(humidity) || humidity <= 0) return null
+  const gamma = Math.log(humidity / 100) + 17.62 * temperature / (243.12 + temperature)
+  return round(243.12 * gamma / (17.62 - gamma))
+}
+
+// Collapse normalized hours into normalized days (local dates)
+export function summarizeHoursToDays(hours) {
+  const byDate = new Map()
+  hours.forEach(hour => {
+    const date = hour.time.slice(0, 10)
+    if (!byDate.has(date)) byDate.set(date, [])
+    byDate.get(date).push(hour)
+  })
+  return [...byDate.entries()].map(([date, rows]) => {
+    const temperatures = rows.map(r => r.temperature)
+    const tmax = extreme(temperatures, Math.max)
+    const tmin = extreme(temperatures, Math.min)
+    return {
+      date,
+      tmax,
+      tmin,
+      tmean: round(mean(temperatures)),
+      precipitation: round(rows.reduce((sum, r) => sum + (r.precipitation || 0), 0)),
+      rhMax: extreme(rows.map(r => r.humidity), Math.max),
+      rhMin: extreme(rows.map(r => r.humidity), Math.min),
+      windSpeed: round(mean(rows.map(r => r.windSpeed))),
+      windMax: extreme(rows.map(r => r.windSpeed), Math.max),
+      solarRadiation: null,
+      weatherCode: null
+    }
+  })
+}
+
+// Open-Meteo forecast and ERA5 archive APIs (free, no key). OPEN_METEO_ARCHIVE_URL points history
+// at a mirror or the local fixture server (tests/fixtures/open-meteo-archive-server.js)
+export class OpenMeteoProvider {
+  constructor({ baseUrl = 'https://api.open-meteo.com/v1', archiveUrl = process.env.OPEN_METEO_ARCHIVE_URL || 'https://archive-api.open-meteo.com/v1' } = {}) {
+    this.name = 'open-meteo'
+    this.label = 'Open-Meteo'
+    this.baseUrl = baseUrl
+    this.archiveUrl = archiveUrl
+  }
+
+  async request(url, label) {
+    const res = await fetch(url)
+    if (!res.ok) throw new Error(`OpenMeteo ${label} failed: ${res.status}`)
+    return res.json()
+  }
+
+  envelope(data) {
+    return { timezone: data.timezone || null, utcOffsetSeconds: data.utc_offset_seconds || 0, elevation: data.elevation ?? null }
+  }
+
+  normalizeDays(daily, windMeans = {}) {
+    return (daily?.time || []).map((date, i) => {
+      const tmax = daily.temperature_2m_max?.[i] ?? null
+      const tmin = daily.temperature_2m_min?.[i] ?? null
+      return {
+        date,
+        tmax,
+        tmin,
+        tmean: daily.temperature_2m_mean?.[i] ?? (tmax !== null && tmin !== null ? round((tmax + tmin) / 2) : null),
+        precipitation: daily.precipitation_sum?.[i] ?? null,
+        rhMax: daily.relative_humidity_2m_max?.[i] ?? null,
+        rhMin: daily.relative_humidity_2m_min?.[i] ?? null,
+        windSpeed: windMeans[date] ?? null,
+        windMax: daily.wind_speed_10m_max?.[i] ?? null,
+        solarRadiation: daily.shortwave_radiation_sum?.[i] ?? null,
+        weatherCode: daily.weather_code?.[i] ?? null
+      }
+    })
+  }
+
+  // Latest date the archive is expected to have (YYYY-MM-DD)
+  getArchiveEndDate() {
+    return toIsoDate(Date.now() - ARCHIVE_LAG_DAYS * DAY_MS)
+  }
+
+  async getCurrent(lat, lon) {
+    const current = 'temperature_2m,relative_humidity_2m,wind_speed_10m,precipitation,pressure_msl,weather_code'
+    const data = await this.request(`${this.baseUrl}/forecast?latitude=${lat}&longitude=${lon}&current=${current}&timezone=auto`, 'current')
+    const c = data.current || {}
+    return {
+      ...this.envelope(data),
+      current: {
+        time: c.time || null,
+        temperature: c.temperature_2m ?? null,
+        humidity: c.relative_humidity_2m ?? null,
+        windSpeed: c.wind_speed_10m ?? null,
+        precipitation: c.precipitation ?? null,
+        pressure: c.pressure_msl ?? null,
+        weatherCode: c.weather_code ?? null
+      }
+    }
+  }
+
+  // The next `days` days, or startDate..endDate (YYYY-MM-DD): days older than the archive lag come
+  // from the archive API, recent days from the forecast API
+  async getDaily(lat, lon, { days = 7, startDate = null, endDate = null } = {}) {
+    if (!startDate) return this.getForecastDaily(lat, lon, `forecast_days=${days}`)
+
+    const end = endDate || toIsoDate(Date.now())
+    const archiveEnd = this.getArchiveEndDate()
+    const parts = []
+    if (startDate <= archiveEnd) {
+      parts.push(this.getArchiveDaily(lat, lon, startDate, end < archiveEnd ? end : archiveEnd))
+    }
+    if (end > archiveEnd) {
+      const start = startDate > archiveEnd ? startDate : toIsoDate(new Date(archiveEnd).getTime() + DAY_MS)
+      parts.push(this.getForecastDaily(lat, lon, `start_date=${start}&end_date=${end}`))
+    }
+
+    const results = await Promise.all(parts)
+    return { ...results[results.length - 1], days: results.flatMap(result => result.days) }
+  }
+
+  // Daily wind is the mean of the hourly 10 m wind speed, which the daily API does not provide
+  async getForecastDaily(lat, lon, range) {
+    const data = await this.request(
+      `${this.baseUrl}/forecast?latitude=${lat}&longitude=${lon}&daily=${DAILY_VARIABLES}&hourly=wind_speed_10m&${range}&timezone=auto`,
+      'daily'
+    )
+    const hourlyWind = {}
+    ;(data.hourly?.time || []).forEach((time, i) => {
+      const speed = data.hourly.wind_speed_10m[i]
+      if (typeof speed !== 'number') return
+      const day = time.slice(0, 10)
+      hourlyWind[day] = hourlyWind[day] || []
+      hourlyWind[day].push(speed)
+    })
+    const windMeans = Object.fromEntries(Object.entries(hourlyWind).map(([day, speeds]) => [day, round(mean(speeds))]))
+    return { ...this.envelope(data), days: this.normalizeDays(data.daily, windMeans) }
+  }
+
+  // Archive history in multi-year chunks
+  async getArchiveDaily(lat, lon, startDate, endDate) {
+    const chunks = []
+    for (let start = startDate; start <= endDate;) {
+      const chunkEnd = toIsoDate(Date.UTC(Number(start.slice(0, 4)) + ARCHIVE_CHUNK_YEARS, 0, 0))
+      const end = chunkEnd < endDate ? chunkEnd : endDate
+      chunks.push([start, end])
+      start = toIsoDate(new Date(end).getTime() + DAY_MS)
+    }
+
+    let envelope = {}
+    const days = []
+    for (const [start, end] of chunks) {
+      const data = await this.request(
+        `${this.archiveUrl}/archive?latitude=${lat}&longitude=${lon}&start_date=${start}&end_date=${end}&daily=${DAILY_VARIABLES}&timezone=auto`,
+        'archive'
+      )
+      envelope = this.envelope(data)
+      days.push(...this.normalizeDays(data.daily))
+    }
+    return { ...envelope, days }
+  }
+
+  // Hourly records for the past `pastDays` plus the next `forecastDays`, from local midnight
+  async getHourly(lat, lon, { pastDays = 0, forecastDays = 7 } = {}) {
+    const data = await this.request(
+      `${this.baseUrl}/forecast?latitude=${lat}&longitude=${lon}&hourly=${HOURLY_VARIABLES}&past_days=${pastDays}&forecast_days=${forecastDays}&timezone=auto`,
+      'hourly'
+    )
+    const h = data.hourly
+    return {
+      ...this.envelope(data),
+      hours: h.time.map((time, i) => ({
+        time,
+        temperature: h.temperature_2m?.[i] ?? null,
+        humidity: h.relative_humidity_2m?.[i] ?? null,
+        dewPoint: h.dew_point_2m?.[i] ?? null,
+        windSpeed: h.wind_speed_10m?.[i] ?? null,
+        windGusts: h.wind_gusts_10m?.[i] ?? null,
+        precipitation: h.precipitation?.[i] || 0,
+        precipitationProbability: h.precipitation_probability?.[i] ?? null,
+        soilTemperature: h.soil_temperature_6cm?.[i] ?? null
+      }))
+    }
+  }
+}
+
+// Hourly observations from a CSV export of local weather stations (WEATHER_STATION_CSV), columns:
+//   station_id,lat,lon,time,temperature,humidity,wind_speed,precipitation
+// with time in local ISO format. Serves current conditions and past days/hours from the nearest
+// station within maxDistanceKm; stations have no forecast
+export class CsvStationProvider {
+  constructor({ file = process.env.WEATHER_STATION_CSV, maxDistanceKm = Number(process.env.WEATHER_STATION_MAX_KM) || 25 } = {}) {
+    this.name = 'csv-station'
+    this.label = 'Weather station (CSV)'
+    this.file = file
+    this.maxDistanceKm = maxDistanceKm
+    this.cache = null // { mtimeMs, stations: Map(id -> { id, lat, lon, hours }) }
+  }
+
+  async loadStations() {
+    if (!this.file) throw unsupported('No station CSV configured (WEATHER_STATION_CSV)')
+    const { mtimeMs } = await fs.promises.stat(this.file)
+    if (this.cache?.mtimeMs === mtimeMs) return this.cache.stations
+
+    const stations = new Map()
+    parseCsvRows(await fs.promises.readFile(this.file, 'utf8')).forEach(row => {
+      const number = key => row[key] === undefined || row[key] === '' ? null : Number(row[key])
+      if (!stations.has(row.station_id)) {
+        stations.set(row.station_id, { id: row.station_id, lat: number('lat'), lon: number('lon'), hours: [] })
+      }
+      const temperature = number('temperature')
+      const humidity = number('humidity')
+      stations.get(row.station_id).hours.push({
+        time: row.time.slice(0, 16),
+        temperature,
+        humidity,
+        dewPoint: dewPoint(temperature, humidity),
+        windSpeed: number('wind_speed'),
+        windGusts: null,
+        precipitation: number('precipitation') || 0,
+        precipitationProbability: null,
+        soilTemperature: null
+      })
+    })
+    stations.forEach(station => station.hours.sort((a, b) => a.time.localeCompare(b.time)))
+
+    this.cache = { mtimeMs, stations }
+    return stations
+  }
+
+  async nearestStation(lat, lon) {
+    const stations = await this.loadStations()
+    let nearest = null
+    stations.forEach(station => {
+      const distanceKm = haversineKm(lat, lon, station.lat, station.lon)
+      if (distanceKm <= this.maxDistanceKm && (!nearest || distanceKm < nearest.distanceKm)) nearest = { ...station, distanceKm }
+    })
+    if (!nearest) throw unsupported(`No weather station within ${this.maxDistanceKm} km of ${lat}, ${lon}`)
+    return nearest
+  }
+
+  envelope(station) {
+    return { timezone: null, utcOffsetSeconds: 0, elevation: null, station: { id: station.id, distanceKm: round(station.distanceKm) } }
+  }
+
+  async getCurrent(lat, lon) {
+    const station = await this.nearestStation(lat, lon)
+    const latest = station.hours[station.hours.length - 1]
+    if (!latest) throw unsupported(`Station ${station.id} has no observations`)
+    return {
+      ...this.envelope(station),
+      current: {
+        time: latest.time,
+        temperature: latest.temperature,
+        humidity: latest.humidity,
+        windSpeed: latest.windSpeed,
+        precipitation: latest.precipitation,
+        pressure: null,
+        weatherCode: null
+      }
+    }
+  }
+
+  async getDaily(lat, lon, { startDate = null, endDate = null } = {}) {
+    if (!startDate) throw unsupported('Weather stations have no forecast')
+    const station = await this.nearestStation(lat, lon)
+    const end = endDate || toIsoDate(Date.now())
+    const days = summarizeHoursToDays(station.hours.filter(h => h.time.slice(0, 10) >= startDate && h.time.slice(0, 10) <= end))
+    if (days.length === 0) throw unsupported(`Station ${station.id} has no observations between ${startDate} and ${end}`)
+    return { ...this.envelope(station), days }
+  }
+
+  async getHourly(lat, lon, { pastDays = 0, forecastDays = 7 } = {}) {
+    if (forecastDays > 0) throw unsupported('Weather stations have no forecast')
+    const station = await this.nearestStation(lat, lon)
+    const from = `${toIsoDate(Date.now() - pastDays * DAY_MS)}T00:00`
+    return { ...this.envelope(station), hours: station.hours.filter(h => h.time >= from) }
+  }
+}
+
+// Deterministic synthetic weather (no network): a warm monsoon climate shifted by latitude, with
+// afternoon showers every third day from June to September. For offline development and tests;
+// responses are marked synthetic so they are never presented as measurements
+export class FixtureWeatherProvider {
+  constructor() {
+    this.name = 'fixture'
+    this.label = 'Synthetic fixture'
+    this.synthetic = true
+  }
+
+  hourAt(lat, time) {
+    const date = new Date(`${time}:00Z`)
+    const dayOfYear = Math.floor((date - Date.UTC(date.getUTCFullYear(), 0, 1)) / DAY_MS) + 1
+    const hour = date.getUTCHours()
+    const diurnal = Math.sin(Math.PI * (hour - 9) / 12)
+    const temperature = round(27 - Math.abs(lat - 20) * 0.3 + 6 * Math.sin(2 * Math.PI * (dayOfYear - 60) / 365) + 5 * diurnal)
+    const humidity = Math.round(65 - 15 * diurnal)
+    const month = date.getUTCMonth() + 1
+    const raining = month >= 6 && month <= 9 && dayOfYear % 3 === 0 && hour >= 15 && hour <= 17
+    return {
+      time,
+      temperature,
+      humidity,
+      dewPoint: dewPoint(temperature, humidity),
+      windSpeed: round(8 + 4 * diurnal),
+      windGusts: round(14 + 6 * diurnal),
+      precipitation: raining ? 2 : 0,
+      precipitationProbability: raining ? 70 : 10,
+      soilTemperature: round(temperature - 2)
+    }
+  }
+
+  hoursBetween(lat, fromDate, toDate) {
+    const hours = []
+    for (let t = Date.parse(`${fromDate}T00:00:00Z`); t < Date.parse(`${toDate}T00:00:00Z`) + DAY_MS; t += HOUR_MS) {
+      hours.push(this.hourAt(lat, new Date(t).toISOString().slice(0, 16)))
+    }
+    return hours
+  }
+
+  envelope() {
+    return { timezone: 'GMT', utcOffsetSeconds: 0, elevation: 0 }
+  }
+
+  async getCurrent(lat) {
+    const { time, temperature, humidity, windSpeed, precipitation } = this.hourAt(lat, `${new Date().toISOString().slice(0, 13)}:00`)
+    return { ...this.envelope(), current: { time, temperature, humidity, windSpeed, precipitation, pressure: 1010, weatherCode: precipitation > 0 ? 61 : 1 } }
+  }
+
+  async getDaily(lat, lon, { days = 7, startDate = null, endDate = null } = {}) {
+    const start = startDate || toIsoDate(Date.now())
+    const end = startDate ? (endDate || toIsoDate(Date.now())) : toIsoDate(Date.now() + (days - 1) * DAY_MS)
+    const summarized = summarizeHoursToDays(this.hoursBetween(lat, start, end))
+      .map(day => ({ ...day, solarRadiation: 20, weatherCode: day.precipitation > 0 ? 61 : 1 }))
+    return { ...this.envelope(), days: summarized }
+  }
+
+  async getHourly(lat, lon, { pastDays = 0, forecastDays = 7 } = {}) {
+    const today = Date.now()
+    return { ...this.envelope(), hours: this.hoursBetween(lat, toIsoDate(today - pastDays * DAY_MS), toIsoDate(today + (forecastDays - 1) * DAY_MS)) }
+  }
+}
+
+export function haversineKm(lat1, lon1, lat2, lon2) {
+  const toRad = degrees => degrees * Math.PI / 180
+  const a = Math.sin(toRad(lat2 - lat1) / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(toRad(lon2 - lon1) / 2) ** 2
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
+}
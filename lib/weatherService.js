@@ -1,39 +1,37 @@
 // Free Weather Data Service for PredictAgri
-// Uses Open-Meteo API (completely free, no API key required)
-
-import axios from 'axios'
+// Browser client for /api/weather, which serves every provider (Open-Meteo, weather stations)
+// through weatherProviderService in the normalized schema
 
 class WeatherService {
+  async request(path) {
+    const response = await fetch(path)
+    const json = await response.json()
+    if (!response.ok || !json.success) throw new Error(json.error || `Weather request failed: ${response.status}`)
+    return json
+  }
+
   // Get current weather for a specific location
   async getCurrentWeather(lat, lon) {
     try {
       console.log(`🌤️ Fetching weather data for coordinates: ${lat}, ${lon}`)
       
-      // Use Open-Meteo API (completely free, no API key required)
-      const response = await axios.get(
-        `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&current=temperature_2m,relative_humidity_2m,wind_speed_10m,weather_code,pressure_msl&timezone=auto`
-      )
-      
-      if (response.data && response.data.current) {
-        const current = response.data.current
-        console.log('✅ Weather data fetched successfully:', current)
+      const { current, days, providerLabel } = await this.request(`/api/weather?lat=${lat}&lon=${lon}`)
+      console.log('✅ Weather data fetched successfully:', current)
         
-        return {
-          temperature: current.temperature_2m,
-          humidity: current.relative_humidity_2m,
-          pressure: current.pressure_msl,
-          wind_speed: current.wind_speed_10m,
-          wind_direction: 0, // Open-Meteo doesn't provide this in current
-          rainfall: 0, // Will get from daily forecast
-          snowfall: 0,
-          cloudiness: 0,
-          visibility: 10000,
-          description: this.getWeatherDescription(current.weather_code),
-          icon: this.getWeatherIcon(current.weather_code),
-          timestamp: new Date().toISOString()
-        }
-      } else {
-        throw new Error('Invalid weather data response')
+      return {
+        temperature: current.temperature,
+        humidity: current.humidity,
+        pressure: current.pressure,
+        wind_speed: current.windSpeed,
+        wind_direction: 0, // not part of the normalized schema
+        rainfall: days?.[0]?.precipitation ?? current.precipitation ?? 0,
+        snowfall: 0,
+        cloudiness: 0,
+        visibility: 10000,
+        description: this.getWeatherDescription(current.weatherCode),
+        icon: this.getWeatherIcon(current.weatherCode),
+        source: providerLabel,
+        timestamp: new Date().toISOString()
       }
     } catch (error) {
       console.error('❌ Weather API error:', error.message)
@@ -42,21 +40,14 @@ class WeatherService {
     }
   }
 
-  // Get daily weather data (compatible with Open-Meteo format)
+  // Get the daily forecast (normalized days: { date, tmax, tmin, precipitation, ... })
   async getDaily(lat, lon) {
     try {
       console.log(`📅 Fetching daily weather forecast for coordinates: ${lat}, ${lon}`)
       
-      const response = await axios.get(
-        `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&daily=temperature_2m_max,temperature_2m_min,precipitation_sum,weather_code&timezone=auto`
-      )
-      
-      if (response.data && response.data.daily) {
-        console.log('✅ Daily weather data fetched successfully:', response.data.daily)
-        return response.data.daily
-      } else {
-        throw new Error('Invalid daily weather data response')
-      }
+      const { days } = await this.request(`/api/weather?lat=${lat}&lon=${lon}`)
+      console.log('✅ Daily weather data fetched successfully:', days)
+      return days
     } catch (error) {
       console.error('❌ Daily weather API error:', error.message)
       console.log('🔄 Using fallback daily weather data')
@@ -64,26 +55,19 @@ class WeatherService {
     }
   }
 
-  // Get weather forecast for next 5 days
+  // Get the hourly weather forecast
   async getWeatherForecast(lat, lon) {
     try {
       console.log(`🌤️ Fetching weather forecast for coordinates: ${lat}, ${lon}`)
       
-      const response = await axios.get(
-        `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&hourly=temperature_2m,relative_humidity_2m,wind_speed_10m&timezone=auto`
-      )
-      
-      if (response.data && response.data.hourly) {
-        console.log('✅ Weather forecast fetched successfully')
-        return response.data.hourly.time.map((time, index) => ({
-          date: new Date(time),
-          temperature: response.data.hourly.temperature_2m[index],
-          humidity: response.data.hourly.relative_humidity_2m[index],
-          wind_speed: response.data.hourly.wind_speed_10m[index]
-        }))
-      } else {
-        throw new Error('Invalid weather forecast response')
-      }
+      const { hours } = await this.request(`/api/weather?lat=${lat}&lon=${lon}&hourly=true`)
+      console.log('✅ Weather forecast fetched successfully')
+      return hours.map(hour => ({
+        date: new Date(hour.time),
+        temperature: hour.temperature,
+        humidity: hour.humidity,
+        wind_speed: hour.windSpeed
+      }))
     } catch (error) {
       console.error('❌ Weather forecast API error:', error.message)
       console.log('🔄 Using fallback forecast data')
@@ -91,25 +75,27 @@ class WeatherService {
     }
   }
 
-  // Get historical weather data (limited free access)
+  // Get daily weather for a past date from /api/weather/history
   async getHistoricalWeather(lat, lon, date) {
-    // Only try to fetch historical weather if we have a valid API key
-    if (OPENWEATHER_API_KEY && OPENWEATHER_API_KEY !== 'demo_key') {
-      try {
-        const timestamp = Math.floor(new Date(date).getTime() / 1000)
-        const response = await axios.get(
-          `https://api.openweathermap.org/data/2.5/onecall/timemachine?lat=${lat}&lon=${lon}&dt=${timestamp}&appid=${OPENWEATHER_API_KEY}&units=metric`
-        )
-        
-        return response.data.data[0]
-      } catch (error) {
-        console.error('Historical weather API error:', error)
+    try {
+      const day = new Date(date).toISOString().slice(0, 10)
+      const { days, source } = await this.request(`/api/weather/history?lat=${lat}&lon=${lon}&start=${day}&end=${day}`)
+      const history = days[0]
+      if (!history || history.tmean === null) throw new Error(`No archive data for ${day}`)
+
+      return {
+        temp: history.tmean,
+        temp_max: history.tmax,
+        temp_min: history.tmin,
+        wind_speed: history.windMax,
+        rain: history.precipitation,
+        source
       }
-    } else {
-      console.log('OpenWeather Historical API skipped - no valid API key provided')
+    } catch (error) {
+      console.error('Historical weather API error:', error.message)
     }
-    
-    // Fallback to fallback data if API fails or no key
+
+    // Fallback to fallback data if the archive is unavailable
     return this.getFallbackHistoricalWeather(date)
   }
 
@@ -159,29 +145,20 @@ class WeatherService {
     return icons[code] || '❓'
   }
 
-  // Fallback daily weather data
+  // Fallback daily weather data (normalized days)
   getFallbackDailyWeather() {
     const today = new Date()
-    const dates = []
-    const maxTemps = []
-    const minTemps = []
-    const precip = []
-    
-    for (let i = 0; i < 7; i++) {
+    return Array.from({ length: 7 }, (_, i) => {
       const date = new Date(today)
       date.setDate(today.getDate() + i)
-      dates.push(date.toISOString().split('T')[0])
-      maxTemps.push(25 + Math.random() * 10)
-      minTemps.push(15 + Math.random() * 8)
-      precip.push(Math.random() > 0.7 ? Math.random() * 20 : 0)
-    }
-    
-    return {
-      time: dates,
-      temperature_2m_max: maxTemps,
-      temperature_2m_min: minTemps,
-      precipitation_sum: precip
-    }
+      return {
+        date: date.toISOString().split('T')[0],
+        tmax: 25 + Math.random() * 10,
+        tmin: 15 + Math.random() * 8,
+        precipitation: Math.random() > 0.7 ? Math.random() * 20 : 0,
+        isFallback: true
+      }
+    })
   }
 
   // Fallback weather data for when API is unavailable
@@ -0,0 +1,210 @@
+// Weather Window Service for PredictAgri
+// Scans the hourly forecast (weatherProviderService) for the next safe windows to spray, sow and harvest:
+// every hour in a window meets the activity's limits, and the rain lookahead after it holds
+
+import { Logger } from './logger.js'
+import { weatherProviderService } from './weatherProviderService.js'
+import { normalizeCropName, getSowingWindow } from './cropPhenologyService.js'
+
+export const WINDOW_ACTIVITIES = ['spraying', 'sowing', 'harvesting']
+
+const HOUR_MS = 60 * 60 * 1000
+const RAIN_PROBABILITY_MAX = 30 // % - above this an hour counts as wet
+const RAIN_MM = 0.1 // measurable rain
+
+// Soil temperature (°C at 6 cm) for reliable germination; approximate agronomic ranges
+const SOWING_SOIL_TEMPERATURE = {
+  Wheat: [10, 25],
+  Rice: [20, 35],
+  Maize: [18, 32],
+  Cotton: [18, 35],
+  Sugarcane: [20, 35],
+  Potato: [10, 25],
+  Tomato: [16, 30],
+  Onion: [10, 30],
+  Chickpea: [10, 30],
+  Soybean: [15, 32],
+  Groundnut: [18, 33],
+  Sunflower: [10, 30]
+}
+const DEFAULT_SOWING_SOIL_TEMPERATURE = [15, 32]
+
+// Per-hour limits plus rain lookahead/lookbehind. daylight is [first hour, last hour + 1) local time
+export const WINDOW_RULES = {
+  spraying: {
+    name: 'Spraying',
+    minHours: 2,
+    daylight: [6, 19],
+    limits: { windSpeed: [3, 15], windGusts: [null, 25], temperature: [10, 30], humidity: [40, null] },
+    rainFreeHoursAfter: 6,
+    advice: 'Light steady wind (3-15 km/h) keeps drift and inversions down; 6 dry hours let the spray dry on the leaf'
+  },
+  sowing: {
+    name: 'Sowing',
+    minHours: 4,
+    daylight: [6, 18],
+    limits: { windSpeed: [null, 30], temperature: [null, 40] },
+    soilTemperature: true,
+    maxRainAfter: { hours: 24, mm: 20 },
+    advice: 'Soil warm enough for germination and no heavy rain (20 mm+) in the following day to crust or wash out seed'
+  },
+  harvesting: {
+    name: 'Harvesting',
+    minHours: 4,
+    daylight: [8, 18],
+    limits: { windSpeed: [null, 30], humidity: [null, 70] },
+    rainFreeHoursBefore: 12,
+    rainFreeHoursAfter: 6,
+    advice: 'Dry crop (12 dry hours before, humidity below 70%) and time to get the harvest under cover'
+  }
+}
+
+const addHours = (time, hours) => new Date(new Date(`${time}:00Z`).getTime() + hours * HOUR_MS).toISOString().slice(0, 16)
+const isWetHour = hour => hour.precipitation >= RAIN_MM || (hour.precipitationProbability ?? 0) > RAIN_PROBABILITY_MAX
+const range = values => {
+  const present = values.filter(Number.isFinite)
+  return present.length ? [Math.min(...present), Math.max(...present)] : null
+}
+
+export function sowingSoilTemperature(crop) {
+  return SOWING_SOIL_TEMPERATURE[normalizeCropName(crop)] || DEFAULT_SOWING_SOIL_TEMPERATURE
+}
+
+// Names of the limits an hour misses (empty when the hour is workable)
+export function checkHour(hours, index, activity, crop = null) {
+  const rule = WINDOW_RULES[activity]
+  const hour = hours[index]
+  const failed = []
+
+  const localHour = Number(hour.time.slice(11, 13))
+  if (localHour < rule.daylight[0] || localHour >= rule.daylight[1]) failed.push('daylight')
+
+  Object.entries(rule.limits).forEach(([key, [min, max]]) => {
+    const value = hour[key]
+    if (!Number.isFinite(value)) return
+    if ((min !== null && value < min) || (max !== null && value > max)) failed.push(key)
+  })
+  if (rule.soilTemperature) {
+    const [min, max] = sowingSoilTemperature(crop)
+    if (!Number.isFinite(hour.soilTemperature) || hour.soilTemperature < min || hour.soilTemperature > max) failed.push('soilTemperature')
+  }
+  if (isWetHour(hour)) failed.push('rain')
+
+  // Lookahead/lookbehind past the end of the data is unknown, so it fails
+  if (rule.rainFreeHoursAfter) {
+    const after = hours.slice(index + 1, index + 1 + rule.rainFreeHoursAfter)
+    if (after.length < rule.rainFreeHoursAfter || after.some(isWetHour)) failed.push('rainAfter')
+  }
+  if (rule.rainFreeHoursBefore) {
+    const before = hours.slice(Math.max(0, index - rule.rainFreeHoursBefore), index)
+    if (before.some(isWetHour)) failed.push('rainBefore')
+  }
+  if (rule.maxRainAfter) {
+    const after = hours.slice(index + 1, index + 1 + rule.maxRainAfter.hours)
+    const total = after.reduce((sum, h) => sum + (h.precipitation || 0), 0)
+    if (after.length < rule.maxRainAfter.hours || total >= rule.maxRainAfter.mm) failed.push('heavyRainAfter')
+  }
+  return failed
+}
+
+// Runs of workable hours at or after `from` (local 'YYYY-MM-DDTHH:00'), at least rule.minHours long
+export function findWeatherWindows(hours, activity, { from = null, crop = null, maxWindows = 3 } = {}) {
+  const rule = WINDOW_RULES[activity]
+  if (!rule) throw new Error(`Unknown window activity: ${activity}`)
+
+  const windows = []
+  const blockers = {}
+  let run = []
+  const closeRun = () => {
+    if (run.length >= rule.minHours) {
+      const slice = run.map(i => hours[i])
+      windows.push({
+        start: slice[0].time,
+        end: addHours(slice[slice.length - 1].time, 1),
+        hours: slice.length,
+        conditions: {
+          windSpeed: range(slice.map(h => h.windSpeed)),
+          temperature: range(slice.map(h => h.temperature)),
+          humidity: range(slice.map(h => h.humidity)),
+          soilTemperature: range(slice.map(h => h.soilTemperature)),
+          maxPrecipitationProbability: range(slice.map(h => h.precipitationProbability))?.[1] ?? null
+        }
+      })
+    }
+    run = []
+  }
+
+  hours.forEach((hour, index) => {
+    if (from && hour.time < from) return
+    const failed = checkHour(hours, index, activity, crop)
+    if (failed.length === 0) {
+      run.push(index)
+      return
+    }
+    failed.filter(reason => reason !== 'daylight').forEach(reason => { blockers[reason] = (blockers[reason] || 0) + 1 })
+    closeRun()
+  })
+  closeRun()
+
+  const limitingFactor = Object.entries(blockers).sort((a, b) => b[1] - a[1])[0]?.[0] || null
+  return {
+    activity,
+    name: rule.name,
+    advice: rule.advice,
+    ...(rule.soilTemperature ? { soilTemperatureRange: sowingSoilTemperature(crop) } : {}),
+    next: windows[0] || null,
+    windows: windows.slice(0, maxWindows),
+    limitingFactor: windows.length === 0 ? limitingFactor : null
+  }
+}
+
+class WeatherWindowService {
+  constructor() {
+    this.logger = new Logger({ service: 'WeatherWindowService' })
+    this.weatherService = weatherProviderService
+    this.forecastDays = 7
+  }
+
+  // The operation a farmer most likely needs next: harvest at maturity, sowing before a crop is
+  // in the ground during its sowing months, otherwise spraying
+  primaryActivity({ crop = null, cropStage = null, date = new Date() } = {}) {
+    if (cropStage?.stage?.phase === 'maturity') return 'harvesting'
+    if (!cropStage && crop && getSowingWindow(crop, date)?.inSowingWindow) return 'sowing'
+    return 'spraying'
+  }
+
+  async find({ lat, lon, activities = WINDOW_ACTIVITIES, crop = null, cropStage = null, days = this.forecastDays }) {
+    const unknown = activities.filter(activity => !WINDOW_RULES[activity])
+    if (unknown.length > 0) {
+      const error = new Error(`Unknown activities: ${unknown.join(', ')} (use ${WINDOW_ACTIVITIES.join(', ')})`)
+      error.status = 400
+      throw error
+    }
+
+    const forecast = await this.weatherService.getHourly(lat, lon, { forecastDays: days })
+    const now = `${new Date(Date.now() + forecast.utcOffsetSeconds * 1000).toISOString().slice(0, 13)}:00`
+    const cropName = normalizeCropName(crop || cropStage?.crop) || crop || null
+
+    const windows = Object.fromEntries(activities.map(activity =>
+      [activity, findWeatherWindows(forecast.hours, activity, { from: now, crop: cropName })]))
+
+    this.logger.info('weather_windows_found', {
+      crop: cropName,
+      next: activities.map(activity => `${activity}:${windows[activity].next?.start || 'none'}`)
+    })
+
+    return {
+      crop: cropName,
+      timezone: forecast.timezone,
+      now,
+      horizon: forecast.hours[forecast.hours.length - 1]?.time || null,
+      provider: forecast.provider,
+      primaryActivity: this.primaryActivity({ crop: cropName, cropStage }),
+      activities: windows,
+      timestamp: new Date().toISOString()
+    }
+  }
+}
+
+export const weatherWindowService = new WeatherWindowService()
+export default weatherWindowService
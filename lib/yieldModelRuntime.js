@@ -0,0 +1,227 @@
+// Yield Model Runtime for PredictAgri
+// In-process tabular yield models loaded from disk: ONNX (onnxruntime-node, CPU) or JSON
+// gradient-boosted trees. Each version lives in YIELD_MODEL_DIR/<version>/manifest.json;
+// YIELD_MODEL_VERSION pins the active one, otherwise the newest createdAt wins
+
+import fs from 'fs'
+import path from 'path'
+import { Logger } from './logger.js'
+import { YIELD_MODEL_SCHEMA, validateYieldInput } from './yieldModelSchema.js'
+import { explainPrediction } from './predictionExplainer.js'
+
+const DEFAULT_MODEL_DIR = 'models/yield'
+const SUPPORTED_FORMATS = ['onnx', 'gbt-json']
+
+// Walk one tree: numeric splits go left when value < threshold, categorical when value is in `in`
+export function evaluateTree(node, features) {
+  let current = node
+  while (current.leaf === undefined) {
+    const value = features[current.feature]
+    let goLeft
+    if (value === undefined || value === null) goLeft = current.missing !== 'right'
+    else if (Array.isArray(current.in)) goLeft = current.in.includes(value)
+    else goLeft = value < current.threshold
+    current = goLeft ? current.left : current.right
+  }
+  return current.leaf
+}
+
+export function predictTreeEnsemble(model, features) {
+  const raw = model.trees.reduce((sum, tree) => sum + evaluateTree(tree, features), model.base_score || 0)
+  if (model.transform === 'sigmoid') return 1 / (1 + Math.exp(-raw))
+  return raw
+}
+
+// Dense float vector in manifest.featureOrder; "name=value" entries are one-hot indicators
+export function encodeFeatures(featureOrder, features) {
+  return Float32Array.from(featureOrder.map(entry => {
+    const [name, category] = entry.split('=')
+    if (category !== undefined) return features[name] === category ? 1 : 0
+    return Number(features[name])
+  }))
+}
+
+class YieldModelRuntime {
+  constructor() {
+    this.logger = new Logger({ service: 'YieldModelRuntime' })
+    this.loadedModels = new Map() // version -> Promise<loaded model>
+  }
+
+  getModelDir() {
+    return path.resolve(process.env.YIELD_MODEL_DIR || DEFAULT_MODEL_DIR)
+  }
+
+  // Registry: every <dir>/<version>/manifest.json, newest first
+  listVersions() {
+    const dir = this.getModelDir()
+    if (!fs.existsSync(dir)) return []
+
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && fs.existsSync(path.join(dir, entry.name, 'manifest.json')))
+      .map(entry => {
+        const manifest = JSON.parse(fs.readFileSync(path.join(dir, entry.name, 'manifest.json'), 'utf8'))
+        return {
+          version: manifest.version || entry.name,
+          format: manifest.format,
+          description: manifest.description || null,
+          createdAt: manifest.createdAt || null,
+          directory: path.join(dir, entry.name),
+          manifest
+        }
+      })
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+  }
+
+  getActiveVersion() {
+    const versions = this.listVersions()
+    const pinned = process.env.YIELD_MODEL_VERSION
+    if (pinned) return versions.find(entry => entry.version === pinned) || null
+    return versions[0] || null
+  }
+
+  resolveVersion(version) {
+    const entry = version
+      ? this.listVersions().find(candidate => candidate.version === version)
+      : this.getActiveVersion()
+    if (!entry) {
+      const error = new Error(version ? `Unknown yield model version: ${version}` : `No yield model found in ${this.getModelDir()}`)
+      error.status = version ? 404 : 503
+      throw error
+    }
+    return entry
+  }
+
+  async load(entry) {
+    if (!this.loadedModels.has(entry.version)) {
+      const loading = this.loadModel(entry).catch(error => {
+        this.loadedModels.delete(entry.version)
+        throw error
+      })
+      this.loadedModels.set(entry.version, loading)
+    }
+    return this.loadedModels.get(entry.version)
+  }
+
+  async loadModel(entry) {
+    const { manifest, directory } = entry
+    if (!SUPPORTED_FORMATS.includes(manifest.format)) {
+      throw new Error(`Unsupported yield model format "${manifest.format}" (${entry.version})`)
+    }
+    const file = path.join(directory, manifest.file || (manifest.format === 'onnx' ? 'model.onnx' : 'model.json'))
+
+    if (manifest.format === 'gbt-json') {
+      const model = JSON.parse(fs.readFileSync(file, 'utf8'))
+      if (!Array.isArray(model.trees) || model.trees.length === 0) throw new Error(`No trees in ${file}`)
+      this.logger.info('yield_model_loaded', { version: entry.version, format: manifest.format, trees: model.trees.length })
+      return { entry, run: features => predictTreeEnsemble(model, features) }
+    }
+
+    if (!Array.isArray(manifest.featureOrder)) throw new Error(`ONNX manifest needs featureOrder (${entry.version})`)
+    const ort = await import('onnxruntime-node')
+    const session = await ort.InferenceSession.create(file, { executionProviders: ['cpu'] })
+    this.logger.info('yield_model_loaded', { version: entry.version, format: manifest.format, inputs: manifest.featureOrder.length })
+
+    return {
+      entry,
+      run: async features => {
+        const vector = encodeFeatures(manifest.featureOrder, features)
+        const tensor = new ort.Tensor('float32', vector, [1, vector.length])
+        const outputs = await session.run({ [manifest.inputName || session.inputNames[0]]: tensor })
+        return Number(outputs[manifest.outputName || session.outputNames[0]].data[0])
+      }
+    }
+  }
+
+  validate(input) {
+    const { valid, errors, defaulted, features } = validateYieldInput(input)
+    if (!valid) {
+      const error = new Error(`Invalid prediction input: ${errors.join('; ')}`)
+      error.status = 400
+      error.details = errors
+      throw error
+    }
+    return { defaulted, features }
+  }
+
+  // Model output clamped to the manifest's output range
+  async runModel(model, features) {
+    const raw = await model.run(features)
+    if (!Number.isFinite(raw)) throw new Error(`Yield model ${model.entry.version} returned a non-numeric prediction`)
+    const { min = 0, max = 1 } = model.entry.manifest.output || {}
+    return { raw, value: Math.min(max, Math.max(min, raw)) }
+  }
+
+  // Validate against the schema and predict with the active (or requested) version
+  async predict(input, { version = null, explain = false } = {}) {
+    const { defaulted, features } = this.validate(input)
+    const entry = this.resolveVersion(version)
+    const model = await this.load(entry)
+    const startedAt = Date.now()
+    const { raw, value } = await this.runModel(model, features)
+    const inferenceMs = Date.now() - startedAt
+
+    return {
+      prediction: Math.round(value * 10000) / 10000,
+      rawPrediction: raw,
+      target: entry.manifest.target || 'yield_fraction',
+      modelVersion: entry.version,
+      format: entry.manifest.format,
+      features,
+      defaulted,
+      inferenceMs,
+      explanation: explain ? await this.explainFeatures(model, features) : undefined
+    }
+  }
+
+  // Per-feature contributions relative to the schema-default reference input
+  async explainFeatures(model, features) {
+    const reference = this.validate({}).features
+    const explanation = await explainPrediction(
+      async mixed => (await this.runModel(model, mixed)).value,
+      features,
+      reference,
+      [...YIELD_MODEL_SCHEMA.numeric_features, ...YIELD_MODEL_SCHEMA.categorical_features]
+    )
+    return { ...explanation, modelVersion: model.entry.version, reference: 'schema defaults' }
+  }
+
+  // Load the active model and run a canary prediction on schema defaults
+  async healthCheck() {
+    const active = this.getActiveVersion()
+    const health = {
+      status: 'unhealthy',
+      model_loaded: false,
+      activeVersion: active?.version || null,
+      modelDir: this.getModelDir(),
+      schema: YIELD_MODEL_SCHEMA,
+      checkedAt: new Date().toISOString()
+    }
+
+    if (!active) {
+      health.error = process.env.YIELD_MODEL_VERSION
+        ? `Pinned YIELD_MODEL_VERSION ${process.env.YIELD_MODEL_VERSION} not found`
+        : `No yield model found in ${health.modelDir}`
+    } else {
+      try {
+        const canary = await this.predict({}, { version: active.version })
+        health.status = 'healthy'
+        health.model_loaded = true
+        health.canary = { prediction: canary.prediction, inferenceMs: canary.inferenceMs }
+      } catch (error) {
+        this.logger.warn('yield_model_health_failed', { version: active.version, error: error.message })
+        health.error = error.message
+      }
+    }
+
+    health.versions = this.listVersions().map(entry => ({
+      version: entry.version,
+      format: entry.format,
+      createdAt: entry.createdAt,
+      loaded: this.loadedModels.has(entry.version)
+    }))
+    return health
+  }
+}
+
+export const yieldModelRuntime = new YieldModelRuntime()
+export default yieldModelRuntime
@@ -0,0 +1,64 @@
+// Yield model input schema shared by the browser client (onnxClient) and the server runtime
+// Numeric features carry valid ranges and the defaults used when a value is omitted
+
+export const YIELD_MODEL_SCHEMA = {
+  numeric_features: ['soil_ph', 'temperature', 'humidity', 'rainfall', 'fertilizer_usage', 'risk_score'],
+  categorical_features: ['crop_name', 'season', 'region'],
+  numeric: {
+    soil_ph: { min: 3, max: 10, default: 6.5, unit: 'pH' },
+    temperature: { min: -10, max: 55, default: 25, unit: '°C' },
+    humidity: { min: 0, max: 100, default: 65, unit: '%' },
+    rainfall: { min: 0, max: 5000, default: 120, unit: 'mm' },
+    fertilizer_usage: { min: 0, max: 1000, default: 45, unit: 'kg/ha' },
+    risk_score: { min: 0, max: 1, default: 0.3, unit: '0-1' }
+  },
+  categorical: {
+    crop_name: { default: 'Unknown' },
+    season: { default: 'Unknown', values: ['Kharif', 'Rabi', 'Zaid', 'Whole Year', 'Year-round', 'Unknown'] },
+    region: { default: 'Unknown' }
+  }
+}
+
+// Validate and normalise one prediction input; omitted features take their defaults
+export function validateYieldInput(input, schema = YIELD_MODEL_SCHEMA) {
+  const errors = []
+  const defaulted = []
+  const features = {}
+
+  schema.numeric_features.forEach(name => {
+    const spec = schema.numeric[name]
+    const raw = input?.[name]
+    if (raw === undefined || raw === null || raw === '') {
+      features[name] = spec.default
+      defaulted.push(name)
+      return
+    }
+    const value = Number(raw)
+    if (!Number.isFinite(value)) {
+      errors.push(`${name} must be a number`)
+    } else if (value < spec.min || value > spec.max) {
+      errors.push(`${name} must be between ${spec.min} and ${spec.max} ${spec.unit}`)
+    } else {
+      features[name] = value
+    }
+  })
+
+  schema.categorical_features.forEach(name => {
+    const spec = schema.categorical[name]
+    const raw = input?.[name]
+    if (raw === undefined || raw === null || raw === '') {
+      features[name] = spec.default
+      defaulted.push(name)
+      return
+    }
+    if (typeof raw !== 'string') {
+      errors.push(`${name} must be a string`)
+    } else if (spec.values && !spec.values.includes(raw.trim())) {
+      errors.push(`${name} must be one of: ${spec.values.join(', ')}`)
+    } else {
+      features[name] = raw.trim()
+    }
+  })
+
+  return { valid: errors.length === 0, errors, defaulted, features }
+}
@@ -0,0 +1,128 @@
+// Yield Simulation Service for PredictAgri
+// What-if scenarios: expands a grid of feature changes around a base input, runs the yield model
+// on every combination and summarises the response surface per variable
+
+import { Logger } from './logger.js'
+import { yieldModelRuntime } from './yieldModelRuntime.js'
+import { YIELD_MODEL_SCHEMA } from './yieldModelSchema.js'
+
+const MAX_COMBINATIONS = 5000
+const MAX_VALUES_PER_VARIABLE = 50
+
+const round = (value, places = 4) => Math.round(value * 10 ** places) / 10 ** places
+
+const invalid = message => {
+  const error = new Error(message)
+  error.status = 400
+  return error
+}
+
+class YieldSimulationService {
+  constructor() {
+    this.logger = new Logger({ service: 'YieldSimulationService' })
+  }
+
+  // Flatten { numeric, categorical } (mapFeaturesToOnnxSchema shape) or an already flat object
+  toBaseFeatures(base) {
+    if (!base || typeof base !== 'object') throw invalid('base must be an object')
+    if (base.numeric || base.categorical) return { ...(base.numeric || {}), ...(base.categorical || {}) }
+    return { ...base }
+  }
+
+  // One variable's grid: { values }, { from, to, step|steps }, { percent: [...] } or { delta: [...] }
+  expandVariable(name, spec, baseValue) {
+    const range = YIELD_MODEL_SCHEMA.numeric[name]
+    if (!range) throw invalid(`${name} is not a numeric model feature (${YIELD_MODEL_SCHEMA.numeric_features.join(', ')})`)
+    if (!spec || typeof spec !== 'object') throw invalid(`changes.${name} must be an object`)
+
+    const base = Number(baseValue ?? range.default)
+    let values
+    if (Array.isArray(spec.values)) {
+      values = spec.values.map(Number)
+    } else if (spec.from !== undefined && spec.to !== undefined) {
+      const from = Number(spec.from)
+      const to = Number(spec.to)
+      const steps = spec.steps ? Number(spec.steps) : Math.floor(Math.abs(to - from) / Number(spec.step || 1)) + 1
+      if (!(steps >= 1)) throw invalid(`changes.${name} needs a positive step or steps`)
+      values = Array.from({ length: steps }, (_, i) => steps === 1 ? from : from + (to - from) * i / (steps - 1))
+    } else if (Array.isArray(spec.percent)) {
+      values = spec.percent.map(pct => base * (1 + Number(pct) / 100))
+    } else if (Array.isArray(spec.delta)) {
+      values = spec.delta.map(delta => base + Number(delta))
+    } else {
+      throw invalid(`changes.${name} needs values, from/to, percent or delta`)
+    }
+
+    if (values.some(value => !Number.isFinite(value))) throw invalid(`changes.${name} contains non-numeric values`)
+
+    // Keep every setting inside the schema range so the model never sees invalid input
+    const clamped = [...new Set(values.map(value => round(Math.min(range.max, Math.max(range.min, value)))))]
+      .sort((a, b) => a - b)
+    if (clamped.length > MAX_VALUES_PER_VARIABLE) throw invalid(`changes.${name} expands to more than ${MAX_VALUES_PER_VARIABLE} values`)
+    return clamped
+  }
+
+  combinations(variables) {
+    return variables.reduce(
+      (combos, variable) => combos.flatMap(combo => variable.values.map(value => ({ ...combo, [variable.name]: value }))),
+      [{}]
+    )
+  }
+
+  async simulate({ base, changes, version = null }) {
+    const baseFeatures = this.toBaseFeatures(base)
+    if (!changes || typeof changes !== 'object' || Object.keys(changes).length === 0) {
+      throw invalid('changes must map at least one numeric feature to a grid')
+    }
+
+    const variables = Object.entries(changes).map(([name, spec]) => ({
+      name,
+      baseValue: Number(baseFeatures[name] ?? YIELD_MODEL_SCHEMA.numeric[name]?.default),
+      values: this.expandVariable(name, spec, baseFeatures[name])
+    }))
+    const total = variables.reduce((product, variable) => product * variable.values.length, 1)
+    if (total > MAX_COMBINATIONS) throw invalid(`Grid expands to ${total} combinations (max ${MAX_COMBINATIONS})`)
+
+    const baseline = await yieldModelRuntime.predict(baseFeatures, { version })
+    const surface = []
+    for (const settings of this.combinations(variables)) {
+      const result = await yieldModelRuntime.predict({ ...baseline.features, ...settings }, { version: baseline.modelVersion })
+      surface.push({ settings, prediction: result.prediction })
+    }
+
+    const best = surface.reduce((top, point) => point.prediction > top.prediction ? point : top, surface[0])
+
+    // Per variable: mean prediction at each value across all other settings, and the best value by that mean
+    const perVariable = variables.map(variable => {
+      const marginal = variable.values.map(value => {
+        const points = surface.filter(point => point.settings[variable.name] === value)
+        return { value, meanPrediction: round(points.reduce((sum, point) => sum + point.prediction, 0) / points.length) }
+      })
+      const top = marginal.reduce((a, b) => b.meanPrediction > a.meanPrediction ? b : a, marginal[0])
+      return {
+        name: variable.name,
+        unit: YIELD_MODEL_SCHEMA.numeric[variable.name].unit,
+        baseValue: round(variable.baseValue),
+        values: variable.values,
+        bestValue: top.value,
+        bestMeanPrediction: top.meanPrediction,
+        marginal
+      }
+    })
+
+    this.logger.info('yield_simulation_completed', { modelVersion: baseline.modelVersion, combinations: surface.length })
+
+    return {
+      modelVersion: baseline.modelVersion,
+      baseline: { features: baseline.features, prediction: baseline.prediction },
+      variables: perVariable,
+      combinations: surface.length,
+      surface,
+      best: { ...best, gainVsBaseline: round(best.prediction - baseline.prediction) },
+      timestamp: new Date().toISOString()
+    }
+  }
+}
+
+export const yieldSimulationService = new YieldSimulationService()
+export default yieldSimulationService
@@ -0,0 +1,32 @@
+// Next.js middleware for every /api request: assigns the request id, answers CORS preflights, blocks
+// suspicious requests and adds the CORS and security headers. Per-route auth, rate limits and body
+// schemas are applied by withApi (lib/apiHandler.js) from lib/apiPolicies.js
+
+import { NextResponse } from 'next/server'
+import { securityMiddleware } from './lib/securityMiddleware.js'
+import { requestIdOf } from './lib/apiHandler.js'
+
+export const config = {
+  matcher: '/api/:path*',
+  runtime: 'nodejs'
+}
+
+export function middleware(request) {
+  const requestId = requestIdOf(request)
+  const headers = securityMiddleware.generateCorsHeaders(request.headers.get('origin') || '')
+
+  let response
+  if (request.method === 'OPTIONS') {
+    response = new NextResponse(null, { status: 204 })
+  } else if (securityMiddleware.detectSuspiciousActivity(request)) {
+    response = NextResponse.json({ success: false, error: 'Suspicious activity detected', requestId }, { status: 403 })
+  } else {
+    const requestHeaders = new Headers(request.headers)
+    requestHeaders.set('x-request-id', requestId)
+    response = NextResponse.next({ request: { headers: requestHeaders } })
+  }
+
+  Object.entries(headers).filter(([, value]) => value).forEach(([name, value]) => response.headers.set(name, value))
+  response.headers.set('X-Request-Id', requestId)
+  return response
+}
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+/**
+ * 🚦 Rate Limit Admin
+ * Shows and resets rate limit quotas through the running app's /api/rate-limits (works with every
+ * RATE_LIMIT_STORE, including the in-process memory store). Needs an admin API key
+ * (node create-api-key.js --role admin) in PREDICTAGRI_API_KEY
+ *
+ * Usage: node rate-limits.js status [quota] [--subject <id>] [--tier <tier>] [--route <route>]
+ *        node rate-limits.js reset <quota> [--subject <id>] [--route <route>]
+ * e.g.   node rate-limits.js reset sms_account          (after upgrading a Twilio trial account)
+ *        node rate-limits.js reset sms --subject +919876543210
+ */
+
+import { config } from 'dotenv';
+
+// Same environment as the Next.js app
+config({ path: '.env.local', quiet: true });
+config({ quiet: true });
+
+const BASE_URL = process.env.PREDICTAGRI_URL || 'http://localhost:3000';
+
+function parseArgs(argv) {
+  const [command, quota, ...rest] = argv;
+  const args = { command, quota: quota?.startsWith('--') ? undefined : quota, params: {} };
+  const flags = quota?.startsWith('--') ? [quota, ...rest] : rest;
+
+  for (let i = 0; i < flags.length; i++) {
+    const flag = flags[i];
+    if (!['--subject', '--tier', '--route'].includes(flag)) throw new Error(`Unknown option: ${flag}`);
+    if (flags[i + 1] === undefined) throw new Error(`${flag} needs a value`);
+    args.params[flag.slice(2)] = flags[++i];
+  }
+
+  if (!['status', 'reset'].includes(command)) throw new Error('Command must be status or reset');
+  if (command === 'reset' && !args.quota) throw new Error('reset needs a quota (e.g. sms_account)');
+  return args;
+}
+
+async function main() {
+  const { command, quota, params } = parseArgs(process.argv.slice(2));
+  const query = new URLSearchParams({ ...(quota ? { quota } : {}), ...params });
+  const response = await fetch(`${BASE_URL}/api/rate-limits?${query}`, {
+    method: command === 'reset' ? 'DELETE' : 'GET',
+    headers: process.env.PREDICTAGRI_API_KEY ? { 'X-API-Key': process.env.PREDICTAGRI_API_KEY } : {},
+    signal: AbortSignal.timeout(10000)
+  });
+  const body = await response.json().catch(() => ({}));
+
+  if (response.status === 401 || response.status === 403) throw new Error('needs an admin API key in PREDICTAGRI_API_KEY');
+  if (!response.ok) throw new Error([body.error, ...(body.details || [])].filter(Boolean).join('; ') || `HTTP ${response.status}`);
+
+  if (command === 'reset') {
+    console.log(`✅ Reset ${body.reset.quota} for ${body.reset.subject}${body.reset.route ? ` on ${body.reset.route}` : ''}`);
+  } else if (body.usage) {
+    const { usage } = body;
+    console.log(`🚦 ${usage.quota} for ${body.subject}: ${usage.limit === null ? 'unlimited' : `${usage.remaining} of ${usage.limit} left`}`);
+    if (usage.exhausted) console.log(`   Exhausted; frees up within ${Math.ceil(usage.resetMs / 60000)} min as the window slides`);
+  } else {
+    console.log(`🚦 Store: ${body.store}`);
+    for (const [name, quotaInfo] of Object.entries(body.quotas)) {
+      const limits = Object.entries(quotaInfo.limits).map(([tier, limit]) => `${tier} ${limit ?? '∞'}`).join(', ');
+      console.log(`   ${name} (${quotaInfo.window}${quotaInfo.perRoute ? ', per route' : ''}): ${limits}`);
+    }
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Rate limit request failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+/**
+ * 🌾 Batch Pipeline Runner
+ * Runs the farmer pipeline for every stored field in a region (or all regions) and prints the run report
+ *
+ * Usage: node run-batch-pipeline.js [--region <regionId>] [--farmers F1,F2] [--steps weather,soil,sms]
+ *                                   [--concurrency 4] [--dry-run] [--report report.json]
+ */
+
+import fs from 'fs';
+import { config } from 'dotenv';
+
+// Same environment as the Next.js app
+config({ path: '.env.local', quiet: true });
+config({ quiet: true });
+
+function parseArgs(argv) {
+  const args = { regionId: undefined, farmerIds: undefined, steps: undefined, concurrency: undefined, dryRun: false, report: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = () => {
+      if (argv[i + 1] === undefined) throw new Error(`${flag} needs a value`);
+      return argv[++i];
+    };
+
+    if (flag === '--region') args.regionId = value();
+    else if (flag === '--farmers') args.farmerIds = value().split(',').map(id => id.trim()).filter(Boolean);
+    else if (flag === '--steps') args.steps = value().split(',').map(step => step.trim()).filter(Boolean);
+    else if (flag === '--concurrency') args.concurrency = Number(value());
+    else if (flag === '--dry-run') args.dryRun = true;
+    else if (flag === '--report') args.report = value();
+    else throw new Error(`Unknown option: ${flag}`);
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  // Imported after dotenv so services see the configuration
+  const { pipelineBatchService } = await import('./lib/pipelineBatchService.js');
+
+  if (args.dryRun) {
+    const preview = await pipelineBatchService.previewRun(args);
+    console.log(`🔍 ${preview.fields} fields of ${preview.farmers} farmers in ${preview.cells} grid cells (${preview.smsBlocked} will not be texted, ${preview.unregistered} unregistered)`);
+    preview.roster.forEach(entry => {
+      console.log(`   ${entry.farmerId} / ${entry.fieldName} → ${entry.regionName || 'no region'} [cell ${entry.cell}]${entry.smsReason ? ` (no SMS: ${entry.smsReason})` : ''}`);
+    });
+    return;
+  }
+
+  console.log(`🚀 Batch run for ${args.regionId ? `region ${args.regionId}` : 'all regions'}...`);
+  const run = await pipelineBatchService.runBatch({ ...args, triggeredBy: 'cli' });
+
+  run.results
+    .filter(result => result.status === 'failed')
+    .forEach(result => console.log(`❌ ${result.farmerId} / ${result.fieldName}: ${result.error}`));
+
+  const { totals } = run;
+  console.log(`${run.status === 'completed' ? '✅' : '❌'} Run ${run.runId} ${run.status}${run.error ? `: ${run.error}` : ''}`);
+  console.log(`   ${totals.succeeded}/${totals.fields} fields succeeded, ${totals.failed} failed`);
+  console.log(`   SMS: ${totals.smsSent} sent, ${totals.smsSkipped} skipped, ${totals.smsFailed} failed`);
+  if (run.sharedLookups) {
+    Object.entries(run.sharedLookups).forEach(([step, { fetched, reused }]) => {
+      console.log(`   ${step} lookups: ${fetched} fetched, ${reused} reused`);
+    });
+  }
+
+  if (args.report) {
+    fs.writeFileSync(args.report, JSON.stringify(run, null, 2));
+    console.log(`📄 Report written to ${args.report}`);
+  }
+
+  if (run.status !== 'completed' || totals.failed > 0) process.exitCode = 1;
+}
+
+main().catch(error => {
+  console.error('❌ Batch run failed:', error.message);
+  if (error.details) error.details.forEach(detail => console.error(`   - ${detail}`));
+  process.exitCode = 1;
+});
@@ -45,11 +45,60 @@ CREATE TABLE IF NOT EXISTS predictions (
     crop_id UUID REFERENCES crops(id) NOT NULL,
     region_id UUID REFERENCES regions(id) NOT NULL,
     features JSONB NOT NULL, -- store input features
+    feature_contributions JSONB, -- per-feature Shapley contributions to the predicted yield
+    model_version TEXT, -- yield model version (or fallback-ml) that produced the prediction
     yield NUMERIC NOT NULL, -- predicted yield
     risk_score NUMERIC NOT NULL, -- risk probability
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Existing databases created before contributions were stored
+ALTER TABLE predictions ADD COLUMN IF NOT EXISTS feature_contributions JSONB;
+ALTER TABLE predictions ADD COLUMN IF NOT EXISTS model_version TEXT;
+
+-- Actual harvests reported against predictions (one per prediction; later reports replace earlier ones)
+CREATE TABLE IF NOT EXISTS harvests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    prediction_id UUID REFERENCES predictions(id) ON DELETE CASCADE NOT NULL UNIQUE,
+    actual_yield NUMERIC NOT NULL, -- fraction of attainable yield, same scale as predictions.yield
+    reported_value NUMERIC NOT NULL, -- value as reported
+    reported_unit TEXT NOT NULL, -- fraction | percent | t/ha | kg/ha | quintal/acre
+    harvest_date DATE,
+    source TEXT NOT NULL DEFAULT 'api', -- api | sms | voice
+    reporter TEXT, -- phone number or user reporting the harvest
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- LLM responses keyed by a hash of their input features, replayed in prediction audit mode
+CREATE TABLE IF NOT EXISTS llm_response_cache (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    kind TEXT NOT NULL, -- yield_prediction | expert_analysis
+    input_hash TEXT NOT NULL, -- sha256 of kind, prompt version and canonical input features
+    prompt TEXT NOT NULL,
+    model_name TEXT NOT NULL,
+    raw_response TEXT NOT NULL,
+    parsed JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (kind, input_hash)
+);
+
+-- How each stored prediction was produced
+CREATE TABLE IF NOT EXISTS prediction_audits (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    prediction_id UUID REFERENCES predictions(id) ON DELETE CASCADE NOT NULL,
+    input_hash TEXT NOT NULL,
+    source TEXT NOT NULL, -- yield-model | gemini | fallback-ml
+    model_version TEXT,
+    features JSONB NOT NULL, -- exact inputs given to the model or prompt
+    prompt TEXT,
+    model_name TEXT,
+    raw_response TEXT,
+    output JSONB NOT NULL,
+    replayed BOOLEAN NOT NULL DEFAULT FALSE, -- LLM response replayed from llm_response_cache
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 CREATE TABLE IF NOT EXISTS alerts (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     prediction_id UUID REFERENCES predictions(id) NOT NULL,
@@ -67,6 +116,33 @@ CREATE TABLE IF NOT EXISTS weather_data (
     timestamp TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Daily history per region, backfilled from the Open-Meteo archive
+CREATE TABLE IF NOT EXISTS weather_daily (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    region_id UUID REFERENCES regions(id) ON DELETE CASCADE NOT NULL,
+    date DATE NOT NULL,
+    tmax FLOAT8, -- °C
+    tmin FLOAT8,
+    tmean FLOAT8,
+    precipitation FLOAT8, -- mm
+    wind_max FLOAT8, -- km/h
+    source TEXT NOT NULL DEFAULT 'open-meteo-archive',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (region_id, date)
+);
+
+-- Monthly climatology normals computed from weather_daily, one row per baseline period
+CREATE TABLE IF NOT EXISTS weather_normals (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    region_id UUID REFERENCES regions(id) ON DELETE CASCADE NOT NULL,
+    baseline_start_year INTEGER NOT NULL,
+    baseline_end_year INTEGER NOT NULL,
+    heat_threshold FLOAT8 NOT NULL, -- °C; days at or above count as heat days
+    normals JSONB NOT NULL, -- { baseline, heatThreshold, months: [...], annual }
+    computed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (region_id, baseline_start_year, baseline_end_year, heat_threshold)
+);
+
 CREATE TABLE IF NOT EXISTS satellite_data (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     region_id UUID REFERENCES regions(id),
@@ -88,7 +164,7 @@ CREATE TABLE IF NOT EXISTS image_analysis_results (
 CREATE TABLE IF NOT EXISTS farmer_analysis_results (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     farmer_id TEXT NOT NULL, -- farmer identifier
-    phone_number TEXT NOT NULL, -- farmer's phone number
+    phone_number TEXT, -- number the farmer was reached on, if any
     region_id UUID REFERENCES regions(id),
     crop_id UUID REFERENCES crops(id),
     analysis_type TEXT NOT NULL, -- 'enhanced_pipeline', 'basic_pipeline', 'image_analysis'
@@ -103,6 +179,208 @@ CREATE TABLE IF NOT EXISTS farmer_analysis_results (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Existing databases required a number; farmers without one are no longer texted a default
+ALTER TABLE farmer_analysis_results ALTER COLUMN phone_number DROP NOT NULL;
+
+CREATE TABLE IF NOT EXISTS pipeline_jobs (
+    job_id TEXT PRIMARY KEY, -- job identifier returned by POST /api/pipeline (async mode)
+    job_type TEXT NOT NULL, -- 'farmer_pipeline'
+    farmer_id TEXT,
+    status TEXT NOT NULL, -- queued, running, completed, failed, cancelled
+    current_step TEXT,
+    steps JSONB NOT NULL, -- per-step status and timings
+    partial_results JSONB, -- results of completed steps
+    result JSONB, -- final pipeline result
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    started_at TIMESTAMP WITH TIME ZONE,
+    finished_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Who submitted a job and the farmer's district, for access checks on /api/pipeline/jobs
+ALTER TABLE pipeline_jobs ADD COLUMN IF NOT EXISTS submitted_by TEXT;
+ALTER TABLE pipeline_jobs ADD COLUMN IF NOT EXISTS farmer_district TEXT;
+
+CREATE TABLE IF NOT EXISTS farmer_fields (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    farmer_id TEXT NOT NULL, -- farmer identifier
+    name TEXT NOT NULL,
+    boundary JSONB NOT NULL, -- GeoJSON Polygon, [lon, lat] positions
+    area_hectares NUMERIC NOT NULL, -- derived from boundary
+    centroid_lat FLOAT8 NOT NULL,
+    centroid_lon FLOAT8 NOT NULL,
+    bounding_box JSONB NOT NULL, -- [minLon, minLat, maxLon, maxLat]
+    crop TEXT,
+    sowing_date DATE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (farmer_id, name)
+);
+
+-- On-farm weather stations and soil probes, registered per region
+CREATE TABLE IF NOT EXISTS weather_stations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    region_id UUID REFERENCES regions(id) ON DELETE CASCADE NOT NULL,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL DEFAULT 'weather', -- weather | soil | combined
+    lat FLOAT8 NOT NULL,
+    lon FLOAT8 NOT NULL,
+    elevation FLOAT8, -- m
+    ingest_token_hash TEXT NOT NULL, -- sha256 of the token the station posts readings with
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    last_reading_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Station observations; re-sent batches overwrite the same timestamp
+CREATE TABLE IF NOT EXISTS station_readings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    station_id UUID REFERENCES weather_stations(id) ON DELETE CASCADE NOT NULL,
+    observed_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    temperature FLOAT8, -- °C
+    humidity FLOAT8, -- %
+    wind_speed FLOAT8, -- km/h
+    precipitation FLOAT8, -- mm since the previous reading
+    pressure FLOAT8, -- hPa
+    soil_moisture FLOAT8, -- m³/m³
+    soil_temperature FLOAT8, -- °C
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (station_id, observed_at)
+);
+
+-- Region-level batch pipeline runs (POST /api/pipeline/batch, run-batch-pipeline.js) and their reports
+CREATE TABLE IF NOT EXISTS pipeline_batch_runs (
+    run_id TEXT PRIMARY KEY,
+    region_id UUID REFERENCES regions(id) ON DELETE SET NULL, -- NULL: all regions
+    status TEXT NOT NULL, -- queued, running, completed, failed
+    options JSONB NOT NULL, -- steps, concurrency, grid size
+    triggered_by TEXT NOT NULL DEFAULT 'api', -- api | cli
+    totals JSONB NOT NULL, -- fields, farmers, succeeded, failed, SMS sent/skipped/failed
+    shared_lookups JSONB, -- lookups fetched vs reused per grid cell
+    results JSONB NOT NULL, -- outcome per field
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    started_at TIMESTAMP WITH TIME ZONE,
+    finished_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Recurring batch pipeline runs (morning advisories, weekly digests) fired by the in-process scheduler
+CREATE TABLE IF NOT EXISTS pipeline_schedules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name TEXT NOT NULL,
+    kind TEXT NOT NULL DEFAULT 'advisory', -- advisory | digest
+    cron TEXT NOT NULL, -- minute hour day-of-month month day-of-week
+    timezone TEXT NOT NULL DEFAULT 'Asia/Kolkata',
+    region_id UUID REFERENCES regions(id) ON DELETE CASCADE, -- NULL: all regions
+    farmer_ids JSONB, -- NULL: every farmer in scope
+    steps JSONB, -- NULL: the kind's default steps
+    channel TEXT NOT NULL DEFAULT 'sms', -- sms | none
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    next_run_at TIMESTAMP WITH TIME ZONE, -- NULL when disabled
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    last_status TEXT,
+    running_since TIMESTAMP WITH TIME ZONE, -- set while a run is in progress (overlap protection)
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS schedule_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    schedule_id UUID REFERENCES pipeline_schedules(id) ON DELETE CASCADE NOT NULL,
+    trigger TEXT NOT NULL, -- cron | manual
+    status TEXT NOT NULL, -- running, completed, failed, skipped
+    scheduled_for TIMESTAMP WITH TIME ZONE,
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    finished_at TIMESTAMP WITH TIME ZONE,
+    batch_run_id TEXT, -- pipeline_batch_runs.run_id with the full report
+    totals JSONB,
+    error TEXT
+);
+
+-- Farmer registry: contact details, preferences and SMS consent (farmer_id elsewhere refers to farmers.id)
+CREATE TABLE IF NOT EXISTS farmers (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    phone_number TEXT, -- E.164, e.g. +919876543210
+    email TEXT,
+    district TEXT, -- extension officers only reach farmers of their own district
+    language TEXT NOT NULL DEFAULT 'hi', -- en, hi, mr
+    timezone TEXT NOT NULL DEFAULT 'Asia/Kolkata',
+    notification_channels JSONB NOT NULL DEFAULT '["sms"]', -- sms, voice, email
+    quiet_hours JSONB, -- { "start": "21:00", "end": "06:00" } in the farmer's timezone
+    sms_consent BOOLEAN NOT NULL DEFAULT FALSE,
+    sms_consent_at TIMESTAMP WITH TIME ZONE, -- when consent was last given or withdrawn
+    crops JSONB NOT NULL DEFAULT '[]',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Existing registries created before districts were recorded
+ALTER TABLE farmers ADD COLUMN IF NOT EXISTS district TEXT;
+
+-- Who did what through the API (actor from the verified JWT or API key; 'anonymous' while AUTH_ENABLED is off)
+CREATE TABLE IF NOT EXISTS api_audit_log (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    actor_id TEXT NOT NULL,
+    actor_role TEXT, -- farmer, extension-officer, admin
+    auth_method TEXT NOT NULL, -- jwt, api_key, anonymous
+    action TEXT NOT NULL, -- e.g. alert.send, farmer.update, schedule.run
+    resource TEXT, -- id, phone number or email acted on
+    status TEXT NOT NULL, -- success, failed
+    details JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Alert SMS and their delivery as reported by Twilio status callbacks (POST /api/sms/status)
+CREATE TABLE IF NOT EXISTS sms_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    message_sid TEXT UNIQUE, -- null when Twilio refused the message
+    farmer_id TEXT, -- farmers.id when known
+    phone_number TEXT NOT NULL,
+    alert_type TEXT,
+    alert_data JSONB, -- kept to retry or email undelivered alerts
+    language TEXT,
+    status TEXT NOT NULL, -- queued, sending, sent, delivered, undelivered, failed, ...
+    error_code INTEGER, -- Twilio error code, e.g. 30003 unreachable handset
+    error_message TEXT,
+    attempt INTEGER NOT NULL DEFAULT 1,
+    retry_of UUID REFERENCES sms_messages(id) ON DELETE SET NULL,
+    follow_up TEXT, -- retry or email, once the message ended undelivered
+    follow_up_result JSONB,
+    status_history JSONB NOT NULL DEFAULT '[]', -- [{ status, errorCode, at }] in arrival order
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    delivered_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Rate limit counters for RATE_LIMIT_STORE=supabase: one row per quota key and fixed window index (bucket)
+CREATE TABLE IF NOT EXISTS rate_limit_counters (
+    key TEXT NOT NULL, -- rl:<quota>[:<route>]:<subject>
+    bucket BIGINT NOT NULL, -- floor(epoch ms / window ms)
+    count INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    PRIMARY KEY (key, bucket)
+);
+
+-- Add p_amount to a bucket and return it with the previous bucket in one round trip; drops the key's
+-- expired buckets on the way
+CREATE OR REPLACE FUNCTION rate_limit_hit(p_key TEXT, p_bucket BIGINT, p_amount INTEGER, p_expires_at TIMESTAMP WITH TIME ZONE)
+RETURNS TABLE (current_count INTEGER, previous_count INTEGER) AS $$
+BEGIN
+    DELETE FROM rate_limit_counters WHERE rate_limit_counters.key = p_key AND rate_limit_counters.expires_at < NOW();
+
+    INSERT INTO rate_limit_counters AS c (key, bucket, count, expires_at)
+    VALUES (p_key, p_bucket, p_amount, p_expires_at)
+    ON CONFLICT (key, bucket) DO UPDATE SET count = c.count + EXCLUDED.count, expires_at = EXCLUDED.expires_at
+    RETURNING c.count INTO current_count;
+
+    SELECT c.count INTO previous_count FROM rate_limit_counters c WHERE c.key = p_key AND c.bucket = p_bucket - 1;
+    previous_count := COALESCE(previous_count, 0);
+    RETURN NEXT;
+END;
+$$ LANGUAGE plpgsql;
+
 -- Insert sample data only if tables are empty
 INSERT INTO regions (name, lat, lon, soil_n, soil_p, soil_k, ph)
 SELECT * FROM (VALUES
@@ -146,6 +424,7 @@ SELECT create_index_if_not_exists('idx_regions_location', 'regions', 'lat, lon')
 SELECT create_index_if_not_exists('idx_weather_data_region_id', 'weather_data', 'region_id');
 SELECT create_index_if_not_exists('idx_weather_data_timestamp', 'weather_data', 'timestamp');
 SELECT create_index_if_not_exists('idx_weather_data_location', 'weather_data', 'lat, lon');
+SELECT create_index_if_not_exists('idx_weather_daily_date', 'weather_daily', 'date');
 SELECT create_index_if_not_exists('idx_satellite_data_region_id', 'satellite_data', 'region_id');
 SELECT create_index_if_not_exists('idx_satellite_data_type', 'satellite_data', 'data_type');
 SELECT create_index_if_not_exists('idx_satellite_data_timestamp', 'satellite_data', 'timestamp');
@@ -163,15 +442,59 @@ SELECT create_index_if_not_exists('idx_farmer_analysis_pipeline_id', 'farmer_ana
 SELECT create_index_if_not_exists('idx_farmer_analysis_created_at', 'farmer_analysis_results', 'created_at');
 SELECT create_index_if_not_exists('idx_farmer_analysis_notification_sent', 'farmer_analysis_results', 'notification_sent');
 
+-- Indexes for pipeline jobs
+SELECT create_index_if_not_exists('idx_pipeline_jobs_farmer_id', 'pipeline_jobs', 'farmer_id');
+SELECT create_index_if_not_exists('idx_pipeline_jobs_status', 'pipeline_jobs', 'status');
+SELECT create_index_if_not_exists('idx_pipeline_jobs_created_at', 'pipeline_jobs', 'created_at');
+
+-- Indexes for farmer fields
+SELECT create_index_if_not_exists('idx_farmer_fields_farmer_id', 'farmer_fields', 'farmer_id');
+SELECT create_index_if_not_exists('idx_farmer_fields_centroid', 'farmer_fields', 'centroid_lat, centroid_lon');
+SELECT create_index_if_not_exists('idx_predictions_model_version', 'predictions', 'model_version');
+SELECT create_index_if_not_exists('idx_harvests_created_at', 'harvests', 'created_at');
+SELECT create_index_if_not_exists('idx_prediction_audits_prediction_id', 'prediction_audits', 'prediction_id');
+SELECT create_index_if_not_exists('idx_prediction_audits_input_hash', 'prediction_audits', 'input_hash');
+SELECT create_index_if_not_exists('idx_weather_stations_region_id', 'weather_stations', 'region_id');
+SELECT create_index_if_not_exists('idx_weather_stations_location', 'weather_stations', 'lat, lon');
+SELECT create_index_if_not_exists('idx_station_readings_observed_at', 'station_readings', 'observed_at');
+SELECT create_index_if_not_exists('idx_pipeline_batch_runs_region_id', 'pipeline_batch_runs', 'region_id');
+SELECT create_index_if_not_exists('idx_pipeline_batch_runs_created_at', 'pipeline_batch_runs', 'created_at');
+SELECT create_index_if_not_exists('idx_pipeline_schedules_next_run_at', 'pipeline_schedules', 'next_run_at');
+SELECT create_index_if_not_exists('idx_schedule_runs_schedule_id', 'schedule_runs', 'schedule_id, started_at');
+SELECT create_index_if_not_exists('idx_farmers_phone_number', 'farmers', 'phone_number');
+SELECT create_index_if_not_exists('idx_farmers_district', 'farmers', 'district');
+SELECT create_index_if_not_exists('idx_api_audit_log_actor_id', 'api_audit_log', 'actor_id, created_at');
+SELECT create_index_if_not_exists('idx_api_audit_log_created_at', 'api_audit_log', 'created_at');
+SELECT create_index_if_not_exists('idx_sms_messages_farmer_id', 'sms_messages', 'farmer_id, created_at');
+SELECT create_index_if_not_exists('idx_sms_messages_phone_number', 'sms_messages', 'phone_number, created_at');
+SELECT create_index_if_not_exists('idx_sms_messages_created_at', 'sms_messages', 'created_at');
+SELECT create_index_if_not_exists('idx_rate_limit_counters_expires_at', 'rate_limit_counters', 'expires_at');
+
 -- Enable Row Level Security (RLS) policies
 ALTER TABLE regions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE crops ENABLE ROW LEVEL SECURITY;
 ALTER TABLE predictions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE alerts ENABLE ROW LEVEL SECURITY;
 ALTER TABLE weather_data ENABLE ROW LEVEL SECURITY;
+ALTER TABLE weather_daily ENABLE ROW LEVEL SECURITY;
+ALTER TABLE weather_normals ENABLE ROW LEVEL SECURITY;
 ALTER TABLE satellite_data ENABLE ROW LEVEL SECURITY;
 ALTER TABLE image_analysis_results ENABLE ROW LEVEL SECURITY;
 ALTER TABLE farmer_analysis_results ENABLE ROW LEVEL SECURITY;
+ALTER TABLE pipeline_jobs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE farmer_fields ENABLE ROW LEVEL SECURITY;
+ALTER TABLE harvests ENABLE ROW LEVEL SECURITY;
+ALTER TABLE llm_response_cache ENABLE ROW LEVEL SECURITY;
+ALTER TABLE prediction_audits ENABLE ROW LEVEL SECURITY;
+ALTER TABLE weather_stations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE station_readings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE pipeline_batch_runs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE pipeline_schedules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE schedule_runs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE farmers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE api_audit_log ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sms_messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE rate_limit_counters ENABLE ROW LEVEL SECURITY;
 
 -- Create policies only if they don't exist
 DO $$
@@ -201,6 +524,27 @@ BEGIN
     IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'weather_data' AND policyname = 'Allow public read access to weather_data') THEN
         CREATE POLICY "Allow public read access to weather_data" ON weather_data FOR SELECT USING (true);
     END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'weather_daily' AND policyname = 'Allow public insert to weather_daily') THEN
+        CREATE POLICY "Allow public insert to weather_daily" ON weather_daily FOR INSERT WITH CHECK (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'weather_daily' AND policyname = 'Allow public read access to weather_daily') THEN
+        CREATE POLICY "Allow public read access to weather_daily" ON weather_daily FOR SELECT USING (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'weather_daily' AND policyname = 'Allow public update to weather_daily') THEN
+        CREATE POLICY "Allow public update to weather_daily" ON weather_daily FOR UPDATE USING (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'weather_normals' AND policyname = 'Allow public insert to weather_normals') THEN
+        CREATE POLICY "Allow public insert to weather_normals" ON weather_normals FOR INSERT WITH CHECK (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'weather_normals' AND policyname = 'Allow public read access to weather_normals') THEN
+        CREATE POLICY "Allow public read access to weather_normals" ON weather_normals FOR SELECT USING (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'weather_normals' AND policyname = 'Allow public update to weather_normals') THEN
+        CREATE POLICY "Allow public update to weather_normals" ON weather_normals FOR UPDATE USING (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'weather_normals' AND policyname = 'Allow public delete from weather_normals') THEN
+        CREATE POLICY "Allow public delete from weather_normals" ON weather_normals FOR DELETE USING (true);
+    END IF;
     
     -- Satellite data policies
     IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'satellite_data' AND policyname = 'Allow public insert to satellite_data') THEN
@@ -236,6 +580,130 @@ BEGIN
     IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'farmer_analysis_results' AND policyname = 'Allow public update to farmer_analysis_results') THEN
         CREATE POLICY "Allow public update to farmer_analysis_results" ON farmer_analysis_results FOR UPDATE USING (true);
     END IF;
+    
+    -- Pipeline jobs policies
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'pipeline_jobs' AND policyname = 'Allow public insert to pipeline_jobs') THEN
+        CREATE POLICY "Allow public insert to pipeline_jobs" ON pipeline_jobs FOR INSERT WITH CHECK (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'pipeline_jobs' AND policyname = 'Allow public read access to pipeline_jobs') THEN
+        CREATE POLICY "Allow public read access to pipeline_jobs" ON pipeline_jobs FOR SELECT USING (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'pipeline_jobs' AND policyname = 'Allow public update to pipeline_jobs') THEN
+        CREATE POLICY "Allow public update to pipeline_jobs" ON pipeline_jobs FOR UPDATE USING (true);
+    END IF;
+    
+    -- Farmer fields policies
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'farmer_fields' AND policyname = 'Allow public insert to farmer_fields') THEN
+        CREATE POLICY "Allow public insert to farmer_fields" ON farmer_fields FOR INSERT WITH CHECK (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'farmer_fields' AND policyname = 'Allow public read access to farmer_fields') THEN
+        CREATE POLICY "Allow public read access to farmer_fields" ON farmer_fields FOR SELECT USING (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'farmer_fields' AND policyname = 'Allow public update to farmer_fields') THEN
+        CREATE POLICY "Allow public update to farmer_fields" ON farmer_fields FOR UPDATE USING (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'farmer_fields' AND policyname = 'Allow public delete from farmer_fields') THEN
+        CREATE POLICY "Allow public delete from farmer_fields" ON farmer_fields FOR DELETE USING (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'harvests' AND policyname = 'Allow public insert to harvests') THEN
+        CREATE POLICY "Allow public insert to harvests" ON harvests FOR INSERT WITH CHECK (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'harvests' AND policyname = 'Allow public read access to harvests') THEN
+        CREATE POLICY "Allow public read access to harvests" ON harvests FOR SELECT USING (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'harvests' AND policyname = 'Allow public update to harvests') THEN
+        CREATE POLICY "Allow public update to harvests" ON harvests FOR UPDATE USING (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'llm_response_cache' AND policyname = 'Allow public insert to llm_response_cache') THEN
+        CREATE POLICY "Allow public insert to llm_response_cache" ON llm_response_cache FOR INSERT WITH CHECK (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'llm_response_cache' AND policyname = 'Allow public read access to llm_response_cache') THEN
+        CREATE POLICY "Allow public read access to llm_response_cache" ON llm_response_cache FOR SELECT USING (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'prediction_audits' AND policyname = 'Allow public insert to prediction_audits') THEN
+        CREATE POLICY "Allow public insert to prediction_audits" ON prediction_audits FOR INSERT WITH CHECK (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'prediction_audits' AND policyname = 'Allow public read access to prediction_audits') THEN
+        CREATE POLICY "Allow public read access to prediction_audits" ON prediction_audits FOR SELECT USING (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'weather_stations' AND policyname = 'Allow public insert to weather_stations') THEN
+        CREATE POLICY "Allow public insert to weather_stations" ON weather_stations FOR INSERT WITH CHECK (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'weather_stations' AND policyname = 'Allow public read access to weather_stations') THEN
+        CREATE POLICY "Allow public read access to weather_stations" ON weather_stations FOR SELECT USING (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'weather_stations' AND policyname = 'Allow public update to weather_stations') THEN
+        CREATE POLICY "Allow public update to weather_stations" ON weather_stations FOR UPDATE USING (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'station_readings' AND policyname = 'Allow public insert to station_readings') THEN
+        CREATE POLICY "Allow public insert to station_readings" ON station_readings FOR INSERT WITH CHECK (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'station_readings' AND policyname = 'Allow public read access to station_readings') THEN
+        CREATE POLICY "Allow public read access to station_readings" ON station_readings FOR SELECT USING (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'station_readings' AND policyname = 'Allow public update to station_readings') THEN
+        CREATE POLICY "Allow public update to station_readings" ON station_readings FOR UPDATE USING (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'pipeline_batch_runs' AND policyname = 'Allow public insert to pipeline_batch_runs') THEN
+        CREATE POLICY "Allow public insert to pipeline_batch_runs" ON pipeline_batch_runs FOR INSERT WITH CHECK (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'pipeline_batch_runs' AND policyname = 'Allow public read access to pipeline_batch_runs') THEN
+        CREATE POLICY "Allow public read access to pipeline_batch_runs" ON pipeline_batch_runs FOR SELECT USING (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'pipeline_batch_runs' AND policyname = 'Allow public update to pipeline_batch_runs') THEN
+        CREATE POLICY "Allow public update to pipeline_batch_runs" ON pipeline_batch_runs FOR UPDATE USING (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'pipeline_schedules' AND policyname = 'Allow public insert to pipeline_schedules') THEN
+        CREATE POLICY "Allow public insert to pipeline_schedules" ON pipeline_schedules FOR INSERT WITH CHECK (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'pipeline_schedules' AND policyname = 'Allow public read access to pipeline_schedules') THEN
+        CREATE POLICY "Allow public read access to pipeline_schedules" ON pipeline_schedules FOR SELECT USING (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'pipeline_schedules' AND policyname = 'Allow public update to pipeline_schedules') THEN
+        CREATE POLICY "Allow public update to pipeline_schedules" ON pipeline_schedules FOR UPDATE USING (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'schedule_runs' AND policyname = 'Allow public insert to schedule_runs') THEN
+        CREATE POLICY "Allow public insert to schedule_runs" ON schedule_runs FOR INSERT WITH CHECK (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'schedule_runs' AND policyname = 'Allow public read access to schedule_runs') THEN
+        CREATE POLICY "Allow public read access to schedule_runs" ON schedule_runs FOR SELECT USING (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'schedule_runs' AND policyname = 'Allow public update to schedule_runs') THEN
+        CREATE POLICY "Allow public update to schedule_runs" ON schedule_runs FOR UPDATE USING (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'pipeline_schedules' AND policyname = 'Allow public delete from pipeline_schedules') THEN
+        CREATE POLICY "Allow public delete from pipeline_schedules" ON pipeline_schedules FOR DELETE USING (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'farmers' AND policyname = 'Allow public insert to farmers') THEN
+        CREATE POLICY "Allow public insert to farmers" ON farmers FOR INSERT WITH CHECK (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'farmers' AND policyname = 'Allow public read access to farmers') THEN
+        CREATE POLICY "Allow public read access to farmers" ON farmers FOR SELECT USING (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'farmers' AND policyname = 'Allow public update to farmers') THEN
+        CREATE POLICY "Allow public update to farmers" ON farmers FOR UPDATE USING (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'farmers' AND policyname = 'Allow public delete from farmers') THEN
+        CREATE POLICY "Allow public delete from farmers" ON farmers FOR DELETE USING (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'api_audit_log' AND policyname = 'Allow public insert to api_audit_log') THEN
+        CREATE POLICY "Allow public insert to api_audit_log" ON api_audit_log FOR INSERT WITH CHECK (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'api_audit_log' AND policyname = 'Allow public read access to api_audit_log') THEN
+        CREATE POLICY "Allow public read access to api_audit_log" ON api_audit_log FOR SELECT USING (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'sms_messages' AND policyname = 'Allow public insert to sms_messages') THEN
+        CREATE POLICY "Allow public insert to sms_messages" ON sms_messages FOR INSERT WITH CHECK (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'sms_messages' AND policyname = 'Allow public read access to sms_messages') THEN
+        CREATE POLICY "Allow public read access to sms_messages" ON sms_messages FOR SELECT USING (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'sms_messages' AND policyname = 'Allow public update to sms_messages') THEN
+        CREATE POLICY "Allow public update to sms_messages" ON sms_messages FOR UPDATE USING (true);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_policies WHERE tablename = 'rate_limit_counters' AND policyname = 'Allow public access to rate_limit_counters') THEN
+        CREATE POLICY "Allow public access to rate_limit_counters" ON rate_limit_counters FOR ALL USING (true) WITH CHECK (true);
+    END IF;
 END $$;
 
 -- Clean up the helper function
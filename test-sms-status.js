@@ -2,9 +2,11 @@
 
 /**
  * 📱 SMS Status Test Script
- * Tests if SMS service is working and checks for daily limits
+ * Tests if SMS service is working, checks for daily limits and reads the test message's tracked delivery
+ * status (updated by Twilio status callbacks when TWILIO_STATUS_CALLBACK_URL is set)
+ * Sending a test SMS needs an admin API key (node create-api-key.js --role admin)
  * 
- * Usage: node test-sms-status.js
+ * Usage: PREDICTAGRI_API_KEY=<admin key> node test-sms-status.js
  */
 
 import https from 'https';
@@ -14,9 +16,14 @@ import http from 'http';
 const CONFIG = {
   baseUrl: 'http://localhost:3000',
   timeout: 10000,
-  testPhoneNumber: '+919322909257'
+  testPhoneNumber: '+919322909257',
+  apiKey: process.env.PREDICTAGRI_API_KEY
 };
 
+const authHeaders = () => (CONFIG.apiKey ? { 'X-API-Key': CONFIG.apiKey } : {});
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
 // Utility functions
 function log(message, type = 'info') {
   const timestamp = new Date().toISOString();
@@ -73,7 +80,7 @@ async function testSMSStatus() {
         
         if (statusData.limitExceeded) {
           log('⚠️ Daily SMS limit exceeded!', 'warning');
-          log('📅 Will reset at midnight UTC', 'info');
+          log('📅 Frees up as the 24-hour window slides (node rate-limits.js status sms_account)', 'info');
           log('💡 Consider upgrading Twilio account', 'info');
         } else {
           log('✅ SMS service is available', 'success');
@@ -92,9 +99,11 @@ async function testSMSStatus() {
 
     // Test 2: Test actual SMS sending
     log('🔍 Testing: SMS Sending Test', 'info');
-    const testResponse = await makeRequest(`${CONFIG.baseUrl}/api/alerts?phone=${CONFIG.testPhoneNumber}`);
+    const testResponse = await makeRequest(`${CONFIG.baseUrl}/api/alerts?phone=${encodeURIComponent(CONFIG.testPhoneNumber)}`, { headers: authHeaders() });
     
-    if (testResponse.status === 200) {
+    if (testResponse.status === 401 || testResponse.status === 403) {
+      log('❌ Sending a test SMS needs an admin API key in PREDICTAGRI_API_KEY', 'error');
+    } else if (testResponse.status === 200) {
       const testData = testResponse.data;
       
       if (testData.success) {
@@ -104,7 +113,7 @@ async function testSMSStatus() {
       } else {
         if (testData.limitExceeded) {
           log('⚠️ Daily SMS limit exceeded!', 'warning');
-          log('📅 Will reset at midnight UTC', 'info');
+          log('📅 Frees up as the 24-hour window slides (node rate-limits.js status sms_account)', 'info');
           log('💡 Consider upgrading Twilio account', 'info');
         } else {
           log('❌ SMS test failed', 'error');
@@ -113,6 +122,25 @@ async function testSMSStatus() {
       }
       
       log(`📊 Test Result: ${JSON.stringify(testData, null, 2)}`, 'info');
+
+      // Test 3: Delivery status recorded from Twilio's callbacks
+      const messageId = testData.testResult?.messageId;
+      if (messageId) {
+        log('', 'info');
+        log('🔍 Testing: Delivery Status (after 10s)', 'info');
+        await sleep(10000);
+        const deliveryResponse = await makeRequest(`${CONFIG.baseUrl}/api/sms/status?messageSid=${messageId}`, { headers: authHeaders() });
+        const message = deliveryResponse.data?.message;
+
+        if (deliveryResponse.status === 200 && message) {
+          const history = message.statusHistory.map(entry => entry.status).join(' → ');
+          log(`📬 Delivery: ${message.status}${message.errorCode ? ` (error ${message.errorCode})` : ''}`, message.status === 'delivered' ? 'success' : 'info');
+          log(`🕒 History: ${history}`, 'info');
+          if (message.statusHistory.length === 1) log('💡 No status callbacks yet; is TWILIO_STATUS_CALLBACK_URL set?', 'warning');
+        } else {
+          log(`⚠️ Delivery status unavailable: ${deliveryResponse.data?.error || deliveryResponse.status}`, 'warning');
+        }
+      }
     } else {
       log(`❌ SMS test failed: ${testResponse.status}`, 'error');
     }
@@ -0,0 +1,90 @@
+// Builds tests/fixtures/disease-classifier-test.onnx (+ .json labels/preprocessing sidecar)
+// Usage: node tests/fixtures/build-disease-test-model.js
+//
+// A tiny colour classifier, not a real disease model: mean RGB (GlobalAveragePool) -> Gemm -> Softmax
+// over healthy / leaf_blight / chlorosis. Green frames score healthy, brown leaf_blight, yellow chlorosis.
+// The protobuf is written by hand so no Python/onnx toolchain is needed to regenerate it.
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const outDir = path.dirname(fileURLToPath(import.meta.url))
+const LABELS = ['healthy', 'leaf_blight', 'chlorosis']
+const INPUT_SIZE = 32
+// Rows are input channels (R, G, B), columns are labels
+const WEIGHTS = [
+  [-4, 10, 3],
+  [8, -8, 5],
+  [-2, -1, -8]
+]
+const BIAS = [0, 0, 0]
+
+// Minimal protobuf writer (varint + length-delimited fields)
+const varint = value => {
+  const bytes = []
+  let v = BigInt(value)
+  do {
+    let byte = Number(v & 0x7fn)
+    v >>= 7n
+    if (v > 0n) byte |= 0x80
+    bytes.push(byte)
+  } while (v > 0n)
+  return Buffer.from(bytes)
+}
+const key = (field, wireType) => varint((field << 3) | wireType)
+const int = (field, value) => Buffer.concat([key(field, 0), varint(value)])
+const bytes = (field, buffer) => Buffer.concat([key(field, 2), varint(buffer.length), buffer])
+const str = (field, value) => bytes(field, Buffer.from(value, 'utf8'))
+const msg = (field, ...parts) => bytes(field, Buffer.concat(parts))
+
+const FLOAT = 1
+const floatTensor = (name, dims, values) => {
+  const raw = Buffer.alloc(values.length * 4)
+  values.forEach((v, i) => raw.writeFloatLE(v, i * 4))
+  // TensorProto: dims=1, data_type=2, name=8, raw_data=9
+  return Buffer.concat([...dims.map(d => int(1, d)), int(2, FLOAT), str(8, name), bytes(9, raw)])
+}
+const dim = value => typeof value === 'number' ? msg(1, int(1, value)) : msg(1, str(2, value))
+// ValueInfoProto: name=1, type=2 -> TypeProto.tensor_type=1 -> elem_type=1, shape=2
+const valueInfo = (field, name, dims) =>
+  msg(field, str(1, name), msg(2, msg(1, int(1, FLOAT), msg(2, ...dims.map(dim)))))
+// NodeProto: input=1, output=2, name=3, op_type=4
+const node = (opType, inputs, outputs) =>
+  msg(1, ...inputs.map(i => str(1, i)), ...outputs.map(o => str(2, o)), str(3, opType.toLowerCase()), str(4, opType))
+
+const graph = Buffer.concat([
+  node('GlobalAveragePool', ['input'], ['pooled']),
+  node('Flatten', ['pooled'], ['features']),
+  node('Gemm', ['features', 'W', 'B'], ['logits']),
+  node('Softmax', ['logits'], ['probabilities']),
+  str(2, 'disease_colour_classifier'),
+  msg(5, floatTensor('W', [3, LABELS.length], WEIGHTS.flat())),
+  msg(5, floatTensor('B', [LABELS.length], BIAS)),
+  valueInfo(11, 'input', ['batch', 3, INPUT_SIZE, INPUT_SIZE]),
+  valueInfo(12, 'probabilities', ['batch', LABELS.length])
+])
+
+// ModelProto: ir_version=1, producer_name=2, graph=7, opset_import=8 (version=2)
+const model = Buffer.concat([
+  int(1, 7),
+  str(2, 'predictagri-test-fixture'),
+  msg(7, graph),
+  msg(8, int(2, 13))
+])
+
+fs.writeFileSync(path.join(outDir, 'disease-classifier-test.onnx'), model)
+fs.writeFileSync(path.join(outDir, 'disease-classifier-test.json'), JSON.stringify({
+  version: 'test-colour-1.0.0',
+  labels: LABELS,
+  healthyLabels: ['healthy'],
+  inputName: 'input',
+  outputName: 'probabilities',
+  inputSize: [INPUT_SIZE, INPUT_SIZE],
+  scale: 1 / 255,
+  mean: [0, 0, 0],
+  std: [1, 1, 1],
+  outputIsProbability: true
+}, null, 2) + '\n')
+
+console.log(`✅ Wrote disease-classifier-test.onnx (${model.length} bytes) to ${outDir}`)
@@ -0,0 +1,79 @@
+// Local stand-in for the Open-Meteo archive API (GET /v1/archive, daily variables only)
+// Usage: node tests/fixtures/open-meteo-archive-server.js [port]
+//        OPEN_METEO_ARCHIVE_URL=http://localhost:8787/v1 npm run dev
+//
+// Serves a deterministic synthetic monsoon climate: ~900 mm/year, most of it June-September,
+// with pre-monsoon heat (Tmax above 35°C around May-June). Every year repeats the same pattern
+// apart from a small year-to-year wobble, except droughtYear (default 2024) which gets 40% of
+// normal rain and runs 4°C hotter - use it to exercise deficit and heat-day anomalies.
+
+import http from 'http'
+import { fileURLToPath } from 'url'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+// Normal rainfall (mm) per calendar month
+const MONTHLY_RAIN_MM = [10, 12, 15, 20, 35, 150, 280, 250, 170, 60, 15, 8]
+
+const round = value => Math.round(value * 10) / 10
+
+function syntheticDay(date, droughtYear) {
+  const time = new Date(`${date}T00:00:00Z`)
+  const year = time.getUTCFullYear()
+  const month = time.getUTCMonth()
+  const dayOfMonth = time.getUTCDate()
+  const dayOfYear = Math.floor((time - Date.UTC(year, 0, 1)) / DAY_MS) + 1
+  const drought = year === droughtYear
+
+  const wobble = 1 + 0.1 * Math.sin(year * 1.7) // +/-10% between ordinary years
+  const rainDays = Math.ceil(new Date(Date.UTC(year, month + 1, 0)).getUTCDate() / 3)
+  const rain = dayOfMonth % 3 === 1 ? MONTHLY_RAIN_MM[month] / rainDays * wobble * (drought ? 0.4 : 1) : 0
+
+  const tmax = 29 + 7 * Math.sin(2 * Math.PI * (dayOfYear - 60) / 365) + ((dayOfYear * 7 + year) % 5 - 2) * 0.5 + (drought ? 4 : 0)
+  const tmin = tmax - 11
+
+  return { tmax: round(tmax), tmin: round(tmin), tmean: round((tmax + tmin) / 2), rain: round(rain), wind: round(3 + (dayOfYear % 4)) }
+}
+
+export function createArchiveFixtureServer({ droughtYear = 2024 } = {}) {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost')
+    const reply = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify(body))
+    }
+
+    if (url.pathname !== '/v1/archive') return reply(404, { error: true, reason: 'Not found' })
+    const start = url.searchParams.get('start_date')
+    const end = url.searchParams.get('end_date')
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(start || '') || !/^\d{4}-\d{2}-\d{2}$/.test(end || '') || start > end) {
+      return reply(400, { error: true, reason: 'start_date and end_date must be YYYY-MM-DD with start <= end' })
+    }
+
+    const daily = { time: [], temperature_2m_max: [], temperature_2m_min: [], temperature_2m_mean: [], precipitation_sum: [], wind_speed_10m_max: [] }
+    for (let t = Date.parse(start); t <= Date.parse(end); t += DAY_MS) {
+      const date = new Date(t).toISOString().slice(0, 10)
+      const day = syntheticDay(date, droughtYear)
+      daily.time.push(date)
+      daily.temperature_2m_max.push(day.tmax)
+      daily.temperature_2m_min.push(day.tmin)
+      daily.temperature_2m_mean.push(day.tmean)
+      daily.precipitation_sum.push(day.rain)
+      daily.wind_speed_10m_max.push(day.wind)
+    }
+
+    reply(200, {
+      latitude: Number(url.searchParams.get('latitude')),
+      longitude: Number(url.searchParams.get('longitude')),
+      timezone: 'GMT',
+      daily_units: { time: 'iso8601', temperature_2m_max: '°C', temperature_2m_min: '°C', temperature_2m_mean: '°C', precipitation_sum: 'mm', wind_speed_10m_max: 'km/h' },
+      daily
+    })
+  })
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.argv[2]) || 8787
+  createArchiveFixtureServer().listen(port, () => {
+    console.log(`🌦️ Open-Meteo archive fixture on http://localhost:${port}/v1 (set OPEN_METEO_ARCHIVE_URL to this)`)
+  })
+}
@@ -0,0 +1,52 @@
+// Test: route policies applied by withApi: public station ingestion, staff-only registration, job listing, request ids
+// Usage: node tests/test-api-policies.js
+
+import assert from 'assert'
+import { NextResponse } from 'next/server.js'
+import { withApi } from '../lib/apiHandler.js'
+import { authService } from '../lib/authService.js'
+
+process.env.API_KEY_SECRET = 'test-api-key-secret-0123456789'
+process.env.SUPABASE_JWT_SECRET = 'test-jwt-secret-0123456789'
+delete process.env.AUTH_ENABLED
+
+// Echoes what withApi passed through to the route
+const echo = route => withApi(route, async (request, { principal }) => NextResponse.json({
+  principal: principal && { id: principal.id, role: principal.role },
+  authorization: request.headers.get('authorization')
+}))
+
+const post = (headers = {}) => new Request('http://localhost/api/test', { method: 'POST', headers: { 'content-type': 'application/json', ...headers }, body: '{}' })
+
+async function main() {
+  // Stations send their ingest token as a Bearer token; it must reach the route unverified
+  const ingest = await echo('/api/stations/[id]/readings')(post({ authorization: 'Bearer stn_3f2a9c1d0b7e' }))
+  assert.strictEqual(ingest.status, 200)
+  assert.deepStrictEqual(await ingest.json(), { principal: null, authorization: 'Bearer stn_3f2a9c1d0b7e' })
+  assert.ok(ingest.headers.get('x-request-id'))
+  assert.ok(ingest.headers.get('x-ratelimit-limit'), 'still rate limited')
+  console.log('✅ Station readings reach the route with the ingest token')
+
+  const register = echo('/api/stations')
+  const officer = authService.issueApiKey({ subject: 'officer-wardha', role: 'extension-officer', district: 'Wardha' })
+  const farmer = authService.issueApiKey({ subject: 'farmer-1', role: 'farmer', farmerId: 'farmer_a1' })
+  const registered = await register(post({ 'x-api-key': officer.key }))
+  assert.strictEqual(registered.status, 200)
+  assert.deepStrictEqual((await registered.json()).principal, { id: 'officer-wardha', role: 'extension-officer' })
+  const refused = await register(post({ 'x-api-key': farmer.key }))
+  assert.strictEqual(refused.status, 403)
+  assert.strictEqual((await refused.json()).success, false)
+  assert.strictEqual((await register(post({ authorization: 'Bearer stn_3f2a9c1d0b7e' }))).status, 401, 'an ingest token is no user credential')
+  assert.strictEqual((await register(post())).status, 401, 'no anonymous fallback on staff routes')
+  console.log('✅ Station registration is for extension officers and admins')
+
+  const jobs = echo('/api/pipeline/jobs')
+  assert.strictEqual((await jobs(new Request('http://localhost/api/pipeline/jobs'))).status, 401, 'anonymous callers cannot list jobs')
+  assert.strictEqual((await jobs(new Request('http://localhost/api/pipeline/jobs', { headers: { 'x-api-key': farmer.key } }))).status, 200)
+  console.log('✅ Listing pipeline jobs needs credentials')
+}
+
+main().catch(e => {
+  console.error('❌ Test failed:', e.message)
+  process.exitCode = 1
+})
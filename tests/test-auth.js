@@ -0,0 +1,124 @@
+// Test: API keys and Supabase JWTs, role policies, district scoping and the anonymous rollout mode
+// Usage: node tests/test-auth.js
+
+import assert from 'assert'
+import crypto from 'crypto'
+import { authService } from '../lib/authService.js'
+
+process.env.API_KEY_SECRET = 'test-api-key-secret-0123456789'
+process.env.SUPABASE_JWT_SECRET = 'test-jwt-secret-0123456789'
+process.env.API_KEY_REVOKED_IDS = ''
+delete process.env.AUTH_ENABLED
+
+const request = (headers = {}) => new Request('http://localhost/api/test', { headers })
+
+// HS256 token as issued by Supabase Auth
+function supabaseJwt(claims, secret = process.env.SUPABASE_JWT_SECRET) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url')
+  const body = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`
+  return `${body}.${crypto.createHmac('sha256', secret).update(body).digest('base64url')}`
+}
+
+const status = fn => {
+  try {
+    fn()
+    return 200
+  } catch (error) {
+    return error.status
+  }
+}
+
+async function main() {
+  const officer = authService.issueApiKey({ subject: 'officer-wardha', role: 'extension-officer', district: 'Wardha', expiresInDays: 30 })
+  const principal = authService.authenticate(request({ 'x-api-key': officer.key }))
+  assert.deepStrictEqual(
+    { id: principal.id, role: principal.role, district: principal.district, method: principal.method },
+    { id: 'officer-wardha', role: 'extension-officer', district: 'Wardha', method: 'api_key' }
+  )
+  assert.strictEqual(authService.authenticate(request({ authorization: `Bearer ${officer.key}` })).id, 'officer-wardha')
+
+  // Tampered claims, another secret, expiry and revocation are all rejected
+  const signature = officer.key.split('.')[1]
+  const forged = Buffer.from(JSON.stringify({ ...officer.claims, role: 'admin' })).toString('base64url')
+  assert.strictEqual(status(() => authService.verifyApiKey(`pak_${forged}.${signature}`)), 401)
+  assert.strictEqual(status(() => authService.verifyApiKey(officer.key.slice('pak_'.length))), 401)
+  const expired = authService.issueApiKey({ subject: 'old', role: 'admin', expiresInDays: -1 })
+  assert.throws(() => authService.verifyApiKey(expired.key), /expired/)
+  process.env.API_KEY_REVOKED_IDS = officer.keyId
+  assert.throws(() => authService.verifyApiKey(officer.key), /revoked/)
+  process.env.API_KEY_REVOKED_IDS = ''
+  assert.throws(() => authService.issueApiKey({ subject: 'x', role: 'extension-officer' }), /district is required/)
+  console.log('✅ Signed API keys: verified, forged, expired and revoked keys')
+
+  const exp = Math.floor(Date.now() / 1000) + 3600
+  const farmerToken = supabaseJwt({ sub: 'user-1', exp, app_metadata: { role: 'farmer', farmer_id: 'farmer_a1' } })
+  assert.deepStrictEqual(authService.verifySupabaseJwt(farmerToken), { id: 'user-1', role: 'farmer', district: null, farmerId: 'farmer_a1', method: 'jwt' })
+  assert.strictEqual(status(() => authService.verifySupabaseJwt(supabaseJwt({ sub: 'user-1', exp }, 'other-secret'))), 401)
+  assert.throws(() => authService.verifySupabaseJwt(supabaseJwt({ sub: 'user-1', exp: exp - 7200, app_metadata: { role: 'admin' } })), /expired/)
+  assert.strictEqual(status(() => authService.verifySupabaseJwt(supabaseJwt({ sub: 'user-2', exp, role: 'authenticated' }))), 403, 'signed in but no app role')
+  assert.strictEqual(status(() => authService.verifySupabaseJwt(supabaseJwt({ sub: 'user-3', exp, app_metadata: { role: 'extension-officer' } }))), 403, 'officer without a district')
+  assert.strictEqual(authService.verifySupabaseJwt(supabaseJwt({ sub: 'user-3', exp, app_metadata: { role: 'extension-officer', district: 'Wardha' } })).district, 'Wardha')
+  console.log('✅ Supabase JWTs: role, district and farmer id from app_metadata')
+
+  // Policies: roles per route, admin-only routes always need credentials
+  const admin = authService.issueApiKey({ subject: 'ops', role: 'admin' })
+  assert.strictEqual(status(() => authService.authorize(request({ 'x-api-key': officer.key }), { roles: ['extension-officer', 'admin'] })), 200)
+  assert.strictEqual(status(() => authService.authorize(request({ authorization: `Bearer ${farmerToken}` }), { roles: ['extension-officer', 'admin'] })), 403)
+  assert.strictEqual(status(() => authService.authorize(request({ 'x-api-key': officer.key }), { adminOnly: true })), 403)
+  assert.strictEqual(status(() => authService.authorize(request({ 'x-api-key': admin.key }), { adminOnly: true })), 200)
+  assert.strictEqual(status(() => authService.authorize(request(), { adminOnly: true })), 401)
+
+  // Rollout: anonymous callers pass until AUTH_ENABLED=true, bad credentials never do
+  assert.ok(authService.authorize(request()).anonymous)
+  assert.strictEqual(status(() => authService.authorize(request(), { roles: ['extension-officer', 'admin'] })), 401, 'role-restricted routes are never anonymous')
+  assert.strictEqual(status(() => authService.authorize(request({ 'x-api-key': 'pak_not-a-real-key.signature' }))), 401)
+  process.env.AUTH_ENABLED = 'true'
+  assert.strictEqual(status(() => authService.authorize(request())), 401)
+  delete process.env.AUTH_ENABLED
+  console.log('✅ Route policies: roles, admin-only routes and the anonymous rollout mode for open routes')
+
+  // District scoping for farmer records
+  const wardhaFarmer = { id: 'farmer_a1', district: 'Wardha' }
+  const nagpurFarmer = { id: 'farmer_b2', district: 'Nagpur' }
+  const farmer = authService.verifySupabaseJwt(farmerToken)
+  assert.strictEqual(status(() => authService.assertFarmerAccess(principal, wardhaFarmer)), 200)
+  assert.strictEqual(status(() => authService.assertFarmerAccess(principal, nagpurFarmer)), 403)
+  assert.strictEqual(status(() => authService.assertFarmerAccess(farmer, wardhaFarmer)), 200)
+  assert.strictEqual(status(() => authService.assertFarmerAccess(farmer, { ...wardhaFarmer, id: 'farmer_c3' })), 403)
+  await authService.assertRecipientAccess(authService.verifyApiKey(admin.key), { phoneNumber: '+919876543210' })
+
+  // Pipeline notifications: the profile decides for registered farmers, otherwise the supplied number
+  authService.farmerService = {
+    findByContact: async ({ phoneNumber }) => (phoneNumber === '+919876543210' ? nagpurFarmer : null),
+    getFarmer: async id => [wardhaFarmer, nagpurFarmer].find(f => f.id === id) || null
+  }
+  const notifyStatus = input => authService.assertNotificationAccess(principal, input).then(() => 200, error => error.status)
+  assert.strictEqual(await notifyStatus({ profile: wardhaFarmer, phoneNumber: '+919876543210' }), 200)
+  assert.strictEqual(await notifyStatus({ profile: nagpurFarmer }), 403)
+  assert.strictEqual(await notifyStatus({ phoneNumber: '+919876543210' }), 403, 'registered outside the district')
+  assert.strictEqual(await notifyStatus({ phoneNumber: '+15550000000' }), 403, 'not a registered farmer')
+  assert.strictEqual(await notifyStatus({}), 200, 'nobody to text')
+
+  // Nested farmer routes (fields) load the farmer named in the URL first
+  const fieldsStatus = (caller, id) => authService.assertFarmerIdAccess(caller, id).then(() => 200, error => error.status)
+  assert.strictEqual(await fieldsStatus(principal, 'farmer_a1'), 200)
+  assert.strictEqual(await fieldsStatus(principal, 'farmer_b2'), 403)
+  assert.strictEqual(await fieldsStatus(farmer, 'farmer_b2'), 403, 'another farmer\'s fields')
+  assert.strictEqual(await fieldsStatus(principal, 'farmer_zz'), 404)
+
+  // Pipeline jobs: the submitter, or whoever may reach the job's farmer
+  const job = { jobId: 'job_1', farmerId: 'farmer_b2', farmerDistrict: 'Nagpur', submittedBy: 'officer-wardha' }
+  const jobStatus = (caller, target) => status(() => authService.assertJobAccess(caller, target))
+  assert.strictEqual(jobStatus(principal, job), 200, 'submitted it')
+  assert.strictEqual(jobStatus(farmer, job), 403)
+  assert.strictEqual(jobStatus(farmer, { ...job, farmerId: 'farmer_a1', submittedBy: null }), 200, 'a job about themselves')
+  assert.strictEqual(jobStatus(principal, { ...job, submittedBy: 'someone-else' }), 403, 'farmer outside the district')
+  assert.strictEqual(jobStatus(farmer, { jobId: 'job_2', farmerId: null, submittedBy: null }), 403, 'no farmer and not theirs')
+  assert.strictEqual(jobStatus(authService.verifyApiKey(admin.key), job), 200)
+  console.log('✅ Officers reach their district, farmers themselves, admins everyone')
+}
+
+main().catch(e => {
+  console.error('❌ Test failed:', e.message)
+  process.exitCode = 1
+})
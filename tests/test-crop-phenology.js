@@ -0,0 +1,86 @@
+// Test: GDD accumulation, growth-stage boundaries, sowing windows and stage estimates with and without temperatures
+// Usage: node tests/test-crop-phenology.js
+
+import assert from 'assert'
+import {
+  cropPhenologyService,
+  normalizeCropName,
+  calculateDailyGDD,
+  accumulateGDD,
+  findStage,
+  getSowingWindow,
+  CROP_PHENOLOGY,
+  PHASE_ADVICE
+} from '../lib/cropPhenologyService.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+async function main() {
+  // Wheat: base 5 °C, upper 30 °C
+  assert.strictEqual(calculateDailyGDD(25, 11, 5, 30), 13)
+  assert.strictEqual(calculateDailyGDD(36, 20, 5, 30), 20, 'tmax capped at the upper threshold')
+  assert.strictEqual(calculateDailyGDD(8, -2, 5, 30), 1.5, 'tmin raised to the base')
+  assert.strictEqual(calculateDailyGDD(4, -3, 5, 30), 0)
+
+  const thermal = accumulateGDD([{ tmax: 25, tmin: 11 }, { tmax: 27, tmin: 13 }, { tmax: null, tmin: 12 }], 'Wheat')
+  assert.deepStrictEqual(thermal, { gdd: 42, meanDailyGDD: 14, observedDays: 2, missingDays: 1 })
+  console.log('✅ Daily GDD clamps to base/upper temperatures; missing days use the observed mean')
+
+  // Stage thresholds are where a stage ends: Wheat emergence runs to 150 GDD, tillering to 550
+  assert.strictEqual(findStage('Wheat', 0).stage.key, 'emergence')
+  assert.strictEqual(findStage('Wheat', 149).stage.key, 'emergence')
+  const tillering = findStage('Wheat', 150)
+  assert.deepStrictEqual([tillering.stage.key, tillering.index, tillering.nextStage.key, tillering.stageStart], ['tillering', 1, 'jointing', 150])
+  assert.strictEqual(findStage('Wheat', 849).stage.phase, 'vegetative')
+  assert.strictEqual(findStage('Wheat', 850).stage.phase, 'flowering')
+  const done = findStage('Wheat', 1750)
+  assert.deepStrictEqual([done.stage.key, done.harvestReady, done.nextStage, done.stageStart], ['maturity', true, null, 1550])
+  assert.strictEqual(findStage('Rice', 54, 'calendar').stage.key, 'tillering')
+  assert.strictEqual(findStage('Rice', 55, 'calendar').stage.key, 'panicle_initiation')
+  console.log('✅ Stage boundaries by GDD and by days after sowing')
+
+  for (const [crop, { stages }] of Object.entries(CROP_PHENOLOGY)) {
+    stages.forEach((stage, i) => {
+      assert.ok(PHASE_ADVICE[stage.phase], `${crop} ${stage.key} has advice`)
+      if (i > 0) assert.ok(stage.gdd > stages[i - 1].gdd && stage.days > stages[i - 1].days, `${crop} thresholds increase`)
+    })
+  }
+  console.log('✅ Every crop\'s thresholds increase and map to advice')
+
+  assert.strictEqual(normalizeCropName(' paddy '), 'Rice')
+  assert.strictEqual(normalizeCropName('WHEAT'), 'Wheat')
+  assert.strictEqual(normalizeCropName('quinoa'), null)
+  assert.deepStrictEqual(getSowingWindow('chana', new Date(2026, 10, 5)), { crop: 'Chickpea', inSowingWindow: true, sowingMonths: ['Oct', 'Nov'] })
+  assert.strictEqual(getSowingWindow('Chickpea', new Date(2026, 4, 5)).inSowingWindow, false)
+  console.log('✅ Crop aliases and sowing windows')
+
+  // 20 days of 25/11 °C (13 GDD/day) after sowing wheat: 260 GDD, tillering
+  const asOf = new Date('2026-12-21T00:00:00Z')
+  cropPhenologyService.weatherService = {
+    getDaily: async () => ({ days: Array.from({ length: 20 }, () => ({ tmax: 25, tmin: 11 })) })
+  }
+  const estimate = await cropPhenologyService.estimateStage({ crop: 'wheat', sowingDate: '2026-12-01', lat: 21.1, lon: 79.1, asOf })
+  assert.strictEqual(estimate.method, 'gdd')
+  assert.strictEqual(estimate.accumulatedGDD, 260)
+  assert.strictEqual(estimate.daysAfterSowing, 20)
+  assert.deepStrictEqual(estimate.stage, { key: 'tillering', name: 'Crown root initiation & tillering', phase: 'vegetative', index: 1, progress: 28 })
+  assert.strictEqual(estimate.daysToNextStage, 23, '290 GDD to go at 13/day')
+  const forecast = await cropPhenologyService.estimateStage({ crop: 'Wheat', sowingDate: '2026-12-01', asOf, forecastDays: [{ tmax: 30, tmin: 20 }] })
+  assert.strictEqual(forecast.daysToNextStage, 15, 'forecast rate (20/day) wins over the season average')
+  console.log('✅ Stage estimate from temperatures since sowing')
+
+  cropPhenologyService.weatherService = { getDaily: async () => { throw new Error('offline') } }
+  const calendar = await cropPhenologyService.estimateStage({ crop: 'Rice', sowingDate: new Date(asOf - 60 * DAY_MS).toISOString(), asOf })
+  assert.strictEqual(calendar.method, 'calendar')
+  assert.strictEqual(calendar.stage.key, 'panicle_initiation')
+  assert.strictEqual(calendar.daysToNextStage, 15)
+  assert.ok(calendar.note)
+  await assert.rejects(cropPhenologyService.estimateStage({ crop: 'Rice', sowingDate: '2027-01-01', asOf }), /in the future/)
+  await assert.rejects(cropPhenologyService.estimateStage({ crop: 'Quinoa', sowingDate: '2026-06-01', asOf }), /No phenology data/)
+  console.log('✅ Falls back to the crop calendar when temperatures are unavailable')
+}
+
+main().catch(e => {
+  console.error('❌ Test failed:', e.message)
+  process.exitCode = 1
+})
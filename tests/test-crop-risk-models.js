@@ -0,0 +1,106 @@
+// Test: leaf wetness, late blight Smith periods, rice blast, wheat rust, bollworm degree-days and risk alerts
+// Usage: node tests/test-crop-risk-models.js
+
+import assert from 'assert'
+import { cropRiskModelService, isLeafWetHour, summarizeDays, RISK_MODELS } from '../lib/cropRiskModelService.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// 24 hourly records for a date; wetFrom..wetTo (local hours) are humid at 95%, the rest at 60%
+function dayOfHours(date, { temperature, wetFrom = 0, wetTo = -1, rainAt = null }) {
+  return Array.from({ length: 24 }, (_, hour) => ({
+    time: `${date}T${String(hour).padStart(2, '0')}:00`,
+    temperature: typeof temperature === 'function' ? temperature(hour) : temperature,
+    humidity: hour >= wetFrom && hour <= wetTo ? 95 : 60,
+    precipitation: hour === rainAt ? 2.5 : 0
+  }))
+}
+
+const dateAfter = (days, from = new Date()) => new Date(from.getTime() + days * DAY_MS).toISOString().slice(0, 10)
+
+async function main() {
+  assert.ok(isLeafWetHour({ humidity: 90, precipitation: 0 }))
+  assert.ok(isLeafWetHour({ humidity: 70, precipitation: 0.2 }))
+  assert.strictEqual(isLeafWetHour({ humidity: 89, precipitation: 0 }), false)
+
+  const [summary] = summarizeDays([
+    ...dayOfHours('2026-08-01', { temperature: hour => 18 + hour / 2, wetFrom: 0, wetTo: 5, rainAt: 14 }),
+    { time: '2026-08-01T23:30', temperature: null, humidity: 99, precipitation: 0 }
+  ])
+  assert.deepStrictEqual(
+    [summary.observedHours, summary.tmin, summary.tmax, summary.tmean, summary.humidHours, summary.wetHours, summary.rainMm],
+    [24, 18, 29.5, 23.8, 6, 7, 2.5]
+  )
+  console.log('✅ Hourly records summarized per day with leaf-wet hours')
+
+  // Late blight: a Hutton day alone is Medium; two Smith days in a row make a Smith period
+  const blight = RISK_MODELS.lateBlight.evaluate(summarizeDays([
+    ...dayOfHours('2026-01-10', { temperature: 12, wetFrom: 0, wetTo: 6 }),
+    ...dayOfHours('2026-01-11', { temperature: 12, wetFrom: 0, wetTo: 11 }),
+    ...dayOfHours('2026-01-12', { temperature: 12, wetFrom: 0, wetTo: 11 }),
+    ...dayOfHours('2026-01-13', { temperature: 8, wetFrom: 0, wetTo: 23 })
+  ]))
+  assert.deepStrictEqual(blight.map(day => [day.risk, day.smithPeriod]), [['Medium', false], ['Medium', false], ['High', true], ['Low', false]])
+
+  const blast = RISK_MODELS.riceBlast.evaluate(summarizeDays([
+    ...dayOfHours('2026-08-01', { temperature: 25, wetFrom: 0, wetTo: 9 }),
+    ...dayOfHours('2026-08-02', { temperature: 25, wetFrom: 0, wetTo: 5 }),
+    ...dayOfHours('2026-08-03', { temperature: 31, wetFrom: 0, wetTo: 23 })
+  ]))
+  assert.deepStrictEqual(blast.map(day => [day.risk, day.favourableWetHours]), [['High', 10], ['Medium', 6], ['Low', 0]])
+
+  const rust = RISK_MODELS.wheatRust.evaluate(summarizeDays([
+    ...dayOfHours('2026-01-05', { temperature: 10, wetFrom: 0, wetTo: 7 }),
+    ...dayOfHours('2026-01-06', { temperature: 20, wetFrom: 0, wetTo: 4 }),
+    ...dayOfHours('2026-01-07', { temperature: 20 })
+  ]))
+  assert.deepStrictEqual(rust.map(day => [day.risk, day.dominant]), [['High', 'Yellow rust'], ['Medium', 'Brown rust'], ['Low', null]])
+  console.log('✅ Disease models: Smith periods, blast and rust temperature bands')
+
+  // Bollworm: 27 °C all day is 16 DD/day, 112 a week; 21 °C is 10 DD/day
+  const bollworm = RISK_MODELS.cottonBollworm.evaluate(summarizeDays(
+    Array.from({ length: 8 }, (_, i) => dayOfHours(dateAfter(i, new Date('2026-08-01')), { temperature: i < 7 ? 27 : 40 })).flat()
+  ))
+  assert.strictEqual(bollworm[0].degreeDays, 16)
+  assert.strictEqual(bollworm[6].weeklyDegreeDays, 112)
+  assert.strictEqual(bollworm[6].risk, 'High')
+  assert.strictEqual(bollworm[6].projectedGenerationDays, 31)
+  assert.strictEqual(bollworm[7].degreeDays, 23, 'hours above 34 °C are cut off')
+  const cool = RISK_MODELS.cottonBollworm.evaluate(summarizeDays(dayOfHours('2026-12-01', { temperature: 21 })))
+  assert.deepStrictEqual([cool[0].degreeDays, cool[0].weeklyDegreeDays, cool[0].risk], [10, 70, 'Medium'])
+  console.log('✅ Bollworm hourly degree-days with the upper cutoff')
+
+  // Assessment over history and forecast: a Smith period two days from now
+  const today = dateAfter(0)
+  cropRiskModelService.weatherService = {
+    getHourly: async () => ({
+      provider: 'fixture',
+      utcOffsetSeconds: 0,
+      hours: [-1, 0, 1, 2, 3].flatMap(offset =>
+        dayOfHours(dateAfter(offset), offset >= 1 && offset <= 2 ? { temperature: 14, wetFrom: 0, wetTo: 12 } : { temperature: 14 }))
+    })
+  }
+  assert.deepStrictEqual(cropRiskModelService.modelsForCrop('potato'), [['lateBlight', 'Potato']])
+  const assessment = await cropRiskModelService.assess({ lat: 30.9, lon: 75.8, crop: 'Potato' })
+  const [model] = assessment.models
+  assert.strictEqual(assessment.window.today, today)
+  assert.strictEqual(model.currentRisk, 'Low')
+  assert.deepStrictEqual(model.peak, { date: dateAfter(2), risk: 'High' })
+  assert.strictEqual(model.nextHighRiskDate, dateAfter(2))
+  assert.deepStrictEqual(model.curve.map(point => point.forecast), [false, false, true, true, true])
+
+  const [{ recommendation, ...alert }] = cropRiskModelService.buildAlerts(assessment, { region: 'Punjab' })
+  assert.deepStrictEqual(alert, { type: 'disease', severity: 'high', region: 'Punjab', crop: 'Potato', model: 'lateBlight', date: dateAfter(2) })
+  assert.ok(recommendation.startsWith('Late blight High risk from'))
+  assert.deepStrictEqual(cropRiskModelService.buildAlerts(assessment, { withinDays: 1 }), [], 'outside the alert horizon')
+
+  const unmodelled = await cropRiskModelService.assess({ lat: 30.9, lon: 75.8, crop: 'Onion' })
+  assert.deepStrictEqual(unmodelled.models, [])
+  assert.ok(unmodelled.note.startsWith('No risk models for crop: Onion'))
+  console.log('✅ Risk curve, peak and alerts for the days ahead')
+}
+
+main().catch(e => {
+  console.error('❌ Test failed:', e.message)
+  process.exitCode = 1
+})
@@ -0,0 +1,78 @@
+// Test: provenance tagging, combining (weakest source wins), cache marking, data-quality summaries and the SMS they gate
+// Usage: node tests/test-data-provenance.js
+
+import assert from 'assert'
+import {
+  DATA_SOURCES,
+  createProvenance,
+  isFallbackValue,
+  confidenceLevel,
+  attachProvenance,
+  getProvenance,
+  combineProvenance,
+  markAsCached,
+  summarizeDataQuality
+} from '../lib/dataProvenance.js'
+import { enhancedAutomatedPipeline } from '../lib/enhancedAutomatedPipeline.js'
+
+async function main() {
+  const live = createProvenance({ provider: 'Open-Meteo', fetchedAt: '2026-10-19T06:00:00.000Z' })
+  const fallback = createProvenance({ source: DATA_SOURCES.FALLBACK, provider: 'ImageProcessingService', fetchedAt: '2026-10-19T05:00:00.000Z', note: 'timeout' })
+  assert.deepStrictEqual(live, { source: 'live', provider: 'Open-Meteo', fetchedAt: '2026-10-19T06:00:00.000Z', confidence: 'high' })
+  assert.strictEqual(fallback.confidence, 'low', 'fallbacks default to low confidence')
+  assert.strictEqual(fallback.note, 'timeout')
+  assert.deepStrictEqual([0.9, 0.7, 0.5, 0.1, undefined].map(confidenceLevel), ['high', 'high', 'medium', 'low', 'medium'])
+  console.log('✅ Provenance defaults and confidence levels')
+
+  assert.ok(isFallbackValue({ source: 'Location-Based Fallback Data' }))
+  assert.ok(isFallbackValue({ isFallbackData: true }))
+  assert.ok(isFallbackValue({ quality: 'low' }))
+  assert.strictEqual(isFallbackValue({ source: 'NASA POWER', quality: 'high' }), false)
+  assert.strictEqual(attachProvenance([1, 2], live).provenance, undefined, 'arrays are left alone')
+  assert.strictEqual(getProvenance(attachProvenance({ tempC: 31 }, live)), live)
+  assert.strictEqual(getProvenance(null), null)
+  console.log('✅ Services\' own fallback markers are recognised')
+
+  const cached = createProvenance({ source: DATA_SOURCES.CACHE, provider: 'GEE', confidence: 'medium', fetchedAt: '2026-10-18T00:00:00.000Z' })
+  assert.deepStrictEqual(combineProvenance([live, cached, null], 'insights'), {
+    source: 'cache',
+    provider: 'insights',
+    fetchedAt: '2026-10-18T00:00:00.000Z',
+    confidence: 'medium',
+    derivedFrom: ['Open-Meteo', 'GEE'],
+    basedOnFallback: false
+  })
+  assert.strictEqual(combineProvenance([live, cached, fallback]).basedOnFallback, true)
+  assert.strictEqual(combineProvenance([null]), null)
+  console.log('✅ Combined provenance keeps the weakest source, lowest confidence and oldest fetch')
+
+  const result = { weather: { tempC: 31, provenance: live }, images: [{ provenance: fallback }] }
+  const replayed = markAsCached(result, '2026-10-19T07:00:00.000Z')
+  assert.deepStrictEqual(replayed.weather.provenance, { ...live, source: 'cache', cachedAt: '2026-10-19T07:00:00.000Z' })
+  assert.deepStrictEqual(replayed.images[0].provenance, fallback, 'fallbacks stay fallbacks')
+  assert.strictEqual(result.weather.provenance.source, 'live', 'the original is not modified')
+  console.log('✅ Cached results mark live inputs as cache')
+
+  const quality = summarizeDataQuality({ weather: live, images: fallback, environmental: null }, ['weather', 'images'])
+  assert.deepStrictEqual(quality.syntheticInputs, ['images'])
+  assert.deepStrictEqual(quality.syntheticKeyInputs, ['images'])
+  assert.strictEqual(quality.usesFallbackData, true)
+  assert.strictEqual(quality.allKeyInputsSynthetic, false)
+  assert.strictEqual(quality.overallConfidence, 'low')
+  assert.strictEqual(summarizeDataQuality({ images: fallback }, ['weather', 'images']).allKeyInputsSynthetic, true)
+  assert.strictEqual(summarizeDataQuality({}, ['weather']).overallConfidence, 'low')
+  console.log('✅ Data quality flags synthetic key inputs')
+
+  // Figures derived from synthetic inputs are left out of the farmer SMS
+  const insights = { soilHealth: { overall: 'Good' }, yieldPotential: { overall: 'High' } }
+  const sms = quality => enhancedAutomatedPipeline.generateSMSMessage(insights, [], null, 'en', quality)
+  assert.ok(sms(null).includes('Yield Potential: High'))
+  const estimated = sms({ syntheticKeyInputs: ['environmental'] })
+  assert.ok(!estimated.includes('Soil Health') && !estimated.includes('Yield Potential'), estimated)
+  console.log('✅ SMS leaves out soil and yield figures built on synthetic environmental data')
+}
+
+main().catch(e => {
+  console.error('❌ Test failed:', e.message)
+  process.exitCode = 1
+})
@@ -0,0 +1,58 @@
+// Test: Local ONNX disease classification with the bundled colour fixture model, then heuristic fallback
+// Usage: node tests/test-disease-classifier.js
+// Regenerate the fixture with: node tests/fixtures/build-disease-test-model.js
+
+import assert from 'assert'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import sharp from 'sharp'
+
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures')
+process.env.DISEASE_MODEL_PATH = path.join(fixtures, 'disease-classifier-test.onnx')
+
+const { imageProcessingService } = await import('../lib/imageProcessingService.js')
+const { diseaseClassifier } = await import('../lib/diseaseClassifier.js')
+
+const solidImage = ([r, g, b]) => sharp({
+  create: { width: 64, height: 64, channels: 3, background: { r, g, b } }
+}).png().toBuffer()
+
+const cases = [
+  { name: 'green canopy', colour: [50, 140, 40], label: 'healthy' },
+  { name: 'brown leaf', colour: [140, 77, 25], label: 'leaf_blight' },
+  { name: 'yellow leaf', colour: [204, 190, 50], label: 'chlorosis' }
+]
+
+async function main() {
+  try {
+    const status = await diseaseClassifier.getStatus()
+    assert.strictEqual(status.available, true, `fixture model should load: ${status.reason}`)
+    assert.strictEqual(status.modelVersion, 'test-colour-1.0.0')
+    console.log('✅ Model loaded:', status.modelVersion, status.labels.join(', '))
+
+    for (const testCase of cases) {
+      const image = await solidImage(testCase.colour)
+      const { data } = await imageProcessingService.analyzeAgriculturalImage(image, 'disease-detection')
+      const results = data.results
+
+      assert.strictEqual(results.classifier.source, 'onnx')
+      assert.strictEqual(results.topDiagnosis, testCase.label, `${testCase.name} → ${results.topDiagnosis}`)
+      assert.strictEqual(results.predictions.length, 3)
+      const total = results.predictions.reduce((sum, p) => sum + p.probability, 0)
+      assert.ok(Math.abs(total - 1) < 0.001, 'probabilities should sum to 1')
+      console.log(`✅ ${testCase.name}: ${results.predictions.map(p => `${p.label}=${p.probability}`).join(' ')}`)
+    }
+
+    // No model at the configured path: heuristic lesion analysis takes over
+    process.env.DISEASE_MODEL_PATH = path.join(fixtures, 'missing-model.onnx')
+    const { data } = await imageProcessingService.analyzeAgriculturalImage(await solidImage([50, 140, 40]), 'disease-detection')
+    assert.strictEqual(data.results.classifier.source, 'heuristic')
+    assert.strictEqual(data.results.predictions, undefined)
+    console.log('✅ Fallback without model:', data.results.summary)
+  } catch (e) {
+    console.error('❌ Test failed:', e.message)
+    process.exit(1)
+  }
+}
+
+main()
@@ -0,0 +1,79 @@
+// Test: Farmer profile validation, quiet hours and SMS consent gating in the pipeline
+// Usage: node tests/test-farmers.js
+
+import assert from 'assert'
+import { farmerService, isWithinQuietHours, smsBlockReason } from '../lib/farmerService.js'
+import { enhancedAutomatedPipeline } from '../lib/enhancedAutomatedPipeline.js'
+
+const evening = new Date('2026-10-19T17:00:00Z') // 22:30 in Kolkata
+const noon = new Date('2026-10-19T06:30:00Z') // 12:00 in Kolkata
+
+async function main() {
+  // Defaults fill in language, timezone, channels and (withheld) consent
+  const created = farmerService.validateFarmer({ name: ' Sunita Pawar ', phoneNumber: '+919876543210', crops: ['Cotton', 'Soybean'] })
+  assert.ok(created.valid, created.errors.join('; '))
+  assert.deepStrictEqual(created.farmer, {
+    name: 'Sunita Pawar',
+    phoneNumber: '+919876543210',
+    language: 'hi',
+    timezone: 'Asia/Kolkata',
+    notificationChannels: ['sms'],
+    smsConsent: false,
+    crops: ['Cotton', 'Soybean']
+  })
+
+  const invalid = farmerService.validateFarmer({
+    name: '',
+    phoneNumber: '9876543210',
+    language: 'fr',
+    timezone: 'Mars/Olympus',
+    notificationChannels: ['pager'],
+    quietHours: { start: '21:00', end: '21:00' },
+    smsConsent: 'yes',
+    crops: ['Cotton!']
+  })
+  assert.strictEqual(invalid.errors.length, 8, invalid.errors.join('; '))
+
+  const noPhone = farmerService.validateFarmer({ name: 'Ravi', notificationChannels: ['sms', 'email'] })
+  assert.deepStrictEqual(noPhone.errors, ['phoneNumber is required for SMS notifications', 'email is required for email notifications'])
+
+  const optOut = farmerService.validateFarmer({ smsConsent: false }, { partial: true })
+  assert.ok(optOut.valid, optOut.errors.join('; '))
+  assert.deepStrictEqual(optOut.farmer, { smsConsent: false })
+  assert.ok(farmerService.toRow(optOut.farmer).sms_consent_at, 'withdrawing consent is timestamped')
+  console.log('✅ Profiles validated; consent defaults to withheld and changes are timestamped')
+
+  // Quiet hours are local to the farmer and may span midnight
+  const night = { start: '21:00', end: '06:00' }
+  assert.ok(isWithinQuietHours(night, 'Asia/Kolkata', evening))
+  assert.ok(!isWithinQuietHours(night, 'Asia/Kolkata', noon))
+  assert.ok(!isWithinQuietHours(night, 'UTC', evening), '17:00 UTC is outside the same hours in London')
+  assert.ok(isWithinQuietHours({ start: '12:00', end: '14:00' }, 'Asia/Kolkata', noon))
+  assert.ok(!isWithinQuietHours(null, 'Asia/Kolkata', noon))
+  console.log('✅ Quiet hours: same-day and overnight spans in the farmer\'s timezone')
+
+  const farmer = { ...created.farmer, id: 'farmer_test', smsConsent: true, quietHours: night }
+  assert.strictEqual(smsBlockReason(farmer, noon), null)
+  assert.match(smsBlockReason(farmer, evening), /Quiet hours/)
+  assert.match(smsBlockReason({ ...farmer, smsConsent: false }, noon), /not consented/)
+  assert.match(smsBlockReason({ ...farmer, notificationChannels: ['voice'] }, noon), /notification channels/)
+  assert.match(smsBlockReason({ ...farmer, phoneNumber: null }, noon), /No phone number/)
+
+  // The pipeline never texts a farmer without consent, nor an unknown number
+  const withoutConsent = await enhancedAutomatedPipeline.sendSMSNotification({ farmerId: farmer.id, phoneNumber: farmer.phoneNumber, profile: { ...farmer, smsConsent: false } })
+  assert.deepStrictEqual(withoutConsent, { success: true, method: 'Skipped', reason: 'Farmer has not consented to SMS' })
+  const anonymous = await enhancedAutomatedPipeline.sendSMSNotification({ farmerId: 'farmer_unknown' })
+  assert.strictEqual(anonymous.reason, 'No phone number on record')
+
+  // A profile already loaded (batch runs) is not looked up again but still supplies the contact details
+  const resolved = await enhancedAutomatedPipeline.resolveFarmerProfile({ farmerId: farmer.id, profile: farmer, language: 'mr' })
+  assert.strictEqual(resolved.phoneNumber, '+919876543210')
+  assert.strictEqual(resolved.farmerName, 'Sunita Pawar')
+  assert.strictEqual(resolved.language, 'mr', 'an explicit language overrides the profile')
+  console.log('✅ SMS blocked without consent, phone, SMS channel or during quiet hours')
+}
+
+main().catch(e => {
+  console.error('❌ Test failed:', e.message)
+  process.exitCode = 1
+})
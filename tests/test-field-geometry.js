@@ -0,0 +1,64 @@
+// Test: field boundary validation, area, centroid and bounding box, and field payload validation
+// Usage: node tests/test-field-geometry.js
+
+import assert from 'assert'
+import { normalizeBoundary, calculateAreaHectares, calculateCentroid, calculateBoundingBox, describeFieldBoundary } from '../lib/fieldGeometry.js'
+import { farmFieldService } from '../lib/farmFieldService.js'
+
+const near = (actual, expected, tolerance, message) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: expected ${expected} ±${tolerance}, got ${actual}`)
+
+// 0.01° x 0.01° square near Nagpur, left open the way map widgets often send it
+const square = { type: 'Polygon', coordinates: [[[79.08, 21.1], [79.09, 21.1], [79.09, 21.11], [79.08, 21.11]]] }
+
+async function main() {
+  const polygon = normalizeBoundary({ type: 'Feature', properties: {}, geometry: square })
+  assert.strictEqual(polygon.coordinates[0].length, 5, 'open rings are closed')
+  assert.deepStrictEqual(polygon.coordinates[0][4], [79.08, 21.1])
+
+  const invalid = {
+    'not a polygon': { type: 'Point', coordinates: [79.08, 21.1] },
+    'out of range': { type: 'Polygon', coordinates: [[[79.08, 21.1], [190, 21.1], [79.09, 21.11]]] },
+    'too few points': { type: 'Polygon', coordinates: [[[79.08, 21.1], [79.09, 21.1]]] }
+  }
+  for (const [reason, boundary] of Object.entries(invalid)) {
+    assert.throws(() => normalizeBoundary(boundary), Error, reason)
+  }
+  console.log('✅ Boundaries are normalized to closed GeoJSON Polygons')
+
+  // Spherical area of a lat/lon rectangle: R² · Δλ · (sin φ2 − sin φ1) = 115.61 ha
+  near(calculateAreaHectares(polygon), 115.61, 0.01, 'square area')
+  const withHole = {
+    type: 'Polygon',
+    coordinates: [polygon.coordinates[0], [[79.084, 21.104], [79.086, 21.104], [79.086, 21.106], [79.084, 21.106], [79.084, 21.104]]]
+  }
+  near(calculateAreaHectares(withHole), 115.61 - 4.62, 0.02, 'holes are subtracted')
+  console.log('✅ Area in hectares, holes excluded')
+
+  assert.deepStrictEqual(calculateCentroid(polygon), { lat: 21.105, lon: 79.085 })
+  // An L shape's centroid sits toward its heavier arm
+  const lShape = normalizeBoundary({ type: 'Polygon', coordinates: [[[0, 0], [2, 0], [2, 1], [1, 1], [1, 2], [0, 2]]] })
+  assert.deepStrictEqual(calculateCentroid(lShape), { lat: 0.833333, lon: 0.833333 })
+  assert.deepStrictEqual(calculateBoundingBox(polygon), [79.08, 21.1, 79.09, 21.11])
+  console.log('✅ Centroid and bounding box')
+
+  const described = describeFieldBoundary(square)
+  assert.deepStrictEqual(Object.keys(described), ['boundary', 'areaHectares', 'centroid', 'boundingBox'])
+  assert.throws(() => describeFieldBoundary({ type: 'Polygon', coordinates: [[[79, 21], [79.1, 21], [79.2, 21]]] }), /encloses no area/)
+  assert.throws(() => describeFieldBoundary({ type: 'Polygon', coordinates: [[[78, 20], [80, 20], [80, 22], [78, 22]]] }), /not supported/)
+  console.log('✅ Degenerate and implausibly large fields are rejected')
+
+  const created = farmFieldService.validateField({ name: ' North plot ', boundary: square, crop: 'Cotton', sowingDate: '2026-06-20T00:00:00Z' })
+  assert.ok(created.valid, created.errors.join(', '))
+  assert.strictEqual(created.field.name, 'North plot')
+  assert.strictEqual(created.field.sowingDate, '2026-06-20')
+  assert.deepStrictEqual(farmFieldService.validateField({ sowingDate: 'soon' }).errors, ['name is required', 'Field boundary must be a GeoJSON Polygon', 'sowingDate must be an ISO date (YYYY-MM-DD)'])
+  const patch = farmFieldService.validateField({ crop: 'Soybean' }, { partial: true })
+  assert.deepStrictEqual(patch, { valid: true, errors: [], field: { crop: 'Soybean' } })
+  console.log('✅ Field payloads are validated, partially for updates')
+}
+
+main().catch(e => {
+  console.error('❌ Test failed:', e.message)
+  process.exitCode = 1
+})
@@ -0,0 +1,36 @@
+// Test: Harvest report parsing, unit normalisation and accuracy scoring (no database needed)
+// Usage: node tests/test-harvest-accuracy.js
+
+import assert from 'assert'
+import { parseHarvestReport, normalizeActualYield, computeAccuracy } from '../lib/harvestService.js'
+
+try {
+  assert.deepStrictEqual(parseHarvestReport('HARVEST 3F2A9C1D 18 quintal/acre'), { code: '3f2a9c1d', value: 18, unit: 'quintal/acre' })
+  assert.deepStrictEqual(parseHarvestReport('उपज 3f2a9c1d 85'), { code: '3f2a9c1d', value: 85, unit: 'percent' })
+  assert.strictEqual(parseHarvestReport('What is the weather like?'), null)
+  console.log('✅ SMS/voice reports parsed')
+
+  // 18 q/acre of wheat = 4.45 t/ha against a 5 t/ha attainable yield
+  const wheat = normalizeActualYield({ value: 18, unit: 'quintal per acre', crop: 'Wheat' })
+  assert.ok(Math.abs(wheat.tonnesPerHectare - 4.448) < 0.001)
+  assert.ok(Math.abs(wheat.fraction - 0.8896) < 0.001)
+  assert.strictEqual(normalizeActualYield({ value: 72, unit: '%', crop: 'Unknown Crop' }).fraction, 0.72)
+  assert.throws(() => normalizeActualYield({ value: 4, unit: 't/ha', crop: 'Dragonfruit' }), error => error.status === 400)
+  assert.throws(() => normalizeActualYield({ value: 4, unit: 'bushels', crop: 'Wheat' }), error => error.status === 400)
+  console.log('✅ Units normalised to fraction of attainable yield:', wheat.fraction.toFixed(4))
+
+  const report = computeAccuracy([
+    { predicted: 0.8, actual: 0.6, crop: 'Rice', region: 'Punjab', modelVersion: 'baseline-gbt-1.0.0' },
+    { predicted: 0.7, actual: 0.6, crop: 'Rice', region: 'Punjab', modelVersion: 'baseline-gbt-1.0.0' },
+    { predicted: 0.5, actual: 0.7, crop: 'Wheat', region: 'Haryana', modelVersion: 'fallback-ml' }
+  ])
+  assert.strictEqual(report.overall.count, 3)
+  assert.strictEqual(report.overall.mae, 0.1667)
+  const [baseline, fallback] = report.groups.modelVersion
+  assert.deepStrictEqual([baseline.key, baseline.mae, baseline.bias], ['baseline-gbt-1.0.0', 0.15, 0.15])
+  assert.deepStrictEqual([fallback.key, fallback.mae, fallback.bias], ['fallback-ml', 0.2, -0.2])
+  console.log('✅ MAE/bias by model version:', report.groups.modelVersion.map(g => `${g.key} mae=${g.mae} bias=${g.bias}`).join('; '))
+} catch (e) {
+  console.error('❌ Test failed:', e.message)
+  process.exit(1)
+}
@@ -0,0 +1,77 @@
+// Test: pixel classes, lesions enclosed by canopy, weeds in soil, class fractions and the overlay
+// Usage: node tests/test-image-segmentation.js
+
+import assert from 'assert'
+import { PIXEL_CLASSES, vegetationIndices, classifyPixel, findConnectedRegions, segmentPixels, renderOverlay } from '../lib/imageSegmentation.js'
+
+const CANOPY = [40, 140, 40]
+const SOIL = [110, 100, 90]
+const LESION = [200, 160, 40]
+const SHADOW = [10, 12, 8]
+
+// 100x100 RGB photo: canopy on the left 60 columns, soil on the right, with a yellow lesion in the
+// canopy, a weed in the soil, a strip of shadow and a yellow-brown clod of soil on the frame edge
+function fieldPhoto() {
+  const width = 100
+  const height = 100
+  const data = Buffer.alloc(width * height * 3)
+  const inside = (x, y, x0, y0, size) => x >= x0 && x < x0 + size && y >= y0 && y < y0 + size
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let colour = x < 60 ? CANOPY : SOIL
+      if (inside(x, y, 20, 20, 5)) colour = LESION
+      if (inside(x, y, 80, 50, 3)) colour = CANOPY
+      if (inside(x, y, 90, 0, 10)) colour = LESION
+      if (y === 99 && x >= 60 && x < 70) colour = SHADOW
+      data.set(colour, (y * width + x) * 3)
+    }
+  }
+  return { data, width, height }
+}
+
+async function main() {
+  assert.ok(vegetationIndices(...CANOPY).exgr > 0)
+  assert.ok(vegetationIndices(...SOIL).exgr < 0)
+  assert.strictEqual(classifyPixel(...CANOPY), PIXEL_CLASSES.VEGETATION)
+  assert.strictEqual(classifyPixel(...SOIL), PIXEL_CLASSES.SOIL)
+  assert.strictEqual(classifyPixel(...SHADOW), PIXEL_CLASSES.OTHER, 'shadow')
+  assert.strictEqual(classifyPixel(240, 240, 240), PIXEL_CLASSES.OTHER, 'highlight')
+  assert.strictEqual(classifyPixel(90, 140, 220), PIXEL_CLASSES.OTHER, 'sky')
+  console.log('✅ Pixels classified by ExGR with shadow, highlight and sky excluded')
+
+  // Two 1-pixel regions of label 1 and one of 2 on a 3x3 grid
+  const mask = Uint8Array.from([1, 0, 1, 0, 0, 0, 0, 2, 0])
+  const regions = findConnectedRegions(mask, 3, 3, 1)
+  assert.deepStrictEqual(regions.map(region => [region.area, region.box]), [[1, { x: 0, y: 0, width: 1, height: 1 }], [1, { x: 2, y: 0, width: 1, height: 1 }]])
+  assert.strictEqual(regions[0].borderShare('edge'), 0.5)
+  assert.strictEqual(findConnectedRegions(mask, 3, 3, 2)[0].borderShare(0), 0.75)
+  console.log('✅ Connected regions with bounding boxes and border shares')
+
+  const { data, width, height } = fieldPhoto()
+  const segmentation = segmentPixels(data, width, height)
+  assert.deepStrictEqual(segmentation.lesions, [{ area: 25, box: { x: 20, y: 20, width: 5, height: 5 } }])
+  assert.deepStrictEqual(segmentation.weeds, [{ area: 9, box: { x: 80, y: 50, width: 3, height: 3 } }])
+  assert.strictEqual(segmentation.mask[5 * width + 95], PIXEL_CLASSES.SOIL, 'lesion-coloured patch outside the canopy is soil')
+  assert.deepStrictEqual(segmentation.fractions, { soil: 0.3981, vegetation: 0.5975, lesion: 0.0025, weed: 0.0009, other: 0.001 })
+  assert.strictEqual(segmentation.canopyCoverPct, 60, 'lesions count as canopy, weeds do not')
+  console.log('✅ Lesions enclosed by canopy and weeds isolated in soil')
+
+  // RGBA input gives the same segmentation
+  const rgba = Buffer.alloc(width * height * 4, 255)
+  for (let i = 0; i < width * height; i++) data.copy(rgba, i * 4, i * 3, i * 3 + 3)
+  assert.deepStrictEqual(segmentPixels(rgba, width, height, 4).fractions, segmentation.fractions)
+
+  const overlay = renderOverlay(data, width, height, 3, segmentation, [segmentation.lesions[0].box])
+  const pixel = (x, y) => [...overlay.subarray((y * width + x) * 3, (y * width + x) * 3 + 3)]
+  assert.strictEqual(overlay.length, width * height * 3)
+  assert.deepStrictEqual(pixel(22, 22), [239, 48, 12], 'lesions tinted red')
+  assert.deepStrictEqual(pixel(19, 19), [255, 220, 0], 'hotspot outlined in yellow')
+  assert.deepStrictEqual(pixel(70, 10), SOIL, 'soil untouched')
+  console.log('✅ Overlay tints classes and outlines hotspots')
+}
+
+main().catch(e => {
+  console.error('❌ Test failed:', e.message)
+  process.exitCode = 1
+})
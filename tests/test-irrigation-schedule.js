@@ -0,0 +1,82 @@
+// Test: FAO-56 ET0 against the worked examples, crop coefficients, root-zone water balance and irrigation events
+// Usage: node tests/test-irrigation-schedule.js
+
+import assert from 'assert'
+import {
+  irrigationSchedulerService,
+  calculateET0,
+  extraterrestrialRadiation,
+  cropCoefficient,
+  rootZoneDepth,
+  soilWaterProperties,
+  effectiveRainfall
+} from '../lib/irrigationSchedulerService.js'
+
+const near = (actual, expected, tolerance, message) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: expected ${expected} ±${tolerance}, got ${actual}`)
+
+async function main() {
+  // FAO-56 Example 8: 20°S on 3 September, Ra = 32.2 MJ m⁻² day⁻¹
+  near(extraterrestrialRadiation(-20, 246), 32.2, 0.05, 'Example 8 Ra')
+
+  // FAO-56 Example 18: Brussels (50°48'N, 100 m) on 6 July; Ra = 41.09, ET0 = 3.9 mm/day
+  // Wind is 2.078 m/s at 2 m, i.e. 10 km/h at 10 m; Rs = 22.07 MJ m⁻² from 9.25 h of sunshine
+  const brussels = { date: '2026-07-06', tmax: 21.5, tmin: 12.3, rhMax: 84, rhMin: 63, windSpeed: 10, solarRadiation: 22.07 }
+  near(extraterrestrialRadiation(50.8, 187), 41.09, 0.05, 'Example 18 Ra')
+  near(calculateET0(brussels, 50.8, 100), 3.9, 0.05, 'Example 18 ET0')
+
+  // Missing humidity, radiation and wind use the FAO-56 fallbacks instead of failing
+  const sparse = calculateET0({ date: '2026-04-15', tmax: 39, tmin: 24 }, 21.1, 310)
+  assert.ok(sparse > 5 && sparse < 9, `pre-monsoon Vidarbha ET0 ${sparse}`)
+  console.log('✅ ET0 matches FAO-56 Examples 8 and 18')
+
+  assert.strictEqual(cropCoefficient('Wheat', 'establishment'), 0.4)
+  assert.strictEqual(cropCoefficient('Wheat', 'vegetative', 40), 0.7)
+  assert.strictEqual(cropCoefficient('Wheat', 'flowering'), 1.15)
+  assert.strictEqual(cropCoefficient('Wheat', 'maturity', 100), 0.3)
+  assert.strictEqual(rootZoneDepth('Onion', 'establishment'), 0.15, 'shallow roots are at least 15 cm')
+  assert.strictEqual(rootZoneDepth('Wheat', 'yieldFormation'), 1.5)
+  assert.deepStrictEqual(soilWaterProperties(' Clay '), { fieldCapacity: 0.36, wiltingPoint: 0.22 })
+  assert.deepStrictEqual(soilWaterProperties('unknown'), soilWaterProperties('loam'))
+  assert.deepStrictEqual([1.9, 2, 10].map(effectiveRainfall), [0, 1.6, 8])
+  console.log('✅ Crop coefficients, root depth, soil properties and effective rainfall')
+
+  // Flowering wheat on clay loam (TAW 195 mm, RAW 107 mm) starting 100 mm depleted: ETc of ~4.8 mm/day
+  // passes RAW on day 2, and rain after refilling the root zone is lost to drainage
+  irrigationSchedulerService.weatherService = {
+    getDaily: async (lat, lon, { days }) => ({
+      elevation: 0,
+      days: ['2026-02-10', '2026-02-11', '2026-02-12', '2026-02-13'].slice(0, days).map((date, i) => ({ date, tmax: 30, tmin: 15, precipitation: i === 2 ? 20 : 0 }))
+    })
+  }
+
+  const cropStage = { crop: 'Wheat', stage: { key: 'heading', name: 'Heading & flowering', phase: 'flowering', progress: 40 } }
+  const soil = { soilTexture: { texture: 'Clay Loam' }, soilMoisture: { value: 0.32 - 100 / 1500 } }
+  const schedule = await irrigationSchedulerService.createSchedule({ lat: 21.1, lon: 79.1, cropStage, soil, areaHectares: 2, irrigationMethod: 'drip', days: 4 })
+
+  assert.strictEqual(schedule.kc, 1.15)
+  assert.deepStrictEqual([schedule.soil.totalAvailableWaterMm, schedule.soil.readilyAvailableWaterMm, schedule.soil.initialDepletionMm], [195, 107, 100])
+  assert.strictEqual(schedule.soil.initialMoistureSource, 'Google Earth Engine (SMAP)')
+  assert.deepStrictEqual(schedule.balance.map(day => [day.etc, day.effectiveRainfall, day.depletionMm, day.irrigationMm]), [
+    [4.8, 0, 104.8, 0],
+    [4.81, 0, 0, 122],
+    [4.83, 16, 0, 0],
+    [4.85, 0, 4.9, 0]
+  ])
+  assert.deepStrictEqual(schedule.events.map(({ date, netDepthMm, grossDepthMm, volumeM3 }) => ({ date, netDepthMm, grossDepthMm, volumeM3 })), [
+    { date: '2026-02-11', netDepthMm: 110, grossDepthMm: 122, volumeM3: 2444 }
+  ], 'drip at 90% efficiency over 2 ha')
+  assert.deepStrictEqual(schedule.summary.nextIrrigation, schedule.events[0])
+  console.log('✅ Water balance schedules irrigation when depletion passes readily available water')
+
+  await assert.rejects(irrigationSchedulerService.createSchedule({ lat: 21.1, lon: 79.1, cropStage, irrigationMethod: 'bucket' }), /Unknown irrigation method/)
+  const assumed = await irrigationSchedulerService.createSchedule({ lat: 21.1, lon: 79.1, cropStage, soil: { isFallbackData: true, soilMoisture: { value: 0.1 } }, days: 1 })
+  assert.strictEqual(assumed.soil.initialMoistureSource, 'Assumed (no live soil moisture)')
+  assert.strictEqual(assumed.soil.texture, 'Loam (assumed)')
+  console.log('✅ Fallback soil data is not treated as a measurement')
+}
+
+main().catch(e => {
+  console.error('❌ Test failed:', e.message)
+  process.exitCode = 1
+})
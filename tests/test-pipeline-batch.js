@@ -0,0 +1,76 @@
+// Test: Batch pipeline runs bound their concurrency, share lookups per grid cell and summarise SMS outcomes
+// Usage: node tests/test-pipeline-batch.js
+
+import assert from 'assert'
+import { gridCellKey, mapWithConcurrency, GridLookupCache, smsOutcome, summarizeResults } from '../lib/pipelineBatchService.js'
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5))
+
+async function main() {
+  // 0.1° cells: neighbouring Wardha farms share a cell, Nagpur does not
+  assert.strictEqual(gridCellKey(20.742, 78.601, 0.1), gridCellKey(20.768, 78.649, 0.1))
+  assert.notStrictEqual(gridCellKey(20.742, 78.601, 0.1), gridCellKey(21.146, 79.088, 0.1))
+  console.log('✅ Grid cells:', gridCellKey(20.742, 78.601, 0.1), gridCellKey(21.146, 79.088, 0.1))
+
+  let inFlight = 0
+  let peak = 0
+  const doubled = await mapWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, async value => {
+    inFlight++
+    peak = Math.max(peak, inFlight)
+    await tick()
+    inFlight--
+    return value * 2
+  })
+  assert.deepStrictEqual(doubled, [2, 4, 6, 8, 10, 12, 14])
+  assert.strictEqual(peak, 3)
+  assert.deepStrictEqual(await mapWithConcurrency([], 4, async () => 1), [])
+  console.log('✅ At most 3 of 7 farmers in flight, results in roster order')
+
+  // Concurrent farmers in one cell wait for a single weather lookup; field GEE queries are never shared
+  const cache = new GridLookupCache(0.1)
+  const at = (lat, lon, field = null) => ({ location: { coordinates: { lat, lon } }, field })
+  let weatherCalls = 0
+  const fetchWeather = async () => {
+    weatherCalls++
+    await tick()
+    return { current: { temperature: 31 } }
+  }
+  const shared = await Promise.all([
+    cache.share('weather', at(20.742, 78.601), fetchWeather),
+    cache.share('weather', at(20.768, 78.649), fetchWeather),
+    cache.share('weather', at(21.146, 79.088), fetchWeather)
+  ])
+  assert.strictEqual(weatherCalls, 2)
+  assert.strictEqual(shared[0], shared[1])
+
+  let geeCalls = 0
+  const fetchGee = async () => ({ call: ++geeCalls })
+  await cache.share('environmental', at(20.742, 78.601, { id: 'f1' }), fetchGee)
+  await cache.share('environmental', at(20.768, 78.649, { id: 'f2' }), fetchGee)
+  await cache.share('environmental', at(20.742, 78.601), fetchGee)
+  await cache.share('environmental', at(20.768, 78.649), fetchGee)
+  await cache.share('images', at(20.742, 78.601), fetchGee)
+  assert.strictEqual(geeCalls, 4)
+  assert.deepStrictEqual(cache.stats, { weather: { fetched: 2, reused: 1 }, environmental: { fetched: 1, reused: 1 } })
+
+  // A failed lookup is not shared; the next farmer in the cell tries again
+  await assert.rejects(cache.share('weather', at(19.0, 73.0), async () => { throw new Error('timeout') }), /timeout/)
+  assert.deepStrictEqual(await cache.share('weather', at(19.0, 73.0), async () => ({ ok: true })), { ok: true })
+  console.log('✅ Lookups shared per cell:', JSON.stringify(cache.stats))
+
+  assert.strictEqual(smsOutcome({ success: true, sms: { success: true }, voice: { success: true } }), 'sent')
+  assert.strictEqual(smsOutcome({ success: true, method: 'Skipped', reason: 'SMS step not selected' }), 'skipped')
+  assert.strictEqual(smsOutcome({ success: false, error: 'Twilio 401' }), 'failed')
+  assert.deepStrictEqual(summarizeResults([
+    { farmerId: 'F1', status: 'succeeded', sms: 'sent' },
+    { farmerId: 'F1', status: 'succeeded', sms: 'skipped' },
+    { farmerId: 'F2', status: 'failed', sms: 'skipped' },
+    { farmerId: 'F3', status: 'succeeded', sms: 'failed' }
+  ]), { fields: 4, farmers: 3, succeeded: 3, failed: 1, smsSent: 1, smsSkipped: 2, smsFailed: 1 })
+  console.log('✅ Run report totals: successes, failures and SMS sent')
+}
+
+main().catch(e => {
+  console.error('❌ Test failed:', e.message)
+  process.exitCode = 1
+})
@@ -0,0 +1,55 @@
+// Test: Submit an async farmer pipeline job and poll /api/pipeline/jobs/:id until it finishes
+// Usage: node tests/test-pipeline-jobs.js [--lat 21.1458] [--lon 79.0882] [--cancel] [--port 3000]
+
+const args = Object.fromEntries(process.argv.slice(2).reduce((acc, a, i, arr) => {
+  if (a.startsWith('--')) acc.push([a.replace(/^--/, ''), arr[i + 1] && !arr[i + 1].startsWith('--') ? arr[i + 1] : true])
+  return acc
+}, []))
+
+const lat = parseFloat(args.lat || '21.1458')
+const lon = parseFloat(args.lon || '79.0882')
+const port = args.port || '3000'
+const baseUrl = `http://localhost:${port}`
+
+async function main() {
+  try {
+    const res = await fetch(`${baseUrl}/api/pipeline`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        async: true,
+        farmerData: { farmerId: 'job_test_farmer', coordinates: { lat, lon } }
+      })
+    })
+    const submitted = await res.json()
+    console.log('✅ Submit status:', res.status, submitted.jobId)
+
+    if (args.cancel) {
+      const cancelRes = await fetch(`${baseUrl}${submitted.statusUrl}`, { method: 'DELETE' })
+      const cancelled = await cancelRes.json()
+      console.log('🛑 Cancel status:', cancelRes.status, cancelled.job?.status)
+    }
+
+    for (let i = 0; i < 120; i++) {
+      const statusRes = await fetch(`${baseUrl}${submitted.statusUrl}`)
+      const { job } = await statusRes.json()
+      const steps = job.steps.map(s => `${s.name}:${s.status}${s.durationMs !== null ? `(${s.durationMs}ms)` : ''}`)
+      console.log(`⏳ ${job.status} ${job.progress.percentage}% ${steps.join(' ')}`)
+
+      if (['completed', 'failed', 'cancelled'].includes(job.status)) {
+        console.log('📦 Partial results:', Object.keys(job.partialResults))
+        console.log('🏁 Final result available:', !!job.result)
+        return
+      }
+      await new Promise(resolve => setTimeout(resolve, 1000))
+    }
+
+    console.error('❌ Job did not finish in time')
+    process.exit(1)
+  } catch (e) {
+    console.error('❌ Test failed:', e.message)
+    process.exit(1)
+  }
+}
+
+main()
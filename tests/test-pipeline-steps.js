@@ -0,0 +1,83 @@
+// Test: pipeline step registry selection, dependency expansion and concurrent execution order
+// Usage: node tests/test-pipeline-steps.js
+
+import assert from 'assert'
+import { PipelineStepRegistry } from '../lib/pipelineStepRegistry.js'
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+function buildRegistry(events) {
+  const step = (name, kind, output, inputs = [], extra = {}) => ({
+    name,
+    kind,
+    output,
+    inputs,
+    run: async context => {
+      events.push(`start:${name}`)
+      await wait(extra.delay || 0)
+      events.push(`end:${name}`)
+      return `${name}(${inputs.map(input => context[input]).join(',')})`
+    },
+    ...extra
+  })
+
+  return new PipelineStepRegistry()
+    .register(step('location', 'collector', 'location', ['farmerInput']))
+    .register(step('weather', 'collector', 'weather', ['location'], { delay: 20 }))
+    .register(step('soil', 'collector', 'soil', ['location'], { delay: 5 }))
+    .register(step('images', 'collector', 'imageAnalysis'))
+    .register(step('irrigation', 'recommender', 'irrigationAdvice', ['weather', 'soil']))
+    .register(step('pestAdvice', 'recommender', 'pestAdvice', ['weather', 'imageAnalysis']))
+}
+
+async function main() {
+  const registry = buildRegistry([])
+
+  assert.deepStrictEqual([...registry.resolve()].sort(), ['images', 'irrigation', 'location', 'pestAdvice', 'soil', 'weather'])
+  assert.deepStrictEqual([...registry.resolve(['weather'])].sort(), ['location', 'weather'], 'producers are pulled in')
+  assert.deepStrictEqual([...registry.resolve(['weather', 'soil'])].sort(), ['irrigation', 'location', 'soil', 'weather'], 'recommenders join when satisfied')
+  assert.ok(registry.resolve(['images', 'weather']).has('pestAdvice'))
+  console.log('✅ Selections expand to their producers and satisfied recommenders')
+
+  assert.throws(() => registry.resolve(['weather', 'moon']), /Unknown pipeline steps: moon/)
+  assert.throws(() => registry.resolve('weather'), /must be an array of step names/)
+  assert.throws(() => registry.resolve([{ name: 'weather' }]), /must be an array of step names/)
+  assert.throws(() => registry.register({ name: 'rain', kind: 'collector', output: 'weather', run: () => null }), /already produced by pipeline step weather/)
+  assert.throws(() => registry.register({ name: 'x', kind: 'sensor', output: 'x', run: () => null }), /Invalid kind/)
+  console.log('✅ Unknown steps, non-array selections and duplicate outputs are rejected')
+
+  const circular = new PipelineStepRegistry()
+    .register({ name: 'a', kind: 'analyzer', output: 'a', inputs: ['b'], run: () => 1 })
+    .register({ name: 'b', kind: 'analyzer', output: 'b', inputs: ['a'], run: () => 2 })
+  assert.throws(() => circular.resolve(['a']), /Circular pipeline step dependency: a -> b -> a/)
+  console.log('✅ Circular dependencies are reported with their path')
+
+  // Weather and soil both wait for location, then run together; soil finishes first
+  const events = []
+  const timed = buildRegistry(events)
+  const selected = timed.resolve(['weather', 'soil'])
+  const wrapped = []
+  const context = await timed.execute('collector', selected, { farmerInput: 'farmer' }, (step, execute) => {
+    wrapped.push(step.name)
+    return execute()
+  })
+  assert.deepStrictEqual(events, ['start:location', 'end:location', 'start:weather', 'start:soil', 'end:soil', 'end:weather'])
+  assert.deepStrictEqual(wrapped, ['location', 'weather', 'soil'])
+  assert.strictEqual(context.weather, 'weather(location(farmer))')
+  assert.ok(!('imageAnalysis' in context), 'unselected steps do not run')
+
+  await timed.execute('recommender', selected, context)
+  assert.strictEqual(context.irrigationAdvice, 'irrigation(weather(location(farmer)),soil(location(farmer)))')
+  console.log('✅ Ready steps run concurrently once their inputs are in the context')
+
+  const stuck = new PipelineStepRegistry()
+    .register({ name: 'advice', kind: 'recommender', output: 'advice', inputs: ['insights'], run: () => 1 })
+    .register({ name: 'insights', kind: 'analyzer', output: 'insights', run: () => 1 })
+  await assert.rejects(stuck.execute('recommender', stuck.resolve(['advice']), {}), /Unresolvable pipeline step inputs: advice/)
+  console.log('✅ Steps whose inputs never arrive fail instead of hanging')
+}
+
+main().catch(e => {
+  console.error('❌ Test failed:', e.message)
+  process.exitCode = 1
+})
@@ -0,0 +1,76 @@
+// Test: input hashing, replay of cached LLM responses, deterministic Gemini prompts and fallbacks in audit mode
+// Usage: node tests/test-prediction-audit.js
+
+import assert from 'assert'
+import { predictionAuditService, hashInput, PROMPT_VERSION } from '../lib/predictionAuditService.js'
+import AgriExpertGemini from '../lib/agriExpertGemini.js'
+
+const features = { crop: 'Rice', temperature: 28, humidity: 80, rainfall: 1200, soil_ph: 6.5 }
+
+async function main() {
+  // Storage stays in memory; the cache and audit table need Supabase
+  predictionAuditService.getDatabaseClient = async () => null
+
+  const hash = hashInput('yield_prediction', features)
+  assert.match(hash, /^[0-9a-f]{64}$/)
+  assert.strictEqual(hashInput('yield_prediction', { soil_ph: 6.5, rainfall: 1200, humidity: 80, temperature: 28, crop: 'Rice', notes: undefined }), hash, 'key order and undefined values do not matter')
+  assert.notStrictEqual(hashInput('expert_analysis', features), hash, 'kinds are keyed separately')
+  assert.notStrictEqual(hashInput('yield_prediction', { ...features, rainfall: 1201 }), hash)
+  assert.ok(PROMPT_VERSION)
+  console.log('✅ Input hashes are canonical per kind and prompt version')
+
+  let calls = 0
+  const generate = async () => {
+    calls++
+    return { prompt: 'p', modelName: 'gemini-1.5-flash', rawResponse: '{"yield_prediction":0.7}', parsed: { yield_prediction: 0.7 } }
+  }
+  const first = await predictionAuditService.generateCached('test', features, generate)
+  const second = await predictionAuditService.generateCached('test', { ...features }, generate)
+  assert.strictEqual(calls, 1, 'same features are answered from the cache')
+  assert.deepStrictEqual([first.replayed, second.replayed], [false, true])
+  assert.deepStrictEqual(second.parsed, first.parsed)
+  assert.strictEqual(second.inputHash, hashInput('test', features))
+
+  assert.strictEqual(await predictionAuditService.generateCached('test', { crop: 'Wheat' }, async () => null), null)
+  await predictionAuditService.generateCached('test', { crop: 'Wheat' }, generate)
+  assert.strictEqual(calls, 2, 'fallbacks are not cached, so the model is asked again')
+
+  process.env.PREDICTION_AUDIT_MODE = 'false'
+  assert.strictEqual((await predictionAuditService.generateCached('test', features, generate)).replayed, false)
+  assert.strictEqual(calls, 3, 'audit mode off always calls the model')
+  assert.strictEqual(await predictionAuditService.recordAudit('4b1b1f53-2f6c-4d8e-9a57-3f1f1b0b6a10', {}), null)
+  delete process.env.PREDICTION_AUDIT_MODE
+  assert.strictEqual(await predictionAuditService.recordAudit('not-a-uuid', {}), null)
+  console.log('✅ Cached responses replayed; fallbacks and audit-off runs go to the model')
+
+  // Gemini with the network stubbed: prompts depend only on the features and answers replay
+  process.env.GOOGLE_GEMINI_API_KEY = 'test-key'
+  const gemini = new AgriExpertGemini()
+  assert.deepStrictEqual(gemini.generationConfig, { temperature: 0, topK: 1 })
+  assert.strictEqual(gemini.buildPredictionPrompt(features), gemini.buildPredictionPrompt({ ...features }))
+
+  const prompts = []
+  gemini.generateWithModels = async prompt => {
+    prompts.push(prompt)
+    return { text: 'Estimate: {"yield_prediction": 0.72, "risk_score": 0.2, "confidence": 0.8, "reasoning": "Good monsoon"}', modelName: 'gemini-1.5-flash' }
+  }
+  const live = await gemini.generateRealisticPrediction({ ...features, crop: 'Maize' })
+  const replay = await gemini.generateRealisticPrediction({ ...features, crop: 'Maize' })
+  assert.strictEqual(prompts.length, 1)
+  assert.deepStrictEqual([live.yield_prediction, live.risk_score, live.source], [0.72, 0.2, 'gemini'])
+  assert.deepStrictEqual({ ...replay, audit: undefined }, { ...live, audit: undefined })
+  assert.deepStrictEqual([live.audit.replayed, replay.audit.replayed, replay.audit.modelName], [false, true, 'gemini-1.5-flash'])
+  assert.strictEqual(replay.audit.prompt, prompts[0])
+
+  gemini.generateWithModels = async () => ({ text: 'I cannot help with that', modelName: 'gemini-1.5-flash' })
+  const unparseable = await gemini.generateRealisticPrediction({ ...features, crop: 'Cotton' })
+  const fallbackAgain = await gemini.generateRealisticPrediction({ ...features, crop: 'Cotton' })
+  assert.deepStrictEqual([unparseable.source, unparseable.audit], ['fallback', undefined])
+  assert.deepStrictEqual(fallbackAgain, unparseable, 'the rule-based fallback is deterministic')
+  console.log('✅ Gemini predictions are reproducible; unparseable answers fall back uncached')
+}
+
+main().catch(e => {
+  console.error('❌ Test failed:', e.message)
+  process.exitCode = 1
+})
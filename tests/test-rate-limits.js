@@ -0,0 +1,116 @@
+// Test: sliding-window quotas per tier, the memory and Redis stores, SMS reservations and rate limit headers
+// Usage: node tests/test-rate-limits.js
+
+import assert from 'assert'
+import { RateLimitService, rateLimitCaller } from '../lib/rateLimitService.js'
+import { MemoryRateLimitStore, RedisRateLimitStore, LocalRedisClient, createRateLimitStore } from '../lib/rateLimitStores.js'
+
+const MINUTE_MS = 60 * 1000
+const DAY_MS = 24 * 60 * MINUTE_MS
+
+// A service on its own store with a clock the test moves
+function serviceWith(store, start = Date.UTC(2026, 0, 1)) {
+  const clock = { now: start }
+  const service = new RateLimitService({ store, now: () => clock.now })
+  return { service, clock }
+}
+
+async function consumeTimes(service, times, quota, options) {
+  const results = []
+  for (let i = 0; i < times; i++) results.push(await service.consume(quota, options))
+  return results
+}
+
+async function checkSlidingWindow(store) {
+  const { service, clock } = serviceWith(store)
+  const caller = { subject: '203.0.113.7', tier: 'anonymous', route: '/api/weather' }
+
+  const first = await consumeTimes(service, 60, 'api', caller)
+  assert.ok(first.every(result => result.allowed))
+  assert.strictEqual(first.at(-1).remaining, 0)
+  const refused = await service.consume('api', caller)
+  assert.strictEqual(refused.allowed, false)
+  assert.ok(refused.retryAfterMs > 0)
+
+  // Other routes and callers have their own counters
+  assert.ok((await service.consume('api', { ...caller, route: '/api/crops' })).allowed)
+  assert.ok((await service.consume('api', { ...caller, subject: '198.51.100.1' })).allowed)
+
+  // Halfway through the next window half of the previous one still counts; refusals were not counted
+  clock.now += MINUTE_MS * 1.5
+  const next = await consumeTimes(service, 31, 'api', caller)
+  assert.deepStrictEqual(next.map(result => result.allowed), [...Array(30).fill(true), false])
+
+  // Two windows later everything has slid out
+  clock.now += MINUTE_MS * 2
+  assert.strictEqual((await service.peek('api', caller)).remaining, 60)
+}
+
+async function main() {
+  await checkSlidingWindow(new MemoryRateLimitStore())
+  await checkSlidingWindow(new RedisRateLimitStore(new LocalRedisClient()))
+  console.log('✅ Sliding windows per caller and route (memory store and Redis stand-in)')
+
+  const { service, clock } = serviceWith(new MemoryRateLimitStore())
+  assert.strictEqual(service.limitFor('gemini', 'farmer'), 50)
+  assert.strictEqual(service.limitFor('gemini', 'admin'), 1000)
+  const farmer = await consumeTimes(service, 51, 'gemini', { subject: 'user-1', tier: 'farmer' })
+  assert.strictEqual(farmer.filter(result => result.allowed).length, 50)
+  assert.ok((await service.consume('gemini', { subject: 'ops', tier: 'admin' })).allowed)
+  process.env.RATE_LIMIT_GEMINI_FARMER = '60'
+  assert.ok((await service.consume('gemini', { subject: 'user-1', tier: 'farmer' })).allowed, 'env override raises the limit')
+  delete process.env.RATE_LIMIT_GEMINI_FARMER
+  console.log('✅ Per-tier limits with RATE_LIMIT_<QUOTA>_<TIER> overrides')
+
+  // SMS: released reservations give the unit back; a provider limit uses up the window
+  const phone = { subject: '+919876543210' }
+  await consumeTimes(service, 5, 'sms', phone)
+  assert.strictEqual((await service.consume('sms', phone)).allowed, false)
+  await service.release('sms', phone)
+  assert.ok((await service.consume('sms', phone)).allowed)
+  await service.reset('sms', phone)
+  assert.strictEqual((await service.peek('sms', phone)).remaining, 5)
+
+  await service.exhaust('sms_account', { subject: 'twilio' })
+  assert.ok((await service.peek('sms_account', { subject: 'twilio' })).exhausted)
+  clock.now += DAY_MS * 2
+  assert.strictEqual((await service.peek('sms_account', { subject: 'twilio' })).exhausted, false)
+  console.log('✅ SMS quotas: release, reset and exhaust')
+
+  const allowed = await service.consume('api', { subject: 'ops', tier: 'admin', route: '/api/crops' })
+  const denied = { ...allowed, allowed: false, remaining: 0, retryAfterMs: 1500 }
+  assert.deepStrictEqual(service.headers([allowed]), {
+    'X-RateLimit-Limit': '1200',
+    'X-RateLimit-Remaining': '1199',
+    'X-RateLimit-Reset': String(Math.ceil(allowed.resetMs / 1000)),
+    'X-RateLimit-Policy': 'api'
+  })
+  assert.strictEqual(service.headers([allowed, denied])['Retry-After'], '2')
+  console.log('✅ X-RateLimit-* headers from the tightest quota')
+
+  // A failing store lets requests through instead of taking the API down
+  const broken = new RateLimitService({ store: { name: 'broken', hit: async () => { throw new Error('down') } } })
+  assert.strictEqual((await broken.consume('api', { subject: 'x', route: '/api/crops' })).degraded, true)
+  assert.strictEqual(createRateLimitStore('redis').name, 'redis')
+  assert.throws(() => createRateLimitStore('mongo'), /Unknown rate limit store/)
+  console.log('✅ Store selection and fail-open on store errors')
+
+  // Anonymous callers are keyed on the hop our proxy appended, not on what the client sent
+  const from = headers => rateLimitCaller(new Request('http://localhost/api/crops', { headers }), { anonymous: true }).subject
+  assert.strictEqual(from({ 'x-forwarded-for': '1.2.3.4, 203.0.113.7' }), '203.0.113.7', 'spoofed first entry ignored')
+  assert.strictEqual(from({ 'x-forwarded-for': '203.0.113.7' }), '203.0.113.7')
+  assert.strictEqual(from({ 'x-real-ip': '198.51.100.2' }), 'unknown', 'X-Real-IP is client-writable')
+  process.env.TRUSTED_PROXY_COUNT = '2'
+  assert.strictEqual(from({ 'x-forwarded-for': '1.2.3.4, 203.0.113.7, 10.0.0.5' }), '203.0.113.7', 'behind a CDN and a load balancer')
+  assert.strictEqual(from({ 'x-forwarded-for': '203.0.113.7', 'x-real-ip': '198.51.100.2' }), 'unknown', 'fewer hops than trusted proxies')
+  process.env.TRUSTED_PROXY_COUNT = '0'
+  assert.strictEqual(from({ 'x-forwarded-for': '203.0.113.7', 'x-real-ip': '203.0.113.7' }), 'unknown', 'no proxy, nothing to trust')
+  delete process.env.TRUSTED_PROXY_COUNT
+  assert.deepStrictEqual(rateLimitCaller(new Request('http://localhost'), { id: 'user-1', role: 'farmer' }), { subject: 'user-1', tier: 'farmer' })
+  console.log('✅ Callers keyed by principal, or by the address the trusted proxy saw')
+}
+
+main().catch(e => {
+  console.error('❌ Test failed:', e.message)
+  process.exitCode = 1
+})
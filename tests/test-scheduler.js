@@ -0,0 +1,68 @@
+// Test: Cron expressions (lists, ranges, steps, names, timezones, DST) and schedule validation
+// Usage: node tests/test-scheduler.js
+
+import assert from 'assert'
+import { parseCron, nextCronRun } from '../lib/cronExpression.js'
+import { schedulerService } from '../lib/schedulerService.js'
+
+const monday = new Date('2026-10-19T10:00:00Z') // 15:30 in Kolkata
+
+function main() {
+  // 06:00 IST is 00:30 UTC; today's has passed, so tomorrow
+  assert.strictEqual(nextCronRun('0 6 * * *', monday, 'Asia/Kolkata').toISOString(), '2026-10-20T00:30:00.000Z')
+  assert.strictEqual(nextCronRun('30 7 * * mon', monday, 'Asia/Kolkata').toISOString(), '2026-10-26T02:00:00.000Z')
+  assert.strictEqual(nextCronRun('*/15 9-17 * * 1-5', monday, 'UTC').toISOString(), '2026-10-19T10:15:00.000Z')
+  assert.strictEqual(nextCronRun('@monthly', monday, 'UTC').toISOString(), '2026-11-01T00:00:00.000Z')
+  assert.strictEqual(nextCronRun('0 0 * * 7', monday, 'UTC').toISOString(), '2026-10-25T00:00:00.000Z', '7 is Sunday')
+  // Both day fields restricted: either matches (the 1st or any Monday)
+  assert.strictEqual(nextCronRun('0 9 1 * mon', new Date('2026-10-27T00:00:00Z'), 'UTC').toISOString(), '2026-11-01T09:00:00.000Z')
+  console.log('✅ Next runs: daily IST, weekly, stepped ranges, macros, day-of-month OR day-of-week')
+
+  // 02:30 does not exist when New York springs forward, and 01:30 happens twice when it falls back
+  assert.strictEqual(nextCronRun('30 2 14 3 *', monday, 'America/New_York').toISOString(), '2027-03-14T07:30:00.000Z')
+  assert.strictEqual(nextCronRun('30 1 1 11 *', monday, 'America/New_York').toISOString(), '2026-11-01T05:30:00.000Z')
+  console.log('✅ DST: skipped time moves forward, repeated time runs once')
+
+  assert.throws(() => parseCron('* * *'), /needs 5 fields/)
+  assert.throws(() => parseCron('60 * * * *'), /minute 60 is outside 0-59/)
+  assert.throws(() => parseCron('0 5-1 * * *'), /Invalid hour range/)
+  assert.throws(() => parseCron('*/0 * * * *'), /Invalid minute step/)
+  assert.throws(() => nextCronRun('0 0 30 2 *', monday), /never matches/)
+  console.log('✅ Malformed and impossible expressions rejected')
+
+  // Kind defaults fill in cron, timezone and channel
+  const created = schedulerService.validateSchedule({ name: ' Wardha digest ', kind: 'digest', regionId: '3f2b6c1e-8d4a-4b7e-9c2d-1a5e6f7b8c9d' })
+  assert.ok(created.valid, created.errors.join('; '))
+  assert.deepStrictEqual(created.schedule, {
+    name: 'Wardha digest', kind: 'digest', cron: '0 7 * * 1', timezone: 'Asia/Kolkata', regionId: '3f2b6c1e-8d4a-4b7e-9c2d-1a5e6f7b8c9d', channel: 'sms'
+  })
+
+  const invalid = schedulerService.validateSchedule({ name: '', kind: 'hourly', cron: '0 25 * * *', timezone: 'Mars/Olympus', farmerIds: [], channel: 'fax', steps: ['nope'] })
+  assert.strictEqual(invalid.errors.length, 7, invalid.errors.join('; '))
+
+  const paused = schedulerService.validateSchedule({ enabled: false }, { partial: true })
+  assert.deepStrictEqual(paused.schedule, { enabled: false })
+  assert.strictEqual(schedulerService.nextRunAt({ ...created.schedule, enabled: false }), null)
+  console.log('✅ Schedules validated; disabled schedules have no next run')
+
+  // The 'none' channel runs the same analysis without texting anyone
+  const digest = { kind: 'digest', steps: null, channel: 'sms' }
+  assert.ok(schedulerService.resolveSteps(digest).includes('sms'))
+  assert.ok(!schedulerService.resolveSteps({ ...digest, channel: 'none' }).includes('sms'))
+  assert.ok(schedulerService.resolveSteps({ ...digest, channel: 'none' }).includes('weatherWindows'))
+  assert.ok(!schedulerService.resolveSteps({ kind: 'advisory', steps: null, channel: 'none' }).includes('sms'))
+
+  // Overlap: a run started elsewhere blocks the next one until it is presumed lost
+  const id = '9d8c7b6a-5f4e-4d3c-8b2a-1f0e9d8c7b6a'
+  assert.ok(schedulerService.isRunning({ id, runningSince: new Date(Date.now() - 60 * 60 * 1000).toISOString() }))
+  assert.ok(!schedulerService.isRunning({ id, runningSince: new Date(Date.now() - 7 * 60 * 60 * 1000).toISOString() }))
+  assert.ok(!schedulerService.isRunning({ id, runningSince: null }))
+  console.log('✅ Channel none drops the SMS step; running schedules are not fired again')
+}
+
+try {
+  main()
+} catch (e) {
+  console.error('❌ Test failed:', e.message)
+  process.exitCode = 1
+}
@@ -0,0 +1,109 @@
+// Test: SMS delivery status ordering, retry/email follow-up decisions, email fallback and per-farmer stats
+// Usage: node tests/test-sms-delivery.js
+
+import assert from 'assert'
+import { smsDeliveryService, shouldApplyStatus, followUpFor, summarizeDeliveries } from '../lib/smsDeliveryService.js'
+import { twilioService } from '../lib/twilioService.js'
+
+const alertData = { type: 'pest', severity: 'high', region: 'Wardha', crop: 'Cotton', recommendation: 'Scout for bollworm' }
+
+async function main() {
+  assert.ok(shouldApplyStatus('queued', 'sent'))
+  assert.ok(shouldApplyStatus('sent', 'delivered'))
+  assert.ok(shouldApplyStatus('sent', 'undelivered'))
+  assert.strictEqual(shouldApplyStatus('delivered', 'sent'), false, 'late sent callback')
+  assert.strictEqual(shouldApplyStatus('failed', 'delivered'), false, 'terminal statuses stay')
+  assert.strictEqual(shouldApplyStatus('sent', 'bogus'), false)
+  console.log('✅ Out-of-order callbacks never move a message backwards')
+
+  const undelivered = { status: 'undelivered', errorCode: 30003, attempt: 1 }
+  assert.strictEqual(followUpFor(undelivered), 'retry', 'unreachable handset is transient')
+  assert.strictEqual(followUpFor({ ...undelivered, attempt: 2 }), 'email', 'attempts used up')
+  assert.strictEqual(followUpFor({ ...undelivered, attempt: 2 }, { maxAttempts: 3 }), 'retry')
+  assert.strictEqual(followUpFor({ status: 'undelivered', errorCode: 30006, attempt: 1 }), 'email', 'landline is not retried')
+  assert.strictEqual(followUpFor({ status: 'delivered', attempt: 1 }), null)
+  console.log('✅ Transient errors retried up to SMS_MAX_ATTEMPTS, others fall back to email')
+
+  // Email fallback only for farmers who accept email
+  const sent = []
+  smsDeliveryService.emailService = { sendAgriculturalAlert: async (email, data, language) => { sent.push({ email, type: data.type, language }); return { success: true, messageId: 'mail-1' } } }
+  smsDeliveryService.farmerService = {
+    getFarmer: async id => ({
+      farmer_a1: { id, email: 'asha@example.com', notificationChannels: ['sms', 'email'], language: 'mr' },
+      farmer_b2: { id, email: 'ravi@example.com', notificationChannels: ['sms'] }
+    })[id] || null,
+    findByContact: async () => null
+  }
+  const emailed = await smsDeliveryService.emailFallback({ farmerId: 'farmer_a1', phoneNumber: '+919876543210', alertData, language: null })
+  assert.deepStrictEqual(emailed, { success: true, channel: 'email', messageId: 'mail-1', error: null })
+  assert.deepStrictEqual(sent, [{ email: 'asha@example.com', type: 'pest', language: 'mr' }])
+  assert.strictEqual((await smsDeliveryService.emailFallback({ farmerId: 'farmer_b2', alertData })).success, false)
+  assert.strictEqual((await smsDeliveryService.emailFallback({ farmerId: null, phoneNumber: '+910000000000', alertData })).success, false)
+  console.log('✅ Email fallback respects the farmer\'s notification channels')
+
+  // A message Twilio refuses on send gets no status callback, so it is followed up straight away
+  const recorded = []
+  const followedUp = []
+  twilioService.client = { messages: { create: async () => { throw Object.assign(new Error('Unreachable destination'), { code: 30003 }) } } }
+  twilioService.rateLimits = { consume: async () => ({ allowed: true }), release: async () => {}, exhaust: async () => {} }
+  twilioService.delivery = {
+    recordSent: async message => { recorded.push(message); return { id: 'msg-refused', ...message } },
+    followUp: async message => { followedUp.push(message.id); throw new Error('database unavailable') }
+  }
+  const refused = await twilioService.sendAgriculturalAlert('+919876543210', alertData, 'en', { farmerId: 'farmer_a1' })
+  assert.strictEqual(refused.success, false)
+  assert.deepStrictEqual([recorded[0].status, recorded[0].errorCode], ['failed', 30003])
+  assert.deepStrictEqual(followedUp, ['msg-refused'], 'a follow-up error leaves the send result alone')
+  twilioService.delivery = smsDeliveryService
+  console.log('✅ SMS refused by Twilio on send is followed up without waiting for a callback')
+
+  // Retries re-check the profile: withdrawn consent or quiet hours send the email fallback instead
+  const texted = []
+  twilioService.sendAgriculturalAlert = async (phoneNumber, data, language, options) => {
+    texted.push({ phoneNumber, ...options })
+    return { success: true, sms: { messageId: 'SM2' } }
+  }
+  const hour = new Date().getUTCHours()
+  const quietNow = { start: `${String(hour).padStart(2, '0')}:00`, end: `${String((hour + 1) % 24).padStart(2, '0')}:00` }
+  const profile = { phoneNumber: '+919876543210', email: 'asha@example.com', smsConsent: true, notificationChannels: ['sms', 'email'], timezone: 'UTC', quietHours: null }
+  const profiles = {
+    farmer_a1: { id: 'farmer_a1', ...profile },
+    farmer_c3: { id: 'farmer_c3', ...profile, smsConsent: false },
+    farmer_d4: { id: 'farmer_d4', ...profile, quietHours: quietNow },
+    farmer_e5: { id: 'farmer_e5', ...profile, smsConsent: false, email: null }
+  }
+  smsDeliveryService.farmerService = { getFarmer: async id => profiles[id] || null, findByContact: async () => null }
+  sent.length = 0
+  const retryOf = farmerId => smsDeliveryService.retry({ id: `msg-${farmerId}`, farmerId, phoneNumber: '+919876543210', alertData, attempt: 1 })
+
+  assert.deepStrictEqual(await retryOf('farmer_a1'), { success: true, messageSid: 'SM2', error: null })
+  assert.deepStrictEqual(texted, [{ phoneNumber: '+919876543210', farmerId: 'farmer_a1', attempt: 2, retryOf: 'msg-farmer_a1' }])
+  assert.deepStrictEqual(await retryOf('farmer_c3'), { success: true, channel: 'email', messageId: 'mail-1', error: null, smsBlocked: 'Farmer has not consented to SMS' })
+  assert.ok((await retryOf('farmer_d4')).smsBlocked.startsWith('Quiet hours'))
+  const skipped = await retryOf('farmer_e5')
+  assert.deepStrictEqual([skipped.success, skipped.smsBlocked], [false, 'Farmer has not consented to SMS'], 'no email on record either')
+  assert.strictEqual(texted.length, 1)
+  assert.strictEqual(sent.length, 2)
+  assert.strictEqual((await smsDeliveryService.retry({ id: 'msg-x', farmerId: null, phoneNumber: '+910000000000', alertData, attempt: 1 })).success, true, 'unregistered numbers are retried as before')
+  console.log('✅ Retries skip farmers who withdrew consent or are in quiet hours')
+
+  const at = minutes => new Date(Date.UTC(2026, 9, 19, 6, minutes)).toISOString()
+  const stats = summarizeDeliveries([
+    { farmerId: 'farmer_a1', phoneNumber: '+919876543210', status: 'undelivered', errorCode: 30003, attempt: 1, followUp: 'retry', createdAt: at(0) },
+    { farmerId: 'farmer_a1', phoneNumber: '+919876543210', status: 'delivered', attempt: 2, createdAt: at(1) },
+    { farmerId: 'farmer_b2', phoneNumber: '+919812345678', status: 'failed', errorCode: 30006, attempt: 1, followUp: 'email', createdAt: at(2) },
+    { farmerId: null, phoneNumber: '+919899999999', status: 'sent', attempt: 1, createdAt: at(3) }
+  ])
+  assert.deepStrictEqual(stats.totals, { messages: 4, delivered: 1, failed: 2, pending: 1, retries: 1, emailFallbacks: 1, deliveryRate: 33.3 })
+  assert.deepStrictEqual(stats.farmers.map(f => [f.farmerId, f.phoneNumber, f.failed, f.deliveryRate, f.lastStatus]), [
+    ['farmer_a1', '+9198765***', 1, 50, 'delivered'],
+    ['farmer_b2', '+9198123***', 1, 0, 'failed'],
+    [null, '+9198999***', 0, null, 'sent']
+  ])
+  console.log('✅ Per-farmer delivery stats, most failures first, with masked numbers')
+}
+
+main().catch(e => {
+  console.error('❌ Test failed:', e.message)
+  process.exitCode = 1
+})
@@ -0,0 +1,70 @@
+// Test: Station reading batches (JSON and CSV) are validated and normalised; station readings serve as current weather
+// Usage: node tests/test-station-readings.js
+
+import assert from 'assert'
+import { parseReadingsBatch, validateReading, StationNetworkProvider } from '../lib/stationService.js'
+
+const now = Date.parse('2026-07-02T12:00:00Z')
+
+async function main() {
+  // JSON accepts camelCase or column names; timestamps are stored in UTC
+  const json = parseReadingsBatch({
+    readings: [
+      { observedAt: '2026-07-02T16:30:00+05:30', temperature: 31.5, humidity: 62, windSpeed: 9 },
+      { observed_at: '2026-07-02T11:30:00Z', soil_moisture: '0.27', soil_temperature: 29 },
+      { observedAt: '2026-07-02T16:30:00+05:30', temperature: 31.8, humidity: 60, windSpeed: 9 }
+    ]
+  }, 'json', now)
+  assert.deepStrictEqual(json.rejected, [])
+  assert.strictEqual(json.readings.length, 2, 'a repeated timestamp keeps one reading')
+  assert.strictEqual(json.readings.find(r => r.observedAt === '2026-07-02T11:00:00.000Z').temperature, 31.8)
+  assert.strictEqual(json.readings.find(r => r.observedAt === '2026-07-02T11:30:00.000Z').soilMoisture, 0.27)
+  console.log('✅ JSON batch normalised:', json.readings.map(r => r.observedAt).join(', '))
+
+  // CSV: bad rows are reported by index and skipped, the rest are kept
+  const csv = [
+    'observed_at,temperature,humidity,wind_speed,precipitation,soil_moisture',
+    '2026-07-02T10:00:00Z,30.1,65,8,0,0.31',
+    '2026-07-02T10:15:00Z,30.4,64,,0.4,',
+    '2026-07-02 10:30,30.6,63,8,0,0.30',
+    '2026-07-02T10:45:00Z,30.8,140,8,0,0.30',
+    '2026-07-02T13:00:00Z,31.0,60,8,0,0.29'
+  ].join('\n')
+  const parsed = parseReadingsBatch(csv, 'csv', now)
+  assert.strictEqual(parsed.readings.length, 2)
+  assert.strictEqual(parsed.readings[1].windSpeed, null)
+  assert.strictEqual(parsed.readings[1].precipitation, 0.4)
+  assert.deepStrictEqual(parsed.rejected.map(r => r.index), [2, 3, 4])
+  assert.match(parsed.rejected[0].errors[0], /offset/)
+  assert.match(parsed.rejected[1].errors[0], /humidity must be a number between 0 and 100/)
+  assert.match(parsed.rejected[2].errors[0], /future/)
+  console.log('✅ CSV batch: 2 accepted, rows', parsed.rejected.map(r => r.index).join(', '), 'rejected')
+
+  assert.match(validateReading({ observedAt: '2026-07-02T10:00:00Z' }, now).errors[0], /No measurements/)
+  assert.throws(() => parseReadingsBatch({ readings: [] }, 'json', now), error => error.status === 400)
+  assert.throws(() => parseReadingsBatch({ rows: [] }, 'json', now), error => error.status === 400)
+  assert.throws(() => parseReadingsBatch(Array(5001).fill({}), 'json', now), error => error.status === 413)
+  console.log('✅ Empty, malformed and oversized batches rejected')
+
+  // The provider turns the nearest fresh reading into normalized current conditions
+  const found = {
+    station: { id: 'st-1', name: 'Wardha KVK', type: 'combined', elevation: 240, distanceKm: 3.2 },
+    reading: { observedAt: '2026-07-02T11:45:00.000Z', temperature: 31.2, humidity: 61, windSpeed: 7.5, precipitation: 0, pressure: 1004, soilMoisture: 0.28, soilTemperature: 29 },
+    ageMinutes: 15
+  }
+  const service = { maxAgeMinutes: 120, maxDistanceKm: 10, findFreshReading: async (lat, lon, { field }) => (field === 'temperature' && lat < 22 ? found : null) }
+  const provider = new StationNetworkProvider(service)
+  const current = await provider.getCurrent(20.75, 78.6)
+  assert.deepStrictEqual(current.current, { time: '2026-07-02T11:45:00.000Z', temperature: 31.2, humidity: 61, windSpeed: 7.5, precipitation: 0, pressure: 1004, weatherCode: null })
+  assert.strictEqual(current.station.name, 'Wardha KVK')
+  await assert.rejects(provider.getCurrent(28.6, 77.2), error => error.unsupported === true)
+
+  const offline = new StationNetworkProvider({ ...service, findFreshReading: async () => { throw Object.assign(new Error('database not configured'), { status: 503 }) } })
+  await assert.rejects(offline.getCurrent(20.75, 78.6), error => error.unsupported === true)
+  console.log('✅ Station provider: fresh reading as current weather; no station or database falls through')
+}
+
+main().catch(e => {
+  console.error('❌ Test failed:', e.message)
+  process.exitCode = 1
+})
@@ -0,0 +1,55 @@
+// Test: Weather archive backfill, climatology normals and anomalies against the local archive fixture
+// Usage: node tests/test-weather-climatology.js
+
+import assert from 'assert'
+import { createArchiveFixtureServer } from './fixtures/open-meteo-archive-server.js'
+import { weatherProviderService } from '../lib/weatherProviderService.js'
+import { OpenMeteoProvider } from '../lib/weatherProviders.js'
+import { weatherArchiveService, classifyRainfallDeparture } from '../lib/weatherArchiveService.js'
+
+async function main() {
+  const server = createArchiveFixtureServer({ droughtYear: 2024 })
+  await new Promise(resolve => server.listen(0, resolve))
+  weatherProviderService.register(new OpenMeteoProvider({ archiveUrl: `http://localhost:${server.address().port}/v1` }))
+  const location = { lat: 21.1458, lon: 79.0882 }
+
+  try {
+    assert.strictEqual(classifyRainfallDeparture(-65), 'Large Deficient')
+    assert.strictEqual(classifyRainfallDeparture(-10), 'Normal')
+    assert.strictEqual(classifyRainfallDeparture(45), 'Excess')
+
+    // 30 years of daily history arrives in 5-year chunks and is complete
+    const climatology = await weatherArchiveService.getClimatology(location)
+    assert.strictEqual(climatology.baseline.years, 30)
+    assert.ok(Math.abs(climatology.annual.precipitation - 1025) < 60, `annual normal ${climatology.annual.precipitation}`)
+    assert.ok(climatology.months[6].precipitation > climatology.months[0].precipitation * 10, 'July should dominate January')
+    assert.ok(climatology.months[4].heatDays > 10 && climatology.months[11].heatDays === 0)
+    console.log('✅ Climatology 1991-2020: annual rain', climatology.annual.precipitation, 'mm, May heat days', climatology.months[4].heatDays)
+
+    const ordinary = await weatherArchiveService.getAnomaly(location, { startDate: '2019-07-01', endDate: '2019-07-31' })
+    assert.strictEqual(ordinary.rainfall.category, 'Normal')
+    assert.strictEqual(ordinary.riskLevel, 'low')
+    console.log('✅ July 2019:', ordinary.rainfall.departurePercent, '% departure, risk', ordinary.riskScore)
+
+    const drought = await weatherArchiveService.getAnomaly(location, { startDate: '2024-05-01', endDate: '2024-07-31' })
+    assert.strictEqual(drought.period.days, 92)
+    assert.ok(drought.rainfall.departurePercent < -55, `expected a large deficit, got ${drought.rainfall.departurePercent}%`)
+    assert.ok(drought.rainfall.deficit > 200)
+    assert.ok(drought.heat.excessDays > 5 && drought.heat.tmaxAnomaly > 3)
+    assert.strictEqual(drought.riskLevel, 'high')
+    assert.deepStrictEqual(drought.monthly.map(m => m.month), ['2024-05', '2024-06', '2024-07'])
+    console.log('✅ May-July 2024:', drought.rainfall.category, drought.rainfall.departurePercent, '%, heat days',
+      drought.heat.observedDays, 'vs', drought.heat.normalDays, 'normal, risk', drought.riskScore)
+
+    await assert.rejects(weatherArchiveService.getHistory({ lat: 95, lon: 10 }), error => error.status === 400)
+    await assert.rejects(weatherArchiveService.getHistory(location, { startDate: '2020-02-01', endDate: '2020-01-01' }), error => error.status === 400)
+    console.log('✅ Invalid locations and ranges rejected')
+  } catch (e) {
+    console.error('❌ Test failed:', e.message)
+    process.exitCode = 1
+  } finally {
+    server.close()
+  }
+}
+
+main()
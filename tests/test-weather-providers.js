@@ -0,0 +1,99 @@
+// Test: Weather provider failover, circuit breakers and the CSV station provider (no network needed)
+// Usage: node tests/test-weather-providers.js
+
+import assert from 'assert'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { CircuitBreaker } from '../lib/circuitBreaker.js'
+import { CsvStationProvider } from '../lib/weatherProviders.js'
+import { weatherProviderService } from '../lib/weatherProviderService.js'
+
+const stationsCsv = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'weather-stations.csv')
+const nagpur = [21.1458, 79.0882]
+
+async function main() {
+  let clock = 0
+  const now = () => clock
+
+  // closed -> open after 2 failures -> half-open after the cooldown (one trial) -> closed on success
+  const breaker = new CircuitBreaker('test', { failureThreshold: 2, cooldownMs: 1000, now })
+  breaker.recordFailure(new Error('timeout'))
+  assert.strictEqual(breaker.state, 'closed')
+  breaker.recordFailure(new Error('timeout'))
+  assert.strictEqual(breaker.state, 'open')
+  assert.strictEqual(breaker.canRequest(), false)
+  clock = 1000
+  assert.strictEqual(breaker.state, 'half-open')
+  assert.strictEqual(breaker.canRequest(), true)
+  assert.strictEqual(breaker.canRequest(), false, 'only one trial call while half-open')
+  breaker.recordFailure(new Error('still down'))
+  assert.strictEqual(breaker.state, 'open', 'a failed trial re-opens the circuit')
+  clock = 2000
+  breaker.canRequest()
+  breaker.recordSuccess()
+  assert.strictEqual(breaker.state, 'closed')
+  console.log('✅ Circuit breaker: closed -> open -> half-open -> closed')
+
+  // A failing primary fails over to the fixture until its circuit opens, then is skipped
+  let flakyCalls = 0
+  weatherProviderService.register({
+    name: 'flaky',
+    label: 'Flaky upstream',
+    async getCurrent() {
+      flakyCalls++
+      throw new Error('upstream 500')
+    }
+  }, { failureThreshold: 2, cooldownMs: 60000, now })
+  weatherProviderService.setOrder(['flaky', 'fixture'])
+
+  const first = await weatherProviderService.getCurrent(...nagpur)
+  assert.strictEqual(first.provider, 'fixture')
+  assert.strictEqual(first.synthetic, true)
+  assert.deepStrictEqual(first.failover, [{ provider: 'flaky', reason: 'error', error: 'upstream 500' }])
+  assert.strictEqual(typeof first.current.temperature, 'number')
+  await weatherProviderService.getCurrent(...nagpur)
+  const skipped = await weatherProviderService.getCurrent(...nagpur)
+  assert.strictEqual(flakyCalls, 2, 'open circuit stops calling the provider')
+  assert.deepStrictEqual(skipped.failover, [{ provider: 'flaky', reason: 'circuit open' }])
+  const flakyStatus = weatherProviderService.getStatus().providers.find(p => p.name === 'flaky')
+  assert.strictEqual(flakyStatus.circuit.state, 'open')
+  assert.strictEqual(flakyStatus.circuit.lastError, 'upstream 500')
+  console.log('✅ Failover to fixture; open circuit skips the failing provider')
+
+  // Stations serve observations near them; forecasts and far-away locations fall through
+  weatherProviderService.register(new CsvStationProvider({ file: stationsCsv, maxDistanceKm: 25 }))
+  weatherProviderService.setOrder(['csv-station', 'fixture'])
+
+  const station = await weatherProviderService.getCurrent(21.2, 79.1)
+  assert.strictEqual(station.provider, 'csv-station')
+  assert.strictEqual(station.station.id, 'NGP-01')
+  assert.deepStrictEqual([station.current.time, station.current.temperature, station.current.precipitation], ['2026-07-02T18:00', 31.2, 3.5])
+
+  const history = await weatherProviderService.getDaily(...nagpur, { startDate: '2026-07-01', endDate: '2026-07-02' })
+  assert.strictEqual(history.provider, 'csv-station')
+  assert.deepStrictEqual(history.days.map(day => [day.date, day.tmax, day.tmin, day.precipitation]),
+    [['2026-07-01', 30.2, 21.8, 0], ['2026-07-02', 31.2, 22.8, 3.5]])
+
+  const forecast = await weatherProviderService.getDaily(...nagpur, { days: 3 })
+  assert.strictEqual(forecast.provider, 'fixture')
+  assert.strictEqual(forecast.days.length, 3)
+  assert.strictEqual(forecast.failover[0].reason, 'Weather stations have no forecast')
+
+  const farAway = await weatherProviderService.getCurrent(28.6139, 77.209)
+  assert.strictEqual(farAway.provider, 'fixture')
+  assert.match(farAway.failover[0].reason, /No weather station within 25 km/)
+  assert.strictEqual(weatherProviderService.getStatus().providers.find(p => p.name === 'csv-station').circuit.failures, 0,
+    'unsupported requests do not count against the circuit')
+  console.log('✅ CSV station: nearest station, daily history; forecast and distant points fall through')
+
+  // Nothing left to try: 503 listing every attempt
+  weatherProviderService.setOrder(['flaky'])
+  await assert.rejects(weatherProviderService.getCurrent(...nagpur), error => error.status === 503 && error.failover.length === 1)
+  assert.throws(() => weatherProviderService.setOrder(['nowhere']), /Unknown weather providers: nowhere/)
+  console.log('✅ 503 when every provider fails; unknown providers rejected')
+}
+
+main().catch(e => {
+  console.error('❌ Test failed:', e.message)
+  process.exitCode = 1
+})
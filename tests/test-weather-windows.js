@@ -0,0 +1,59 @@
+// Test: Spraying, sowing and harvesting windows over a synthetic hourly forecast (no network needed)
+// Usage: node tests/test-weather-windows.js
+
+import assert from 'assert'
+import { findWeatherWindows, checkHour, weatherWindowService } from '../lib/weatherWindowService.js'
+
+// Two days from local midnight: calm, dry and warm, with a shower at 14:00 on day one and a
+// windy afternoon on day two
+const hours = Array.from({ length: 48 }, (_, i) => {
+  const day = i < 24 ? '2026-10-20' : '2026-10-21'
+  const hour = i % 24
+  return {
+    time: `${day}T${String(hour).padStart(2, '0')}:00`,
+    temperature: 18 + 8 * Math.sin(Math.PI * (hour - 6) / 12),
+    humidity: 60,
+    windSpeed: i >= 36 && i < 42 ? 22 : 8,
+    windGusts: i >= 36 && i < 42 ? 35 : 14,
+    precipitationProbability: i === 14 ? 80 : 5,
+    precipitation: i === 14 ? 4 : 0,
+    soilTemperature: 22
+  }
+})
+
+try {
+  // Spraying needs 6 dry hours afterwards, so the morning window closes at 08:00 before the 14:00 shower
+  const spraying = findWeatherWindows(hours, 'spraying', { from: '2026-10-20T06:00' })
+  assert.deepStrictEqual([spraying.next.start, spraying.next.end], ['2026-10-20T06:00', '2026-10-20T08:00'])
+  assert.deepStrictEqual(spraying.windows[1].start, '2026-10-20T15:00')
+  assert.ok(spraying.windows.every(w => w.conditions.windSpeed[1] <= 15))
+  assert.ok(checkHour(hours, 9, 'spraying').includes('rainAfter'))
+  console.log('✅ Spraying windows:', spraying.windows.map(w => `${w.start}..${w.end}`).join(', '))
+
+  // Day two afternoon is too windy to spray; the 12:00-18:00 block is excluded
+  assert.ok(!spraying.windows.some(w => w.start < '2026-10-21T18:00' && w.end > '2026-10-21T12:00'))
+
+  // Wheat germinates at 10-25°C soil; 22°C qualifies, but cotton in 16°C soil does not
+  const sowing = findWeatherWindows(hours, 'sowing', { from: '2026-10-20T00:00', crop: 'wheat' })
+  assert.ok(sowing.next, 'wheat should have a sowing window')
+  assert.deepStrictEqual(sowing.soilTemperatureRange, [10, 25])
+  const coldSoil = hours.map(h => ({ ...h, soilTemperature: 16 }))
+  const cotton = findWeatherWindows(coldSoil, 'sowing', { crop: 'Cotton' })
+  assert.strictEqual(cotton.next, null)
+  assert.strictEqual(cotton.limitingFactor, 'soilTemperature')
+  console.log('✅ Sowing: wheat from', sowing.next.start, '- cotton blocked by', cotton.limitingFactor)
+
+  // Harvest needs 6 dry hours after and 12 before, so the 14:00 shower rules out all of day one
+  const harvesting = findWeatherWindows(hours, 'harvesting')
+  assert.deepStrictEqual(harvesting.windows.map(w => [w.start, w.end]), [['2026-10-21T08:00', '2026-10-21T18:00']])
+  assert.ok(checkHour(hours, 20, 'harvesting').includes('rainBefore'))
+  console.log('✅ Harvesting windows:', harvesting.windows.map(w => `${w.start}..${w.end}`).join(', '))
+
+  assert.strictEqual(weatherWindowService.primaryActivity({ cropStage: { crop: 'Wheat', stage: { phase: 'maturity' } } }), 'harvesting')
+  assert.strictEqual(weatherWindowService.primaryActivity({ crop: 'Wheat', date: new Date('2026-11-05') }), 'sowing')
+  assert.strictEqual(weatherWindowService.primaryActivity({ crop: 'Wheat', date: new Date('2026-03-05') }), 'spraying')
+  console.log('✅ Primary activity follows crop stage and sowing calendar')
+} catch (e) {
+  console.error('❌ Test failed:', e.message)
+  process.exit(1)
+}
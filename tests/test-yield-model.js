@@ -0,0 +1,48 @@
+// Test: In-process yield model runtime with the bundled baseline GBT model
+// Usage: node tests/test-yield-model.js
+
+import assert from 'assert'
+import { yieldModelRuntime } from '../lib/yieldModelRuntime.js'
+
+async function main() {
+  try {
+    const health = await yieldModelRuntime.healthCheck()
+    assert.strictEqual(health.model_loaded, true, `baseline model should load: ${health.error}`)
+    assert.strictEqual(health.activeVersion, 'baseline-gbt-1.0.0')
+    console.log('✅ Health:', health.activeVersion, 'canary', health.canary.prediction)
+
+    const favourable = await yieldModelRuntime.predict({ crop_name: 'Rice', rainfall: 300, temperature: 28, soil_ph: 6.8 })
+    const stressed = await yieldModelRuntime.predict({ crop_name: 'Wheat', rainfall: 20, temperature: 40, soil_ph: 8.2, risk_score: 0.8 })
+    assert.strictEqual(favourable.prediction, 0.79)
+    assert.strictEqual(stressed.prediction, 0.12)
+    assert.ok(favourable.defaulted.includes('humidity'))
+    console.log('✅ Predictions:', favourable.prediction, stressed.prediction)
+
+    // Rice rainfall response differs from dryland crops at the same input
+    const rice = await yieldModelRuntime.predict({ crop_name: 'Rice', rainfall: 80 })
+    const maize = await yieldModelRuntime.predict({ crop_name: 'Maize', rainfall: 80 })
+    assert.ok(rice.prediction < maize.prediction, 'low rainfall should hurt rice more than maize')
+    console.log('✅ Crop-specific rainfall:', rice.prediction, '<', maize.prediction)
+
+    // Contributions explain the whole gap between the reference input and the prediction
+    const explained = await yieldModelRuntime.predict({ crop_name: 'Wheat', rainfall: 20, temperature: 40, soil_ph: 8.2, risk_score: 0.8 }, { explain: true })
+    const { baseValue, contributions } = explained.explanation
+    const total = contributions.reduce((sum, c) => sum + c.contribution, baseValue)
+    assert.ok(Math.abs(total - explained.prediction) < 0.001, 'contributions should sum to prediction - baseline')
+    assert.strictEqual(contributions[0].feature, 'temperature')
+    assert.strictEqual(contributions.find(c => c.feature === 'humidity').contribution, 0)
+    console.log('✅ Explanation:', contributions.filter(c => c.contribution).map(c => `${c.feature} ${c.contribution}`).join(', '))
+
+    await assert.rejects(
+      yieldModelRuntime.predict({ soil_ph: 14, season: 'Spring' }),
+      error => error.status === 400 && error.details.length === 2
+    )
+    await assert.rejects(yieldModelRuntime.predict({}, { version: 'missing' }), error => error.status === 404)
+    console.log('✅ Invalid inputs and unknown versions rejected')
+  } catch (e) {
+    console.error('❌ Test failed:', e.message)
+    process.exit(1)
+  }
+}
+
+main()
@@ -0,0 +1,60 @@
+// Test: what-if grid expansion, clamping and limits, and the response surface on the bundled baseline model
+// Usage: node tests/test-yield-simulation.js
+
+import assert from 'assert'
+import { yieldSimulationService } from '../lib/yieldSimulationService.js'
+import { yieldModelRuntime } from '../lib/yieldModelRuntime.js'
+
+const rejectsWith = (promise, pattern) => assert.rejects(promise, error => error.status === 400 && pattern.test(error.message))
+
+async function main() {
+  const expand = (name, spec, base) => yieldSimulationService.expandVariable(name, spec, base)
+  assert.deepStrictEqual(expand('rainfall', { values: [300, 100, 300] }), [100, 300], 'deduplicated and sorted')
+  assert.deepStrictEqual(expand('rainfall', { from: 100, to: 200, step: 50 }), [100, 150, 200])
+  assert.deepStrictEqual(expand('temperature', { from: 20, to: 30, steps: 3 }), [20, 25, 30])
+  assert.deepStrictEqual(expand('fertilizer_usage', { percent: [-50, 0, 50] }, 80), [40, 80, 120])
+  assert.deepStrictEqual(expand('soil_ph', { delta: [-0.5, 0.5] }), [6, 7], 'schema default is the base when omitted')
+  assert.deepStrictEqual(expand('risk_score', { values: [-1, 0.5, 3] }), [0, 0.5, 1], 'clamped to the schema range')
+  console.log('✅ Grids from values, from/to, percent and delta, clamped to the schema')
+
+  assert.throws(() => expand('crop_name', { values: ['Rice'] }), /not a numeric model feature/)
+  assert.throws(() => expand('rainfall', { values: ['lots'] }), /non-numeric/)
+  assert.throws(() => expand('rainfall', { from: 0, to: 10, step: -5 }), /positive step/)
+  assert.throws(() => expand('rainfall', { from: 0, to: 5000, step: 1 }), /more than 50 values/)
+  assert.throws(() => expand('rainfall', {}), /needs values, from\/to, percent or delta/)
+  assert.deepStrictEqual(yieldSimulationService.combinations([{ name: 'a', values: [1, 2] }, { name: 'b', values: [3] }]), [{ a: 1, b: 3 }, { a: 2, b: 3 }])
+  console.log('✅ Invalid grids rejected; combinations are the cross product')
+
+  const base = { numeric: { rainfall: 150, temperature: 28, soil_ph: 6.8 }, categorical: { crop_name: 'Rice' } }
+  const result = await yieldSimulationService.simulate({
+    base,
+    changes: { rainfall: { values: [50, 150, 300] }, temperature: { delta: [-4, 0, 8] } }
+  })
+  assert.strictEqual(result.combinations, 9)
+  assert.strictEqual(result.modelVersion, (await yieldModelRuntime.predict({})).modelVersion)
+
+  // Every surface point is exactly what the model says for those settings
+  const point = result.surface.find(p => p.settings.rainfall === 300 && p.settings.temperature === 24)
+  const direct = await yieldModelRuntime.predict({ ...result.baseline.features, rainfall: 300, temperature: 24 })
+  assert.strictEqual(point.prediction, direct.prediction)
+  assert.strictEqual(result.best.prediction, Math.max(...result.surface.map(p => p.prediction)))
+  assert.ok(result.best.gainVsBaseline >= 0)
+
+  const rainfall = result.variables.find(v => v.name === 'rainfall')
+  assert.deepStrictEqual([rainfall.unit, rainfall.baseValue, rainfall.values], ['mm', 150, [50, 150, 300]])
+  const meanAt = value => result.surface.filter(p => p.settings.rainfall === value).reduce((sum, p) => sum + p.prediction, 0) / 3
+  rainfall.marginal.forEach(entry => assert.ok(Math.abs(entry.meanPrediction - meanAt(entry.value)) < 1e-4))
+  assert.ok(rainfall.marginal[0].meanPrediction < rainfall.marginal[2].meanPrediction, 'dry rice yields less')
+  console.log('✅ Response surface, per-variable marginals and best combination')
+
+  await rejectsWith(yieldSimulationService.simulate({ base, changes: {} }), /at least one numeric feature/)
+  await rejectsWith(yieldSimulationService.simulate({ base: null, changes: { rainfall: { values: [1] } } }), /base must be an object/)
+  const wide = { from: 0, to: 49, steps: 50 }
+  await rejectsWith(yieldSimulationService.simulate({ base, changes: { rainfall: wide, temperature: wide, humidity: { values: [10, 20, 30] } } }), /7500 combinations/)
+  console.log('✅ Empty changes, missing base and oversized grids are 400s')
+}
+
+main().catch(e => {
+  console.error('❌ Test failed:', e.message)
+  process.exitCode = 1
+})